@@ -1,7 +1,8 @@
 const constants = require('./constants');
 
 /**
- * @class Represents the collectionName and entityId of an ancestor entity
+ * @class Represents the collectionName and entityId of an ancestor entity (or of a root
+ * entity that other root entities reference by foreign key, such as a project's teacher)
  */
 class Ancestor {
     /**
@@ -22,6 +23,29 @@ class Ancestor {
     getEntityTypeName() {
         return constants.COLLECTIONS.roots[this.collectionName].entityTypeName;
     }
+
+    /**
+     * Returns the error message to send to the client if this ancestor does not exist.
+     * @return {string} The "not found" error message for this ancestor's collection
+     */
+    getNotFoundError() {
+        if (this.collectionName === constants.TEACHERS) {
+            return constants.TEACHER_NOT_FOUND;
+        } else if (this.collectionName === constants.CLASSES) {
+            return constants.CLASS_NOT_FOUND;
+        } else {
+            return constants.ANCESTOR_NOT_FOUND;
+        }
+    }
+
+    /**
+     * Returns the name of the property by which other entities reference this entity
+     * (e.g. "teacher_id" for a teacher).
+     * @return {string} The foreign key property name
+     */
+    getForeignKeyName() {
+        return this.getEntityTypeName().toLowerCase() + "_id";
+    }
 }
 
 module.exports = {
@@ -1,11 +1,27 @@
+const crypto = require('crypto');
 const cryptoJS = require('crypto-js');
 const an = require('./ancestor');
 const constants = require('./constants');
 const ds = require('./datastore');
+const mailer = require('./mailer');
 const sr = require('./server-response');
 const ServerResponse = sr.ServerReponse;
+const tokens = require('./tokens');
+const util = require('util');
 const uuid = require('uuid');
 
+/* Promise-based scrypt, so that hashing passwords and secret answers does not block other requests. */
+const scrypt = util.promisify(crypto.scrypt);
+
+/* Keys of the secret questions (stored encrypted) and their answers (stored hashed). */
+const SECRET_QUESTION_KEYS = ["question_1", "question_2"];
+const SECRET_ANSWER_KEYS = ["answer_1", "answer_2"];
+
+/* Properties of a credential holding the reset code returned with the secret questions and the
+ * single-use reset code emailed to the teacher (each stored as an encrypted ResetCode). */
+const RESET_CODE = "reset_code";
+const EMAIL_RESET_CODE = "email_reset_code";
+
 /**
  * @class Representation of an individual teacher's secret questions and answers.
  */
@@ -28,22 +44,18 @@ class SecretQuestions {
     }
 
     /**
-     * Compares two sets of unencrypted SecretQuestions to ensure all values
-     * are equal.
+     * Compares the unencrypted questions (but not the answers, which are stored as hashes)
+     * of two sets of SecretQuestions.
      * 
      * @param {SecretQuestions} otherSecretQuestions Another SecretQuestions object
      * against which to compare this one.
-     * @return {boolean} Whether the two sets of secret questions have identical values.
+     * @return {boolean} Whether the two sets of secret questions have identical questions.
      */
-    deepCompare(otherSecretQuestions) {
+    questionsMatch(otherSecretQuestions) {
         if (this.question_1 !== otherSecretQuestions.question_1) {
             return false;
         } else if (this.question_2 !== otherSecretQuestions.question_2) {
             return false;
-        } else if (this.answer_1 !== otherSecretQuestions.answer_1) {
-            return false;
-        } else if (this.answer_2 !== otherSecretQuestions.answer_2) {
-            return false;
         } else {
             return true;
         }
@@ -104,6 +116,165 @@ class ResetCode {
 }
 
 
+/**
+ * @class Represents the recent failed attempts to guess a teacher's password, reset code or secret
+ * answers, either overall or from one client IP address.
+ */
+class FailedAttempts {
+    /**
+     * Instantiates a new FailedAttempts object.
+     * 
+     * @param {object} failedAttempts_JSON [optional] The failed attempts data stored with a teacher's
+     * credentials. Defaults to no failed attempts.
+     * @param {number} failedAttempts_JSON.count The number of failed attempts.
+     * @param {number} failedAttempts_JSON.last_failed_at When the last attempt failed (in milliseconds).
+     * @param {string} failedAttempts_JSON.ip [optional] The client IP address from which the
+     * attempts were made (null when counting attempts from all addresses).
+     */
+    constructor(failedAttempts_JSON = null) {
+        if (failedAttempts_JSON) {
+            this.count = failedAttempts_JSON.count;
+            this.last_failed_at = failedAttempts_JSON.last_failed_at;
+            this.ip = failedAttempts_JSON.ip === undefined ? null : failedAttempts_JSON.ip;
+        } else {
+            this.count = 0;
+            this.last_failed_at = 0;
+            this.ip = null;
+        }
+    }
+
+    /**
+     * Determines when the next attempt will be allowed, applying a delay that doubles with each
+     * failure beyond FREE_FAILED_ATTEMPTS and a lockout once lockoutThreshold is reached.
+     * 
+     * @param {number} lockoutThreshold The number of failed attempts that causes a lockout.
+     * @return {number} When the next attempt will be allowed (in milliseconds; 0 if no delay applies).
+     */
+    getRetryTime(lockoutThreshold) {
+        if (this.count >= lockoutThreshold) {
+            return this.last_failed_at + constants.LOCKOUT_DURATION;
+        } else if (this.count > constants.FREE_FAILED_ATTEMPTS) {
+            const delay = constants.FAILED_ATTEMPT_BASE_DELAY * 2 ** (this.count - constants.FREE_FAILED_ATTEMPTS - 1);
+            return this.last_failed_at + Math.min(delay, constants.FAILED_ATTEMPT_MAX_DELAY);
+        } else {
+            return 0;
+        }
+    }
+
+    /**
+     * Records another failed attempt, starting the count over if the previous failure
+     * was at least LOCKOUT_DURATION ago (including when a lockout has been served).
+     */
+    recordFailure() {
+        const now = Date.now();
+        if (now - this.last_failed_at >= constants.LOCKOUT_DURATION) {
+            this.count = 0;
+        }
+        this.count++;
+        this.last_failed_at = now;
+    }
+}
+
+
+/**
+ * Reads the failed attempts stored with a teacher's credentials or a student.
+ * 
+ * @param {object} entityData The entity's data (with optional failed_attempts and
+ * failed_attempts_by_ip properties).
+ * @return {object} The "failed_attempts" overall and "failed_attempts_by_ip" (as FailedAttempts).
+ */
+function readFailedAttempts(entityData) {
+    return {
+        "failed_attempts": new FailedAttempts(
+            Object.keys(entityData).includes("failed_attempts") ? entityData.failed_attempts : null
+        ),
+        "failed_attempts_by_ip": (
+            Object.keys(entityData).includes("failed_attempts_by_ip") ?
+            entityData.failed_attempts_by_ip.map(attempts => new FailedAttempts(attempts)) :
+            []
+        )
+    };
+}
+
+
+/**
+ * Gets the failed attempts made from the given client IP address.
+ * 
+ * @param {object} attemptsData The failed attempts stored with an entity (see readFailedAttempts).
+ * @param {string} clientIp The client's IP address (null if unknown).
+ * @return {?FailedAttempts} The failed attempts (null if none have been recorded).
+ */
+function getFailedAttemptsFromIp(attemptsData, clientIp) {
+    const matchingAttempts = attemptsData.failed_attempts_by_ip.find(attempts => attempts.ip === clientIp);
+    return clientIp !== null && matchingAttempts !== undefined ? matchingAttempts : null;
+}
+
+
+/**
+ * Determines how long the client must wait before guessing again, based on the failed attempts
+ * both overall and from the client's IP address.
+ * 
+ * @param {object} attemptsData The failed attempts stored with an entity (see readFailedAttempts).
+ * @param {string} clientIp The client's IP address (null if unknown).
+ * @param {number} lockoutThreshold The number of failed attempts overall that causes a lockout.
+ * @return {number} The number of seconds to wait (0 if another attempt is allowed now).
+ */
+function getRetryAfter(attemptsData, clientIp, lockoutThreshold) {
+    let retryTime = attemptsData.failed_attempts.getRetryTime(lockoutThreshold);
+    const ipAttempts = getFailedAttemptsFromIp(attemptsData, clientIp);
+    if (ipAttempts !== null) {
+        retryTime = Math.max(retryTime, ipAttempts.getRetryTime(constants.IP_LOCKOUT_THRESHOLD));
+    }
+    const now = Date.now();
+    return retryTime > now ? Math.ceil((retryTime - now) / 1000) : 0;
+}
+
+
+/**
+ * Records a failed attempt, both overall and from the given client IP address.
+ * 
+ * @param {object} attemptsData The failed attempts stored with an entity (updated in place).
+ * @param {string} clientIp The client's IP address (null if unknown).
+ */
+function addFailedAttempt(attemptsData, clientIp) {
+    attemptsData.failed_attempts.recordFailure();
+    if (clientIp === null) {
+        return;
+    }
+
+    /* Move this address's attempts to the end of the list so that the least recent
+     * addresses are forgotten first. */
+    let ipAttempts = getFailedAttemptsFromIp(attemptsData, clientIp);
+    if (ipAttempts === null) {
+        ipAttempts = new FailedAttempts({"count": 0, "last_failed_at": 0, "ip": clientIp});
+    }
+    ipAttempts.recordFailure();
+    attemptsData.failed_attempts_by_ip = attemptsData.failed_attempts_by_ip
+        .filter(attempts => attempts.ip !== clientIp)
+        .concat([ipAttempts])
+        .slice(-constants.MAX_TRACKED_IPS);
+}
+
+
+/**
+ * Clears the overall failed attempts and those from the given client IP address after a
+ * successful login.
+ * 
+ * @param {object} attemptsData The failed attempts stored with an entity (updated in place).
+ * @param {string} clientIp The client's IP address (null if unknown).
+ * @return {boolean} Whether any failed attempts were cleared (meaning the entity should be resaved).
+ */
+function clearFailedAttempts(attemptsData, clientIp) {
+    const hadFailedAttempts = attemptsData.failed_attempts.count > 0
+        || getFailedAttemptsFromIp(attemptsData, clientIp) !== null;
+    attemptsData.failed_attempts = new FailedAttempts();
+    attemptsData.failed_attempts_by_ip = attemptsData.failed_attempts_by_ip.filter(
+        attempts => attempts.ip !== clientIp
+    );
+    return hadFailedAttempts;
+}
+
+
 /**
  * @class Represents two decrypted secret questions (without answers) and a decrypted 
  * temporary reset code to send to a client requesting to reset an unknown password.
@@ -145,7 +316,17 @@ class Credential {
      * since reset code has not yet been issued.
      * @param {string} credentialData_JSON.reset_code.code The randomly-generated temporary reset code.
      * @param {string} credentialData_JSON.reset_code.expires When the reset-code expires.
+     * @param {object} credentialData_JSON.email_reset_code [optional] Information about the most
+     * recently-emailed single-use reset code (in the same format as reset_code).
+     * @param {object} credentialData_JSON.failed_attempts [optional] Recent failed attempts to guess
+     * this teacher's password, reset code or secret answers (see FailedAttempts).
+     * @param {object[]} credentialData_JSON.failed_attempts_by_ip [optional] Recent failed attempts
+     * from each client IP address (see FailedAttempts).
+     * @param {object} credentialData_JSON.reset_code_requests [optional] Recent requests for reset
+     * codes, both overall and from each client IP address (in the same format as the failed attempts).
      * @param {boolean} encrypted [optional] Whether the credentialData has been encrypted yet.
+     * Since hashing the password is asynchronous, use Credential.create for plaintext credentials
+     * rather than passing false.
      * @param {object} datastoreKey [optional] The Datastore key of this entity
      * (null if not yet added to Datastore).
      */
@@ -157,14 +338,42 @@ class Credential {
                 Object.keys(credentialData_JSON).includes("reset_code") ?
                 credentialData_JSON.reset_code :
                 null
+            ),
+            "email_reset_code": new ResetCode(
+                Object.keys(credentialData_JSON).includes("email_reset_code") ?
+                credentialData_JSON.email_reset_code :
+                null
+            ),
+            ...readFailedAttempts(credentialData_JSON),
+            "reset_code_requests": readFailedAttempts(
+                Object.keys(credentialData_JSON).includes("reset_code_requests") ?
+                credentialData_JSON.reset_code_requests :
+                {}
             )
         };
         if (encrypted === false) {
-            this.encryptPassword();
-            this.encryptSecretQuestions();
             this.encryptResetCode();
+            this.encryptResetCode(EMAIL_RESET_CODE);
         }
         this.datastoreKey = datastoreKey;
+
+        /* Whether a legacy AES-encrypted password was rehashed while being matched (meaning this
+         * Credential should be resaved). */
+        this.passwordRehashed = false;
+    }
+
+    /**
+     * Creates a new Credential from plaintext credential data, hashing the password and
+     * secret answers and encrypting the secret questions.
+     * 
+     * @param {object} credentialData_JSON The plaintext credential data (see constructor).
+     * @return {Promise<Credential>} The new Credential.
+     */
+    static async create(credentialData_JSON) {
+        const credential = new Credential(credentialData_JSON, false);
+        await credential.updatePassword(credentialData_JSON.password);
+        await credential.updateSecretQuestions(new SecretQuestions(credentialData_JSON.secret_questions));
+        return credential;
     }
 
     /**
@@ -194,60 +403,178 @@ class Credential {
     }
 
     /**
-     * Encrypts the current password using AES.
+     * Hashes a password (or normalized secret answer) with scrypt and a random salt. The scrypt
+     * parameters are stored with the salt and hash (in the form "scrypt$N$r$p$salt$hash") so that
+     * they can be raised later without invalidating existing hashes.
+     * 
+     * @private
+     * @param {string} password The password to hash (plaintext).
+     * @return {Promise<string>} The encoded hash.
+     */
+    static async hashString(password) {
+        const params = constants.PASSWORD_HASH_PARAMS;
+        const salt = crypto.randomBytes(params.saltLength);
+        const hash = await scrypt(password, salt, params.keyLength, {"N": params.N, "r": params.r, "p": params.p});
+        return [
+            constants.PASSWORD_HASH_ALGORITHM,
+            params.N,
+            params.r,
+            params.p,
+            salt.toString("base64"),
+            hash.toString("base64")
+        ].join("$");
+    }
+
+    /**
+     * Determines whether a stored password or secret answer has been hashed (rather than
+     * encrypted with AES, as they were stored before hashing was introduced).
+     * 
+     * @private
+     * @param {string} storedValue The password or secret answer stored in Datastore.
+     * @return {boolean} Whether the stored value is a hash.
+     */
+    static isHashed(storedValue) {
+        return storedValue.startsWith(constants.PASSWORD_HASH_ALGORITHM + "$");
+    }
+
+    /**
+     * Determines whether a password matches a hash created by hashString.
+     * 
+     * @private
+     * @param {string} password The password to check (plaintext).
+     * @param {string} encodedHash The encoded hash.
+     * @return {Promise<boolean>} Whether the password matches.
+     */
+    static async hashMatches(password, encodedHash) {
+        const [, N, r, p, saltBase64, hashBase64] = encodedHash.split("$");
+        const expectedHash = Buffer.from(hashBase64, "base64");
+        const hash = await scrypt(
+            password,
+            Buffer.from(saltBase64, "base64"),
+            expectedHash.length,
+            {"N": parseInt(N, 10), "r": parseInt(r, 10), "p": parseInt(p, 10)}
+        );
+        return crypto.timingSafeEqual(hash, expectedHash);
+    }
+
+    /**
+     * Determines whether a password (or PIN) matches a stored value that is either a hash created
+     * by hashString or a legacy AES-encrypted value (compared in constant time once decrypted).
+     * 
+     * @param {string} password The password to check (plaintext).
+     * @param {string} storedValue The hashed (or legacy AES-encrypted) value stored in Datastore.
+     * @return {Promise<boolean>} Whether the password matches.
+     */
+    static async hashMatchesOrLegacy(password, storedValue) {
+        if (Credential.isHashed(storedValue) === true) {
+            return Credential.hashMatches(password, storedValue);
+        }
+        return Credential.stringsMatch(password, Credential.decryptString(storedValue));
+    }
+
+    /**
+     * Compares two strings in constant time by comparing their SHA-256 digests (which, unlike the
+     * strings themselves, always have the same length).
      * 
      * @private
+     * @param {string} received The string received from the client.
+     * @param {string} expected The string to compare it to.
+     * @return {boolean} Whether the strings are equal.
      */
-    encryptPassword() {
-        this.data.password = Credential.encryptString(this.data.password);
+    static stringsMatch(received, expected) {
+        const receivedHash = crypto.createHash("sha256").update(received).digest();
+        const expectedHash = crypto.createHash("sha256").update(expected).digest();
+        return crypto.timingSafeEqual(receivedHash, expectedHash);
     }
 
     /**
-     * Encrypts the current SecretQuestions using AES.
+     * Encrypts the current secret questions (but not their answers, which are hashed) using AES.
      * 
      * @private
      */
     encryptSecretQuestions() {
         const secretQuestions = this.data.secret_questions;
-        const secretQuestionsKeys = Object.keys(secretQuestions);
-        for (const key of secretQuestionsKeys) {
+        for (const key of SECRET_QUESTION_KEYS) {
             secretQuestions[key] = Credential.encryptString(secretQuestions[key]);
         }
     }
 
     /**
-     * Encrypts the current ResetCode using AES.
+     * Normalizes and hashes the current (plaintext) secret answers.
      * 
      * @private
+     * @return {Promise<void>}
      */
-    encryptResetCode() {
-        const resetCode = this.data.reset_code;
-        const resetCodeKeys = Object.keys(resetCode);
-        for (const key of resetCodeKeys) {
-            resetCode[key] = Credential.encryptString(resetCode[key]);
+    async hashSecretAnswers() {
+        const secretQuestions = this.data.secret_questions;
+        for (const key of SECRET_ANSWER_KEYS) {
+            secretQuestions[key] = await Credential.hashString(
+                constants.NORMALIZE_SECRET_ANSWER(secretQuestions[key])
+            );
+        }
+    }
+
+    /**
+     * Hashes secret answers that are still AES-encrypted (as they were stored before hashing
+     * was introduced). Answers that have already been hashed are left unchanged.
+     * 
+     * @return {Promise<void>}
+     */
+    async migrateSecretAnswers() {
+        const secretQuestions = this.data.secret_questions;
+        if (Credential.isHashed(secretQuestions.answer_1) === true) {
+            return;
+        }
+        for (const key of SECRET_ANSWER_KEYS) {
+            secretQuestions[key] = Credential.decryptString(secretQuestions[key]);
+        }
+        await this.hashSecretAnswers();
+    }
+
+    /**
+     * Determines whether a secret answer received from the client matches the one stored
+     * in Datastore once both are normalized (in constant time, even for legacy answers).
+     * 
+     * @private
+     * @param {string} storedAnswer The hashed (or legacy AES-encrypted) answer stored in Datastore.
+     * @param {string} answerFromClient The answer received from the client (plaintext).
+     * @return {Promise<boolean>} Whether the answers match.
+     */
+    static async secretAnswersMatch(storedAnswer, answerFromClient) {
+        const normalizedAnswer = constants.NORMALIZE_SECRET_ANSWER(answerFromClient);
+        if (Credential.isHashed(storedAnswer) === true) {
+            return Credential.hashMatches(normalizedAnswer, storedAnswer);
         }
+        return Credential.stringsMatch(
+            normalizedAnswer,
+            constants.NORMALIZE_SECRET_ANSWER(Credential.decryptString(storedAnswer))
+        );
     }
 
     /**
-     * Decrypts the current password using AES. Pair with call to encryptPassword() to
-     * make password encrypted again.
+     * Encrypts the current ResetCode using AES.
      * 
      * @private
+     * @param {string} resetCodeProperty [optional] The property holding the ResetCode
+     * (reset_code or email_reset_code).
      */
-    decryptPassword() {
-        this.data.password = Credential.decryptString(this.data.password);
+    encryptResetCode(resetCodeProperty = RESET_CODE) {
+        const resetCode = this.data[resetCodeProperty];
+        const resetCodeKeys = Object.keys(resetCode);
+        for (const key of resetCodeKeys) {
+            resetCode[key] = Credential.encryptString(resetCode[key]);
+        }
     }
 
     /**
-     * Decrypts the current SecretQuestions using AES. Pair with call to encryptSecretQuestions
-     * to encrypt them again.
+     * Decrypts the current secret questions (but not their answers) using AES. Pair with call
+     * to encryptSecretQuestions to encrypt them again.
      * 
      * @private
      */
     decryptSecretQuestions() {
         const secretQuestions = this.data.secret_questions;
-        const secretQuestionsKeys = Object.keys(secretQuestions);
-        for (const key of secretQuestionsKeys) {
+        for (const key of SECRET_QUESTION_KEYS) {
             secretQuestions[key] = Credential.decryptString(secretQuestions[key]);
         }
     }
@@ -257,9 +584,11 @@ class Credential {
      * to encrypt it again.
      * 
      * @private
+     * @param {string} resetCodeProperty [optional] The property holding the ResetCode
+     * (reset_code or email_reset_code).
      */
-    decryptResetCode() {
-        const resetCode = this.data.reset_code;
+    decryptResetCode(resetCodeProperty = RESET_CODE) {
+        const resetCode = this.data[resetCodeProperty];
         const resetCodeKeys = Object.keys(resetCode);
         for (const key of resetCodeKeys) {
             resetCode[key] = Credential.decryptString(resetCode[key]);
@@ -292,63 +621,153 @@ class Credential {
         );
     }
 
+    /**
+     * Generates a new single-use reset code to email to this teacher, replacing any emailed before.
+     * 
+     * @return {string} The unencrypted reset code.
+     */
+    generateEmailResetCode() {
+        this.data.email_reset_code.refreshCode();
+        const refreshedEmailResetCode = this.data.email_reset_code.code;
+        this.encryptResetCode(EMAIL_RESET_CODE);
+        return refreshedEmailResetCode;
+    }
+
     /**
      * Replaces the current password value with the new value passed in by the client
-     * (encrypting it before storing it in Datastore).
+     * (hashing it before storing it in Datastore).
      * 
      * @param {string} newPassword The new password desired by the user (plaintext).
+     * @return {Promise<void>}
      */
-    updatePassword(newPassword) {
-        this.data.password = newPassword;
-        this.encryptPassword();
+    async updatePassword(newPassword) {
+        this.data.password = await Credential.hashString(newPassword);
     }
 
     /**
      * Replaces the current SecretQuestions value with the new value passed in by the client
-     * (encrypting it before storing it in Datastore).
+     * (encrypting the questions and hashing the answers before storing them in Datastore).
      * @param {SecretQuestions} newSecretQuestions The new SecretQuestions desired by the user (plaintext).
+     * @return {Promise<void>}
      */
-    updateSecretQuestions(newSecretQuestions) {
+    async updateSecretQuestions(newSecretQuestions) {
         this.data.secret_questions = newSecretQuestions;
         this.encryptSecretQuestions();
+        await this.hashSecretAnswers();
     }
 
     /** 
      * Clears the reset code properties and reeyncrypts the reset code. 
+     * 
+     * @param {string} resetCodeProperty [optional] The property holding the ResetCode to clear
+     * (reset_code or email_reset_code).
     */
-    clearResetCode() {
-        this.data.reset_code.clearCode();
-        this.encryptResetCode();
+    clearResetCode(resetCodeProperty = RESET_CODE) {
+        this.data[resetCodeProperty].clearCode();
+        this.encryptResetCode(resetCodeProperty);
     }
 
     /**
      * Determines whether the password passed in by the client matches the one stored
-     * for this teacher in Datastore.
+     * for this teacher in Datastore. If the stored password is still AES-encrypted and matches,
+     * it is rehashed and passwordRehashed is set so that the caller can resave this Credential.
      * 
      * @param {string} passwordFromClient The password received from the client (currently in plaintext).
-     * @return {boolean} Whether the password passed in matches the one in Datastore.
+     * @return {Promise<boolean>} Whether the password passed in matches the one in Datastore.
      */
-    passwordsMatch(passwordFromClient) {
-        this.decryptPassword();
-        const passwordsAreEqual = passwordFromClient === this.data.password;
-        this.encryptPassword();
+    async passwordsMatch(passwordFromClient) {
+        if (Credential.isHashed(this.data.password) === true) {
+            return Credential.hashMatches(passwordFromClient, this.data.password);
+        }
+
+        const passwordsAreEqual = passwordFromClient === Credential.decryptString(this.data.password);
+        if (passwordsAreEqual === true) {
+            await this.updatePassword(passwordFromClient);
+            this.passwordRehashed = true;
+        }
         return passwordsAreEqual;
     }
 
+    /**
+     * Determines how long the client must wait before guessing this teacher's password,
+     * reset code or secret answers again, based on the failed attempts both overall and
+     * from the client's IP address.
+     * 
+     * @param {string} clientIp The client's IP address (null if unknown).
+     * @return {number} The number of seconds to wait (0 if another attempt is allowed now).
+     */
+    getRetryAfter(clientIp) {
+        return getRetryAfter(this.data, clientIp, constants.TEACHER_LOCKOUT_THRESHOLD);
+    }
+
+    /**
+     * Records a failed attempt, both overall and from the given client IP address.
+     * 
+     * @param {string} clientIp The client's IP address (null if unknown).
+     */
+    recordFailedAttempt(clientIp) {
+        addFailedAttempt(this.data, clientIp);
+    }
+
+    /**
+     * Determines how long the client must wait before requesting another reset code, based on the
+     * reset codes requested both overall and from the client's IP address.
+     * 
+     * @param {string} clientIp The client's IP address (null if unknown).
+     * @return {number} The number of seconds to wait (0 if another request is allowed now).
+     */
+    getResetCodeRetryAfter(clientIp) {
+        return getRetryAfter(this.data.reset_code_requests, clientIp, constants.TEACHER_LOCKOUT_THRESHOLD);
+    }
+
+    /**
+     * Records a request for a reset code, both overall and from the given client IP address.
+     * Requests are limited like failed attempts, but are tracked separately so that requesting a
+     * reset code does not delay using it.
+     * 
+     * @param {string} clientIp The client's IP address (null if unknown).
+     */
+    recordResetCodeRequest(clientIp) {
+        addFailedAttempt(this.data.reset_code_requests, clientIp);
+    }
+
+    /**
+     * Clears the teacher's overall failed attempts and those from the given client IP address
+     * after a successful login.
+     * 
+     * @param {string} clientIp The client's IP address (null if unknown).
+     * @return {boolean} Whether any failed attempts were cleared (meaning this Credential should be resaved).
+     */
+    clearFailedAttempts(clientIp) {
+        return clearFailedAttempts(this.data, clientIp);
+    }
+
     /**
      * Determines whether the SecretQuestions passed in by the client match those stored
-     * for this teacher in Datastore.
+     * for this teacher in Datastore. Questions must match exactly, while answers are compared
+     * after normalizing their case, whitespace and Unicode form.
      * 
      * @param {SecretQuestions} secretQuestionsFromClient The SecretQuestions passed in by the client.
-     * @return {boolean} Whether the SecretQuestions passed in match those in Datastore.
+     * @return {Promise<boolean>} Whether the SecretQuestions passed in match those in Datastore.
      */
-    secretQuestionsMatch(secretQuestionsFromClient) {
+    async secretQuestionsMatch(secretQuestionsFromClient) {
         this.decryptSecretQuestions();
-        const questionsAreEqual = this.data.secret_questions.deepCompare(
-            secretQuestionsFromClient
-        );
+        const questionsAreEqual = this.data.secret_questions.questionsMatch(secretQuestionsFromClient);
         this.encryptSecretQuestions();
-        return questionsAreEqual;
+        if (questionsAreEqual === false) {
+            return false;
+        }
+
+        for (const key of SECRET_ANSWER_KEYS) {
+            const answersAreEqual = await Credential.secretAnswersMatch(
+                this.data.secret_questions[key],
+                secretQuestionsFromClient[key]
+            );
+            if (answersAreEqual === false) {
+                return false;
+            }
+        }
+        return true;
     }
 
     /**
@@ -356,13 +775,16 @@ class Credential {
      * for this teacher in Datastore as well as whether the reset code is unexpired.
      * 
      * @param {string} resetCodeFromClient The reset code received from the client.
+     * @param {string} resetCodeProperty [optional] The property holding the ResetCode to compare
+     * against (reset_code or email_reset_code).
      * @return {boolean} Whether the reset code received matches the one on file.
      */
-    resetCodeValid(resetCodeFromClient) {        
-        this.decryptResetCode();
-        const resetCodesMatch = resetCodeFromClient === this.data.reset_code.code;
-        const resetCodeUnexpired = this.data.reset_code.isUnexpired();
-        this.encryptResetCode();
+    resetCodeValid(resetCodeFromClient, resetCodeProperty = RESET_CODE) {        
+        this.decryptResetCode(resetCodeProperty);
+        const resetCode = this.data[resetCodeProperty];
+        const resetCodesMatch = resetCodeFromClient === resetCode.code;
+        const resetCodeUnexpired = resetCode.isUnexpired();
+        this.encryptResetCode(resetCodeProperty);
         return resetCodesMatch && resetCodeUnexpired;
     }
 }
@@ -445,14 +867,169 @@ async function getCredential(transaction, teacherId) {
 }
 
 
+/**
+ * Saves changes to an entity (a teacher's credential or a student) made while validating the
+ * credentials received. Read-only transactions cannot save, so the entity is saved outside of the
+ * transaction in that case.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} entity The entity to save (with its key and data).
+ * @return {Promise<void>}
+ */
+async function saveValidatedEntity(transaction, entity) {
+    if (transaction.readOnly === true) {
+        await ds.datastore.save(entity);
+    } else {
+        transaction.save(entity);
+    }
+}
+
+
+/**
+ * Saves changes to a credential made while validating a teacher's password.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {Credential} credential The credential to save.
+ * @return {Promise<void>}
+ */
+async function saveCredential(transaction, credential) {
+    await saveValidatedEntity(transaction, {"key": credential.datastoreKey, "data": credential.data});
+}
+
+
+/**
+ * @class The response sent when the credentials received are wrong, along with a way to record
+ * the failed attempt. Recording must wait until the transaction in which the credentials were
+ * validated has been rolled back (see rollbackFailedValidation), since that transaction holds the
+ * entity the failed attempt is saved to.
+ */
+class FailedAttemptResponse extends ServerResponse {
+    /**
+     * Instantiates a new FailedAttemptResponse object.
+     * 
+     * @constructor
+     * @param {string} error The error to send to the client (with a 401 status code).
+     * @param {Function} recordAttempt Records the failed attempt in a transaction of its own
+     * (returning a Promise).
+     */
+    constructor(error, recordAttempt) {
+        super(401, {"error": error});
+        this.recordAttempt = recordAttempt;
+    }
+}
+
+
+/**
+ * Rolls back the transaction in which credentials failed validation and then, if the credentials
+ * were wrong, records the failed attempt. Calling functions use this in place of rolling back
+ * their transaction whenever a validation function returns a response.
+ * 
+ * @param {object} transaction The Datastore transaction in which the credentials were validated.
+ * @param {ServerResponse} responseInfo The response returned by the validation function.
+ * @return {Promise<void>}
+ */
+async function rollbackFailedValidation(transaction, responseInfo) {
+    await transaction.rollback();
+    if (responseInfo instanceof FailedAttemptResponse) {
+        await responseInfo.recordAttempt();
+    }
+}
+
+
+/**
+ * Records a failed attempt to guess a teacher's password, reset code or secret answers. Runs in its
+ * own transaction, which must not start until the calling function's transaction has been rolled
+ * back (see FailedAttemptResponse).
+ * 
+ * @param {string} teacherId The Datastore ID of the teacher.
+ * @param {string} clientIp The client's IP address (null if unknown).
+ * @return {Promise<void>}
+ */
+async function recordFailedAttempt(teacherId, clientIp) {
+    const transaction = ds.datastore.transaction();
+    try {
+        await transaction.run();
+        const credential = await getCredential(transaction, teacherId);
+        if (credential === null) {
+            await transaction.rollback();
+            return;
+        }
+        credential.recordFailedAttempt(clientIp);
+        transaction.save({"key": credential.datastoreKey, "data": credential.data});
+        await transaction.commit();
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+    }
+}
+
+
+/**
+ * Records a failed attempt to guess a student's PIN. Runs in its own transaction, which must not
+ * start until the calling function's transaction has been rolled back (see FailedAttemptResponse).
+ * 
+ * @param {object} studentKey The Datastore key of the student.
+ * @param {string} clientIp The client's IP address (null if unknown).
+ * @return {Promise<void>}
+ */
+async function recordStudentFailedAttempt(studentKey, clientIp) {
+    const transaction = ds.datastore.transaction();
+    try {
+        await transaction.run();
+        const [student] = await transaction.get(studentKey);
+        if (student === undefined) {
+            await transaction.rollback();
+            return;
+        }
+        const attemptsData = readFailedAttempts(student);
+        addFailedAttempt(attemptsData, clientIp);
+        transaction.save({"key": studentKey, "data": Object.assign(student, attemptsData)});
+        await transaction.commit();
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+    }
+}
+
+
+/**
+ * Removes the properties of a student that are never sent to the client: the PIN and the failed
+ * attempts to guess it.
+ * 
+ * @param {object} student The student (updated in place).
+ */
+function removePrivateStudentProperties(student) {
+    delete student.pin;
+    delete student.failed_attempts;
+    delete student.failed_attempts_by_ip;
+}
+
+
+/**
+ * Builds the response sent when too many failed attempts have been made.
+ * 
+ * @param {number} retryAfter The number of seconds the client must wait before trying again.
+ * @return {ServerResponse} The 429 response (with a Retry-After header).
+ */
+function getTooManyAttemptsResponse(retryAfter) {
+    return new ServerResponse(
+        429,
+        {"error": `Too many failed attempts. Try again in ${retryAfter} seconds.`},
+        {"Retry-After": String(retryAfter)}
+    );
+}
+
+
 /**
  * Gets secret questions (without answers) and a reset code so that a teacher can reset
  * a lost password.
  * 
  * @param {string} teacherId The ID of the teacher who would like to reset their password.
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts and
+ * limit how many reset codes are requested (null if unknown).
  * @return {Promise<ServerResponse>} The status code and content to send to the client.
  */
-async function getCredentialResetChallenge(teacherId) {
+async function getCredentialResetChallenge(teacherId, clientIp = null) {
     const transaction = ds.datastore.transaction();
     try {
         await transaction.run();
@@ -467,9 +1044,21 @@ async function getCredentialResetChallenge(teacherId) {
             );
         }
 
+        /* Refuse to issue reset codes to a client that is being delayed or locked out, whether for
+         * failed attempts or for requesting too many reset codes. */
+        const retryAfter = Math.max(
+            currentCredential.getRetryAfter(clientIp),
+            currentCredential.getResetCodeRetryAfter(clientIp)
+        );
+        if (retryAfter > 0) {
+            await transaction.rollback();
+            return getTooManyAttemptsResponse(retryAfter);
+        }
+
         /* Generate the reset code challenge and resave the current credential to Datastore
-         * since ResetCode has been updated. */
+         * since ResetCode and the reset code requests have been updated. */
         const resetCodeChallenge = currentCredential.generateResetCodeChallenge();
+        currentCredential.recordResetCodeRequest(clientIp);
         await transaction.save({
             "key": currentCredential.datastoreKey,
             "data": currentCredential.data
@@ -492,28 +1081,41 @@ async function getCredentialResetChallenge(teacherId) {
 
 
 /**
- * Validates whether the authorization header received is correct for the given
- * teacher with teacherId.
- * 
- * @param {object} transaction The current Datastore transaction being run.
- * @param {string} authReceived The authorization header received from the client.
- * @param {string} teacherIdExpected [optional] The ID of the teacher in Datastore who has permission
- * to access this resource (null if any teacher can work with the resource).
- * @param {Credential} credentialExpected [optional] The Credential expected for this teacher
- * (can be passed in by calling function in same module to avoid unncecessary duplicate work
- * of fetching Credential twice).
- * @param {boolean} useResetCode [optional] Whether the teacher's credential should be validated
- * using a reset code instead of a password (for resetting forgotten password.)
- * @return {Promise<?ServerResponse>} The code and message to send to the client if invalid
- * (null if valid).
+ * @class The username and password parsed from a Basic authorization header.
  */
-async function validateAuthHeader(
-    transaction, 
-    authReceived, 
-    teacherIdExpected = null,
-    credentialExpected = null,
-    useResetCode = false
-) {
+class BasicCredentials {
+    /**
+     * Instantiates a new BasicCredentials object.
+     * 
+     * @constructor
+     * @param {string} username The username (a teacher_id, or "teacher_id/student_id" for students).
+     * @param {string} password The password (or reset code / PIN).
+     */
+    constructor(username, password) {
+        this.username = username;
+        this.password = password;
+    }
+
+    /**
+     * Determines whether these are a student's credentials (username of the form
+     * "teacher_id/student_id") rather than a teacher's.
+     * 
+     * @return {boolean} Whether these are student credentials.
+     */
+    isStudent() {
+        return this.username.includes("/");
+    }
+}
+
+
+/**
+ * Parses the authorization header received from the client.
+ * 
+ * @param {string} authReceived The authorization header received from the client.
+ * @return {BasicCredentials|ServerResponse} The credentials received (or the code and message
+ * to send to the client if they could not be parsed).
+ */
+function parseBasicAuthHeader(authReceived) {
     /* If no authorization header was received, return 401 to indicate it is required. */
     if (!authReceived) {
         return new ServerResponse(
@@ -540,7 +1142,7 @@ async function validateAuthHeader(
     if (authType !== "Basic") {
         return new ServerResponse(
             401,
-            {"error": "Only Basic-type authorization headers are accepted"}
+            {"error": "Only Basic-type and Bearer-type authorization headers are accepted"}
         );
     }
 
@@ -557,9 +1159,78 @@ async function validateAuthHeader(
             {"error": "The authorization credentials included could not be parsed"}
         );
     }
-    
-    const teacherIdReceived = authCredentialsArr[0];
-    const passwordReceived = authCredentialsArr[1];
+
+    return new BasicCredentials(authCredentialsArr[0], authCredentialsArr[1]);
+}
+
+
+/**
+ * Validates whether the authorization header received is correct for the given
+ * teacher with teacherId. Teachers may send either their teacher_id and password (Basic)
+ * or an access token issued by POST /tokens (Bearer).
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} authReceived The authorization header received from the client.
+ * @param {string} teacherIdExpected [optional] The ID of the teacher in Datastore who has permission
+ * to access this resource (null if any teacher can work with the resource).
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
+ * @param {Credential} credentialExpected [optional] The Credential expected for this teacher
+ * (can be passed in by calling function in same module to avoid unncecessary duplicate work
+ * of fetching Credential twice). Only passed in when the credential is being changed, so Bearer
+ * tokens are not accepted when it is.
+ * @param {string} resetCodeProperty [optional] The Credential property holding the reset code
+ * with which the teacher's credential should be validated instead of a password (reset_code or
+ * email_reset_code, for resetting a forgotten password; null to validate the password).
+ * @return {Promise<?ServerResponse>} The code and message to send to the client if invalid
+ * (null if valid). Roll back the transaction with rollbackFailedValidation, which records any
+ * failed attempt.
+ */
+async function validateAuthHeader(
+    transaction, 
+    authReceived, 
+    teacherIdExpected = null,
+    clientIp = null,
+    credentialExpected = null,
+    resetCodeProperty = null
+) {
+    const accessToken = tokens.getBearerTokenFromAuthHeader(authReceived);
+    let teacherIdReceived = null;
+    let passwordReceived = null;
+    if (accessToken !== null) {
+        /* Changing a teacher's credentials requires proving the current password (or reset code),
+         * which an access token cannot do. */
+        if (credentialExpected !== null || resetCodeProperty !== null) {
+            return new ServerResponse(
+                401,
+                {"error": "This endpoint requires Basic-type authorization with the teacher's credentials."}
+            );
+        }
+
+        teacherIdReceived = await tokens.getTeacherIdOfAccessToken(transaction, accessToken);
+        if (teacherIdReceived === null) {
+            return new ServerResponse(
+                401,
+                {"error": "The access token provided is invalid, expired, or revoked."}
+            );
+        }
+    } else {
+        const credentialsReceived = parseBasicAuthHeader(authReceived);
+        if (credentialsReceived instanceof ServerResponse) {
+            return credentialsReceived;
+        }
+        
+        /* Students cannot use their PINs to access resources requiring a teacher's credentials. */
+        if (credentialsReceived.isStudent() === true) {
+            return new ServerResponse(
+                403,
+                {"error": "Students do not have access to this resource."}
+            );
+        }
+
+        teacherIdReceived = credentialsReceived.username;
+        passwordReceived = credentialsReceived.password;
+    }
 
     /* If another user is trying to access this resource, report that it is forbidden. */
     if (teacherIdExpected !== null && teacherIdReceived !== teacherIdExpected) {
@@ -572,6 +1243,11 @@ async function validateAuthHeader(
         );
     }
 
+    /* A valid access token's session already proves the teacher logged in with their password. */
+    if (accessToken !== null) {
+        return null;
+    }
+
     /* If the credentials expected for this teacher were not passed in by the calling function,
      * retrieve them from Datastore. */
     if (credentialExpected === null) {
@@ -584,24 +1260,37 @@ async function validateAuthHeader(
         }
     }
 
-    /* If a reset code is being used for validation, ensure the reset code is valid. */
-    if (useResetCode === true) {
-        if (credentialExpected.resetCodeValid(passwordReceived) === false) {
-            return new ServerResponse(
-                401,
-                {"error": "The reset code provided is incorrect and/or expired."}
+    /* Refuse further guesses while this teacher or client is being delayed or locked out. */
+    const retryAfter = credentialExpected.getRetryAfter(clientIp);
+    if (retryAfter > 0) {
+        return getTooManyAttemptsResponse(retryAfter);
+    }
+
+    /* If a reset code is being used for validation, ensure the reset code is valid. A valid reset
+     * code does not clear failed attempts, since anyone can request one. */
+    if (resetCodeProperty !== null) {
+        if (credentialExpected.resetCodeValid(passwordReceived, resetCodeProperty) === false) {
+            return new FailedAttemptResponse(
+                "The reset code provided is incorrect and/or expired.",
+                () => recordFailedAttempt(teacherIdReceived, clientIp)
             );
         }
     }
 
     /* Othewrwise, ensure the password in Datastore matches the one sent by the client. */
     else {
-        if (credentialExpected.passwordsMatch(passwordReceived) === false) {
-            return new ServerResponse(
-                401,
-                {"error": "The password provided is incorrect."}
+        if (await credentialExpected.passwordsMatch(passwordReceived) === false) {
+            return new FailedAttemptResponse(
+                "The password provided is incorrect.",
+                () => recordFailedAttempt(teacherIdReceived, clientIp)
             );
         }
+
+        /* Save the credential if failed attempts were cleared or a legacy password was just rehashed. */
+        const failedAttemptsCleared = credentialExpected.clearFailedAttempts(clientIp);
+        if (failedAttemptsCleared === true || credentialExpected.passwordRehashed === true) {
+            await saveCredential(transaction, credentialExpected);
+        }
     }
 
     /* Return null to calling function to indicate no error was encountered in validation. */
@@ -609,6 +1298,217 @@ async function validateAuthHeader(
 }
 
 
+/**
+ * Gets the Datastore ID of the student whose credentials were included in the authorization header.
+ * 
+ * @param {string} authReceived The authorization header received from the client.
+ * @return {?string} The student's ID (null if the header does not contain student credentials).
+ */
+function getStudentIdFromAuthHeader(authReceived) {
+    const credentialsReceived = parseBasicAuthHeader(authReceived);
+    if (credentialsReceived instanceof ServerResponse || credentialsReceived.isStudent() === false) {
+        return null;
+    }
+    return credentialsReceived.username.split("/")[1];
+}
+
+
+/**
+ * Validates whether the authorization header received contains the correct PIN of a student
+ * belonging to the teacher with teacherIdExpected. Students authenticate with the username
+ * "teacher_id/student_id" and their PIN as the password.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} authReceived The authorization header received from the client.
+ * @param {string} teacherIdExpected [optional] The ID of the teacher whose students have permission
+ * to access this resource (null if any student can work with the resource).
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
+ * @return {Promise<?ServerResponse>} The code and message to send to the client if invalid
+ * (null if valid). Roll back the transaction with rollbackFailedValidation, which records any
+ * failed attempt.
+ */
+async function validateStudentAuthHeader(
+    transaction,
+    authReceived,
+    teacherIdExpected = null,
+    clientIp = null
+) {
+    const credentialsReceived = parseBasicAuthHeader(authReceived);
+    if (credentialsReceived instanceof ServerResponse) {
+        return credentialsReceived;
+    }
+
+    /* Ensure the username is of the form "teacher_id/student_id". */
+    const usernameArr = credentialsReceived.username.split("/");
+    if (
+        usernameArr.length !== 2 
+        || usernameArr.some(id => id.length === 0 || ds.isValidId(id) === false) === true
+    ) {
+        return new ServerResponse(
+            400,
+            {"error": "The authorization credentials included could not be parsed"}
+        );
+    }
+    const teacherIdReceived = usernameArr[0];
+    const studentIdReceived = usernameArr[1];
+
+    /* If a student of another teacher is trying to access this resource, report that it is forbidden. */
+    if (teacherIdExpected !== null && teacherIdReceived !== teacherIdExpected) {
+        return new ServerResponse(
+            403,
+            {"error": constants.STUDENT_FORBIDDEN}
+        );
+    }
+
+    /* Get the student from Datastore and ensure the PIN matches the one on file. An unknown
+     * student gets the same response as a wrong PIN, so that student ids cannot be enumerated. */
+    const studentKey = ds.generateDatastoreKey(
+        constants.STUDENT,
+        studentIdReceived,
+        new an.Ancestor(constants.TEACHERS, teacherIdReceived)
+    );
+    const datastoreResponse = await transaction.get(studentKey);
+    const student = datastoreResponse[0];
+    if (student === undefined) {
+        return new ServerResponse(
+            401,
+            {"error": constants.STUDENT_CREDENTIALS_INCORRECT}
+        );
+    }
+
+    /* Refuse further guesses while this student or client is being delayed or locked out. */
+    const attemptsData = readFailedAttempts(student);
+    const retryAfter = getRetryAfter(attemptsData, clientIp, constants.STUDENT_LOCKOUT_THRESHOLD);
+    if (retryAfter > 0) {
+        return getTooManyAttemptsResponse(retryAfter);
+    }
+
+    if (await Credential.hashMatchesOrLegacy(credentialsReceived.password, student.pin) === false) {
+        return new FailedAttemptResponse(
+            constants.STUDENT_CREDENTIALS_INCORRECT,
+            () => recordStudentFailedAttempt(studentKey, clientIp)
+        );
+    }
+
+    /* Rehash a PIN that is still AES-encrypted (as PINs were stored before hashing was introduced),
+     * and clear any failed attempts now that the student has logged in. */
+    let studentChanged = clearFailedAttempts(attemptsData, clientIp);
+    if (Credential.isHashed(student.pin) === false) {
+        student.pin = await Credential.hashString(credentialsReceived.password);
+        studentChanged = true;
+    }
+    if (studentChanged === true) {
+        Object.assign(student, attemptsData);
+        await saveValidatedEntity(transaction, {"key": studentKey, "data": student});
+    }
+
+    return null;
+}
+
+
+/**
+ * Validates either teacher or student credentials (depending on which kind the authorization
+ * header received contains) for a resource belonging to the teacher with teacherIdExpected.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} authReceived The authorization header received from the client.
+ * @param {string} teacherIdExpected [optional] The ID of the teacher who (along with their students)
+ * has permission to access this resource (null if any teacher or student can work with the resource).
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
+ * @return {Promise<?ServerResponse>} The code and message to send to the client if invalid
+ * (null if valid). Roll back the transaction with rollbackFailedValidation, which records any
+ * failed attempt.
+ */
+async function validateTeacherOrStudentAuthHeader(
+    transaction,
+    authReceived,
+    teacherIdExpected = null,
+    clientIp = null
+) {
+    if (getStudentIdFromAuthHeader(authReceived) !== null) {
+        return validateStudentAuthHeader(transaction, authReceived, teacherIdExpected, clientIp);
+    } else {
+        return validateAuthHeader(transaction, authReceived, teacherIdExpected, clientIp);
+    }
+}
+
+
+/**
+ * Generates a new, random join code for a project.
+ * 
+ * @return {string} The join code.
+ */
+function generateJoinCode() {
+    let code = "";
+    for (let i = 0; i < constants.JOIN_CODE_LENGTH; i++) {
+        code += constants.JOIN_CODE_CHARACTERS[crypto.randomInt(constants.JOIN_CODE_CHARACTERS.length)];
+    }
+    return code;
+}
+
+
+/**
+ * Gets the join code included in the authorization header (of the form "JoinCode <code>").
+ * 
+ * @param {string} authReceived The authorization header received from the client.
+ * @return {?string} The join code (null if the header does not contain a join code).
+ */
+function getJoinCodeFromAuthHeader(authReceived) {
+    const prefix = constants.JOIN_CODE_AUTH_SCHEME + " ";
+    if (!authReceived || authReceived.startsWith(prefix) === false) {
+        return null;
+    }
+    return authReceived.substring(prefix.length).trim().toUpperCase();
+}
+
+
+/**
+ * Validates whether the authorization header received contains an unexpired, unrevoked join code
+ * issued for the project with projectIdExpected.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} authReceived The authorization header received from the client.
+ * @param {string} projectIdExpected [optional] The ID of the project for which the join code
+ * must have been issued (null if a join code for any project is acceptable).
+ * @return {Promise<?ServerResponse>} The code and message to send to the client if invalid
+ * (null if valid).
+ */
+async function validateJoinCodeAuthHeader(transaction, authReceived, projectIdExpected = null) {
+    const code = getJoinCodeFromAuthHeader(authReceived);
+    if (code === null || code.length === 0) {
+        return new ServerResponse(
+            401,
+            {"error": "Authorization is required to access this endpoint."}
+        );
+    }
+
+    /* Revoked join codes are deleted, so a code that cannot be found is either revoked or invalid. */
+    const query = ds.datastore.createQuery(constants.JOIN_CODE);
+    query.filter("code", code);
+    const datastoreResponse = await transaction.runQuery(query);
+    const joinCode = datastoreResponse[0][0];
+    if (joinCode === undefined || (joinCode.expires_at !== null && Date.parse(joinCode.expires_at) <= Date.now())) {
+        return new ServerResponse(
+            401,
+            {"error": "The join code provided is invalid, revoked, or expired."}
+        );
+    }
+
+    /* Ensure the join code was issued for this particular project. */
+    const projectIdReceived = joinCode[ds.Datastore.KEY].parent.id;
+    if (projectIdExpected !== null && projectIdReceived !== projectIdExpected) {
+        return new ServerResponse(
+            403,
+            {"error": constants.JOIN_CODE_FORBIDDEN}
+        );
+    }
+
+    return null;
+}
+
+
 /**
  * Allows updating of a teacher's username and/or secret_questions when the current password
  * is known.
@@ -616,9 +1516,11 @@ async function validateAuthHeader(
  * @param {object} credentialPatches The updates to make to this teacher's credentials.
  * @param {string} teacherId This teacher's Datastore ID.
  * @param {string} authReceived The Authentication header provided by the client.
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
  * @return {Promise<ServerResponse>} The response code and content to send to the client.
  */
-async function updateCredentialPasswordKnown(credentialPatches, teacherId, authReceived) {
+async function updateCredentialPasswordKnown(credentialPatches, teacherId, authReceived, clientIp = null) {
     const transaction = ds.datastore.transaction();
     try {
         /* Ensure patches are valid. */
@@ -662,20 +1564,26 @@ async function updateCredentialPasswordKnown(credentialPatches, teacherId, authR
             transaction,
             authReceived,
             teacherId,
+            clientIp,
             credentialToUpdate
         );
         if (responseInfo !== null) {
-            await transaction.rollback();
+            await rollbackFailedValidation(transaction, responseInfo);
             return responseInfo;
         }
 
         const patchKeys = Object.keys(credentialPatches);
         if (patchKeys.includes("password") === true) {
-            credentialToUpdate.updatePassword(credentialPatches.password);
+            await credentialToUpdate.updatePassword(credentialPatches.password);
+
+            /* Log the teacher out everywhere since their old password may have been compromised. */
+            await tokens.deleteSessionsOfTeacher(transaction, teacherId);
         }
         if (patchKeys.includes("secret_questions") === true) {
             const newSecretQuestions = new SecretQuestions(credentialPatches.secret_questions);
-            credentialToUpdate.updateSecretQuestions(newSecretQuestions);
+            await credentialToUpdate.updateSecretQuestions(newSecretQuestions);
+        } else {
+            await credentialToUpdate.migrateSecretAnswers();
         }
 
         await transaction.save({
@@ -703,8 +1611,10 @@ async function updateCredentialPasswordKnown(credentialPatches, teacherId, authR
  * @param {object} requestBody The request body received from the client.
  * @param {string} teacherId This teacher's Datastore ID.
  * @param {string} authReceived The Authentication header provided by the client.
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
  */
-async function resetUnknownPassword(requestBody, teacherId, authReceived) {
+async function resetUnknownPassword(requestBody, teacherId, authReceived, clientIp = null) {
     const transaction = ds.datastore.transaction();
     try {
         /* Verify that the request body contains all required fields (password + secret_questions)
@@ -750,17 +1660,19 @@ async function resetUnknownPassword(requestBody, teacherId, authReceived) {
             transaction,
             authReceived,
             teacherId,
+            clientIp,
             credentialToUpdate,
-            true
+            RESET_CODE
         );
         if (responseInfo !== null) {
-            await transaction.rollback();
+            await rollbackFailedValidation(transaction, responseInfo);
             return responseInfo;
         }
 
         /* Verify that the secret questions and answers match what is expected. */
-        if (credentialToUpdate.secretQuestionsMatch(requestBody.secret_questions) === false) {
+        if (await credentialToUpdate.secretQuestionsMatch(requestBody.secret_questions) === false) {
             await transaction.rollback();
+            await recordFailedAttempt(teacherId, clientIp);
             return new ServerResponse(
                 401,
                 {"error": "The secret questions and answers provided do not match those on file."}
@@ -769,7 +1681,7 @@ async function resetUnknownPassword(requestBody, teacherId, authReceived) {
 
         /* Verify that the new password does not match the old password. */
         const newPassword = requestBody.password;
-        if (credentialToUpdate.passwordsMatch(newPassword) === true) {
+        if (await credentialToUpdate.passwordsMatch(newPassword) === true) {
             await transaction.rollback();
             return new ServerResponse(
                 403,
@@ -779,8 +1691,12 @@ async function resetUnknownPassword(requestBody, teacherId, authReceived) {
 
         /* Update the password to the new one, reset the reset_code to empty string properties,
          * and resave the Credential to Datastore. */
-        credentialToUpdate.updatePassword(newPassword);
+        await credentialToUpdate.updatePassword(newPassword);
+        await credentialToUpdate.migrateSecretAnswers();
         credentialToUpdate.clearResetCode();
+        credentialToUpdate.clearResetCode(EMAIL_RESET_CODE);
+        credentialToUpdate.clearFailedAttempts(clientIp);
+        await tokens.deleteSessionsOfTeacher(transaction, teacherId);
         await transaction.save({
             "key": credentialToUpdate.datastoreKey, 
             "data": credentialToUpdate.data
@@ -800,6 +1716,332 @@ async function resetUnknownPassword(requestBody, teacherId, authReceived) {
 }
 
 
+/**
+ * Emails a single-use password reset link to each teacher with the email received. The response
+ * is the same whether or not any teacher has that email, so that it cannot be used to find out
+ * which emails have accounts.
+ * 
+ * @param {object} requestBody The request body received from the client.
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
+ * @return {Promise<ServerResponse>} The status code and content to send to the client.
+ */
+async function sendPasswordResetEmail(requestBody, clientIp = null) {
+    const entityType = constants.PASSWORD_RESET_ENTITY_TYPE;
+    if (entityType.validateProperties(requestBody, entityType.createProperties) === false) {
+        return new ServerResponse(
+            400,
+            {"error": constants.INVALID_PROPERTIES}
+        );
+    }
+
+    const transaction = ds.datastore.transaction();
+    const resetLinks = [];
+    try {
+        await transaction.run();
+
+        /* Generate a new emailed reset code for each teacher with this email, skipping teachers
+         * whose reset codes cannot be guessed at while this client is being delayed or locked out,
+         * or for whom too many reset codes have been requested. Requests are limited like those for
+         * the reset codes shown with the secret questions, so that reset emails cannot be sent to
+         * a teacher without limit. */
+        for (const teacherId of await getTeacherIdsForLogin(transaction, requestBody)) {
+            const credential = await getCredential(transaction, teacherId);
+            if (
+                credential === null
+                || credential.getRetryAfter(clientIp) > 0
+                || credential.getResetCodeRetryAfter(clientIp) > 0
+            ) {
+                continue;
+            }
+            const resetLink = new URL(constants.PASSWORD_RESET_URL);
+            resetLink.searchParams.set("teacher_id", teacherId);
+            resetLink.searchParams.set("reset_code", credential.generateEmailResetCode());
+            credential.recordResetCodeRequest(clientIp);
+            resetLinks.push(resetLink.toString());
+            transaction.save({"key": credential.datastoreKey, "data": credential.data});
+        }
+        await transaction.commit();
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+
+    /* Only send the emails once the reset codes they contain have been saved. Emails that cannot
+     * be sent are logged rather than reported to the client, since the response would otherwise
+     * reveal whether a teacher has this email. */
+    const lifetimeMinutes = constants.RESET_CODE_LIFETIME / (60 * 1000);
+    for (const resetLink of resetLinks) {
+        try {
+            await mailer.sendMail(
+                requestBody.email,
+                "Reset your Kidizen Science password",
+                "A password reset was requested for your Kidizen Science account. To choose a new "
+                    + `password, open the link below within ${lifetimeMinutes} minutes:\n\n${resetLink}\n\n`
+                    + "The link can only be used once. If you did not request a password reset, "
+                    + "you can ignore this email."
+            );
+        } catch(err) {
+            console.log(err);
+        }
+    }
+
+    return new ServerResponse(
+        202,
+        {"message": "If a teacher with this email exists, a password reset link has been sent to it."}
+    );
+}
+
+
+/**
+ * Resets an unknown password using the single-use reset code emailed to the teacher.
+ * 
+ * @param {object} requestBody The request body received from the client.
+ * @param {string} teacherId This teacher's Datastore ID.
+ * @param {string} authReceived The Authentication header provided by the client.
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
+ * @return {Promise<ServerResponse>} The status code and content to send to the client.
+ */
+async function resetPasswordWithEmailCode(requestBody, teacherId, authReceived, clientIp = null) {
+    const transaction = ds.datastore.transaction();
+    try {
+        /* Verify that the request body contains only the new password in the proper format. */
+        const entityType = constants.PASSWORD_RESET_ENTITY_TYPE;
+        if (entityType.validateProperties(requestBody, entityType.updateProperties) === false) {
+            return new ServerResponse(
+                400,
+                {"error": constants.INVALID_UPDATE}
+            );
+        }
+
+        await transaction.run();
+
+        /* Get the teacher's credentials on file from Datastore. */
+        const credentialToUpdate = await getCredential(transaction, teacherId);
+        if (credentialToUpdate === null) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": constants.TEACHER_NOT_FOUND}
+            );
+        }
+
+        /* Validate that the authorization provided by the client contains the correct
+         * teacher_id and emailed reset code. */
+        const responseInfo = await validateAuthHeader(
+            transaction,
+            authReceived,
+            teacherId,
+            clientIp,
+            credentialToUpdate,
+            EMAIL_RESET_CODE
+        );
+        if (responseInfo !== null) {
+            await rollbackFailedValidation(transaction, responseInfo);
+            return responseInfo;
+        }
+
+        /* Verify that the new password does not match the old password. */
+        const newPassword = requestBody.password;
+        if (await credentialToUpdate.passwordsMatch(newPassword) === true) {
+            await transaction.rollback();
+            return new ServerResponse(
+                403,
+                {"error": "The new password cannot match the old one."}
+            );
+        }
+
+        /* Update the password and clear the reset codes so that the emailed one cannot be used again. */
+        await credentialToUpdate.updatePassword(newPassword);
+        credentialToUpdate.clearResetCode();
+        credentialToUpdate.clearResetCode(EMAIL_RESET_CODE);
+        credentialToUpdate.clearFailedAttempts(clientIp);
+        await tokens.deleteSessionsOfTeacher(transaction, teacherId);
+        transaction.save({
+            "key": credentialToUpdate.datastoreKey,
+            "data": credentialToUpdate.data
+        });
+
+        await transaction.commit();
+
+        return new ServerResponse(204);
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+
+/**
+ * Gets the IDs of the teachers that could be logging in with the given teacher_id or email
+ * (emails are not guaranteed to be unique across teachers).
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} loginData The teacher_id or email received from the client.
+ * @return {Promise<string[]>} The IDs of the matching teachers.
+ */
+async function getTeacherIdsForLogin(transaction, loginData) {
+    if (Object.keys(loginData).includes("teacher_id") === true) {
+        return [loginData.teacher_id];
+    }
+
+    const query = ds.datastore.createQuery(constants.TEACHER);
+    query.select('__key__');
+    query.filter("email", loginData.email);
+    const datastoreResponse = await transaction.runQuery(query);
+    return datastoreResponse[0].map(teacher => String(teacher[ds.Datastore.KEY].id));
+}
+
+
+/**
+ * Issues an access token and refresh token, either in exchange for a teacher's teacher_id
+ * (or email) and password, or in exchange for a refresh token issued previously.
+ * 
+ * @param {object} requestBody The request body received from the client.
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown).
+ * @return {Promise<ServerResponse>} The status code and content to send to the client.
+ */
+async function postToken(requestBody, clientIp = null) {
+    /* Verify that the request body contains either a refresh_token alone or a password
+     * along with exactly one of teacher_id and email. */
+    const entityType = constants.TOKEN_REQUEST_ENTITY_TYPE;
+    const bodyKeys = Object.keys(requestBody);
+    const isRefresh = bodyKeys.includes("refresh_token");
+    const isLogin = bodyKeys.includes("password")
+        && (bodyKeys.includes("teacher_id") !== bodyKeys.includes("email"));
+    if (entityType.validateProperties(requestBody, entityType.createProperties) === false
+        || (isRefresh === true && bodyKeys.length !== 1)
+        || (isRefresh === false && (isLogin === false || bodyKeys.length !== 2))) {
+        return new ServerResponse(
+            400,
+            {"error": constants.INVALID_PROPERTIES}
+        );
+    }
+
+    const transaction = ds.datastore.transaction();
+    try {
+        await transaction.run();
+
+        /* Exchange the refresh token for new tokens. */
+        if (isRefresh === true) {
+            const tokensIssued = await tokens.refreshSession(transaction, requestBody.refresh_token);
+            if (tokensIssued === null) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    401,
+                    {"error": "The refresh token provided is invalid, expired, or revoked."}
+                );
+            }
+            await transaction.commit();
+            return new ServerResponse(201, tokensIssued);
+        }
+
+        /* Otherwise, find the teacher whose password matches the one received, skipping teachers
+         * who cannot be guessed at while this client is being delayed or locked out. */
+        let teacherId = null;
+        let retryAfter = 0;
+        const failedCandidateIds = [];
+        for (const candidateId of await getTeacherIdsForLogin(transaction, requestBody)) {
+            const credential = await getCredential(transaction, candidateId);
+            if (credential === null) {
+                continue;
+            }
+            const candidateRetryAfter = credential.getRetryAfter(clientIp);
+            if (candidateRetryAfter > 0) {
+                retryAfter = Math.max(retryAfter, candidateRetryAfter);
+                continue;
+            }
+            if (await credential.passwordsMatch(requestBody.password) === false) {
+                failedCandidateIds.push(candidateId);
+                continue;
+            }
+
+            teacherId = candidateId;
+            const failedAttemptsCleared = credential.clearFailedAttempts(clientIp);
+            if (failedAttemptsCleared === true || credential.passwordRehashed === true) {
+                transaction.save({"key": credential.datastoreKey, "data": credential.data});
+            }
+            break;
+        }
+        await transaction.commit();
+        if (teacherId === null) {
+            for (const failedCandidateId of failedCandidateIds) {
+                await recordFailedAttempt(failedCandidateId, clientIp);
+            }
+            if (retryAfter > 0) {
+                return getTooManyAttemptsResponse(retryAfter);
+            }
+            return new ServerResponse(
+                401,
+                {"error": "The teacher_id/email or password provided is incorrect."}
+            );
+        }
+
+        /* Start the session only once the transaction has been committed, since its ID
+         * must be available to sign the access token. */
+        const tokensIssued = await tokens.createSession(teacherId);
+        return new ServerResponse(201, tokensIssued);
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+
+/**
+ * Logs a teacher out by revoking the access token included in the authorization header
+ * along with the refresh token issued with it.
+ * 
+ * @param {string} authReceived The Authentication header provided by the client.
+ * @return {Promise<ServerResponse>} The status code and content to send to the client.
+ */
+async function deleteCurrentToken(authReceived) {
+    const accessToken = tokens.getBearerTokenFromAuthHeader(authReceived);
+    if (accessToken === null) {
+        return new ServerResponse(
+            401,
+            {"error": "A Bearer-type authorization header is required to log out."}
+        );
+    }
+
+    const transaction = ds.datastore.transaction();
+    try {
+        await transaction.run();
+        const revoked = await tokens.deleteSessionOfAccessToken(transaction, accessToken);
+        if (revoked === false) {
+            await transaction.rollback();
+            return new ServerResponse(
+                401,
+                {"error": "The access token provided is invalid or revoked."}
+            );
+        }
+        await transaction.commit();
+        return new ServerResponse(204);
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+
 /**
  * Deletes the credential associated with a given teacher when that teacher is being deleted
  * from Datastore.
@@ -827,7 +2069,18 @@ async function deleteCredential(transaction, teacherId) {
     "getCredentialResetChallenge": getCredentialResetChallenge,
     "postCredential": postCredential,
     "validateAuthHeader": validateAuthHeader,
+    "rollbackFailedValidation": rollbackFailedValidation,
+    "getStudentIdFromAuthHeader": getStudentIdFromAuthHeader,
+    "removePrivateStudentProperties": removePrivateStudentProperties,
+    "validateTeacherOrStudentAuthHeader": validateTeacherOrStudentAuthHeader,
+    "generateJoinCode": generateJoinCode,
+    "getJoinCodeFromAuthHeader": getJoinCodeFromAuthHeader,
+    "validateJoinCodeAuthHeader": validateJoinCodeAuthHeader,
     "updateCredentialPasswordKnown": updateCredentialPasswordKnown,
     "resetUnkownPassword": resetUnknownPassword,
+    "sendPasswordResetEmail": sendPasswordResetEmail,
+    "resetPasswordWithEmailCode": resetPasswordWithEmailCode,
+    "postToken": postToken,
+    "deleteCurrentToken": deleteCurrentToken,
     "deleteCredential": deleteCredential
  };
@@ -40,20 +40,69 @@ async function deleteObservationsOfProject(transaction, projectKey) {
 
 
 /**
- * Deletes all projects associated with the given teacher (as well as all observations
- * associated with those projects).
+ * Deletes the join codes of the given project from Datastore.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectKey The key of the project being deleted from Datastore.
+ * @return {Promise<boolean>} Whether the join codes were deleted successfully.
+ */
+async function deleteJoinCodesOfProject(transaction, projectKey) {
+    try {
+        const query = ds.datastore.createQuery(constants.JOIN_CODE);
+        query.select('__key__');
+        query.hasAncestor(projectKey);
+        const datastoreResponse = await transaction.runQuery(query);
+        const joinCodeKeys = datastoreResponse[0].map(joinCode => joinCode[ds.Datastore.KEY]);
+
+        await transaction.delete(joinCodeKeys);
+        return true;
+    } catch(err) {
+        console.log(err);
+        return false;
+    }
+}
+
+
+/**
+ * Deletes the search documents of the given project and of its observations from Datastore.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectKey The key of the project being deleted from Datastore.
+ * @return {Promise<boolean>} Whether the search documents were deleted successfully.
+ */
+async function deleteSearchDocumentsOfProject(transaction, projectKey) {
+    try {
+        const query = ds.datastore.createQuery(constants.SEARCH_DOCUMENT);
+        query.select('__key__');
+        query.hasAncestor(projectKey);
+        const datastoreResponse = await transaction.runQuery(query);
+        const documentKeys = datastoreResponse[0].map(document => document[ds.Datastore.KEY]);
+
+        await transaction.delete(documentKeys);
+        return true;
+    } catch(err) {
+        console.log(err);
+        return false;
+    }
+}
+
+
+/**
+ * Deletes all projects whose given foreign key property (e.g. teacher_id) has the given value
+ * (as well as all observations, join codes and search documents associated with those projects).
  * 
  * @param {object} transaction The current Datastore transaction that is running.
- * @param {string} teacherId The Datastore ID of the teacher whose projects should be deleted.
+ * @param {string} propertyName The name of the foreign key property by which to select projects.
+ * @param {string} entityId The Datastore ID of the entity whose projects should be deleted.
  * @return {Promise<boolean>} Whether the operation was successful.
  */
-async function deleteProjectsOfTeacher(transaction, teacherId) {
+async function deleteProjectsWithForeignKey(transaction, propertyName, entityId) {
     try {
-        /* Get all projects belonging to this teacher, using their URLs
+        /* Get all projects belonging to this entity, using their URLs
          * to delete their images and keys to delete the projects themselves. */
         const query = ds.datastore.createQuery(constants.PROJECT);
         query.select(['__key__', 'description_image.url']);
-        query.filter("teacher_id", teacherId);
+        query.filter(propertyName, entityId);
         const datastoreResponse = await transaction.runQuery(query);
         const projects = datastoreResponse[0];
 
@@ -65,6 +114,8 @@ async function deleteProjectsOfTeacher(transaction, teacherId) {
             const projectKey = project[ds.Datastore.KEY];
             projectKeys.push(projectKey);
             await deleteObservationsOfProject(transaction, projectKey);
+            await deleteJoinCodesOfProject(transaction, projectKey);
+            await deleteSearchDocumentsOfProject(transaction, projectKey);
         }
 
         /* Delete the projects themselves. */
@@ -76,7 +127,116 @@ async function deleteProjectsOfTeacher(transaction, teacherId) {
     }
 }
 
+
+/**
+ * Deletes all students belonging to the given teacher from Datastore.
+ * 
+ * @param {object} transaction The current Datastore transaction that is running.
+ * @param {object} teacherKey The key of the teacher being deleted from Datastore.
+ * @return {Promise<boolean>} Whether the operation was successful.
+ */
+async function deleteStudentsOfTeacher(transaction, teacherKey) {
+    try {
+        /* Students have no images, so only their keys are needed to delete them. */
+        const query = ds.datastore.createQuery(constants.STUDENT);
+        query.select('__key__');
+        query.hasAncestor(teacherKey);
+        const datastoreResponse = await transaction.runQuery(query);
+        const studentKeys = datastoreResponse[0].map(student => student[ds.Datastore.KEY]);
+
+        await transaction.delete(studentKeys);
+        return true;
+    } catch(err) {
+        console.log(err);
+        return false;
+    }
+}
+
+/**
+ * Deletes all projects associated with the given teacher (as well as all observations
+ * and join codes associated with those projects).
+ * 
+ * @param {object} transaction The current Datastore transaction that is running.
+ * @param {string} teacherId The Datastore ID of the teacher whose projects should be deleted.
+ * @return {Promise<boolean>} Whether the operation was successful.
+ */
+async function deleteProjectsOfTeacher(transaction, teacherId) {
+    return deleteProjectsWithForeignKey(transaction, "teacher_id", teacherId);
+}
+
+
+/**
+ * Deletes all projects belonging to the given class (as well as all observations
+ * and join codes associated with those projects).
+ * 
+ * @param {object} transaction The current Datastore transaction that is running.
+ * @param {string} classId The Datastore ID of the class whose projects should be deleted.
+ * @return {Promise<boolean>} Whether the operation was successful.
+ */
+async function deleteProjectsOfClass(transaction, classId) {
+    return deleteProjectsWithForeignKey(transaction, "class_id", classId);
+}
+
+
+/**
+ * Removes all projects from the given class (without deleting them) by clearing their class_id.
+ * 
+ * @param {object} transaction The current Datastore transaction that is running.
+ * @param {string} classId The Datastore ID of the class whose projects should be kept.
+ * @return {Promise<boolean>} Whether the operation was successful.
+ */
+async function removeProjectsFromClass(transaction, classId) {
+    try {
+        const query = ds.datastore.createQuery(constants.PROJECT);
+        query.filter("class_id", classId);
+        const datastoreResponse = await transaction.runQuery(query);
+        const projects = datastoreResponse[0];
+
+        for (const project of projects) {
+            project.class_id = null;
+        }
+        await transaction.save(projects.map(project => {
+            return {"key": project[ds.Datastore.KEY], "data": project};
+        }));
+        return true;
+    } catch(err) {
+        console.log(err);
+        return false;
+    }
+}
+
+
+/**
+ * Deletes all classes belonging to the given teacher from Datastore. Their projects must be
+ * deleted separately (see deleteProjectsOfTeacher).
+ * 
+ * @param {object} transaction The current Datastore transaction that is running.
+ * @param {string} teacherId The Datastore ID of the teacher whose classes should be deleted.
+ * @return {Promise<boolean>} Whether the operation was successful.
+ */
+async function deleteClassesOfTeacher(transaction, teacherId) {
+    try {
+        const query = ds.datastore.createQuery(constants.CLASS);
+        query.select('__key__');
+        query.filter("teacher_id", teacherId);
+        const datastoreResponse = await transaction.runQuery(query);
+        const classKeys = datastoreResponse[0].map(classData => classData[ds.Datastore.KEY]);
+
+        await transaction.delete(classKeys);
+        return true;
+    } catch(err) {
+        console.log(err);
+        return false;
+    }
+}
+
 module.exports = {
     "deleteObservationsOfProject": deleteObservationsOfProject,
-    "deleteProjectsOfTeacher": deleteProjectsOfTeacher
+    "deleteJoinCodesOfProject": deleteJoinCodesOfProject,
+    "deleteSearchDocumentsOfProject": deleteSearchDocumentsOfProject,
+    "deleteProjectsOfTeacher": deleteProjectsOfTeacher,
+    "deleteProjectsOfClass": deleteProjectsOfClass,
+    "removeProjectsFromClass": removeProjectsFromClass,
+    "deleteClassesOfTeacher": deleteClassesOfTeacher,
+    "deleteStudentsOfTeacher": deleteStudentsOfTeacher
 };
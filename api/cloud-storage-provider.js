@@ -0,0 +1,127 @@
+/* Import axios for making async HTTP requests. */
+const axios = require('axios');
+
+/* Import constants. */
+const constants = require('./constants');
+
+/* Import ParsedImageUrl class. */
+const piu = require('./parsed-image-url');
+const ParsedImageUrl = piu.ParsedImageUrl;
+
+/* Import util for formatting image urls. */
+const {format} = require('util');
+
+/* Import Cloud Storage client. */
+const {Storage} = require('@google-cloud/storage');
+
+
+/**
+ * @class Stores images in a Google Cloud Storage bucket. Images are served directly
+ * by Cloud Storage from their public URLs.
+ */
+class CloudStorageProvider {
+    /**
+     * Instantiates a new CloudStorageProvider.
+     *
+     * @constructor
+     * @param {string} bucketName The name of the bucket designated for storing images.
+     */
+    constructor(bucketName) {
+        const storage = new Storage();
+        this.bucket = storage.bucket(bucketName);
+    }
+
+    /**
+     * Stores the given image in Cloud Storage.
+     *
+     * @param {object} imageFile The file retrieved by Multer that was sent with this request.
+     * @param {string} fileName The name under which to store the image.
+     * @return {Promise<string>} The public URL of the stored image.
+     */
+    writeImage(imageFile, fileName) {
+        /* Create a blob into which to write file data. */
+        const blob = this.bucket.file(fileName);
+
+        /* Construct and return a promise that resolves with the public url
+         * of the image once the file data has been written to the bucket. */
+        return new Promise((resolve, reject) => {
+            /* Create a new write stream to write the data to the storage bucket. */
+            const blobStream = blob.createWriteStream({
+                resumable: false
+            });
+
+            /* If an error occurs, reject the promise. */
+            blobStream.on('error', err => {
+                reject(err);
+            });
+
+            /* If the writeStream finishes successfully, resolve the promise with the
+             * public url of the image. */
+            blobStream.on('finish', () => {
+                resolve(format(
+                    `${constants.CLOUD_STORAGE_BASE_URL}/${this.bucket.name}/${blob.name}`
+                ));
+            });
+
+            /* Close the writeStream. */
+            blobStream.end(imageFile.buffer);
+        });
+    }
+
+    /**
+     * Gets the path of a stored image on the local filesystem. Always null since images
+     * in Cloud Storage are fetched directly from their public URLs.
+     *
+     * @param {string} fileName The name of the image file.
+     * @return {Promise<?string>} null
+     */
+    async getImagePath(fileName) {
+        return null;
+    }
+
+    /**
+     * Validates that the URL is a correctly-formatted Cloud Storage URL for this bucket
+     * and that an image in an acceptable format exists at that URL.
+     *
+     * @param {string} imageUrl The URL at which the image is located.
+     * @return {Promise<boolean>} Whether the URL represents a valid image in Cloud Storage.
+     */
+    async validateImageUrl(imageUrl) {
+        try {
+            /* Ensure the URL is correctly formatted. */
+            const parsedImageUrl = new ParsedImageUrl(imageUrl);
+            if (parsedImageUrl.baseUrl !== constants.CLOUD_STORAGE_BASE_URL) {
+                return false;
+            } else if (parsedImageUrl.bucketName !== this.bucket.name) {
+                return false;
+            }
+
+            /* Ensure the image exists */
+            const response = await axios.get(imageUrl);
+            if (response.status === 200) {
+                /* Ensure the image is the proper format */
+                const imageMimeType = response.headers['content-type'];
+                return constants.IMAGE_MIME_TYPES_ALLOWED.includes(imageMimeType);
+            } else {
+                return false;
+            }
+        } catch(err) {
+            return false;
+        }
+    }
+
+    /**
+     * Deletes the image at the provided URL from Cloud Storage.
+     *
+     * @param {string} imageUrl The url of the image in Cloud Storage.
+     * @return {Promise<void>}
+     */
+    async deleteImage(imageUrl) {
+        const parsedImageUrl = new ParsedImageUrl(imageUrl);
+        await this.bucket.file(parsedImageUrl.fileName).delete();
+    }
+}
+
+module.exports = {
+    "CloudStorageProvider": CloudStorageProvider
+};
@@ -1,12 +1,18 @@
+const path = require('path');
 const ds = require('./datastore');
 const et = require('./entity-type');
-const secret = require('./secret.json');
 
 /* The port number at which the current process is running. */
 const PORT = process.env.PORT || 8080;
 
-/* The secret key used for encryption. */
-const SECRET = secret.secret;
+/* The secret key used for encryption (read from secret.json unless set in the environment). */
+const SECRET = process.env.SECRET || require('./secret.json').secret;
+
+/* The image storage backend chosen at startup ('cloud' or 'local'). */
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'cloud';
+
+/* The directory in which images are stored when using the 'local' storage backend. */
+const LOCAL_STORAGE_DIRECTORY = process.env.LOCAL_STORAGE_DIRECTORY || path.join(__dirname, 'uploads');
 
 /* Google Cloud Storage Constants. */
 const BUCKET_NAME = process.env.GCLOUD_STORAGE_BUCKET || 'kidizen-science-images';
@@ -14,16 +20,45 @@ const CLOUD_STORAGE_BASE_URL = 'https://storage.googleapis.com';
 const DEFAULT_PROFILE_PHOTO = 
     'https://storage.googleapis.com/kidizen-science-images/1606709615803_defaultUserPhoto.png';
 
+/* The mailer chosen at startup ('smtp' or 'outbox'). */
+const MAILER_BACKEND = process.env.MAILER_BACKEND || 'smtp';
+
+/* The directory in which emails are written (instead of being sent) when using the 'outbox' mailer. */
+const OUTBOX_DIRECTORY = process.env.OUTBOX_DIRECTORY || path.join(__dirname, 'outbox');
+
+/* SMTP server settings used by the 'smtp' mailer. */
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT || '587', 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || null;
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || null;
+
+/* The address from which emails are sent. */
+const MAIL_FROM = process.env.MAIL_FROM || 'Kidizen Science <no-reply@localhost>';
+
+/* The page of the web app where teachers choose a new password. Password reset links point to
+ * this page with the teacher_id and reset_code as query parameters. */
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
 /* Constants for Datastore entity type names. */
 const PROJECT = 'Project';
 const TEACHER = 'Teacher';
 const OBSERVATION = 'Observation';
 const CREDENTIAL = 'Credential';
+const STUDENT = 'Student';
+const JOIN_CODE = 'JoinCode';
+const CLASS = 'Class';
+const SESSION = 'Session';
+const SEARCH_DOCUMENT = 'SearchDocument';
 
 /* Constants for collection path names. */
 const PROJECTS = 'projects';
 const TEACHERS = 'teachers';
 const OBSERVATIONS = 'observations';
+const STUDENTS = 'students';
+const JOIN_CODES = 'join_codes';
+const CLASSES = 'classes';
+const IMAGES = 'images';
 
 /* Constants for types. */
 const STRING = 'string';
@@ -42,6 +77,16 @@ const DELETE = "DELETE";
 const GET_ONE = "GET_ONE";
 const GET_LIST = "GET_LIST";
 
+/* Authorization scheme used to present a project's join code (e.g. "JoinCode K7M2QX9P"). */
+const JOIN_CODE_AUTH_SCHEME = "JoinCode";
+
+/* Authorization scheme used to present an access token issued by POST /tokens. */
+const BEARER_AUTH_SCHEME = "Bearer";
+
+/* Constants for generating join codes (ambiguous characters such as 0/O and 1/I are excluded). */
+const JOIN_CODE_LENGTH = 8;
+const JOIN_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 /* Constants for MIME types. */
 const JSON_MIME_TYPE = 'application/json';
 const FORM_DATA_MIME_TYPE = 'multipart/form-data';
@@ -63,17 +108,131 @@ const INVALID_UPDATE = "No valid parameter was included or at least 1 parameter
 const ITEM_NOT_FOUND = "The item you requested could not be found.";
 const ANCESTOR_NOT_FOUND = "The project with project_id cannot be found.";
 const TEACHER_NOT_FOUND = "The teacher with teacher_id cannot be found.";
+const CLASS_NOT_FOUND = "The class with class_id cannot be found.";
+const CLASS_FORBIDDEN = "The class with class_id belongs to another teacher.";
+const STUDENT_CREDENTIALS_INCORRECT = "The student id or PIN provided is incorrect.";
+const STUDENT_FORBIDDEN = "The student whose authorization credentials were provided does not have access "
+    + "to this resource.";
+const JOIN_CODE_FORBIDDEN = "Join codes only permit adding observations (without an observer_id) to the "
+    + "project for which they were issued.";
+const OBSERVER_NOT_FOUND = "The student with observer_id cannot be found.";
 const CREDENTIAL_NOT_FOUND = "No credentials could be found on file for the teacher whose credentials were provided.";
+const DESCRIPTION_NOT_IN_VOCABULARY = "The data_number.description provided does not match any term "
+    + "(or synonym) in the project's vocabulary.";
+const DESCRIPTIONS_NOT_RESOLVED = "The vocabulary cannot be updated while the project has observations "
+    + "whose descriptions do not match any of its terms or synonyms. Update or delete these observations "
+    + "first:";
+const DATA_NUMBER_READ_ONLY = "A project's data_number.number is computed from its observations and cannot "
+    + "be set directly (only data_number.name and data_number.must_be_unique can be updated).";
 const SERVER_ERROR = "An internal server error has occurred.";
 
 /* Constant for ResetCode timeout in milliseconds (30 minutes). */
 const RESET_CODE_LIFETIME = 30 * 60 * 1000;
 
+/* Constants for hashing passwords with scrypt (N, r and p are the scrypt cost parameters;
+ * lengths are in bytes). */
+const PASSWORD_HASH_ALGORITHM = 'scrypt';
+const PASSWORD_HASH_PARAMS = Object.freeze({
+    "N": 16384,
+    "r": 8,
+    "p": 1,
+    "keyLength": 64,
+    "saltLength": 16
+});
+
+/* Constants for brute-force protection of passwords, reset codes, secret answers and PINs. After
+ * FREE_FAILED_ATTEMPTS failures, each further attempt must wait a delay that doubles with every
+ * failure (from FAILED_ATTEMPT_BASE_DELAY up to FAILED_ATTEMPT_MAX_DELAY). Reaching a lockout
+ * threshold locks out further attempts for LOCKOUT_DURATION, after which (or after that long
+ * without failures) the count starts over. Times are in milliseconds. */
+const FREE_FAILED_ATTEMPTS = 3;
+const FAILED_ATTEMPT_BASE_DELAY = 1000;
+const FAILED_ATTEMPT_MAX_DELAY = 60 * 1000;
+const IP_LOCKOUT_THRESHOLD = 10;
+const TEACHER_LOCKOUT_THRESHOLD = 20;
+const STUDENT_LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+
+/* The number of client IP addresses whose failed attempts are tracked per teacher
+ * (the least recent are forgotten first). */
+const MAX_TRACKED_IPS = 20;
+
+/* Constants for access token and refresh token timeouts in milliseconds (15 minutes and 30 days). */
+const ACCESS_TOKEN_LIFETIME = 15 * 60 * 1000;
+const REFRESH_TOKEN_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+
+/* Limits for full-text search. Words are indexed along with each of their prefixes at least
+ * MIN_SEARCH_PREFIX_LENGTH characters long, words longer than MAX_SEARCH_WORD_LENGTH are truncated,
+ * and at most MAX_INDEXED_SEARCH_TERMS words and prefixes are indexed per entity (keeping each
+ * entity well under Datastore's limit on index entries). */
+const MIN_SEARCH_PREFIX_LENGTH = 2;
+const MAX_SEARCH_WORD_LENGTH = 50;
+const MAX_INDEXED_SEARCH_TERMS = 5000;
+const MAX_SEARCH_QUERY_WORDS = 10;
+
+/* The intervals into which project statistics can be grouped (by observation date), and the most
+ * buckets a single statistics response may contain. */
+const STATS_INTERVALS = ["day", "week", "month"];
+const MAX_STATS_BUCKETS = 1000;
+
+/* The most descriptions suggested when autocompleting an observation description. */
+const MAX_DESCRIPTION_SUGGESTIONS = 10;
+
+/* Observations with a location are indexed under the geohashes of every cell containing them, from
+ * 1 to GEOHASH_PRECISION characters long (the smallest cells are about 38 by 19 meters). Bounding-box
+ * filters are served by querying at most MAX_BBOX_CELLS of those cells. */
+const GEOHASH_PRECISION = 8;
+const MAX_BBOX_CELLS = 32;
+
+/* The number of observations read from Datastore at a time when exporting a whole project. */
+const EXPORT_BATCH_SIZE = 500;
+
+/* The most observations that can be imported from one CSV file, and the number saved in each
+ * transaction (each observation is saved along with its search document, and Datastore commits
+ * are limited to 500 mutations). */
+const MAX_IMPORT_ROWS = 2000;
+const IMPORT_BATCH_SIZE = 200;
+
 /* Defintions of property validator functions. */
 const VALIDATE_DS_ID = value => typeof(value) === STRING && ds.isValidId(value) === true;
 const VALIDATE_STRING = value => typeof(value) === STRING && value.length > 0;
 const VALIDATE_STRING_OR_NULL = value => VALIDATE_STRING(value) === true || value === null;
+const VALIDATE_DS_ID_OR_NULL = value => VALIDATE_DS_ID(value) === true || value === null;
 const VALIDATE_EMBEDDED_OBJECT = value => typeof(value) === OBJECT && value !== null;
+const VALIDATE_POSITIVE_INTEGER = value => Number.isInteger(value) === true && value > 0;
+
+/* Grades in which students can be enrolled (kindergarten through 12th grade). */
+const GRADES = ['K', '1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
+const VALIDATE_GRADE = value => GRADES.includes(value);
+
+/* School years must be strings of the form "2020-2021". */
+const VALIDATE_SCHOOL_YEAR = value => {
+    if (typeof(value) !== STRING || value.length !== 9 || value[4] !== '-') {
+        return false;
+    }
+    const startYear = value.substring(0, 4);
+    const endYear = value.substring(5);
+    if (ds.isValidId(startYear) === false || ds.isValidId(endYear) === false) {
+        return false;
+    }
+    return parseInt(endYear, 10) === parseInt(startYear, 10) + 1;
+};
+
+/* Student PINs must be strings of 4 to 8 digits. */
+const VALIDATE_PIN = value => {
+    if (typeof(value) !== STRING) {
+        return false;
+    } else if (value.length < 4 || value.length > 8) {
+        return false;
+    } else {
+        for (const c of value) {
+            if (c < '0' || c > '9') {
+                return false;
+            }
+        }
+        return true;
+    }
+};
 
 const VALIDATE_PASSWORD = value => {
     if (typeof(value) !== 'string') {
@@ -92,6 +251,10 @@ const VALIDATE_PASSWORD = value => {
     }
 };
 
+/* Normalizes a secret answer before it is hashed or compared, so that answers differing only in
+ * case, surrounding or repeated whitespace, or Unicode form (e.g. "Fluffy" and "fluffy ") match. */
+const NORMALIZE_SECRET_ANSWER = value => value.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
 const VALIDATE_SECRET_QUESTIONS = value => {
     if (VALIDATE_EMBEDDED_OBJECT(value) === false) {
         return false;
@@ -107,7 +270,7 @@ const VALIDATE_SECRET_QUESTIONS = value => {
         return false;
     } else if (value.question_1 === value.question_2) {
         return false;
-    } else if (value.answer_1 === value.answer_2) {
+    } else if (NORMALIZE_SECRET_ANSWER(value.answer_1) === NORMALIZE_SECRET_ANSWER(value.answer_2)) {
         return false;
     } else {
         return true;
@@ -130,6 +293,129 @@ const VALIDATE_PROJECT_DATA_NUMBER = value => {
     }
 };
 
+/* Projects' data_number.name and data_number.must_be_unique can be updated (either or both), but
+ * its number is computed by the API. */
+const PROJECT_DATA_NUMBER_PATCHABLE_KEYS = ["name", "must_be_unique"];
+const VALIDATE_PROJECT_DATA_NUMBER_PATCH = value => {
+    if (VALIDATE_EMBEDDED_OBJECT(value) === false) {
+        return false;
+    }
+    const keys = Object.keys(value);
+    if (keys.length < 1 || keys.every(key => PROJECT_DATA_NUMBER_PATCHABLE_KEYS.includes(key)) === false) {
+        return false;
+    } else if (value.name !== undefined && VALIDATE_STRING(value.name) === false) {
+        return false;
+    } else if (value.must_be_unique !== undefined && typeof(value.must_be_unique) !== BOOLEAN) {
+        return false;
+    } else {
+        return true;
+    }
+};
+
+/* Projects can match the descriptions of their observations exactly (the default) or ignoring
+ * case and whitespace, so that "Seagull" and "sea gull" count as the same thing. */
+const DESCRIPTION_MATCHING_MODES = ["exact", "case_and_whitespace"];
+const VALIDATE_DESCRIPTION_MATCHING = value => DESCRIPTION_MATCHING_MODES.includes(value);
+
+/* Projects can also restrict the descriptions of their observations to a vocabulary (e.g. a species
+ * list) of canonical terms, each with any synonyms that should be recorded as that term. Terms and
+ * synonyms are matched ignoring case and whitespace, so they must all be distinct in that form. */
+const MAX_VOCABULARY_TERMS = 500;
+const MAX_SYNONYMS_PER_TERM = 10;
+const NORMALIZE_DESCRIPTION = value => value.toLowerCase().replace(/\s+/g, "");
+const VALIDATE_VOCABULARY = value => {
+    if (Array.isArray(value) === false || value.length < 1 || value.length > MAX_VOCABULARY_TERMS) {
+        return false;
+    }
+    const normalizedWords = new Set();
+    for (const entry of value) {
+        if (VALIDATE_EMBEDDED_OBJECT(entry) === false || Array.isArray(entry) === true) {
+            return false;
+        }
+        const keys = Object.keys(entry);
+        if (keys.every(key => key === "term" || key === "synonyms") === false) {
+            return false;
+        } else if (VALIDATE_STRING(entry.term) === false) {
+            return false;
+        }
+        const synonyms = entry.synonyms === undefined ? [] : entry.synonyms;
+        if (Array.isArray(synonyms) === false || synonyms.length > MAX_SYNONYMS_PER_TERM) {
+            return false;
+        }
+        for (const word of [entry.term].concat(synonyms)) {
+            if (VALIDATE_STRING(word) === false || NORMALIZE_DESCRIPTION(word) === "") {
+                return false;
+            } else if (normalizedWords.has(NORMALIZE_DESCRIPTION(word)) === true) {
+                return false;
+            }
+            normalizedWords.add(NORMALIZE_DESCRIPTION(word));
+        }
+    }
+    return true;
+};
+const VALIDATE_VOCABULARY_OR_NULL = value => value === null || VALIDATE_VOCABULARY(value) === true;
+
+/* Observation locations are given in decimal degrees, optionally with their accuracy in meters
+ * (e.g. as reported by a phone's GPS). */
+const LOCATION_KEYS = ["latitude", "longitude", "accuracy"];
+const VALIDATE_LOCATION = value => {
+    if (VALIDATE_EMBEDDED_OBJECT(value) === false || Array.isArray(value) === true) {
+        return false;
+    } else if (Object.keys(value).every(key => LOCATION_KEYS.includes(key)) === false) {
+        return false;
+    } else if (Number.isFinite(value.latitude) === false || value.latitude < -90 || value.latitude > 90) {
+        return false;
+    } else if (
+        Number.isFinite(value.longitude) === false
+        || value.longitude < -180
+        || value.longitude > 180
+    ) {
+        return false;
+    } else if (
+        value.accuracy !== undefined
+        && (Number.isFinite(value.accuracy) === false || value.accuracy < 0)
+    ) {
+        return false;
+    } else {
+        return true;
+    }
+};
+const VALIDATE_LOCATION_OR_NULL = value => value === null || VALIDATE_LOCATION(value) === true;
+
+/* The ways in which a project metric can aggregate the values observations supply for it. Metrics
+ * aggregated by sum, min, max or average take numeric values; count_unique counts the distinct
+ * strings supplied (e.g. species names) and count counts the observations supplying a string. */
+const METRIC_AGGREGATIONS = ["sum", "count_unique", "count", "min", "max", "average"];
+const NUMERIC_METRIC_AGGREGATIONS = ["sum", "min", "max", "average"];
+const MAX_PROJECT_METRICS = 10;
+const METRIC_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+/* Projects declare their metrics with a key (by which observations supply values), a name and an
+ * aggregation; each metric's value is computed by the API. */
+const VALIDATE_PROJECT_METRICS = value => {
+    if (Array.isArray(value) === false || value.length < 1 || value.length > MAX_PROJECT_METRICS) {
+        return false;
+    }
+    const keys = new Set();
+    for (const metric of value) {
+        if (VALIDATE_EMBEDDED_OBJECT(metric) === false) {
+            return false;
+        } else if (Object.keys(metric).length !== 3) {
+            return false;
+        } else if (typeof(metric.key) !== STRING || METRIC_KEY_PATTERN.test(metric.key) === false) {
+            return false;
+        } else if (keys.has(metric.key) === true) {
+            return false;
+        } else if (VALIDATE_STRING(metric.name) === false) {
+            return false;
+        } else if (METRIC_AGGREGATIONS.includes(metric.aggregation) === false) {
+            return false;
+        }
+        keys.add(metric.key);
+    }
+    return true;
+};
+
 const VALIDATE_IMAGE = value => {
     if (VALIDATE_EMBEDDED_OBJECT(value) === false) {
         return false;
@@ -160,6 +446,38 @@ const VALIDATE_OBSERVATION_DATA_NUMBER = value => {
     }
 };
 
+/* Observations supply a value for any of their project's metrics, keyed by metric key (the values
+ * are checked against the project's metrics when the observation is saved). */
+const VALIDATE_OBSERVATION_METRIC_VALUES = value => {
+    if (VALIDATE_EMBEDDED_OBJECT(value) === false || Array.isArray(value) === true) {
+        return false;
+    }
+    return Object.values(value).every(
+        metricValue => VALIDATE_STRING(metricValue) === true || Number.isFinite(metricValue) === true
+    );
+};
+
+/* Definitions of functions parsing filter values received in query strings (returning undefined
+ * if the value is invalid). Dates are stored as ISO 8601 strings and compared as strings, so they
+ * must be given in that format (e.g. "2020-10-01" or "2020-10-01T08:00:00Z"). */
+const PARSE_STRING = value => VALIDATE_STRING(value) === true ? value : undefined;
+const PARSE_NUMBER = value => {
+    if (typeof(value) !== STRING || /^-?[0-9]+(\.[0-9]+)?$/.test(value) === false) {
+        return undefined;
+    }
+    return Number(value);
+};
+const ISO_DATE_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}(T[0-9]{2}:[0-9]{2}(:[0-9]{2}(\.[0-9]+)?)?(Z|[+-][0-9]{2}:[0-9]{2})?)?$/;
+const PARSE_DATE = value => {
+    if (typeof(value) !== STRING || ISO_DATE_PATTERN.test(value) === false || isNaN(Date.parse(value)) === true) {
+        return undefined;
+    }
+    return value;
+};
+
+/* The comparison operators allowed in filter query parameters. */
+const ALL_FILTER_OPERATORS = ["eq", "lt", "lte", "gt", "gte"];
+
 /* Functions to add embedded self links to entity data before returning it
  * to client (does not affect representation of entity data in Datastore). */
 const PROJECT_ADD_EMBEDDED_SELF_LINKS = (baseUrl, project, ancestor = null) => {
@@ -174,6 +492,32 @@ const PROJECT_ADD_EMBEDDED_SELF_LINKS = (baseUrl, project, ancestor = null) => {
         id: teacher_id,
         self: ds.getSelfUrl(baseUrl, TEACHERS, teacher_id)
     };
+
+    /* Replace class_id field with class field (null if the project does not belong to a class). */
+    const class_id = project.class_id;
+    delete project.class_id;
+    if (class_id === undefined || class_id === null) {
+        project.class = null;
+    } else {
+        project.class = {
+            id: class_id,
+            self: ds.getSelfUrl(baseUrl, CLASSES, class_id)
+        };
+    }
+};
+
+const CLASS_ADD_EMBEDDED_SELF_LINKS = (baseUrl, classData, ancestor = null) => {
+    if (ancestor !== null) {
+        throw "Classes must be root-level entities.";
+    }
+
+    /* Replace teacher_id field with teacher field. */
+    const teacher_id = classData.teacher_id;
+    delete classData.teacher_id;
+    classData.teacher = {
+        id: teacher_id,
+        self: ds.getSelfUrl(baseUrl, TEACHERS, teacher_id)
+    };
 };
 
 const OBSERVATION_ADD_EMBEDDED_SELF_LINKS = (baseUrl, observation, ancestor) => {
@@ -182,6 +526,32 @@ const OBSERVATION_ADD_EMBEDDED_SELF_LINKS = (baseUrl, observation, ancestor) =>
         id: project_id,
         self: ds.getSelfUrl(baseUrl, PROJECTS, project_id)
     };
+
+    /* Replace the observer's teacher_id and student_id with the student's id and self link. */
+    if (observation.observer !== undefined) {
+        const teacher_id = observation.observer.teacher_id;
+        const student_id = observation.observer.student_id;
+        observation.observer = {
+            id: student_id,
+            self: ds.getSelfUrl(baseUrl, TEACHERS, teacher_id) + "/" + STUDENTS + "/" + student_id
+        };
+    }
+};
+
+const JOIN_CODE_ADD_EMBEDDED_SELF_LINKS = (baseUrl, joinCode, ancestor) => {
+    const project_id = ancestor.entityId;
+    joinCode.project = {
+        id: project_id,
+        self: ds.getSelfUrl(baseUrl, PROJECTS, project_id)
+    };
+};
+
+const STUDENT_ADD_EMBEDDED_SELF_LINKS = (baseUrl, student, ancestor) => {
+    const teacher_id = ancestor.entityId;
+    student.teacher = {
+        id: teacher_id,
+        self: ds.getSelfUrl(baseUrl, TEACHERS, teacher_id)
+    };
 };
 
 /* Define object containing entity types where each
@@ -217,6 +587,26 @@ const COLLECTIONS = {
                     "description_text",
                     VALIDATE_STRING,
                     true
+                ),
+                new et.Property(
+                    "class_id",
+                    VALIDATE_DS_ID_OR_NULL,
+                    false
+                ),
+                new et.Property(
+                    "metrics",
+                    VALIDATE_PROJECT_METRICS,
+                    false
+                ),
+                new et.Property(
+                    "description_matching",
+                    VALIDATE_DESCRIPTION_MATCHING,
+                    false
+                ),
+                new et.Property(
+                    "vocabulary",
+                    VALIDATE_VOCABULARY_OR_NULL,
+                    false
                 )
             ],
             [
@@ -225,6 +615,11 @@ const COLLECTIONS = {
                     VALIDATE_STRING,
                     false
                 ),
+                new et.Property(
+                    "data_number",
+                    VALIDATE_PROJECT_DATA_NUMBER_PATCH,
+                    false
+                ),
                 new et.Property(
                     "description_image",
                     VALIDATE_IMAGE,
@@ -234,12 +629,85 @@ const COLLECTIONS = {
                     "description_text",
                     VALIDATE_STRING,
                     false
+                ),
+                new et.Property(
+                    "class_id",
+                    VALIDATE_DS_ID_OR_NULL,
+                    false
+                ),
+                new et.Property(
+                    "description_matching",
+                    VALIDATE_DESCRIPTION_MATCHING,
+                    false
+                ),
+                new et.Property(
+                    "vocabulary",
+                    VALIDATE_VOCABULARY_OR_NULL,
+                    false
                 )
             ],
             [POST, PATCH, DELETE],
             ["description_image", "url"],
             true,
-            PROJECT_ADD_EMBEDDED_SELF_LINKS
+            PROJECT_ADD_EMBEDDED_SELF_LINKS,
+            null,
+            [
+                new et.FilterableProperty("name", PARSE_STRING)
+            ],
+            ["name"],
+            100,
+            ["name", "description_text"]
+        ),
+        "classes": new et.EntityType(
+            CLASS,
+            5,
+            [
+                new et.Property(
+                    "teacher_id",
+                    VALIDATE_DS_ID,
+                    true
+                ),
+                new et.Property(
+                    "name",
+                    VALIDATE_STRING,
+                    true
+                ),
+                new et.Property(
+                    "grade_level",
+                    VALIDATE_GRADE,
+                    true
+                ),
+                new et.Property(
+                    "school_year",
+                    VALIDATE_SCHOOL_YEAR,
+                    true
+                )
+            ],
+            [
+                new et.Property(
+                    "name",
+                    VALIDATE_STRING,
+                    false
+                ),
+                new et.Property(
+                    "grade_level",
+                    VALIDATE_GRADE,
+                    false
+                ),
+                new et.Property(
+                    "school_year",
+                    VALIDATE_SCHOOL_YEAR,
+                    false
+                )
+            ],
+            [POST, PATCH, DELETE],
+            null,
+            true,
+            CLASS_ADD_EMBEDDED_SELF_LINKS,
+            null,
+            [],
+            [],
+            50
         ),
         "teachers": new et.EntityType(
             TEACHER,
@@ -323,6 +791,21 @@ const COLLECTIONS = {
                     VALIDATE_STRING,
                     true
                 ),
+                new et.Property(
+                    "observer_id",
+                    VALIDATE_DS_ID,
+                    false
+                ),
+                new et.Property(
+                    "metric_values",
+                    VALIDATE_OBSERVATION_METRIC_VALUES,
+                    false
+                ),
+                new et.Property(
+                    "location",
+                    VALIDATE_LOCATION,
+                    false
+                )
             ],
             [
                 new et.Property(
@@ -345,11 +828,102 @@ const COLLECTIONS = {
                     VALIDATE_STRING,
                     false
                 ),
+                new et.Property(
+                    "metric_values",
+                    VALIDATE_OBSERVATION_METRIC_VALUES,
+                    false
+                ),
+                new et.Property(
+                    "location",
+                    VALIDATE_LOCATION_OR_NULL,
+                    false
+                )
             ],
             [POST, PATCH, DELETE],
             ["data_image", "url"],
             true,
-            OBSERVATION_ADD_EMBEDDED_SELF_LINKS
+            OBSERVATION_ADD_EMBEDDED_SELF_LINKS,
+            PROJECTS,
+            [
+                new et.FilterableProperty("date", PARSE_DATE, ALL_FILTER_OPERATORS),
+                new et.FilterableProperty("data_number.description", PARSE_STRING),
+                new et.FilterableProperty("data_number.quantity", PARSE_NUMBER, ALL_FILTER_OPERATORS)
+            ],
+            ["date", "data_number.quantity"],
+            100,
+            ["data_description", "data_number.description"],
+            "location"
+        ),
+        "students": new et.EntityType(
+            STUDENT,
+            5,
+            [
+                new et.Property(
+                    "display_name",
+                    VALIDATE_STRING,
+                    true
+                ),
+                new et.Property(
+                    "grade",
+                    VALIDATE_GRADE,
+                    true
+                ),
+                new et.Property(
+                    "pin",
+                    VALIDATE_PIN,
+                    true
+                )
+            ],
+            [
+                new et.Property(
+                    "display_name",
+                    VALIDATE_STRING,
+                    false
+                ),
+                new et.Property(
+                    "grade",
+                    VALIDATE_GRADE,
+                    false
+                ),
+                new et.Property(
+                    "pin",
+                    VALIDATE_PIN,
+                    false
+                )
+            ],
+            [GET_ONE, GET_LIST, POST, PATCH, DELETE],
+            null,
+            true,
+            STUDENT_ADD_EMBEDDED_SELF_LINKS,
+            TEACHERS,
+            [],
+            [],
+            50
+        ),
+        "join_codes": new et.EntityType(
+            JOIN_CODE,
+            5,
+            [
+                new et.Property(
+                    "label",
+                    VALIDATE_STRING,
+                    true
+                ),
+                new et.Property(
+                    "expires_in_minutes",
+                    VALIDATE_POSITIVE_INTEGER,
+                    false
+                )
+            ],
+            [],
+            [GET_ONE, GET_LIST, POST, DELETE],
+            null,
+            true,
+            JOIN_CODE_ADD_EMBEDDED_SELF_LINKS,
+            PROJECTS,
+            [],
+            [],
+            50
         )
     }
 };
@@ -390,20 +964,117 @@ const CREDENTIAL_ENTITY_TYPE = new et.EntityType(
     false
 );
 
+/* Declare the EntityType of POST /tokens request bodies separate from Collections since
+ * tokens are not stored as entities of their own. All properties are optional because a request
+ * contains either a teacher_id or email with a password, or a refresh_token alone. */
+const TOKEN_REQUEST_ENTITY_TYPE = new et.EntityType(
+    SESSION,
+    0,
+    [
+        new et.Property(
+            "teacher_id",
+            VALIDATE_DS_ID,
+            false
+        ),
+        new et.Property(
+            "email",
+            VALIDATE_STRING,
+            false
+        ),
+        new et.Property(
+            "password",
+            VALIDATE_STRING,
+            false
+        ),
+        new et.Property(
+            "refresh_token",
+            VALIDATE_STRING,
+            false
+        )
+    ],
+    [],
+    [POST, DELETE],
+    null,
+    false
+);
+
+/* Declare the EntityType of password reset request bodies separate from Collections since they
+ * are not stored as entities of their own. Requesting a reset link (POST /password_resets)
+ * requires the teacher's email, while completing the reset requires only the new password. */
+const PASSWORD_RESET_ENTITY_TYPE = new et.EntityType(
+    CREDENTIAL,
+    0,
+    [
+        new et.Property(
+            "email",
+            VALIDATE_STRING,
+            true
+        )
+    ],
+    [
+        new et.Property(
+            "password",
+            VALIDATE_PASSWORD,
+            true
+        )
+    ],
+    [PUT],
+    null,
+    false
+);
+
+/* Declare the EntityType of search results separately from Collections since search documents
+ * are only written by the API itself (when searchable entities are added, updated or deleted).
+ * It is only used to page through search results. */
+const SEARCH_ENTITY_TYPE = new et.EntityType(
+    SEARCH_DOCUMENT,
+    10,
+    [],
+    [],
+    [],
+    null,
+    false,
+    null,
+    null,
+    [],
+    [],
+    50
+);
+
 /* Freeze the exports object since all exports from this module are constants. */
 module.exports = Object.freeze({
     "PORT": PORT,
     "SECRET": SECRET,
+    "STORAGE_BACKEND": STORAGE_BACKEND,
+    "LOCAL_STORAGE_DIRECTORY": LOCAL_STORAGE_DIRECTORY,
     "BUCKET_NAME": BUCKET_NAME,
     "CLOUD_STORAGE_BASE_URL": CLOUD_STORAGE_BASE_URL,
     "DEFAULT_PROFILE_PHOTO": DEFAULT_PROFILE_PHOTO,
+    "MAILER_BACKEND": MAILER_BACKEND,
+    "OUTBOX_DIRECTORY": OUTBOX_DIRECTORY,
+    "SMTP_HOST": SMTP_HOST,
+    "SMTP_PORT": SMTP_PORT,
+    "SMTP_SECURE": SMTP_SECURE,
+    "SMTP_USER": SMTP_USER,
+    "SMTP_PASSWORD": SMTP_PASSWORD,
+    "MAIL_FROM": MAIL_FROM,
+    "PASSWORD_RESET_URL": PASSWORD_RESET_URL,
     "PROJECT": PROJECT,
     "TEACHER": TEACHER,
     "OBSERVATION": OBSERVATION,
     "CREDENTIAL": CREDENTIAL,
+    "STUDENT": STUDENT,
+    "JOIN_CODE": JOIN_CODE,
+    "CLASS": CLASS,
+    "SESSION": SESSION,
+    "SEARCH_DOCUMENT": SEARCH_DOCUMENT,
     "PROJECTS": PROJECTS,
     "TEACHERS": TEACHERS,
     "OBSERVATIONS": OBSERVATIONS,
+    "STUDENTS": STUDENTS,
+    "JOIN_CODES": JOIN_CODES,
+    "CLASSES": CLASSES,
+    "IMAGES": IMAGES,
     "STRING": STRING,
     "OBJECT": OBJECT,
     "NUMBER": NUMBER,
@@ -415,6 +1086,10 @@ module.exports = Object.freeze({
     "DELETE": DELETE,
     "GET_ONE": GET_ONE,
     "GET_LIST": GET_LIST,
+    "JOIN_CODE_AUTH_SCHEME": JOIN_CODE_AUTH_SCHEME,
+    "BEARER_AUTH_SCHEME": BEARER_AUTH_SCHEME,
+    "JOIN_CODE_LENGTH": JOIN_CODE_LENGTH,
+    "JOIN_CODE_CHARACTERS": JOIN_CODE_CHARACTERS,
     "JSON_MIME_TYPE": JSON_MIME_TYPE,
     "FORM_DATA_MIME_TYPE": FORM_DATA_MIME_TYPE,
     "CONTENT_TYPE_HEADER": CONTENT_TYPE_HEADER,
@@ -425,12 +1100,51 @@ module.exports = Object.freeze({
     "INVALID_ID": INVALID_ID,
     "INVALID_PROPERTIES": INVALID_PROPERTIES,
     "INVALID_UPDATE": INVALID_UPDATE,
+    "DATA_NUMBER_READ_ONLY": DATA_NUMBER_READ_ONLY,
+    "DESCRIPTION_NOT_IN_VOCABULARY": DESCRIPTION_NOT_IN_VOCABULARY,
+    "DESCRIPTIONS_NOT_RESOLVED": DESCRIPTIONS_NOT_RESOLVED,
     "ITEM_NOT_FOUND": ITEM_NOT_FOUND,
     "ANCESTOR_NOT_FOUND": ANCESTOR_NOT_FOUND,
     "TEACHER_NOT_FOUND": TEACHER_NOT_FOUND,
+    "CLASS_NOT_FOUND": CLASS_NOT_FOUND,
+    "CLASS_FORBIDDEN": CLASS_FORBIDDEN,
+    "STUDENT_CREDENTIALS_INCORRECT": STUDENT_CREDENTIALS_INCORRECT,
+    "STUDENT_FORBIDDEN": STUDENT_FORBIDDEN,
+    "JOIN_CODE_FORBIDDEN": JOIN_CODE_FORBIDDEN,
+    "OBSERVER_NOT_FOUND": OBSERVER_NOT_FOUND,
     "CREDENTIAL_NOT_FOUND": CREDENTIAL_NOT_FOUND,
     "SERVER_ERROR": SERVER_ERROR,
     "RESET_CODE_LIFETIME": RESET_CODE_LIFETIME,
+    "NORMALIZE_SECRET_ANSWER": NORMALIZE_SECRET_ANSWER,
+    "PASSWORD_HASH_ALGORITHM": PASSWORD_HASH_ALGORITHM,
+    "PASSWORD_HASH_PARAMS": PASSWORD_HASH_PARAMS,
+    "FREE_FAILED_ATTEMPTS": FREE_FAILED_ATTEMPTS,
+    "FAILED_ATTEMPT_BASE_DELAY": FAILED_ATTEMPT_BASE_DELAY,
+    "FAILED_ATTEMPT_MAX_DELAY": FAILED_ATTEMPT_MAX_DELAY,
+    "IP_LOCKOUT_THRESHOLD": IP_LOCKOUT_THRESHOLD,
+    "TEACHER_LOCKOUT_THRESHOLD": TEACHER_LOCKOUT_THRESHOLD,
+    "STUDENT_LOCKOUT_THRESHOLD": STUDENT_LOCKOUT_THRESHOLD,
+    "LOCKOUT_DURATION": LOCKOUT_DURATION,
+    "MAX_TRACKED_IPS": MAX_TRACKED_IPS,
+    "ACCESS_TOKEN_LIFETIME": ACCESS_TOKEN_LIFETIME,
+    "REFRESH_TOKEN_LIFETIME": REFRESH_TOKEN_LIFETIME,
+    "MIN_SEARCH_PREFIX_LENGTH": MIN_SEARCH_PREFIX_LENGTH,
+    "MAX_SEARCH_WORD_LENGTH": MAX_SEARCH_WORD_LENGTH,
+    "MAX_INDEXED_SEARCH_TERMS": MAX_INDEXED_SEARCH_TERMS,
+    "MAX_SEARCH_QUERY_WORDS": MAX_SEARCH_QUERY_WORDS,
+    "STATS_INTERVALS": STATS_INTERVALS,
+    "MAX_STATS_BUCKETS": MAX_STATS_BUCKETS,
+    "GEOHASH_PRECISION": GEOHASH_PRECISION,
+    "MAX_BBOX_CELLS": MAX_BBOX_CELLS,
+    "EXPORT_BATCH_SIZE": EXPORT_BATCH_SIZE,
+    "MAX_IMPORT_ROWS": MAX_IMPORT_ROWS,
+    "IMPORT_BATCH_SIZE": IMPORT_BATCH_SIZE,
+    "MAX_DESCRIPTION_SUGGESTIONS": MAX_DESCRIPTION_SUGGESTIONS,
+    "NORMALIZE_DESCRIPTION": NORMALIZE_DESCRIPTION,
+    "NUMERIC_METRIC_AGGREGATIONS": NUMERIC_METRIC_AGGREGATIONS,
     "COLLECTIONS": COLLECTIONS,
-    "CREDENTIAL_ENTITY_TYPE": CREDENTIAL_ENTITY_TYPE
+    "CREDENTIAL_ENTITY_TYPE": CREDENTIAL_ENTITY_TYPE,
+    "TOKEN_REQUEST_ENTITY_TYPE": TOKEN_REQUEST_ENTITY_TYPE,
+    "PASSWORD_RESET_ENTITY_TYPE": PASSWORD_RESET_ENTITY_TYPE,
+    "SEARCH_ENTITY_TYPE": SEARCH_ENTITY_TYPE
 });
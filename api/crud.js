@@ -1,6 +1,6 @@
 const auth = require('./auth');
 const constants = require('./constants');
-const cloudStorage = require('./storage');
+const imageStorage = require('./storage');
 const ds = require('./datastore');
 const an = require('./ancestor');
 const Ancestor = an.Ancestor;
@@ -8,6 +8,11 @@ const sr = require('./server-response');
 const ServerResponse = sr.ServerReponse;
 const bd = require('./batch-delete');
 const dataNumber = require('./data-number');
+const lq = require('./list-query');
+const geo = require('./geo');
+const ListQuery = lq.ListQuery;
+const search = require('./search');
+const tokens = require('./tokens');
 
 /**
  * Determines and returns the base URL to which a request was sent.
@@ -27,6 +32,39 @@ function getBaseUrl(req) {
 }
 
 
+/**
+ * Validates that the class a project is being added to exists and belongs to the
+ * project's teacher.
+ * 
+ * @param {object} transaction The current Datastore transaction being run
+ * @param {?string} classId The class_id of the project (null if it does not belong to a class)
+ * @param {string} teacherId The teacher_id of the project
+ * @return {Promise<?ServerResponse>} The status code and content to send to the client if the
+ * class is invalid (null if valid)
+ */
+async function validateClassOfProject(transaction, classId, teacherId) {
+    if (classId === null) {
+        return null;
+    }
+
+    const classKey = ds.generateDatastoreKey(constants.CLASS, classId);
+    const datastoreResponse = await transaction.get(classKey);
+    const classData = datastoreResponse[0];
+    if (classData === undefined) {
+        return new ServerResponse(
+            404,
+            {"error": constants.CLASS_NOT_FOUND}
+        );
+    } else if (classData.teacher_id !== teacherId) {
+        return new ServerResponse(
+            403,
+            {"error": constants.CLASS_FORBIDDEN}
+        );
+    }
+    return null;
+}
+
+
 /**
  * Retrieves the entity with the provided specifications from Datastore.
  * 
@@ -35,9 +73,18 @@ function getBaseUrl(req) {
  * @param {string} entityId The Datastore-generated id of the entity
  * @param {string} authReceived The "Authorization" header received from the client
  * @param {Ancestor} entityAncestor [optional] The ancestor associated with this entity in Datastore
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
  * @return {Promise<ServerResponse>} The status code and content to send to the client
  */
-async function getEntity(baseUrl, collectionName, entityId, authReceived, entityAncestor = null) {    
+async function getEntity(
+    baseUrl,
+    collectionName,
+    entityId,
+    authReceived,
+    entityAncestor = null,
+    clientIp = null
+) {
     const transaction = ds.datastore.transaction();
     try {
         /* If authorization is required to GET an entity of this type,
@@ -50,16 +97,50 @@ async function getEntity(baseUrl, collectionName, entityId, authReceived, entity
 
         await transaction.run();
 
-        /* The only entity type which the client can GET which requires authentication is
-         * Teacher. Therefore, only verify authentication if Teacher is the entity type. */
-        if (entityTypeName === constants.TEACHER) {
-            const responseInfo = await auth.validateAuthHeader(
-                transaction,
-                authReceived,
-                entityId
-            );
+        /* Teachers can only be viewed by themselves. Students can be viewed by their teacher
+         * or by themselves. Join codes can only be viewed by their project's teacher. */
+        if (entityType.methodRequiresCredentials(constants.GET_ONE) === true) {
+            let responseInfo = null;
+            if (entityTypeName === constants.TEACHER) {
+                responseInfo = await auth.validateAuthHeader(
+                    transaction,
+                    authReceived,
+                    entityId,
+                    clientIp
+                );
+            } else if (entityTypeName === constants.STUDENT) {
+                responseInfo = await auth.validateTeacherOrStudentAuthHeader(
+                    transaction,
+                    authReceived,
+                    entityAncestor.entityId,
+                    clientIp
+                );
+                const studentId = auth.getStudentIdFromAuthHeader(authReceived);
+                if (responseInfo === null && studentId !== null && studentId !== entityId) {
+                    responseInfo = new ServerResponse(
+                        403,
+                        {"error": constants.STUDENT_FORBIDDEN}
+                    );
+                }
+            } else if (entityTypeName === constants.JOIN_CODE) {
+                const ancestorKey = ds.generateAncestorKey(entityAncestor);
+                const ancestorData = await ds.getAncestorData(transaction, ancestorKey);
+                if (!ancestorData) {
+                    responseInfo = new ServerResponse(
+                        404,
+                        {"error": entityAncestor.getNotFoundError()}
+                    );
+                } else {
+                    responseInfo = await auth.validateAuthHeader(
+                        transaction,
+                        authReceived,
+                        ancestorData.teacher_id,
+                        clientIp
+                    );
+                }
+            }
             if (responseInfo !== null) {
-                await transaction.rollback();
+                await auth.rollbackFailedValidation(transaction, responseInfo);
                 return responseInfo;
             }
         }
@@ -87,6 +168,14 @@ async function getEntity(baseUrl, collectionName, entityId, authReceived, entity
             entityType.addEmbeddedSelfLinks(baseUrl, entity, entityAncestor);
         }
 
+        /* Never send a student's PIN (or its failed attempts) to the client. */
+        if (entityTypeName === constants.STUDENT) {
+            auth.removePrivateStudentProperties(entity);
+        }
+
+        /* The geohash index of an entity's location is only used for queries. */
+        geo.removeGeohashes(entityType, entity);
+
         /* Return 200 OK status code and entity content to client. */
         return new ServerResponse(
             200,
@@ -103,16 +192,48 @@ async function getEntity(baseUrl, collectionName, entityId, authReceived, entity
 }
 
 
+/**
+ * Creates a Datastore query for the entities of a collection, limited to those with the given
+ * ancestor or owner (if any).
+ * 
+ * @param {EntityType} entityType The EntityType of the collection
+ * @param {?object} ancestorKey The Datastore key of the entities' ancestor (null if none)
+ * @param {?Ancestor} owner The root entity by which to filter projects (null if none)
+ * @return {object} The Datastore query
+ */
+function createCollectionQuery(entityType, ancestorKey, owner) {
+    const query = ds.datastore.createQuery(entityType.entityTypeName);
+
+    /* Limit the query to entities with the given ancestor if one is specified. */
+    if (ancestorKey !== null) {
+        query.hasAncestor(ancestorKey);
+    }
+
+    /* Filter the results by the owner's id (e.g. teacher_id or class_id) if supplied. */
+    if (owner !== null) {
+        query.filter(owner.getForeignKeyName(), owner.entityId);
+    }
+    return query;
+}
+
+
 /**
  * Gets the entities from the specified collection. Uses pagination.
  * Response includes cursor if there are more results to retrieve. Pass in cursor
- * to next call to continue where this retrieval left off.
+ * to next call to continue where this retrieval left off. The first and next pages
+ * are also linked in a Link header.
  * 
  * @param {string} baseUrl The URL to which this request was sent
  * @param {string} collectionName The collection name received in the request URL
  * @param {string} startCursor [optional] The Datastore cursor at which to start this retrieval
  * @param {Ancestor} entityAncestor [optional] The ancestor of this entity in Datastore
- * @param {string} teacherId [optional] The ID of the teacher by which to filter projects
+ * @param {Ancestor} owner [optional] The root entity by which to filter projects (a teacher or class)
+ * @param {string} authReceived [optional] The "Authorization" header received from the client
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
+ * @param {object} requestQuery [optional] The query parameters received from the client, which
+ * may include filters, a sort order, a limit and whether to count all matching entities
+ * (see ListQuery)
  * @return {Promise<ServerResponse>} The status code and content to send to the client
  */
 async function getEntities(
@@ -120,67 +241,124 @@ async function getEntities(
     collectionName, 
     startCursor = null, 
     entityAncestor = null,
-    teacherId = null
+    owner = null,
+    authReceived = null,
+    clientIp = null,
+    requestQuery = {}
 ) {
     /* Create a read-only transaction so that, if there is an ancestor, entities
      * are only fetched after verifying that ancestor exists. */
     const transaction = ds.datastore.transaction({readOnly: true});
     try {
+        const entityType = 
+            entityAncestor ? 
+            constants.COLLECTIONS.children[collectionName] :
+            constants.COLLECTIONS.roots[collectionName];
+
+        /* Ensure the filters, sort order and limit requested are supported for this collection. */
+        let listQuery;
+        try {
+            listQuery = new ListQuery(requestQuery, entityType);
+        } catch(err) {
+            return new ServerResponse(
+                400,
+                {"error": err}
+            );
+        }
+
         await transaction.run();
 
         /* If the entity has an ancestor, verify that the ancestor exists. */
         let ancestorKey = null;
+        let ancestorData = null;
         if (entityAncestor !== null) {
             ancestorKey = ds.generateAncestorKey(entityAncestor);
-            const ancestorData = await ds.getAncestorData(transaction, ancestorKey);
+            ancestorData = await ds.getAncestorData(transaction, ancestorKey);
             if (!ancestorData) {
                 await transaction.rollback();
                 return new ServerResponse(
                     404,
-                    {"error": constants.ANCESTOR_NOT_FOUND}
+                    {"error": entityAncestor.getNotFoundError()}
                 );
             }
         }
+
+        /* If credentials are required to list entities of this type, ensure they belong to the
+         * teacher who owns the ancestor (the ancestor itself, or the teacher of an ancestor project). */
+        if (entityType.methodRequiresCredentials(constants.GET_LIST) === true) {
+            const teacherIdExpected = 
+                entityAncestor.collectionName === constants.PROJECTS ?
+                ancestorData.teacher_id :
+                entityAncestor.entityId;
+            const responseInfo = await auth.validateAuthHeader(
+                transaction,
+                authReceived,
+                teacherIdExpected,
+                clientIp
+            );
+            if (responseInfo !== null) {
+                await auth.rollbackFailedValidation(transaction, responseInfo);
+                return responseInfo;
+            }
+        }
         
-        /* If a teacher_id was passed in for filtering projects, verify that the teacer
-         * with teacher_id exists, returning 404 Not Found if it does not. */
-        if (teacherId !== null) {
-            const teacherExists = await ds.teacherExists(transaction, teacherId);
-            if (teacherExists === false) {
+        /* If an owner (teacher or class) was passed in for filtering projects, verify that the
+         * owner exists, returning 404 Not Found if it does not. */
+        if (owner !== null) {
+            const ownerData = await ds.getAncestorData(transaction, ds.generateAncestorKey(owner));
+            if (!ownerData) {
+                await transaction.rollback();
                 return new ServerResponse(
                     404,
-                    {"error": constants.TEACHER_NOT_FOUND}
+                    {"error": owner.getNotFoundError()}
                 );
             }
         }
 
-        /* Query Datastore for the specified collection. */
-        const entityType = 
-            entityAncestor ? 
-            constants.COLLECTIONS.children[collectionName] :
-            constants.COLLECTIONS.roots[collectionName];
-        const query = ds.datastore.createQuery(entityType.entityTypeName);
-        query.limit(entityType.maxPerPage);
+        /* Query Datastore for the specified collection, applying any filters, sort order
+         * and limit requested. */
+        const query = createCollectionQuery(entityType, ancestorKey, owner);
+        listQuery.applyTo(query);
         
         /* Start from the startCursor if one was specified. */
         if (startCursor !== null) {
             query.start(startCursor);
         }
-        
-        /* Limit the query to entities with the given ancestor if one is specified. */
-        if (entityAncestor !== null) {
-            query.hasAncestor(ancestorKey);
-        }
-
-        /* Filter the results by the teacher_id if supplied. */
-        if (teacherId !== null) {
-            query.filter("teacher_id", teacherId);
-        }
 
-        /* Try retrieving entities from Datastore. */
+        /* Try retrieving entities from Datastore (querying each geohash cell covering the bounding
+         * box in turn if one was given), and counting all entities matching the filters (with a
+         * keys-only query) if the client asked for the total count. */
         let datastoreResponse;
+        let totalCount = null;
         try {
-            datastoreResponse = await transaction.runQuery(query);
+            if (listQuery.bbox !== null) {
+                const [entities, endCursor] = await geo.runBboxQuery(
+                    transaction,
+                    () => createCollectionQuery(entityType, ancestorKey, owner),
+                    entityType,
+                    listQuery.bbox,
+                    listQuery.limit,
+                    startCursor
+                );
+                datastoreResponse = [
+                    entities,
+                    {
+                        "endCursor": endCursor,
+                        "moreResults": endCursor === null ?
+                            ds.Datastore.NO_MORE_RESULTS :
+                            ds.Datastore.MORE_RESULTS_AFTER_LIMIT
+                    }
+                ];
+            } else {
+                datastoreResponse = await transaction.runQuery(query);
+            }
+            if (listQuery.includeTotalCount === true) {
+                const countQuery = createCollectionQuery(entityType, ancestorKey, owner);
+                listQuery.applyFiltersTo(countQuery);
+                countQuery.select('__key__');
+                const [keys] = await transaction.runQuery(countQuery);
+                totalCount = keys.length;
+            }
         } catch(err) {
             await transaction.rollback();
 
@@ -192,6 +370,14 @@ async function getEntities(
                     403,
                     {"error": "The start cursor provided is not a valid Datastore cursor."}
                 );
+            } else if (err.code === 9) {
+                /* Datastore has no index for this combination of filters and sort order,
+                 * so return 400 to indicate the combination is unsupported. */
+                console.log(err);
+                return new ServerResponse(
+                    400,
+                    {"error": "This combination of filters and sort order is not supported."}
+                );
             } else {
                 console.log(err);
                 return new ServerResponse(
@@ -215,6 +401,14 @@ async function getEntities(
             if (entityType.requiresEmbeddedSelfLinks === true) {
                 entityType.addEmbeddedSelfLinks(baseUrl, entity, entityAncestor);
             }
+
+            /* Never send a student's PIN (or its failed attempts) to the client. */
+            if (entityType.entityTypeName === constants.STUDENT) {
+                auth.removePrivateStudentProperties(entity);
+            }
+
+            /* The geohash index of an entity's location is only used for queries. */
+            geo.removeGeohashes(entityType, entity);
         }
 
         /* Set entities as a property of results, adding a "next" property
@@ -222,25 +416,40 @@ async function getEntities(
         const results = {
             "entities": entities
         };
+
+        let collectionUrl = baseUrl + "/";
+        if (entityAncestor !== null) {
+            collectionUrl += entityAncestor.collectionName + "/" + entityAncestor.entityId + "/";
+        } else if (owner !== null) {
+            collectionUrl += owner.collectionName + "/" + owner.entityId + "/";
+        }
+        collectionUrl += collectionName;
+        const queryString = listQuery.toQueryString();
         
         if (info.moreResults !== ds.Datastore.NO_MORE_RESULTS) {
             const endCursor = encodeURIComponent(info.endCursor);
-            let nextUrl = baseUrl + "/";
-            if (entityAncestor !== null) {
-                nextUrl += entityAncestor.collectionName + "/" + entityAncestor.entityId + "/";
-            } else if (teacherId !== null) {
-                nextUrl += constants.TEACHERS + "/" + teacherId + "/";
-            }
-            nextUrl += collectionName + "?start=" + endCursor;
-            results.next = nextUrl;
+            results.next = collectionUrl + "?start=" + endCursor + queryString;
         } else {
             results.next = null;
         }
 
+        if (totalCount !== null) {
+            results.total_count = totalCount;
+        }
+
+        /* Link to the first and next pages (RFC 8288) so that clients can page through
+         * results without parsing the response body. */
+        const firstUrl = queryString === "" ? collectionUrl : collectionUrl + "?" + queryString.substring(1);
+        const links = [`<${firstUrl}>; rel="first"`];
+        if (results.next !== null) {
+            links.push(`<${results.next}>; rel="next"`);
+        }
+
         /* Return 200 OK status and the Datastore results to calling function. */
         return new ServerResponse(
             200,
-            results
+            results,
+            {"Link": links.join(", ")}
         );
     } catch(err) {
         await transaction.rollback();
@@ -262,9 +471,18 @@ async function getEntities(
  * @param {string} collectionName The collection name received in the request URL
  * @param {string} authReceived The "Authorization" header received from the client
  * @param {Ancestor} entityAncestor [optional] The ancestor to associate with this entity in Datastore
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
  * @return {Promise<ServerResponse>} The status code and content to send to the client
  */
-async function postEntity(baseUrl, entityData, collectionName, authReceived, entityAncestor = null) {
+async function postEntity(
+    baseUrl,
+    entityData,
+    collectionName,
+    authReceived,
+    entityAncestor = null,
+    clientIp = null
+) {
     /* Create a new transaction so that, if entity has an ancestor,
      * it is only posted if ancestor exists. */
     const transaction = ds.datastore.transaction();
@@ -284,9 +502,9 @@ async function postEntity(baseUrl, entityData, collectionName, authReceived, ent
         }
         
         /* Ensure image URL is valid and exists if this entity type has images. */
-        const imageUrl = cloudStorage.getImageUrl(entityData, entityType);
+        const imageUrl = imageStorage.getImageUrl(entityData, entityType);
         if (imageUrl !== null) {
-            const urlIsValid = await cloudStorage.validateImageUrl(imageUrl);
+            const urlIsValid = await imageStorage.validateImageUrl(imageUrl, baseUrl);
             if (urlIsValid === false) {
                 return new ServerResponse(
                     400,
@@ -312,16 +530,17 @@ async function postEntity(baseUrl, entityData, collectionName, authReceived, ent
                 await transaction.rollback();
                 return new ServerResponse(
                     404,
-                    {"error": constants.ANCESTOR_NOT_FOUND}
+                    {"error": entityAncestor.getNotFoundError()}
                 );
             }
         }
 
-        /* If this entity is a project, verify that the teacher with teacher_id exists,
+        /* If this entity is a project or class, verify that the teacher with teacher_id exists,
          * returning 404 Not Found if false. */
-        if (entityTypeName === constants.PROJECT) {
+        if (entityTypeName === constants.PROJECT || entityTypeName === constants.CLASS) {
             const teacherExists = await ds.teacherExists(transaction, entityData.teacher_id);
             if (teacherExists === false) {
+                await transaction.rollback();
                 return new ServerResponse(
                     404,
                     {"error": constants.TEACHER_NOT_FOUND}
@@ -334,17 +553,82 @@ async function postEntity(baseUrl, entityData, collectionName, authReceived, ent
         if (entityType.methodRequiresCredentials(constants.POST) === true) {
             /* Get the teacher_id associated with this particular entity. */
             let teacherIdExpected = "";
-            if (entityTypeName === constants.PROJECT) {
+            if (entityTypeName === constants.PROJECT || entityTypeName === constants.CLASS) {
                 teacherIdExpected = entityData.teacher_id;
-            } else if (entityTypeName === constants.OBSERVATION) {
+            } else if (
+                entityTypeName === constants.OBSERVATION 
+                || entityTypeName === constants.JOIN_CODE
+            ) {
                 teacherIdExpected = ancestorData.teacher_id;
+            } else if (entityTypeName === constants.STUDENT) {
+                teacherIdExpected = entityAncestor.entityId;
             }
 
-            /* Validate the credentials provided for the teacherIdExpected. */
-            const responseInfo = await auth.validateAuthHeader(
+            /* Validate the credentials provided for the teacherIdExpected. Students of that
+             * teacher (or anyone presenting one of the project's join codes) may also post
+             * observations. */
+            let responseInfo;
+            if (
+                entityTypeName === constants.OBSERVATION 
+                && auth.getJoinCodeFromAuthHeader(authReceived) !== null
+            ) {
+                responseInfo = await auth.validateJoinCodeAuthHeader(
+                    transaction,
+                    authReceived,
+                    entityAncestor.entityId
+                );
+                if (responseInfo === null && entityData.observer_id !== undefined) {
+                    responseInfo = new ServerResponse(
+                        403,
+                        {"error": constants.JOIN_CODE_FORBIDDEN}
+                    );
+                }
+            } else if (entityTypeName === constants.OBSERVATION) {
+                responseInfo = await auth.validateTeacherOrStudentAuthHeader(
+                    transaction,
+                    authReceived,
+                    teacherIdExpected,
+                    clientIp
+                );
+            } else {
+                responseInfo = await auth.validateAuthHeader(
+                    transaction,
+                    authReceived,
+                    teacherIdExpected,
+                    clientIp
+                );
+            }
+            if (responseInfo !== null) {
+                await auth.rollbackFailedValidation(transaction, responseInfo);
+                return responseInfo;
+            }
+        }
+
+        /* If this project is being added to a class, verify that the class belongs to
+         * the project's teacher. Projects which do not belong to a class have a null class_id. */
+        if (entityTypeName === constants.PROJECT) {
+            if (entityData.class_id === undefined) {
+                entityData.class_id = null;
+            }
+            if (entityData.description_matching === undefined) {
+                entityData.description_matching = "exact";
+            }
+            if (entityData.vocabulary === undefined) {
+                entityData.vocabulary = null;
+            }
+
+            /* Remember the number the project's data_number started at, so that it can be
+             * recomputed from the project's observations later on. */
+            entityData.data_number.initial_number = entityData.data_number.number;
+
+            /* Start each of the project's metrics (if any) at its value for no observations. */
+            entityData.metrics = (entityData.metrics || []).map(
+                metricJSON => new dataNumber.ProjectMetric(metricJSON)
+            );
+            const responseInfo = await validateClassOfProject(
                 transaction,
-                authReceived,
-                teacherIdExpected
+                entityData.class_id,
+                entityData.teacher_id
             );
             if (responseInfo !== null) {
                 await transaction.rollback();
@@ -352,31 +636,120 @@ async function postEntity(baseUrl, entityData, collectionName, authReceived, ent
             }
         }
 
+        /* If this entity is an observation, record the student who made it (if any). Students are
+         * always recorded as the observer of the observations they post, while teachers may
+         * name one of their students with observer_id. */
+        if (entityTypeName === constants.OBSERVATION) {
+            /* Ensure any metric values supplied match the metrics of the project. */
+            const metricValuesError = dataNumber.validateMetricValues(ancestorData, entityData.metric_values);
+            if (metricValuesError !== null) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    400,
+                    {"error": metricValuesError}
+                );
+            }
+
+            /* Record the description as the project's canonical form of it (rejecting it if it
+             * is not in the project's vocabulary). */
+            const description = await dataNumber.resolveObservationDescription(
+                transaction,
+                ancestorData,
+                entityData.data_number.description
+            );
+            if (description === null) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    400,
+                    {"error": constants.DESCRIPTION_NOT_IN_VOCABULARY}
+                );
+            }
+            entityData.data_number.description = description;
+
+            const studentId = auth.getStudentIdFromAuthHeader(authReceived);
+            if (studentId !== null) {
+                if (entityData.observer_id !== undefined && entityData.observer_id !== studentId) {
+                    await transaction.rollback();
+                    return new ServerResponse(
+                        403,
+                        {"error": constants.STUDENT_FORBIDDEN}
+                    );
+                }
+                entityData.observer_id = studentId;
+            }
+
+            if (entityData.observer_id !== undefined) {
+                const observerKey = ds.generateDatastoreKey(
+                    constants.STUDENT,
+                    entityData.observer_id,
+                    new Ancestor(constants.TEACHERS, ancestorData.teacher_id)
+                );
+                const observerResponse = await transaction.get(observerKey);
+                if (observerResponse[0] === undefined) {
+                    await transaction.rollback();
+                    return new ServerResponse(
+                        404,
+                        {"error": constants.OBSERVER_NOT_FOUND}
+                    );
+                }
+                entityData.observer = {
+                    "teacher_id": ancestorData.teacher_id,
+                    "student_id": entityData.observer_id
+                };
+                delete entityData.observer_id;
+            }
+        }
+
+        /* Hash a new student's PIN before saving it to Datastore. */
+        if (entityTypeName === constants.STUDENT) {
+            entityData.pin = await auth.Credential.hashString(entityData.pin);
+        }
+
+        /* Generate the code for a new join code, converting its lifetime (if one was given)
+         * into the time at which it expires. */
+        if (entityTypeName === constants.JOIN_CODE) {
+            entityData.code = auth.generateJoinCode();
+            entityData.expires_at = null;
+            if (entityData.expires_in_minutes !== undefined) {
+                const expires = Date.now() + entityData.expires_in_minutes * 60 * 1000;
+                entityData.expires_at = new Date(expires).toISOString();
+                delete entityData.expires_in_minutes;
+            }
+        }
+
         /* Remove password and secret questions/answers from teacher entity before
          * saving to Datastore. */
         let credentialDataCopy = null;
         if (entityTypeName === constants.TEACHER) {
-            credentialDataCopy = new auth.Credential(
-                {
-                    password: entityData.password,
-                    secret_questions: entityData.secret_questions
-                },
-                false
-            );
+            credentialDataCopy = await auth.Credential.create({
+                password: entityData.password,
+                secret_questions: entityData.secret_questions
+            });
             delete entityData.password;
             delete entityData.secret_questions;
         }
 
         /* Add the new entity to Datastore. Its id is null when generating the key
-         * because Datastore will automatically generate and fill in the entity id. */
-        const datastoreKey = ds.generateDatastoreKey(entityTypeName, null, entityAncestor);
+         * because Datastore will automatically generate and fill in the entity id. Searchable
+         * entities have their id allocated up front instead, since their search document is
+         * saved beneath them in this same transaction. Entities with a location are saved along
+         * with its geohash index. */
+        geo.indexLocation(entityType, entityData);
+        let datastoreKey = ds.generateDatastoreKey(entityTypeName, null, entityAncestor);
+        if (entityType.isSearchable() === true) {
+            const allocatedKeys = await ds.datastore.allocateIds(datastoreKey, 1);
+            datastoreKey = allocatedKeys[0][0];
+        }
         await transaction.save({"key": datastoreKey, "data": entityData});
+        if (entityType.isSearchable() === true) {
+            await search.indexEntity(transaction, datastoreKey, entityType, entityData, entityAncestor);
+        }
 
-        /* If the new entity is an observation, update the data_number property of the
-         * corresponding project. */
+        /* If the new entity is an observation, update the data_number and metrics properties
+         * of the corresponding project. */
         if (entityTypeName === constants.OBSERVATION) {
             const succeeded = await dataNumber.processPostedObservation(
-                transaction, ancestorData, entityData.data_number
+                transaction, ancestorData, entityData
             );
             if (!succeeded) {
                 await transaction.rollback();
@@ -406,13 +779,18 @@ async function postEntity(baseUrl, entityData, collectionName, authReceived, ent
         }
 
         /* Return status 201 to indicate successful entity creation and
-         * send entity id and self link to client. */
+         * send entity id and self link to client (along with the code itself for join codes). */
+        const content = {
+            "id": datastoreKey.id,
+            "self": ds.getSelfUrl(baseUrl, collectionName, datastoreKey.id, entityAncestor)
+        };
+        if (entityTypeName === constants.JOIN_CODE) {
+            content.code = entityData.code;
+            content.expires_at = entityData.expires_at;
+        }
         return new ServerResponse(
             201,
-            {
-                "id": datastoreKey.id,
-                "self": ds.getSelfUrl(baseUrl, collectionName, datastoreKey.id, entityAncestor)
-            }
+            content
         );
     } catch(err) {
         await transaction.rollback();
@@ -435,6 +813,8 @@ async function postEntity(baseUrl, entityData, collectionName, authReceived, ent
  * @param {string} entityId The id of this entity in Datastore
  * @param {string} authReceived The "Authorization" header received from the client
  * @param {Ancestor} entityAncestor [optional] The ancestor of this entity in Datastore
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
  * @return {Promise<ServerResponse>} The status code and content to return to the client
  */
 async function updateEntity(
@@ -443,7 +823,8 @@ async function updateEntity(
     collectionName, 
     entityId,
     authReceived,
-    entityAncestor = null
+    entityAncestor = null,
+    clientIp = null
 ) {
     const transaction = ds.datastore.transaction();
     try {
@@ -453,7 +834,20 @@ async function updateEntity(
             entityAncestor ? 
             constants.COLLECTIONS.children[collectionName] :
             constants.COLLECTIONS.roots[collectionName];
-        if (entityType.validateProperties(entityPatches, entityType.updateProperties) === false) {
+        if (
+            entityType.entityTypeName === constants.PROJECT
+            && typeof(entityPatches.data_number) === constants.OBJECT
+            && entityPatches.data_number !== null
+            && (
+                Object.keys(entityPatches.data_number).includes('number') === true
+                || Object.keys(entityPatches.data_number).includes('initial_number') === true
+            )
+        ) {
+            return new ServerResponse(
+                400,
+                {"error": constants.DATA_NUMBER_READ_ONLY}
+            );
+        } else if (entityType.validateProperties(entityPatches, entityType.updateProperties) === false) {
             return new ServerResponse(
                 400,
                 {"error": constants.INVALID_UPDATE}
@@ -484,7 +878,7 @@ async function updateEntity(
             let teacherIdExpected = "";
             if (entityTypeName === constants.TEACHER) {
                 teacherIdExpected = entityId;
-            } else if (entityTypeName === constants.PROJECT) {
+            } else if (entityTypeName === constants.PROJECT || entityTypeName === constants.CLASS) {
                 teacherIdExpected = entityToUpdate.teacher_id;
             } else if (entityTypeName === constants.OBSERVATION) {
                 teacherIdExpected = await auth.getTeacherOfProject(
@@ -498,13 +892,52 @@ async function updateEntity(
                         {"error": constants.SERVER_ERROR}
                     );
                 }
+            } else if (entityTypeName === constants.STUDENT) {
+                teacherIdExpected = entityAncestor.entityId;
             }
 
-            /* Validate the credentials provided for the teacherIdExpected. */
-            const responseInfo = await auth.validateAuthHeader(
+            /* Validate the credentials provided for the teacherIdExpected. Students of that
+             * teacher may also update the observations they posted themselves. */
+            let responseInfo;
+            if (entityTypeName === constants.OBSERVATION) {
+                responseInfo = await auth.validateTeacherOrStudentAuthHeader(
+                    transaction,
+                    authReceived,
+                    teacherIdExpected,
+                    clientIp
+                );
+                const studentId = auth.getStudentIdFromAuthHeader(authReceived);
+                if (
+                    responseInfo === null 
+                    && studentId !== null 
+                    && (entityToUpdate.observer === undefined || entityToUpdate.observer.student_id !== studentId)
+                ) {
+                    responseInfo = new ServerResponse(
+                        403,
+                        {"error": constants.STUDENT_FORBIDDEN}
+                    );
+                }
+            } else {
+                responseInfo = await auth.validateAuthHeader(
+                    transaction,
+                    authReceived,
+                    teacherIdExpected,
+                    clientIp
+                );
+            }
+            if (responseInfo !== null) {
+                await auth.rollbackFailedValidation(transaction, responseInfo);
+                return responseInfo;
+            }
+        }
+
+        /* If a project is being moved into a class, verify that the class belongs to
+         * the project's teacher. */
+        if (entityTypeName === constants.PROJECT && entityPatches.class_id !== undefined) {
+            const responseInfo = await validateClassOfProject(
                 transaction,
-                authReceived,
-                teacherIdExpected
+                entityPatches.class_id,
+                entityToUpdate.teacher_id
             );
             if (responseInfo !== null) {
                 await transaction.rollback();
@@ -512,23 +945,28 @@ async function updateEntity(
             }
         }
 
+        /* Hash a student's new PIN before saving it to Datastore. */
+        if (entityTypeName === constants.STUDENT && entityPatches.pin !== undefined) {
+            entityPatches.pin = await auth.Credential.hashString(entityPatches.pin);
+        }
+
         /* If the entityPatches contain an image URL and the URL is different than the original
          * URL, ensure that the new image URL is valid, and then delete the old image. */
-        const oldImageUrl = cloudStorage.getImageUrl(entityToUpdate, entityType);
-        const newImageUrl = cloudStorage.getImageUrl(entityPatches, entityType);
+        const oldImageUrl = imageStorage.getImageUrl(entityToUpdate, entityType);
+        const newImageUrl = imageStorage.getImageUrl(entityPatches, entityType);
         
         /* If this entity type is a teacher and the profile_photo is set to null,
          * delete the old profile photo (if not the default) and replace it with the default. */
         if (entityTypeName === constants.TEACHER && entityPatches.profile_photo === null) {
             entityPatches.profile_photo = constants.DEFAULT_PROFILE_PHOTO;
             if (oldImageUrl !== constants.DEFAULT_PROFILE_PHOTO) {
-                await cloudStorage.deleteImage(oldImageUrl);
+                await imageStorage.deleteImage(oldImageUrl);
             }
         }
         
         /* Otherwise, update the image normally if the URL has changed. */
         else if (newImageUrl !== null && newImageUrl !== oldImageUrl) {
-            const urlIsValid = await cloudStorage.validateImageUrl(newImageUrl);
+            const urlIsValid = await imageStorage.validateImageUrl(newImageUrl, baseUrl);
             if (urlIsValid === false) {
                 await transaction.rollback();
                 return new ServerResponse(
@@ -536,38 +974,145 @@ async function updateEntity(
                     {"error": constants.INVALID_IMAGE_URL}
                 )
             } else if (oldImageUrl !== constants.DEFAULT_PROFILE_PHOTO) {
-                await cloudStorage.deleteImage(oldImageUrl);
+                await imageStorage.deleteImage(oldImageUrl);
             }
         }
 
-        /* Update the provided properties of entityPatches in entityToUpdate. */
+        /* If an observation's metric values are being updated, ensure they match the metrics
+         * of the project. If its data_number is, record its description as the project's
+         * canonical form of it (rejecting it if it is not in the project's vocabulary). */
         const keysToUpdate = Object.keys(entityPatches);
-        let oldODN_JSON = null;
+        if (
+            entityTypeName === constants.OBSERVATION
+            && (
+                keysToUpdate.includes('metric_values') === true
+                || keysToUpdate.includes('data_number') === true
+            )
+        ) {
+            const projectData = await ds.getAncestorData(
+                transaction,
+                ds.generateAncestorKey(entityAncestor)
+            );
+            const metricValuesError = dataNumber.validateMetricValues(
+                projectData,
+                entityPatches.metric_values
+            );
+            if (metricValuesError !== null) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    400,
+                    {"error": metricValuesError}
+                );
+            }
+
+            if (entityPatches.data_number !== undefined) {
+                const description = await dataNumber.resolveObservationDescription(
+                    transaction,
+                    projectData,
+                    entityPatches.data_number.description,
+                    entityId
+                );
+                if (description === null) {
+                    await transaction.rollback();
+                    return new ServerResponse(
+                        400,
+                        {"error": constants.DESCRIPTION_NOT_IN_VOCABULARY}
+                    );
+                }
+                entityPatches.data_number.description = description;
+            }
+        }
+
+        /* If this entity is an observation, save a copy of its old data_number and metric_values
+         * properties (if either is being updated) for use in processing the update to the project
+         * below before overwriting those properties' values. */
+        let oldObservationData = null;
+        if (
+            entityTypeName === constants.OBSERVATION
+            && (
+                keysToUpdate.includes('data_number') === true
+                || keysToUpdate.includes('metric_values') === true
+            )
+        ) {
+            oldObservationData = {
+                "data_number": {
+                    "quantity": entityToUpdate.data_number.quantity,
+                    "description": entityToUpdate.data_number.description
+                },
+                "metric_values": entityToUpdate.metric_values
+            };
+        }
+
+        /* If a project's data_number definition is being updated, keep the fields that were not
+         * included (recomputing its number if must_be_unique has changed). */
+        if (entityTypeName === constants.PROJECT && keysToUpdate.includes('data_number') === true) {
+            entityPatches.data_number = await dataNumber.processUpdatedProjectDataNumber(
+                transaction,
+                datastoreKey,
+                entityToUpdate.data_number,
+                entityPatches.data_number
+            );
+            if (entityPatches.data_number === null) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    500,
+                    {"error": constants.SERVER_ERROR}
+                );
+            }
+        }
+
+        /* Update the provided properties of entityPatches in entityToUpdate. */
         for (const propKey of keysToUpdate) {
-            /* If this entity is an observation, save a copy of its old data_number
-             * property (if that property is being updated) for use in processing
-             * the update to that property below before overwriting that property's values. */
-            if (propKey === 'data_number' && entityTypeName === constants.OBSERVATION) {
-                oldODN_JSON = {};
-                oldODN_JSON.quantity = entityToUpdate.data_number.quantity;
-                oldODN_JSON.description = entityToUpdate.data_number.description;
-            }
-            
             entityToUpdate[propKey] = entityPatches[propKey];
         }
 
-        /* Save the updated entity to Datastore. */
+        /* If a project's vocabulary or description_matching is being updated, rewrite the
+         * descriptions of its existing observations in the form they would now be recorded in
+         * (recounting its number), rejecting the update if any of them cannot be resolved. */
+        if (
+            entityTypeName === constants.PROJECT
+            && (
+                keysToUpdate.includes('vocabulary') === true
+                || keysToUpdate.includes('description_matching') === true
+            )
+        ) {
+            const unresolvedDescriptions = await dataNumber.resolveExistingDescriptions(
+                transaction,
+                datastoreKey,
+                entityToUpdate
+            );
+            if (unresolvedDescriptions === null) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    500,
+                    {"error": constants.SERVER_ERROR}
+                );
+            } else if (unresolvedDescriptions.length > 0) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    400,
+                    {"error": `${constants.DESCRIPTIONS_NOT_RESOLVED} ${unresolvedDescriptions.join(", ")}.`}
+                );
+            }
+        }
+
+        /* Save the updated entity to Datastore (re-indexing its location if it has one), re-indexing
+         * it for search if it is searchable. */
+        geo.indexLocation(entityType, entityToUpdate);
         await transaction.save({"key": datastoreKey, "data": entityToUpdate});
+        if (entityType.isSearchable() === true) {
+            await search.indexEntity(transaction, datastoreKey, entityType, entityToUpdate, entityAncestor);
+        }
 
-        /* If the entity is an observation and the patches involved an observation.data_number,
-         * update the corresponding project.data_number.number accordingly. */
-        if (oldODN_JSON !== null) {
+        /* If the entity is an observation and the patches involved its data_number or metric_values,
+         * update the corresponding project.data_number.number and project.metrics accordingly. */
+        if (oldObservationData !== null) {
             const succeeded = await dataNumber.processUpdatedObservation(
                 transaction,
                 entityAncestor,
                 entityId,
-                oldODN_JSON,
-                entityPatches.data_number
+                oldObservationData,
+                entityToUpdate
             );
 
             if (!succeeded) {
@@ -607,9 +1152,20 @@ async function updateEntity(
  * @param {string} entityId The id of this entity in Datastore
  * @param {string} authReceived The "Authorization" header received from the client.
  * @param {Ancestor} entityAncestor [optional] The ancestor of this entity in Datastore
+ * @param {boolean} keepProjects [optional] When deleting a class, whether to keep its projects
+ * (removing them from the class) instead of deleting them
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
  * @return {Promise<ServerResponse>} The response code and content (if any) to send to the client
  */
-async function deleteEntity(collectionName, entityId, authReceived, entityAncestor = null) {
+async function deleteEntity(
+    collectionName, 
+    entityId, 
+    authReceived, 
+    entityAncestor = null, 
+    keepProjects = false,
+    clientIp = null
+) {
     const transaction = ds.datastore.transaction();
     try {
         /* Retrieve the entity's data from Datastore (since its data must be used in certain cases
@@ -641,9 +1197,12 @@ async function deleteEntity(collectionName, entityId, authReceived, entityAncest
             let teacherIdExpected = "";
             if (entityTypeName === constants.TEACHER) {
                 teacherIdExpected = entityId;
-            } else if (entityTypeName === constants.PROJECT) {
+            } else if (entityTypeName === constants.PROJECT || entityTypeName === constants.CLASS) {
                 teacherIdExpected = entity.teacher_id;
-            } else if (entityTypeName === constants.OBSERVATION) {
+            } else if (
+                entityTypeName === constants.OBSERVATION 
+                || entityTypeName === constants.JOIN_CODE
+            ) {
                 teacherIdExpected = await auth.getTeacherOfProject(
                     transaction, 
                     entityAncestor.entityId
@@ -655,37 +1214,61 @@ async function deleteEntity(collectionName, entityId, authReceived, entityAncest
                         {"error": constants.SERVER_ERROR}
                     );
                 }
+            } else if (entityTypeName === constants.STUDENT) {
+                teacherIdExpected = entityAncestor.entityId;
             }
 
             /* Validate the credentials provided for the teacherIdExpected. */
             const responseInfo = await auth.validateAuthHeader(
                 transaction,
                 authReceived,
-                teacherIdExpected
+                teacherIdExpected,
+                clientIp
             );
             if (responseInfo !== null) {
-                await transaction.rollback();
+                await auth.rollbackFailedValidation(transaction, responseInfo);
                 return responseInfo;
             }
         }
 
         /* Delete any image associated with this entity. */
-        const imageUrl = cloudStorage.getImageUrl(entity, entityType);
+        const imageUrl = imageStorage.getImageUrl(entity, entityType);
         if (imageUrl !== null && imageUrl !== constants.DEFAULT_PROFILE_PHOTO) {
-            await cloudStorage.deleteImage(imageUrl);
+            await imageStorage.deleteImage(imageUrl);
         }
 
-        /* If this entity is a Project, delete all associated Observations. */
+        /* If this entity is a Project, delete all associated Observations and Join Codes
+         * (and the search documents of the project and its observations). */
         if (entityTypeName === constants.PROJECT) {
             await bd.deleteObservationsOfProject(transaction, datastoreKey);
+            await bd.deleteJoinCodesOfProject(transaction, datastoreKey);
+            await bd.deleteSearchDocumentsOfProject(transaction, datastoreKey);
+        }
+
+        /* If this entity is an Observation, remove it from the search index. */
+        else if (entityTypeName === constants.OBSERVATION) {
+            search.deleteIndexEntry(transaction, datastoreKey);
         }
 
         /* If this entity is a Teacher, delete all associated Projects
-         * (which will, in turn, delete all associated observations) as well
-         * as the teacher's credentials. */
+         * (which will, in turn, delete all associated observations), Classes and Students as well
+         * as the teacher's credentials and sessions. */
         else if (entityTypeName === constants.TEACHER) {
             await bd.deleteProjectsOfTeacher(transaction, entityId);
+            await bd.deleteClassesOfTeacher(transaction, entityId);
+            await bd.deleteStudentsOfTeacher(transaction, datastoreKey);
             await auth.deleteCredential(transaction, entityId);
+            await tokens.deleteSessionsOfTeacher(transaction, entityId);
+        }
+
+        /* If this entity is a Class, delete all of its Projects (along with their observations),
+         * or only remove them from the class if they should be kept. */
+        else if (entityTypeName === constants.CLASS) {
+            if (keepProjects === true) {
+                await bd.removeProjectsFromClass(transaction, entityId);
+            } else {
+                await bd.deleteProjectsOfClass(transaction, entityId);
+            }
         }
 
         /* Delete the entity from Datastore and return 204 no content to
@@ -697,7 +1280,7 @@ async function deleteEntity(collectionName, entityId, authReceived, entityAncest
                 transaction,
                 entityAncestor,
                 entityId,
-                entity.data_number
+                entity
             )
 
             if (!succeeded) {
@@ -1,7 +1,11 @@
+const auth = require('./auth');
 const constants = require('./constants');
 const ds = require('./datastore');
 const an = require('./ancestor');
 const Ancestor = an.Ancestor;
+const search = require('./search');
+const sr = require('./server-response');
+const ServerResponse = sr.ServerReponse;
 
 /**
  * @class Represents the embedded JSON entity observation.data_number.
@@ -45,11 +49,16 @@ class ProjectDataNumber {
      * @param {number} dataNumberJSON.number The current numeric value of the data_number.
      * @param {boolean} dataNumberJSON.must_be_unique Whether each item type observed 
      * should be counted just once.
+     * @param {number} dataNumberJSON.initial_number [optional] The value of the data_number
+     * when the project was created, before any observations were counted toward it.
      */
     constructor(dataNumberJSON) {
         this.name = dataNumberJSON.name;
         this.number = dataNumberJSON.number;
         this.must_be_unique = dataNumberJSON.must_be_unique;
+        if (dataNumberJSON.initial_number !== undefined) {
+            this.initial_number = dataNumberJSON.initial_number;
+        }
     }
 
     /**
@@ -114,6 +123,157 @@ class ProjectDataNumber {
             return true;
         }
     }
+
+    /**
+     * Determines how much the given observations contribute to the project's data_number.number.
+     * 
+     * @param {ObservationDataNumber[]} observationDataNumbers The data_numbers of the observations.
+     * @return {number} The number of distinct descriptions if each item type observed is counted
+     * just once, or the total quantity otherwise.
+     */
+    countObservations(observationDataNumbers) {
+        if (this.must_be_unique === true) {
+            return new Set(observationDataNumbers.map(odn => odn.description)).size;
+        }
+        return observationDataNumbers.reduce((total, odn) => total + odn.quantity, 0);
+    }
+
+    /**
+     * Records the project's initial_number if it has none (as for projects created before it was
+     * recorded), deriving it from the current number less the contribution of the observations.
+     * Call this before recomputing the number, so that the project keeps its starting number.
+     * 
+     * @param {ObservationDataNumber[]} observationDataNumbers The data_numbers of all of the
+     * project's observations.
+     * @return {boolean} Whether the initial_number has been derived (meaning it should be saved).
+     */
+    deriveInitialNumber(observationDataNumbers) {
+        if (this.initial_number !== undefined) {
+            return false;
+        }
+        this.initial_number = this.number - this.countObservations(observationDataNumbers);
+        return true;
+    }
+
+    /**
+     * Recalculates the value of the project's data_number.number property from scratch, starting
+     * from its initial_number and counting every observation. Projects without an initial_number
+     * must have one derived first (see deriveInitialNumber).
+     * 
+     * @param {ObservationDataNumber[]} observationDataNumbers The data_numbers of all of the
+     * project's observations.
+     * @return {boolean} Whether the project's data_number.number has been changed.
+     */
+    recompute(observationDataNumbers) {
+        const oldNumber = this.number;
+        this.deriveInitialNumber(observationDataNumbers);
+        this.number = this.initial_number + this.countObservations(observationDataNumbers);
+        return this.number !== oldNumber;
+    }
+}
+
+
+/**
+ * @class Represents one of the metrics in project.metrics, which aggregates the values that
+ * observations supply for it in observation.metric_values.
+ */
+class ProjectMetric {
+    /**
+     * Instantiates a new ProjectMetric object.
+     * 
+     * @constructor
+     * @param {object} metricJSON The JSON embedded entity containing the metric's info.
+     * @param {string} metricJSON.key The key under which observations supply values for this metric.
+     * @param {string} metricJSON.name What the metric is tracking.
+     * @param {string} metricJSON.aggregation How observation values are aggregated (one of "sum",
+     * "count_unique", "count", "min", "max" or "average").
+     * @param {?number} metricJSON.value The current aggregated value (null for a min, max or
+     * average of no values). Defaults to the value for a project without observations.
+     */
+    constructor(metricJSON) {
+        this.key = metricJSON.key;
+        this.name = metricJSON.name;
+        this.aggregation = metricJSON.aggregation;
+        this.value = metricJSON.value;
+        if (this.value === undefined) {
+            this.value = this.aggregate([]);
+        }
+    }
+
+    /**
+     * Determines whether a value supplied by an observation has the right type for this metric.
+     * 
+     * @param {string|number} observationValue The value supplied.
+     * @return {boolean} Whether the value is valid.
+     */
+    acceptsValue(observationValue) {
+        if (constants.NUMERIC_METRIC_AGGREGATIONS.includes(this.aggregation) === true) {
+            return typeof(observationValue) === constants.NUMBER;
+        }
+        return typeof(observationValue) === constants.STRING;
+    }
+
+    /**
+     * Determines whether updating this metric requires the values supplied by the project's other
+     * observations (sums and counts can be adjusted without them).
+     * 
+     * @return {boolean} Whether the other observations' values are needed.
+     */
+    requiresOtherValues() {
+        return this.aggregation !== "sum" && this.aggregation !== "count";
+    }
+
+    /**
+     * Aggregates the given observation values.
+     * 
+     * @param {Array.<string|number>} observationValues The values supplied by observations.
+     * @return {?number} The aggregated value (null for a min, max or average of no values).
+     */
+    aggregate(observationValues) {
+        if (this.aggregation === "sum") {
+            return observationValues.reduce((sum, observationValue) => sum + observationValue, 0);
+        } else if (this.aggregation === "count") {
+            return observationValues.length;
+        } else if (this.aggregation === "count_unique") {
+            return new Set(observationValues).size;
+        } else if (observationValues.length === 0) {
+            return null;
+        } else if (this.aggregation === "min") {
+            return Math.min(...observationValues);
+        } else if (this.aggregation === "max") {
+            return Math.max(...observationValues);
+        } else {
+            const total = observationValues.reduce((sum, observationValue) => sum + observationValue, 0);
+            return total / observationValues.length;
+        }
+    }
+
+    /**
+     * Adjusts the value of this metric when an observation's value for it is added, replaced
+     * or removed.
+     * 
+     * @param {string|number} oldObservationValue The observation's previous value (undefined if
+     * the observation is new or did not supply one).
+     * @param {string|number} newObservationValue The observation's new value (undefined if the
+     * observation is being deleted or no longer supplies one).
+     * @param {Array.<string|number>} otherObservationValues [optional] The values supplied by all
+     * other observations of the project (required if requiresOtherValues returns true).
+     * @return {boolean} Whether the value of this metric has been changed.
+     */
+    replaceObservationValue(oldObservationValue, newObservationValue, otherObservationValues = null) {
+        const oldValue = this.value;
+        const oldValues = oldObservationValue === undefined ? [] : [oldObservationValue];
+        const newValues = newObservationValue === undefined ? [] : [newObservationValue];
+
+        /* Sums and counts are adjusted by the difference the observation makes. Other aggregations
+         * are recomputed from the other observations' values plus the new value. */
+        if (this.requiresOtherValues() === false) {
+            this.value += this.aggregate(newValues) - this.aggregate(oldValues);
+        } else {
+            this.value = this.aggregate(otherObservationValues.concat(newValues));
+        }
+        return this.value !== oldValue;
+    }
 }
 
 
@@ -155,6 +315,307 @@ async function getOtherODNDescriptions(transaction, projectKey, observationIdToE
 }
 
 
+/**
+ * Fetches the data_numbers of all of a project's observations.
+ * 
+ * @param {object} transaction The currently-running Datastore transaction.
+ * @param {object} projectKey The key of the project whose observations' data_numbers will be fetched.
+ * @return {Promise<?ObservationDataNumber[]>} The data_numbers of the observations (null on error).
+ */
+async function getObservationDataNumbers(transaction, projectKey) {
+    try {
+        const query = ds.datastore.createQuery(constants.OBSERVATION);
+        query.hasAncestor(projectKey);
+        const datastoreResponse = await transaction.runQuery(query);
+        return datastoreResponse[0].map(observation => new ObservationDataNumber(observation.data_number));
+    } catch(err) {
+        console.log(err);
+        return null;
+    }
+}
+
+
+/**
+ * Fetches the observation.metric_values of all other observations of a project besides the one
+ * being posted, patched, or deleted.
+ * 
+ * @param {object} transaction The currently-running Datastore transaction.
+ * @param {object} projectKey The key of the project whose observations' metric values will be fetched.
+ * @param {string} observationIdToExclude [optional] The ID of the observation whose metric values
+ * should be excluded (see getOtherODNDescriptions).
+ * @return {Promise<?object[]>} The metric_values of the other observations (null on error).
+ */
+async function getOtherMetricValues(transaction, projectKey, observationIdToExclude = null) {
+    try {
+        const query = ds.datastore.createQuery(constants.OBSERVATION);
+        query.hasAncestor(projectKey);
+        const datastoreResponse = await transaction.runQuery(query);
+        return datastoreResponse[0]
+            .filter(observation => observation[ds.Datastore.KEY].id !== observationIdToExclude)
+            .map(observation => observation.metric_values || {});
+    } catch(err) {
+        console.log(err);
+        return null;
+    }
+}
+
+
+/**
+ * Finds the term of a project's vocabulary that a description matches (ignoring case and
+ * whitespace), either as the term itself or as one of its synonyms.
+ * 
+ * @param {object[]} vocabulary The project's vocabulary.
+ * @param {string} description The description to match.
+ * @return {?string} The matching term (null if the description is not in the vocabulary).
+ */
+function findVocabularyTerm(vocabulary, description) {
+    const normalizedDescription = constants.NORMALIZE_DESCRIPTION(description);
+    for (const entry of vocabulary) {
+        const words = [entry.term].concat(entry.synonyms === undefined ? [] : entry.synonyms);
+        if (words.some(word => constants.NORMALIZE_DESCRIPTION(word) === normalizedDescription)) {
+            return entry.term;
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Resolves the description of an observation being posted or updated to the form in which it is
+ * recorded, so that uniqueness is computed on canonical descriptions:
+ * - If the project has a vocabulary, the description must match one of its terms or synonyms
+ *   (ignoring case and whitespace), and is recorded as that term.
+ * - Otherwise, if the project matches descriptions ignoring case and whitespace, the description
+ *   is recorded as written in another observation of the project if it matches one.
+ * - Otherwise, the description is recorded exactly as written.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectData The data of the project associated with the observation.
+ * @param {string} description The description received from the client.
+ * @param {string} observationId [optional] The Datastore ID of the observation (null if it is new).
+ * @return {Promise<?string>} The description to record (null if it is not in the vocabulary).
+ */
+async function resolveObservationDescription(transaction, projectData, description, observationId = null) {
+    const normalizedDescription = constants.NORMALIZE_DESCRIPTION(description);
+    if (Array.isArray(projectData.vocabulary) === true) {
+        return findVocabularyTerm(projectData.vocabulary, description);
+    }
+
+    if (projectData.description_matching === "case_and_whitespace") {
+        const otherODNDescriptions = await getOtherODNDescriptions(
+            transaction, projectData[ds.Datastore.KEY], observationId
+        );
+        if (otherODNDescriptions === null) {
+            throw "The descriptions of the project's other observations could not be fetched.";
+        }
+        for (const otherDescription of otherODNDescriptions) {
+            if (constants.NORMALIZE_DESCRIPTION(otherDescription) === normalizedDescription) {
+                return otherDescription;
+            }
+        }
+        return description.trim().replace(/\s+/g, " ");
+    }
+
+    return description;
+}
+
+
+/**
+ * Chooses the form in which descriptions matching ignoring case and whitespace are recorded when
+ * a project switches to matching them that way: the form used by the most observations (the first
+ * one found if several are used equally often), with extra whitespace removed.
+ * 
+ * @param {Map.<string, number>} formCounts The number of observations recorded with each form.
+ * @return {string} The canonical form.
+ */
+function chooseCanonicalForm(formCounts) {
+    let canonicalForm = null;
+    for (const [form, count] of formCounts) {
+        if (canonicalForm === null || count > formCounts.get(canonicalForm)) {
+            canonicalForm = form;
+        }
+    }
+    return canonicalForm.trim().replace(/\s+/g, " ");
+}
+
+
+/**
+ * Rewrites the descriptions of a project's existing observations to the form in which they would
+ * be recorded under an updated vocabulary and/or description_matching (see
+ * resolveObservationDescription), so that descriptions recorded before the update are counted
+ * as the same canonical descriptions as later ones. The rewritten observations are saved (and
+ * re-indexed for search) within the transaction, and the project's data_number.number is
+ * recomputed from their new descriptions. The project's data is updated in place (but not saved).
+ * Nothing is changed if any description cannot be resolved.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectKey The project's Datastore key.
+ * @param {object} projectData The data of the project with the updates applied.
+ * @return {Promise<?string[]>} The descriptions that are not in the project's vocabulary (null on
+ * error).
+ */
+async function resolveExistingDescriptions(transaction, projectKey, projectData) {
+    let observations;
+    try {
+        const query = ds.datastore.createQuery(constants.OBSERVATION);
+        query.hasAncestor(projectKey);
+        [observations] = await transaction.runQuery(query);
+    } catch(err) {
+        console.log(err);
+        return null;
+    }
+
+    /* Find the canonical form of each description: its vocabulary term, or the form chosen for
+     * the descriptions matching it ignoring case and whitespace. */
+    const canonicalForms = new Map();
+    const unresolvedDescriptions = new Set();
+    if (Array.isArray(projectData.vocabulary) === true) {
+        for (const observation of observations) {
+            const description = observation.data_number.description;
+            const term = findVocabularyTerm(projectData.vocabulary, description);
+            if (term === null) {
+                unresolvedDescriptions.add(description);
+            } else {
+                canonicalForms.set(description, term);
+            }
+        }
+    } else if (projectData.description_matching === "case_and_whitespace") {
+        const formCountsByNormalizedForm = new Map();
+        for (const observation of observations) {
+            const description = observation.data_number.description;
+            const normalizedDescription = constants.NORMALIZE_DESCRIPTION(description);
+            if (formCountsByNormalizedForm.has(normalizedDescription) === false) {
+                formCountsByNormalizedForm.set(normalizedDescription, new Map());
+            }
+            const formCounts = formCountsByNormalizedForm.get(normalizedDescription);
+            formCounts.set(description, (formCounts.get(description) || 0) + 1);
+        }
+        for (const formCounts of formCountsByNormalizedForm.values()) {
+            const canonicalForm = chooseCanonicalForm(formCounts);
+            for (const form of formCounts.keys()) {
+                canonicalForms.set(form, canonicalForm);
+            }
+        }
+    }
+    if (unresolvedDescriptions.size > 0) {
+        return [...unresolvedDescriptions];
+    }
+
+    /* Rewrite the observations whose descriptions change. */
+    const oldObservationDataNumbers = [];
+    const newObservationDataNumbers = [];
+    let descriptionsChanged = false;
+    const observationType = constants.COLLECTIONS.children[constants.OBSERVATIONS];
+    const ancestorProject = new Ancestor(constants.PROJECTS, String(projectKey.id));
+    for (const observation of observations) {
+        const oldODN = new ObservationDataNumber(observation.data_number);
+        oldObservationDataNumbers.push(oldODN);
+        const canonicalForm = canonicalForms.get(oldODN.description);
+        if (canonicalForm !== undefined && canonicalForm !== oldODN.description) {
+            const observationKey = observation[ds.Datastore.KEY];
+            observation.data_number.description = canonicalForm;
+            transaction.save({"key": observationKey, "data": observation});
+            await search.indexEntity(transaction, observationKey, observationType, observation, ancestorProject);
+            descriptionsChanged = true;
+        }
+        newObservationDataNumbers.push(new ObservationDataNumber(observation.data_number));
+    }
+
+    /* Recount the project's number from the rewritten descriptions, keeping its starting number.
+     * Metrics aggregate the observations' metric_values, which are left as they were. */
+    if (descriptionsChanged === true) {
+        const projectDataNumber = new ProjectDataNumber(projectData.data_number);
+        projectDataNumber.deriveInitialNumber(oldObservationDataNumbers);
+        projectDataNumber.recompute(newObservationDataNumbers);
+        projectData.data_number = projectDataNumber;
+    }
+    return [];
+}
+
+
+/**
+ * Verifies that the metric values supplied by an observation match the metrics of its project.
+ * 
+ * @param {object} projectData The data of the project associated with the observation.
+ * @param {object} metricValues [optional] The observation's metric_values.
+ * @return {?string} The error to send to the client if the values are invalid (null if valid).
+ */
+function validateMetricValues(projectData, metricValues = undefined) {
+    if (metricValues === undefined) {
+        return null;
+    }
+    const metrics = (projectData.metrics || []).map(metricJSON => new ProjectMetric(metricJSON));
+    for (const key of Object.keys(metricValues)) {
+        const metric = metrics.find(projectMetric => projectMetric.key === key);
+        if (metric === undefined) {
+            return `The project has no metric with the key "${key}".`;
+        } else if (metric.acceptsValue(metricValues[key]) === false) {
+            const expectedType = constants.NUMERIC_METRIC_AGGREGATIONS.includes(metric.aggregation) ?
+                "a number" :
+                "a string";
+            return `The value of the metric "${key}" must be ${expectedType}.`;
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Adjusts the values of a project's metrics when an observation's metric values are added,
+ * replaced or removed. The project's data is updated in place (but not saved).
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectData The data of the project associated with the observation.
+ * @param {string} observationId [optional] The Datastore ID of the observation (null if it is new).
+ * @param {object} oldMetricValues [optional] The observation's metric_values before the change
+ * (undefined if the observation is new).
+ * @param {object} newMetricValues [optional] The observation's metric_values after the change
+ * (undefined if the observation is being deleted).
+ * @return {Promise<?boolean>} Whether any metric's value has changed (null on error).
+ */
+async function processMetricValues(
+    transaction,
+    projectData,
+    observationId = null,
+    oldMetricValues = undefined,
+    newMetricValues = undefined
+) {
+    const oldValues = oldMetricValues || {};
+    const newValues = newMetricValues || {};
+    const metrics = (projectData.metrics || []).map(metricJSON => new ProjectMetric(metricJSON));
+    const changedMetrics = metrics.filter(metric => oldValues[metric.key] !== newValues[metric.key]);
+    if (changedMetrics.length === 0) {
+        return false;
+    }
+
+    /* Fetch the other observations' metric values only if a changed metric needs them. */
+    let otherMetricValues = null;
+    if (changedMetrics.some(metric => metric.requiresOtherValues() === true)) {
+        otherMetricValues = await getOtherMetricValues(
+            transaction, projectData[ds.Datastore.KEY], observationId
+        );
+        if (otherMetricValues === null) {
+            return null;
+        }
+    }
+
+    let metricsChanged = false;
+    for (const metric of changedMetrics) {
+        const otherObservationValues = otherMetricValues === null ?
+            null :
+            otherMetricValues
+                .map(metricValues => metricValues[metric.key])
+                .filter(observationValue => observationValue !== undefined);
+        const metricChanged = metric.replaceObservationValue(
+            oldValues[metric.key], newValues[metric.key], otherObservationValues
+        );
+        metricsChanged = metricsChanged || metricChanged;
+    }
+    projectData.metrics = metrics;
+    return metricsChanged;
+}
+
+
 /**
  * Saves the updated project entity to Datastore, reflecting the
  * updated value of project.data_number.number.
@@ -180,19 +641,77 @@ async function saveUpdatedProject(transaction, projectKey, currentProjectData, n
 
 
 /**
- * Updates the project.data_number.number property upon a new observation
- * being posted to Datastore.
+ * Adjusts the values of a project's metrics when new observations supplying the given metric
+ * values are added (all within the same transaction). The project's data is updated in place (but
+ * not saved).
  * 
  * @param {object} transaction The current Datastore transaction being run.
- * @param {object} projectData The data of the project associated with this observation.
- * @param {object} observationDataNumberJSON The data_number property of the new observation.
+ * @param {object} projectData The data of the project associated with the observations.
+ * @param {object[]} newMetricValuesList The metric_values of each new observation (undefined for
+ * observations that supply none).
+ * @return {Promise<?boolean>} Whether any metric's value has changed (null on error).
+ */
+async function addMetricValues(transaction, projectData, newMetricValuesList) {
+    const metrics = (projectData.metrics || []).map(metricJSON => new ProjectMetric(metricJSON));
+    const suppliedMetrics = metrics.filter(metric => newMetricValuesList.some(
+        newMetricValues => newMetricValues !== undefined && newMetricValues[metric.key] !== undefined
+    ));
+    if (suppliedMetrics.length === 0) {
+        return false;
+    }
+
+    /* Fetch the other observations' metric values only if a supplied metric needs them. */
+    let otherMetricValues = null;
+    if (suppliedMetrics.some(metric => metric.requiresOtherValues() === true)) {
+        otherMetricValues = await getOtherMetricValues(transaction, projectData[ds.Datastore.KEY]);
+        if (otherMetricValues === null) {
+            return null;
+        }
+    }
+
+    /* Add each new observation's value in turn, counting the values added before it among the
+     * other observations' values (since queries within the transaction do not see them). */
+    let metricsChanged = false;
+    for (const metric of suppliedMetrics) {
+        const otherObservationValues = otherMetricValues === null ?
+            null :
+            otherMetricValues
+                .map(metricValues => metricValues[metric.key])
+                .filter(observationValue => observationValue !== undefined);
+        for (const newMetricValues of newMetricValuesList) {
+            const newObservationValue = newMetricValues === undefined ?
+                undefined :
+                newMetricValues[metric.key];
+            if (newObservationValue === undefined) {
+                continue;
+            }
+            const metricChanged = metric.replaceObservationValue(
+                undefined, newObservationValue, otherObservationValues
+            );
+            metricsChanged = metricsChanged || metricChanged;
+            if (otherObservationValues !== null) {
+                otherObservationValues.push(newObservationValue);
+            }
+        }
+    }
+    projectData.metrics = metrics;
+    return metricsChanged;
+}
+
+
+/**
+ * Updates the project.data_number.number property (and the values of the project's metrics)
+ * upon new observations being posted to Datastore within the same transaction.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectData The data of the project associated with these observations.
+ * @param {object[]} observationsData The data of the new observations (their data_number and
+ * any metric_values).
  * @return {Promise<boolean>} Whether the operation was successful.
  */
-async function processPostedObservation(transaction, projectData, observationDataNumberJSON) {
-    /* Construct data number objects from parameters passed in. */
+async function processPostedObservations(transaction, projectData, observationsData) {
     const projectKey = projectData[ds.Datastore.KEY];
     const projectDataNumber = new ProjectDataNumber(projectData.data_number);
-    const newObservationDataNumber = new ObservationDataNumber(observationDataNumberJSON);
     
     /* If this project requires that each item counted toward data_number.number must be unique,
      * fetch the current observation data numbers counted toward the project's
@@ -205,12 +724,28 @@ async function processPostedObservation(transaction, projectData, observationDat
         }
     }
 
-    /* Adjust the project's data_number.number value based on the new
-     * observation data passed in. */
-    const projectDataNumberChanged = projectDataNumber.addObservation(
-        newObservationDataNumber, otherODNDescriptions
+    /* Adjust the project's data_number.number value and metrics based on the new
+     * observation data passed in. Each description counted is added to the other observations'
+     * descriptions so that later observations in the same transaction are compared with it. */
+    let projectDataNumberChanged = false;
+    for (const observationData of observationsData) {
+        const newObservationDataNumber = new ObservationDataNumber(observationData.data_number);
+        const numberChanged = projectDataNumber.addObservation(
+            newObservationDataNumber, otherODNDescriptions
+        );
+        projectDataNumberChanged = projectDataNumberChanged || numberChanged;
+        if (otherODNDescriptions !== null) {
+            otherODNDescriptions.add(newObservationDataNumber.description);
+        }
+    }
+    const metricsChanged = await addMetricValues(
+        transaction, projectData, observationsData.map(observationData => observationData.metric_values)
     );
-    if (projectDataNumberChanged === true) {
+    if (metricsChanged === null) {
+        return false;
+    }
+
+    if (projectDataNumberChanged === true || metricsChanged === true) {
         const succeeded = await saveUpdatedProject(
             transaction, projectKey, projectData, projectDataNumber
         );
@@ -224,31 +759,40 @@ async function processPostedObservation(transaction, projectData, observationDat
 
 
 /**
- * Updates the project.data_number.number property upon an observation
- * being updated in Datastore.
+ * Updates the project.data_number.number property (and the values of the project's metrics)
+ * upon a new observation being posted to Datastore.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectData The data of the project associated with this observation.
+ * @param {object} observationData The data of the new observation (its data_number and
+ * any metric_values).
+ * @return {Promise<boolean>} Whether the operation was successful.
+ */
+async function processPostedObservation(transaction, projectData, observationData) {
+    return processPostedObservations(transaction, projectData, [observationData]);
+}
+
+
+/**
+ * Updates the project.data_number.number property (and the values of the project's metrics)
+ * upon an observation being updated in Datastore.
  * 
  * @param {object} transaction The current Datastore transaction being run.
  * @param {Ancestor} ancestorProject The project that is the ancestor of this observation.
  * @param {string} observationId The Datastore ID of the observation being updated.
- * @param {object} oldODN_JSON The observation.data_number before update.
- * @param {object} newODN_JSON The observation.data_number after update.
+ * @param {object} oldObservationData The observation's data_number and metric_values before update.
+ * @param {object} newObservationData The observation's data_number and metric_values after update.
  * @return {Promise<boolean>} Whether the operation succeeded.
  */
 async function processUpdatedObservation(
     transaction, 
     ancestorProject, 
     observationId, 
-    oldODN_JSON, 
-    newODN_JSON
+    oldObservationData, 
+    newObservationData
 ) {
-    const oldODN = new ObservationDataNumber(oldODN_JSON);
-    const newODN = new ObservationDataNumber(newODN_JSON);
-
-    /* If the old and new ObservationDataNumbers have identical values,
-     * no update is needed. */
-    if (newODN.deepEquals(oldODN) === true) {
-        return true;
-    }
+    const oldODN = new ObservationDataNumber(oldObservationData.data_number);
+    const newODN = new ObservationDataNumber(newObservationData.data_number);
 
     /* Get the project's current data so that it can be updated. */
     const projectKey = ds.generateAncestorKey(ancestorProject);
@@ -257,39 +801,52 @@ async function processUpdatedObservation(
         return false;
     }
 
-    /* If this project requires that each unique thing observed be counted
-     * only once, get all other observation's data_number.descriptions to verify
-     * uniqueness. */
+    /* If the old and new ObservationDataNumbers have identical values (or, when this project
+     * counts each unique thing observed only once, identical descriptions), the project's
+     * data_number.number does not change. */
     const projectDataNumber = new ProjectDataNumber(currentProjectData.data_number);
-    let otherODNDescriptions = null;
-    if(projectDataNumber.must_be_unique === true) {
-        /* If the oldODN and newODN have the same description,
-         * there will be no change to the project's data_number.number.
-         * Therefore, return true since no further processing is needed. */
-        if (oldODN.description === newODN.description) {
-            return true;
-        }
-        
-        otherODNDescriptions = await getOtherODNDescriptions(transaction, projectKey, observationId);
-        if (otherODNDescriptions === null) {
-            return false;
+    const oldPDNNumber = projectDataNumber.number;
+    const dataNumberAffected = projectDataNumber.must_be_unique === true ?
+        oldODN.description !== newODN.description :
+        newODN.deepEquals(oldODN) === false;
+    if (dataNumberAffected === true) {
+        /* If this project requires that each unique thing observed be counted
+         * only once, get all other observation's data_number.descriptions to verify
+         * uniqueness. */
+        let otherODNDescriptions = null;
+        if (projectDataNumber.must_be_unique === true) {
+            otherODNDescriptions = await getOtherODNDescriptions(transaction, projectKey, observationId);
+            if (otherODNDescriptions === null) {
+                return false;
+            }
         }
+
+        /* Adjust the project's data_number.number value based on the updates
+         * to the observation's data_number. */
+        projectDataNumber.deleteObservation(
+            oldODN, otherODNDescriptions
+        );
+        projectDataNumber.addObservation(
+            newODN, otherODNDescriptions
+        );
     }
+    const newPDNNumber = projectDataNumber.number;
 
-    /* Adjust the project's data_number.number value based on the updates
-     * to the observation's data_number. */
-    const oldPDNNumber = projectDataNumber.number;
-    projectDataNumber.deleteObservation(
-        oldODN, otherODNDescriptions
-    );
-    projectDataNumber.addObservation(
-        newODN, otherODNDescriptions
+    /* Adjust the project's metrics based on the updates to the observation's metric_values. */
+    const metricsChanged = await processMetricValues(
+        transaction,
+        currentProjectData,
+        observationId,
+        oldObservationData.metric_values,
+        newObservationData.metric_values
     );
-    const newPDNNumber = projectDataNumber.number;
+    if (metricsChanged === null) {
+        return false;
+    }
     
-    /* If the updates to the observation data number caused the project's data_number.number
+    /* If the updates to the observation caused the project's data_number.number or metrics
      * to change, update the project's data in Datastore. */
-    if (oldPDNNumber !== newPDNNumber) {
+    if (oldPDNNumber !== newPDNNumber || metricsChanged === true) {
         const succeeded = await saveUpdatedProject(
             transaction, projectKey, currentProjectData, projectDataNumber
         );
@@ -303,22 +860,23 @@ async function processUpdatedObservation(
 
 
 /**
- * Updates the project.data_number.number property upon an observation
- * being deleted from Datastore.
+ * Updates the project.data_number.number property (and the values of the project's metrics)
+ * upon an observation being deleted from Datastore.
  * 
  * @param {object} transaction The current Datastore transaction being run.
  * @param {Ancestor} ancestorProject The project that is the ancestor of this observation.
  * @param {string} observationId The Datastore ID of the observation being updated.
- * @param {object} observationDataNumber_JSON The observation.data_number being deleted.
+ * @param {object} observationData The data of the observation being deleted (its data_number
+ * and any metric_values).
  * @return {Promise<boolean>} Whether the observation succeeded.
  */
 async function processDeletedObservation(
     transaction, 
     ancestorProject, 
     observationId, 
-    observationDataNumber_JSON
+    observationData
 ) {
-    const observationDataNumber = new ObservationDataNumber(observationDataNumber_JSON);
+    const observationDataNumber = new ObservationDataNumber(observationData.data_number);
 
     /* Get the project's current data so that it can be updated. */
     const projectKey = ds.generateAncestorKey(ancestorProject);
@@ -339,12 +897,19 @@ async function processDeletedObservation(
         }
     }
 
-    /* Adjust the project's data_number.number value based on the new
-     * observation data passed in. */
+    /* Adjust the project's data_number.number value and metrics based on the
+     * observation data being deleted. */
     const projectDataNumberChanged = projectDataNumber.deleteObservation(
         observationDataNumber, otherODNDescriptions
     );
-    if (projectDataNumberChanged === true) {
+    const metricsChanged = await processMetricValues(
+        transaction, currentProjectData, observationId, observationData.metric_values, undefined
+    );
+    if (metricsChanged === null) {
+        return false;
+    }
+
+    if (projectDataNumberChanged === true || metricsChanged === true) {
         const succeeded = await saveUpdatedProject(
             transaction, projectKey, currentProjectData, projectDataNumber
         );
@@ -357,8 +922,143 @@ async function processDeletedObservation(
 }
 
 
+/**
+ * Applies an update to a project's data_number definition (its name and/or must_be_unique).
+ * When must_be_unique changes, the number is recomputed from the project's observations, since
+ * they must now be counted differently.
+ * 
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} projectKey The project's Datastore key.
+ * @param {object} currentDataNumber The project's current data_number.
+ * @param {object} dataNumberPatch The new data_number.name and/or data_number.must_be_unique.
+ * @return {Promise<?ProjectDataNumber>} The updated data_number to save (null on error).
+ */
+async function processUpdatedProjectDataNumber(transaction, projectKey, currentDataNumber, dataNumberPatch) {
+    const projectDataNumber = new ProjectDataNumber(currentDataNumber);
+    if (dataNumberPatch.name !== undefined) {
+        projectDataNumber.name = dataNumberPatch.name;
+    }
+
+    if (
+        dataNumberPatch.must_be_unique !== undefined
+        && dataNumberPatch.must_be_unique !== projectDataNumber.must_be_unique
+    ) {
+        const observationDataNumbers = await getObservationDataNumbers(transaction, projectKey);
+        if (observationDataNumbers === null) {
+            return null;
+        }
+
+        /* Keep the project's starting number, deriving it (if it was never recorded) while the
+         * observations are still counted the old way. */
+        projectDataNumber.deriveInitialNumber(observationDataNumbers);
+        projectDataNumber.must_be_unique = dataNumberPatch.must_be_unique;
+        projectDataNumber.recompute(observationDataNumbers);
+    }
+    return projectDataNumber;
+}
+
+
+/**
+ * Rebuilds a project's data_number.number from all of its observations, correcting any drift
+ * left by failed writes or manual edits to Datastore. Only the teacher who owns the project
+ * may do so.
+ * 
+ * @param {string} projectId The Datastore ID of the project.
+ * @param {string} authReceived The authorization header received from the client.
+ * @param {boolean} dryRun [optional] Whether to only report the recalculated number without
+ * saving it.
+ * @param {string} clientIp [optional] The client's IP address (null if unknown).
+ * @return {Promise<ServerResponse>} The status code and content to send to the client.
+ */
+async function recomputeProjectDataNumber(projectId, authReceived, dryRun = false, clientIp = null) {
+    const transaction = ds.datastore.transaction();
+    try {
+        await transaction.run();
+
+        /* Get the project, returning 404 if it does not exist. */
+        const projectKey = ds.generateDatastoreKey(constants.PROJECT, projectId);
+        const [projectData] = await transaction.get(projectKey);
+        if (projectData === undefined) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": constants.ITEM_NOT_FOUND}
+            );
+        }
+
+        /* Ensure the credentials provided belong to the teacher who owns the project. Any
+         * changes made to the teacher's credential while validating are committed below
+         * (even for a dry run). */
+        const responseInfo = await auth.validateAuthHeader(
+            transaction,
+            authReceived,
+            projectData.teacher_id,
+            clientIp
+        );
+        if (responseInfo !== null) {
+            await auth.rollbackFailedValidation(transaction, responseInfo);
+            return responseInfo;
+        }
+
+        /* Recalculate the number from the data_numbers of all of the project's observations. */
+        const observationDataNumbers = await getObservationDataNumbers(transaction, projectKey);
+        if (observationDataNumbers === null) {
+            await transaction.rollback();
+            return new ServerResponse(
+                500,
+                {"error": constants.SERVER_ERROR}
+            );
+        }
+        const projectDataNumber = new ProjectDataNumber(projectData.data_number);
+        const oldNumber = projectDataNumber.number;
+        const initialNumberDerived = projectDataNumber.deriveInitialNumber(observationDataNumbers);
+        const numberChanged = projectDataNumber.recompute(observationDataNumbers);
+
+        /* Save the recalculated number (and any initial_number derived for a project created
+         * before it was recorded) unless this is a dry run. */
+        if ((numberChanged === true || initialNumberDerived === true) && dryRun === false) {
+            const succeeded = await saveUpdatedProject(
+                transaction, projectKey, projectData, projectDataNumber
+            );
+            if (!succeeded) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    500,
+                    {"error": constants.SERVER_ERROR}
+                );
+            }
+        }
+        await transaction.commit();
+
+        return new ServerResponse(
+            200,
+            {
+                "old_number": oldNumber,
+                "new_number": projectDataNumber.number,
+                "observations_counted": observationDataNumbers.length,
+                "dry_run": dryRun
+            }
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+
 module.exports = {
+    "ProjectMetric": ProjectMetric,
+    "validateMetricValues": validateMetricValues,
+    "resolveObservationDescription": resolveObservationDescription,
+    "resolveExistingDescriptions": resolveExistingDescriptions,
     "processPostedObservation": processPostedObservation,
+    "processPostedObservations": processPostedObservations,
     "processUpdatedObservation": processUpdatedObservation,
-    "processDeletedObservation": processDeletedObservation
+    "processDeletedObservation": processDeletedObservation,
+    "processUpdatedProjectDataNumber": processUpdatedProjectDataNumber,
+    "recomputeProjectDataNumber": recomputeProjectDataNumber
 };
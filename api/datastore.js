@@ -1,4 +1,19 @@
-const {Datastore} = require('@google-cloud/datastore');
+/* The persistence backends that can be selected with the DATASTORE_BACKEND environment
+ * variable. Each one maps to a function returning the backend's Datastore class, loaded lazily
+ * so that backends which are not selected (and their dependencies) are never loaded. */
+const BACKENDS = {
+    "cloud": () => require('@google-cloud/datastore').Datastore,
+    "memory": () => require('./memory-datastore').MemoryDatastore
+};
+
+/* The persistence backend chosen at startup (defaults to Google Cloud Datastore). */
+const DATASTORE_BACKEND = process.env.DATASTORE_BACKEND || 'cloud';
+if (Object.keys(BACKENDS).includes(DATASTORE_BACKEND) === false) {
+    throw `Unknown DATASTORE_BACKEND "${DATASTORE_BACKEND}" (expected one of: `
+        + `${Object.keys(BACKENDS).join(', ')}).`;
+}
+
+const Datastore = BACKENDS[DATASTORE_BACKEND]();
 const datastore = new Datastore();
  
 /**
@@ -138,6 +153,7 @@ async function teacherExists(transaction, id) {
 
 
 module.exports = {
+    "DATASTORE_BACKEND": DATASTORE_BACKEND,
     "Datastore": Datastore,
     "datastore": datastore,
     "getDatastoreId": getDatastoreId,
@@ -18,6 +18,28 @@ class Property {
 }
 
 
+/**
+ * @class Defines a property by which entities of a type can be filtered when listing them.
+ */
+class FilterableProperty {
+    /**
+     * Instantiates a new FilterableProperty object.
+     * 
+     * @constructor
+     * @param {string} name The name of the property (dot notation for embedded properties)
+     * @param {Function} parser A function converting a value received in the query string to the
+     * value stored in Datastore (returning undefined if the value is invalid)
+     * @param {string[]} operators [optional] The comparison operators allowed for this property
+     * (any of "eq", "lt", "lte", "gt" and "gte")
+     */
+    constructor(name, parser, operators = ["eq"]) {
+        this.name = name;
+        this.parser = parser;
+        this.operators = operators;
+    }
+}
+
+
 /**
  * @class Represents a type of Datastore entity and its required properties
  */
@@ -36,6 +58,18 @@ class EntityType {
      * @param {boolean} requiresEmbeddedSelfLinks [optional] Whether this entity needs embedded
      * self links added before sending entity data to client.
      * @param {Function} addEmbeddedSelfLinks [optional] Replaces foreign key IDs with id + self link
+     * @param {string} ancestorCollectionName [optional] The collection name of the root entities
+     * under which entities of this type are stored (null for root-level entity types)
+     * @param {FilterableProperty[]} filterableProperties [optional] The properties by which entities
+     * of this type can be filtered when listing them
+     * @param {string[]} sortableProperties [optional] The properties by which entities of this type
+     * can be sorted when listing them
+     * @param {number} maxLimit [optional] The largest page size a client can request when listing
+     * entities of this type (defaults to maxPerPage)
+     * @param {string[]} searchableProperties [optional] The string properties (dot notation for
+     * embedded properties) whose words are indexed for full-text search
+     * @param {string} locationProperty [optional] The property holding each entity's location
+     * (latitude and longitude), indexed by geohash so that entities can be filtered by bounding box
      */
     constructor(
         entityTypeName, 
@@ -45,7 +79,13 @@ class EntityType {
         methodsRequiringCredentials,
         imageLocation = null, 
         requiresEmbeddedSelfLinks = false,
-        addEmbeddedSelfLinks = null
+        addEmbeddedSelfLinks = null,
+        ancestorCollectionName = null,
+        filterableProperties = [],
+        sortableProperties = [],
+        maxLimit = null,
+        searchableProperties = [],
+        locationProperty = null
     ) {
         this.entityTypeName = entityTypeName;
         this.maxPerPage = maxPerPage;
@@ -55,6 +95,12 @@ class EntityType {
         this.imageLocation = imageLocation;
         this.requiresEmbeddedSelfLinks = requiresEmbeddedSelfLinks;
         this.addEmbeddedSelfLinks = addEmbeddedSelfLinks;
+        this.ancestorCollectionName = ancestorCollectionName;
+        this.filterableProperties = filterableProperties;
+        this.sortableProperties = sortableProperties;
+        this.maxLimit = maxLimit === null ? maxPerPage : maxLimit;
+        this.searchableProperties = searchableProperties;
+        this.locationProperty = locationProperty;
     }
 
 
@@ -121,6 +167,54 @@ class EntityType {
         return this.imageLocation;
     }
 
+    /**
+     * Gets the definition of a property by which entities of this type can be filtered.
+     * 
+     * @param {string} name The name of the property
+     * @return {?FilterableProperty} The property's definition (null if it cannot be filtered by)
+     */
+    getFilterableProperty(name) {
+        const matchingProperty = this.filterableProperties.find(prop => prop.name === name);
+        return matchingProperty === undefined ? null : matchingProperty;
+    }
+
+    /**
+     * Verifies whether entities of this type can be sorted by the given property.
+     * 
+     * @param {string} name The name of the property
+     * @return {boolean} Whether entities can be sorted by that property
+     */
+    isSortable(name) {
+        return this.sortableProperties.includes(name);
+    }
+
+    /**
+     * Verifies whether entities of this type are indexed for full-text search.
+     * 
+     * @return {boolean} Whether entities of this type can be searched
+     */
+    isSearchable() {
+        return this.searchableProperties.length > 0;
+    }
+
+    /**
+     * Verifies whether entities of this type have a location by which they can be filtered.
+     * 
+     * @return {boolean} Whether entities of this type can be filtered by bounding box
+     */
+    isGeoFilterable() {
+        return this.locationProperty !== null;
+    }
+
+    /**
+     * Gets the name of the property in which the geohashes of each entity's location are indexed.
+     * 
+     * @return {?string} The name of the property (null if entities of this type have no location)
+     */
+    getGeohashPropertyName() {
+        return this.locationProperty === null ? null : this.locationProperty + "_geohashes";
+    }
+
     /**
      * Verifies whether the HTTP method the client is using requires credentials.
      * 
@@ -135,5 +229,6 @@ class EntityType {
 
 module.exports = {
     "Property": Property,
+    "FilterableProperty": FilterableProperty,
     "EntityType": EntityType
 }
@@ -0,0 +1,296 @@
+const constants = require('./constants');
+const ds = require('./datastore');
+
+/* The characters of the base-32 alphabet used by geohashes. */
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/* The gRPC status code Datastore uses for invalid arguments (such as malformed cursors). */
+const INVALID_ARGUMENT = 3;
+
+/* Separates the index of the geohash cell being queried from the Datastore cursor within that cell
+ * in the cursors of bounding-box queries. */
+const CURSOR_SEPARATOR = ":";
+
+
+/**
+ * Finds the size of the geohash cells of the given precision.
+ *
+ * @param {number} precision The number of characters in the geohashes.
+ * @return {object} The width ("longitude") and height ("latitude") of each cell, in degrees.
+ */
+function getCellSize(precision) {
+    const bits = precision * 5;
+    const longitudeBits = Math.ceil(bits / 2);
+    const latitudeBits = Math.floor(bits / 2);
+    return {
+        "longitude": 360 / Math.pow(2, longitudeBits),
+        "latitude": 180 / Math.pow(2, latitudeBits)
+    };
+}
+
+
+/**
+ * Encodes a point as a geohash, whose prefixes identify ever larger cells containing the point
+ * (e.g. "c20fb" is within "c20f", which is within "c20").
+ *
+ * @param {number} latitude The latitude of the point.
+ * @param {number} longitude The longitude of the point.
+ * @param {number} precision The number of characters in the geohash.
+ * @return {string} The geohash.
+ */
+function encodeGeohash(latitude, longitude, precision) {
+    let latitudeRange = [-90, 90];
+    let longitudeRange = [-180, 180];
+    let geohash = "";
+    let bit = 0;
+    let characterIndex = 0;
+    let isLongitudeBit = true;
+    while (geohash.length < precision) {
+        const range = isLongitudeBit === true ? longitudeRange : latitudeRange;
+        const value = isLongitudeBit === true ? longitude : latitude;
+        const middle = (range[0] + range[1]) / 2;
+        characterIndex *= 2;
+        if (value >= middle) {
+            characterIndex++;
+            range[0] = middle;
+        } else {
+            range[1] = middle;
+        }
+        isLongitudeBit = !isLongitudeBit;
+
+        bit++;
+        if (bit === 5) {
+            geohash += GEOHASH_ALPHABET[characterIndex];
+            bit = 0;
+            characterIndex = 0;
+        }
+    }
+    return geohash;
+}
+
+
+/**
+ * Builds the geohash index of a location: the geohashes of every cell containing it, from
+ * 1 to GEOHASH_PRECISION characters long. Stored alongside the location so that bounding-box
+ * queries can be served with equality filters.
+ *
+ * @param {object} location The location (with latitude and longitude).
+ * @return {string[]} The geohashes of the cells containing the location.
+ */
+function getGeohashes(location) {
+    const geohash = encodeGeohash(location.latitude, location.longitude, constants.GEOHASH_PRECISION);
+    const geohashes = [];
+    for (let length = 1; length <= geohash.length; length++) {
+        geohashes.push(geohash.substring(0, length));
+    }
+    return geohashes;
+}
+
+
+/**
+ * Adds or removes the geohash index of an entity's location (before the entity is saved), so that
+ * it stays in step with the location.
+ *
+ * @param {EntityType} entityType The EntityType of the entity.
+ * @param {object} entityData The entity's data (updated in place).
+ */
+function indexLocation(entityType, entityData) {
+    if (entityType.isGeoFilterable() === false) {
+        return;
+    }
+    const location = entityData[entityType.locationProperty];
+    if (location === undefined || location === null) {
+        delete entityData[entityType.getGeohashPropertyName()];
+    } else {
+        entityData[entityType.getGeohashPropertyName()] = getGeohashes(location);
+    }
+}
+
+
+/**
+ * Removes the geohash index of an entity's location before the entity is sent to the client.
+ *
+ * @param {EntityType} entityType The EntityType of the entity.
+ * @param {object} entity The entity's data (updated in place).
+ */
+function removeGeohashes(entityType, entity) {
+    if (entityType.isGeoFilterable() === true) {
+        delete entity[entityType.getGeohashPropertyName()];
+    }
+}
+
+
+/**
+ * Parses the bbox query parameter, of the form minLongitude,minLatitude,maxLongitude,maxLatitude
+ * (in decimal degrees). Throws an error message (to send to the client) if it is invalid. Bounding
+ * boxes crossing the antimeridian are not supported.
+ *
+ * @param {*} bboxParam The bbox query parameter.
+ * @return {object} The bounding box (with minLongitude, minLatitude, maxLongitude and maxLatitude).
+ */
+function parseBbox(bboxParam) {
+    const error = "The bbox must take the form bbox=minLon,minLat,maxLon,maxLat (in decimal degrees, "
+        + "with minLon no greater than maxLon and minLat no greater than maxLat).";
+    if (typeof(bboxParam) !== constants.STRING) {
+        throw error;
+    }
+    const values = bboxParam.split(",").map(value => value.trim() === "" ? NaN : Number(value));
+    if (values.length !== 4 || values.every(value => Number.isFinite(value)) === false) {
+        throw error;
+    }
+    const [minLongitude, minLatitude, maxLongitude, maxLatitude] = values;
+    if (
+        minLongitude < -180 || maxLongitude > 180 || minLongitude > maxLongitude
+        || minLatitude < -90 || maxLatitude > 90 || minLatitude > maxLatitude
+    ) {
+        throw error;
+    }
+    return {
+        "minLongitude": minLongitude,
+        "minLatitude": minLatitude,
+        "maxLongitude": maxLongitude,
+        "maxLatitude": maxLatitude,
+        "valueReceived": bboxParam
+    };
+}
+
+
+/**
+ * Finds the geohash cells covering a bounding box, using the most precise cells of which at
+ * most MAX_BBOX_CELLS are needed.
+ *
+ * @param {object} bbox The bounding box (see parseBbox).
+ * @return {string[]} The geohashes of the covering cells.
+ */
+function getCoveringCells(bbox) {
+    for (let precision = constants.GEOHASH_PRECISION; precision >= 1; precision--) {
+        /* Find the range of cell columns and rows the bounding box spans at this precision. */
+        const cellSize = getCellSize(precision);
+        const columns = Math.round(360 / cellSize.longitude);
+        const rows = Math.round(180 / cellSize.latitude);
+        const firstColumn = Math.floor((bbox.minLongitude + 180) / cellSize.longitude);
+        const lastColumn = Math.min(Math.floor((bbox.maxLongitude + 180) / cellSize.longitude), columns - 1);
+        const firstRow = Math.floor((bbox.minLatitude + 90) / cellSize.latitude);
+        const lastRow = Math.min(Math.floor((bbox.maxLatitude + 90) / cellSize.latitude), rows - 1);
+        if ((lastColumn - firstColumn + 1) * (lastRow - firstRow + 1) > constants.MAX_BBOX_CELLS) {
+            continue;
+        }
+
+        /* Encode the center of each cell to find its geohash. */
+        const cells = [];
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let column = firstColumn; column <= lastColumn; column++) {
+                cells.push(encodeGeohash(
+                    (row + 0.5) * cellSize.latitude - 90,
+                    (column + 0.5) * cellSize.longitude - 180,
+                    precision
+                ));
+            }
+        }
+        return cells;
+    }
+
+    /* Every bounding box is covered by at most 32 of the largest cells. */
+    return [...GEOHASH_ALPHABET];
+}
+
+
+/**
+ * Determines whether a location lies within a bounding box.
+ *
+ * @param {object} location The location (with latitude and longitude), if any.
+ * @param {object} bbox The bounding box (see parseBbox).
+ * @return {boolean} Whether the location is within the bounding box (inclusive of its edges).
+ */
+function isWithinBbox(location, bbox) {
+    return location !== undefined
+        && location !== null
+        && location.longitude >= bbox.minLongitude
+        && location.longitude <= bbox.maxLongitude
+        && location.latitude >= bbox.minLatitude
+        && location.latitude <= bbox.maxLatitude;
+}
+
+
+/**
+ * Creates an error like the one Datastore throws for invalid cursors.
+ *
+ * @return {Error} The error.
+ */
+function createInvalidCursorError() {
+    const err = new Error("The start cursor provided is not a valid bounding-box query cursor.");
+    err.code = INVALID_ARGUMENT;
+    return err;
+}
+
+
+/**
+ * Fetches a page of the entities whose locations lie within a bounding box, by querying each
+ * geohash cell covering the bounding box in turn (with an equality filter on the entities'
+ * geohash index) and keeping only the entities actually within the bounding box. The cursor
+ * returned records the cell reached along with the Datastore cursor within that cell.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {Function} createQuery Creates a new Datastore query for the collection being listed
+ * (limited to its ancestor or owner).
+ * @param {EntityType} entityType The EntityType of the entities (which must be geo-filterable).
+ * @param {object} bbox The bounding box (see parseBbox).
+ * @param {number} limit The maximum number of entities to return.
+ * @param {string} startCursor [optional] The cursor at which to continue a previous query.
+ * @return {Promise<Array>} The entities found and the cursor at which to continue (null if there
+ * are no more results).
+ */
+async function runBboxQuery(transaction, createQuery, entityType, bbox, limit, startCursor = null) {
+    const cells = getCoveringCells(bbox);
+
+    /* Resume from the cell (and Datastore cursor within it) recorded in the start cursor. */
+    let cellIndex = 0;
+    let cellCursor = null;
+    if (startCursor !== null) {
+        const separatorIndex = startCursor.indexOf(CURSOR_SEPARATOR);
+        const cellIndexReceived = startCursor.substring(0, separatorIndex);
+        if (separatorIndex < 1 || /^[0-9]+$/.test(cellIndexReceived) === false) {
+            throw createInvalidCursorError();
+        }
+        cellIndex = parseInt(cellIndexReceived, 10);
+        cellCursor = startCursor.substring(separatorIndex + 1) || null;
+        if (cellIndex >= cells.length) {
+            throw createInvalidCursorError();
+        }
+    }
+
+    const entities = [];
+    while (entities.length < limit && cellIndex < cells.length) {
+        const query = createQuery();
+        query.filter(entityType.getGeohashPropertyName(), "=", cells[cellIndex]);
+        query.limit(limit - entities.length);
+        if (cellCursor !== null) {
+            query.start(cellCursor);
+        }
+        const [cellEntities, info] = await transaction.runQuery(query);
+        entities.push(
+            ...cellEntities.filter(entity => isWithinBbox(entity[entityType.locationProperty], bbox))
+        );
+
+        /* Move on to the next cell once this one has been exhausted. */
+        if (info.moreResults === ds.Datastore.NO_MORE_RESULTS) {
+            cellIndex++;
+            cellCursor = null;
+        } else {
+            cellCursor = info.endCursor;
+        }
+    }
+
+    const endCursor = cellIndex < cells.length ?
+        cellIndex + CURSOR_SEPARATOR + (cellCursor === null ? "" : cellCursor) :
+        null;
+    return [entities, endCursor];
+}
+
+module.exports = {
+    "getGeohashes": getGeohashes,
+    "indexLocation": indexLocation,
+    "removeGeohashes": removeGeohashes,
+    "parseBbox": parseBbox,
+    "runBboxQuery": runBboxQuery
+};
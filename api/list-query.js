@@ -0,0 +1,243 @@
+const constants = require('./constants');
+const geo = require('./geo');
+
+/* The operators accepted in filter[property][operator] query parameters, mapped to the
+ * Datastore operators they stand for. */
+const FILTER_OPERATORS = {
+    "eq": "=",
+    "lt": "<",
+    "lte": "<=",
+    "gt": ">",
+    "gte": ">="
+};
+
+/**
+ * @class The filters, sort order and page size requested when listing a collection, parsed from
+ * query parameters of the forms filter[property]=value, filter[property][operator]=value,
+ * sort=property (or sort=-property for descending order), limit=number and total_count=true, along
+ * with bbox=minLon,minLat,maxLon,maxLat for collections whose entities have a location. Only the
+ * filters and sort orders whitelisted on the collection's EntityType are accepted, and the limit
+ * cannot exceed the EntityType's maxLimit.
+ */
+class ListQuery {
+    /**
+     * Parses and validates the query parameters received with a request to list a collection.
+     * Throws an error message (to send to the client) if any parameter is invalid or if the
+     * combination of parameters cannot be served by Datastore.
+     *
+     * @constructor
+     * @param {object} requestQuery The query parameters received from the client (as parsed by Express).
+     * @param {EntityType} entityType The EntityType of the collection being listed.
+     */
+    constructor(requestQuery, entityType) {
+        this.filters = [];
+        this.sort = null;
+        this.limit = entityType.maxPerPage;
+        this.limitReceived = false;
+        this.includeTotalCount = false;
+        this.bbox = null;
+
+        const queryKeys = Object.keys(requestQuery);
+        if (queryKeys.includes("filter") === true) {
+            this.parseFilters(requestQuery.filter, entityType);
+        }
+        if (queryKeys.includes("sort") === true) {
+            this.parseSort(requestQuery.sort, entityType);
+        }
+        if (queryKeys.includes("limit") === true) {
+            this.parseLimit(requestQuery.limit, entityType);
+        }
+        if (queryKeys.includes("total_count") === true) {
+            this.parseTotalCount(requestQuery.total_count);
+        }
+        if (queryKeys.includes("bbox") === true) {
+            if (entityType.isGeoFilterable() === false) {
+                throw "Filtering by bbox is not supported.";
+            }
+            this.bbox = geo.parseBbox(requestQuery.bbox);
+        }
+        this.validateCombination();
+    }
+
+    /**
+     * Parses the filter query parameters.
+     *
+     * @private
+     * @param {object} filterParams The filter parameters, keyed by property name.
+     * @param {EntityType} entityType The EntityType of the collection being listed.
+     */
+    parseFilters(filterParams, entityType) {
+        if (typeof(filterParams) !== constants.OBJECT || Array.isArray(filterParams) === true) {
+            throw "Filters must take the form filter[property]=value or filter[property][operator]=value.";
+        }
+
+        for (const propertyName of Object.keys(filterParams)) {
+            const filterableProperty = entityType.getFilterableProperty(propertyName);
+            if (filterableProperty === null) {
+                throw `Filtering by "${propertyName}" is not supported.`;
+            }
+
+            /* A value given without an operator is compared for equality. */
+            let comparisons = filterParams[propertyName];
+            if (typeof(comparisons) === constants.STRING) {
+                comparisons = {"eq": comparisons};
+            } else if (typeof(comparisons) !== constants.OBJECT || Array.isArray(comparisons) === true) {
+                throw `Only one value can be given for each filter on "${propertyName}".`;
+            }
+
+            for (const operator of Object.keys(comparisons)) {
+                if (filterableProperty.operators.includes(operator) === false) {
+                    throw `The "${operator}" operator is not supported when filtering by "${propertyName}" `
+                        + `(expected one of: ${filterableProperty.operators.join(', ')}).`;
+                }
+                const valueReceived = comparisons[operator];
+                const value = filterableProperty.parser(valueReceived);
+                if (value === undefined) {
+                    throw `The value given for the "${operator}" filter on "${propertyName}" is invalid.`;
+                }
+                this.filters.push({
+                    "property": propertyName,
+                    "operator": operator,
+                    "value": value,
+                    "valueReceived": valueReceived
+                });
+            }
+        }
+    }
+
+    /**
+     * Parses the sort query parameter.
+     *
+     * @private
+     * @param {string} sortParam The property to sort by (prefixed with "-" for descending order).
+     * @param {EntityType} entityType The EntityType of the collection being listed.
+     */
+    parseSort(sortParam, entityType) {
+        if (typeof(sortParam) !== constants.STRING || sortParam.includes(",") === true) {
+            throw "Results can only be sorted by one property, given as sort=property or sort=-property.";
+        }
+        const descending = sortParam.startsWith("-");
+        const propertyName = descending === true ? sortParam.substring(1) : sortParam;
+        if (entityType.isSortable(propertyName) === false) {
+            throw `Sorting by "${propertyName}" is not supported.`;
+        }
+        this.sort = {"property": propertyName, "descending": descending};
+    }
+
+    /**
+     * Parses the limit query parameter.
+     *
+     * @private
+     * @param {string} limitParam The maximum number of entities to return.
+     * @param {EntityType} entityType The EntityType of the collection being listed.
+     */
+    parseLimit(limitParam, entityType) {
+        const limit = typeof(limitParam) === constants.STRING && /^[0-9]+$/.test(limitParam) === true ?
+            parseInt(limitParam, 10) :
+            0;
+        if (limit < 1 || limit > entityType.maxLimit) {
+            throw `The limit must be an integer from 1 to ${entityType.maxLimit}.`;
+        }
+        this.limit = limit;
+        this.limitReceived = true;
+    }
+
+    /**
+     * Parses the total_count query parameter.
+     *
+     * @private
+     * @param {string} totalCountParam Whether to count all entities matching the filters ("true" or "false").
+     */
+    parseTotalCount(totalCountParam) {
+        if (totalCountParam !== "true" && totalCountParam !== "false") {
+            throw "total_count must be either true or false.";
+        }
+        this.includeTotalCount = totalCountParam === "true";
+    }
+
+    /**
+     * Ensures that Datastore can serve the requested filters and sort order together: inequality
+     * filters may only apply to one property, and results must then be sorted by that property first.
+     * Bounding-box filters are served by a separate query per geohash cell, so they cannot be
+     * combined with other filters, a sort order or a total count. Every combination accepted here
+     * must also have a composite index in index.yaml (see the comments there), so update it along
+     * with the filterable and sortable properties of each collection.
+     *
+     * @private
+     */
+    validateCombination() {
+        if (
+            this.bbox !== null
+            && (this.filters.length > 0 || this.sort !== null || this.includeTotalCount === true)
+        ) {
+            throw "The bbox filter cannot be combined with other filters, sort or total_count.";
+        }
+        const inequalityProperties = new Set(
+            this.filters.filter(filter => filter.operator !== "eq").map(filter => filter.property)
+        );
+        if (inequalityProperties.size > 1) {
+            throw "Filters other than eq can only be applied to one property at a time.";
+        }
+        const inequalityProperty = [...inequalityProperties][0];
+        if (inequalityProperty !== undefined && this.sort !== null && this.sort.property !== inequalityProperty) {
+            throw `Results filtered with operators other than eq on "${inequalityProperty}" `
+                + "can only be sorted by that property.";
+        }
+    }
+
+    /**
+     * Adds the filters (but not the sort order or limit) to a Datastore query, e.g. to count
+     * all matching entities.
+     *
+     * @param {object} query The Datastore query.
+     */
+    applyFiltersTo(query) {
+        for (const filter of this.filters) {
+            query.filter(filter.property, FILTER_OPERATORS[filter.operator], filter.value);
+        }
+    }
+
+    /**
+     * Adds the filters, sort order and limit to a Datastore query.
+     *
+     * @param {object} query The Datastore query.
+     */
+    applyTo(query) {
+        this.applyFiltersTo(query);
+        if (this.sort !== null) {
+            query.order(this.sort.property, {"descending": this.sort.descending});
+        }
+        query.limit(this.limit);
+    }
+
+    /**
+     * Builds the query parameters to include in links to other pages of results, so that they
+     * keep the same filters, sort order, limit and total count.
+     *
+     * @return {string} The query parameters (each preceded by "&"; an empty string if there are none).
+     */
+    toQueryString() {
+        let queryString = "";
+        for (const filter of this.filters) {
+            queryString += `&filter[${encodeURIComponent(filter.property)}][${filter.operator}]=`
+                + encodeURIComponent(filter.valueReceived);
+        }
+        if (this.sort !== null) {
+            queryString += "&sort=" + (this.sort.descending === true ? "-" : "") + encodeURIComponent(this.sort.property);
+        }
+        if (this.limitReceived === true) {
+            queryString += "&limit=" + this.limit;
+        }
+        if (this.includeTotalCount === true) {
+            queryString += "&total_count=true";
+        }
+        if (this.bbox !== null) {
+            queryString += "&bbox=" + encodeURIComponent(this.bbox.valueReceived);
+        }
+        return queryString;
+    }
+}
+
+module.exports = {
+    "ListQuery": ListQuery
+};
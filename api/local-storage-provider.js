@@ -0,0 +1,125 @@
+/* Import Node filesystem and path functionality. */
+const fs = require('fs');
+const path = require('path');
+
+/* Import constants. */
+const constants = require('./constants');
+
+/* Import ParsedImageUrl class. */
+const piu = require('./parsed-image-url');
+const ParsedImageUrl = piu.ParsedImageUrl;
+
+/* Map of image file extensions to the MIME types they are served as. */
+const EXTENSION_MIME_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png"
+};
+
+/* Characters allowed in the names of stored image files. */
+const VALID_FILE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+
+/**
+ * @class Stores images in a directory on the local filesystem. Images are served by
+ * this API at GET /images/:fileName.
+ */
+class LocalStorageProvider {
+    /**
+     * Instantiates a new LocalStorageProvider, creating its directory if needed.
+     *
+     * @constructor
+     * @param {string} directory The directory in which to store images.
+     */
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        fs.mkdirSync(this.directory, {recursive: true});
+    }
+
+    /**
+     * Writes the given image to the storage directory.
+     *
+     * @param {object} imageFile The file retrieved by Multer that was sent with this request.
+     * @param {string} fileName The name under which to store the image.
+     * @param {string} baseUrl The base URL to which the upload request was sent.
+     * @return {Promise<string>} The URL at which the image is served by this API.
+     */
+    async writeImage(imageFile, fileName, baseUrl) {
+        /* Restrict the file name to safe characters and ensure its extension matches
+         * its MIME type so that it is served with the correct Content-Type. */
+        let safeFileName = fileName.replace(/[^A-Za-z0-9._-]/g, '_');
+        const extension = path.extname(safeFileName).toLowerCase();
+        if (EXTENSION_MIME_TYPES[extension] !== imageFile.mimetype) {
+            safeFileName += imageFile.mimetype === 'image/png' ? '.png' : '.jpg';
+        }
+
+        await fs.promises.writeFile(path.join(this.directory, safeFileName), imageFile.buffer);
+        return `${baseUrl}/${constants.IMAGES}/${safeFileName}`;
+    }
+
+    /**
+     * Gets the path of a stored image on the local filesystem.
+     *
+     * @param {string} fileName The name of the image file.
+     * @return {Promise<?string>} The absolute path of the image (null if it does not exist).
+     */
+    async getImagePath(fileName) {
+        /* Reject names that could escape the storage directory or are not images. */
+        if (VALID_FILE_NAME.test(fileName) === false) {
+            return null;
+        }
+        const extension = path.extname(fileName).toLowerCase();
+        if (Object.keys(EXTENSION_MIME_TYPES).includes(extension) === false) {
+            return null;
+        }
+
+        const imagePath = path.join(this.directory, fileName);
+        try {
+            const stats = await fs.promises.stat(imagePath);
+            return stats.isFile() ? imagePath : null;
+        } catch(err) {
+            return null;
+        }
+    }
+
+    /**
+     * Validates that the URL points to GET /images/:fileName on this API and that
+     * the image exists in the storage directory.
+     *
+     * @param {string} imageUrl The URL at which the image is located.
+     * @param {string} baseUrl The base URL to which the current request was sent.
+     * @return {Promise<boolean>} Whether the URL represents a valid stored image.
+     */
+    async validateImageUrl(imageUrl, baseUrl) {
+        try {
+            const parsedImageUrl = new ParsedImageUrl(imageUrl);
+            if (parsedImageUrl.baseUrl !== baseUrl) {
+                return false;
+            } else if (parsedImageUrl.bucketName !== constants.IMAGES) {
+                return false;
+            }
+            return await this.getImagePath(parsedImageUrl.fileName) !== null;
+        } catch(err) {
+            return false;
+        }
+    }
+
+    /**
+     * Deletes the image at the provided URL from the storage directory.
+     *
+     * @param {string} imageUrl The URL of the image.
+     * @return {Promise<void>}
+     */
+    async deleteImage(imageUrl) {
+        const parsedImageUrl = new ParsedImageUrl(imageUrl);
+        const imagePath = await this.getImagePath(parsedImageUrl.fileName);
+        if (imagePath === null) {
+            throw `No stored image exists at ${imageUrl}.`;
+        }
+        await fs.promises.unlink(imagePath);
+    }
+}
+
+module.exports = {
+    "LocalStorageProvider": LocalStorageProvider
+};
@@ -0,0 +1,48 @@
+/* Import constants. */
+const constants = require('./constants');
+
+/* The mailers that can be selected with the MAILER_BACKEND environment variable.
+ * Each one maps to a function constructing the mailer, loaded lazily so that mailers
+ * which are not selected (and their dependencies) are never loaded. */
+const MAILERS = {
+    "smtp": () => {
+        const sm = require('./smtp-mailer');
+        return new sm.SmtpMailer({
+            "host": constants.SMTP_HOST,
+            "port": constants.SMTP_PORT,
+            "secure": constants.SMTP_SECURE,
+            "user": constants.SMTP_USER,
+            "password": constants.SMTP_PASSWORD
+        }, constants.MAIL_FROM);
+    },
+    "outbox": () => {
+        const om = require('./outbox-mailer');
+        return new om.OutboxMailer(constants.OUTBOX_DIRECTORY, constants.MAIL_FROM);
+    }
+};
+
+if (Object.keys(MAILERS).includes(constants.MAILER_BACKEND) === false) {
+    throw `Unknown MAILER_BACKEND "${constants.MAILER_BACKEND}" (expected one of: `
+        + `${Object.keys(MAILERS).join(', ')}).`;
+}
+
+/* The mailer chosen at startup. Every mailer implements sendMail. */
+const mailer = MAILERS[constants.MAILER_BACKEND]();
+
+
+/**
+ * Sends a plain-text email using the current mailer.
+ * 
+ * @param {string} to The recipient's address.
+ * @param {string} subject The subject line.
+ * @param {string} text The plain-text body.
+ * @return {Promise<void>}
+ */
+async function sendMail(to, subject, text) {
+    await mailer.sendMail({"to": to, "subject": subject, "text": text});
+}
+
+
+module.exports = {
+    "sendMail": sendMail
+};
@@ -0,0 +1,749 @@
+/**
+ * In-memory stand-in for the subset of the @google-cloud/datastore API used by this project.
+ * Entities only live for the lifetime of the current process, which makes this backend
+ * suitable for local development and automated tests but not for production use.
+ */
+
+/* Symbol under which each entity's key is stored (mirrors Datastore.KEY). */
+const KEY_SYMBOL = Symbol('KEY');
+
+/* gRPC status codes reported by errors this backend throws (mirrors Cloud Datastore). */
+const INVALID_ARGUMENT = 3;
+const ABORTED = 10;
+
+
+/**
+ * @class Represents the key of an entity (kind + id or name, plus any ancestors).
+ */
+class Key {
+    /**
+     * Instantiates a new Key object from a flat key path.
+     *
+     * @constructor
+     * @param {Array<string|number>} path Alternating kinds and ids/names (the id of the
+     * final element may be omitted for an incomplete key).
+     */
+    constructor(path) {
+        const pathCopy = path.slice();
+        let identifier;
+        if (pathCopy.length % 2 === 0) {
+            identifier = pathCopy.pop();
+        }
+        this.kind = pathCopy.pop();
+
+        /* Numeric identifiers are ids, anything else is a name (as in Cloud Datastore). */
+        if (typeof(identifier) === 'number' || /^[0-9]+$/.test(identifier)) {
+            this.id = identifier;
+        } else if (identifier !== undefined) {
+            this.name = identifier;
+        }
+
+        this.parent = pathCopy.length > 0 ? new Key(pathCopy) : null;
+    }
+
+    /**
+     * Gets the full path of this key, including the paths of all ancestors.
+     *
+     * @return {Array<string|number>} The key path.
+     */
+    get path() {
+        const path = this.parent ? this.parent.path : [];
+        path.push(this.kind);
+        if (this.id !== undefined) {
+            path.push(this.id);
+        } else if (this.name !== undefined) {
+            path.push(this.name);
+        }
+        return path;
+    }
+
+    /**
+     * Serializes this key to a string that uniquely identifies the entity it points to.
+     * Ids are stringified so that numeric and string forms of the same id are equal.
+     *
+     * @return {string} The serialized key.
+     */
+    serialize() {
+        return JSON.stringify(this.path.map(element => String(element)));
+    }
+
+    /**
+     * Determines whether this key is the given ancestor key or one of its descendants.
+     *
+     * @param {Key} ancestorKey The potential ancestor.
+     * @return {boolean} Whether ancestorKey is an ancestor of (or equal to) this key.
+     */
+    hasAncestor(ancestorKey) {
+        const path = this.path.map(element => String(element));
+        const ancestorPath = ancestorKey.path.map(element => String(element));
+        if (ancestorPath.length > path.length) {
+            return false;
+        }
+        return ancestorPath.every((element, index) => element === path[index]);
+    }
+}
+
+
+/**
+ * @class A query against the in-memory Datastore, built with the same chainable
+ * methods as a Cloud Datastore query.
+ */
+class Query {
+    /**
+     * Instantiates a new Query object.
+     *
+     * @constructor
+     * @param {string} kind The kind of entity being queried.
+     */
+    constructor(kind) {
+        this.kind = kind;
+        this.ancestorKey = null;
+        this.filters = [];
+        this.orders = [];
+        this.selectVal = [];
+        this.limitVal = -1;
+        this.offsetVal = -1;
+        this.startVal = null;
+    }
+
+    /**
+     * Limits the query to descendants of the given key.
+     *
+     * @param {Key} key The ancestor key.
+     * @return {Query} This query (for chaining).
+     */
+    hasAncestor(key) {
+        this.ancestorKey = key;
+        return this;
+    }
+
+    /**
+     * Adds a property filter to the query. The operator may be omitted, defaulting to "=".
+     *
+     * @param {string} property The property name (dot notation for embedded properties).
+     * @param {string} operator One of "=", "<", "<=", ">", ">=".
+     * @param {*} value [optional] The value to compare against.
+     * @return {Query} This query (for chaining).
+     */
+    filter(property, operator, value) {
+        if (arguments.length === 2) {
+            value = operator;
+            operator = '=';
+        }
+        this.filters.push({"name": property, "op": operator, "val": value});
+        return this;
+    }
+
+    /**
+     * Sorts the results by the given property.
+     *
+     * @param {string} property The property name (dot notation for embedded properties).
+     * @param {object} options [optional] Pass {descending: true} to sort in descending order.
+     * @return {Query} This query (for chaining).
+     */
+    order(property, options = {}) {
+        this.orders.push({"name": property, "sign": options.descending ? '-' : '+'});
+        return this;
+    }
+
+    /**
+     * Turns the query into a projection query returning only the given properties.
+     *
+     * @param {string|string[]} fieldNames The property names ("__key__" for keys only).
+     * @return {Query} This query (for chaining).
+     */
+    select(fieldNames) {
+        this.selectVal = Array.isArray(fieldNames) ? fieldNames : [fieldNames];
+        return this;
+    }
+
+    /**
+     * Limits the number of results returned.
+     *
+     * @param {number} n The maximum number of results.
+     * @return {Query} This query (for chaining).
+     */
+    limit(n) {
+        this.limitVal = n;
+        return this;
+    }
+
+    /**
+     * Skips the given number of results.
+     *
+     * @param {number} n The number of results to skip.
+     * @return {Query} This query (for chaining).
+     */
+    offset(n) {
+        this.offsetVal = n;
+        return this;
+    }
+
+    /**
+     * Starts the query at the given cursor.
+     *
+     * @param {string} cursor An end cursor returned by a previous run of this query.
+     * @return {Query} This query (for chaining).
+     */
+    start(cursor) {
+        this.startVal = cursor;
+        return this;
+    }
+}
+
+
+/**
+ * Reads a (possibly embedded) property from entity data using dot notation.
+ *
+ * @param {object} data The entity data.
+ * @param {string} propertyName The property name, e.g. "data_number.description".
+ * @return {*} The property value (undefined if it does not exist).
+ */
+function getPropertyValue(data, propertyName) {
+    let value = data;
+    for (const part of propertyName.split('.')) {
+        if (value === null || typeof(value) !== 'object') {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+
+/**
+ * Compares two property values the way Datastore orders values of the same type.
+ *
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @return {number} Negative if a < b, positive if a > b, 0 if equal.
+ */
+function compareValues(a, b) {
+    if (a === b) {
+        return 0;
+    } else if (a === null || a === undefined) {
+        return -1;
+    } else if (b === null || b === undefined) {
+        return 1;
+    } else {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+}
+
+
+/**
+ * Determines whether a property value satisfies a query filter.
+ *
+ * @param {*} value The property value of the entity.
+ * @param {object} filter The filter ({name, op, val}).
+ * @return {boolean} Whether the value matches.
+ */
+function matchesFilter(value, filter) {
+    /* Entities lacking the property are never matched (they are not indexed). */
+    if (value === undefined) {
+        return false;
+    }
+
+    /* Array properties match if any element matches (as in Datastore). */
+    if (Array.isArray(value)) {
+        return value.some(element => matchesFilter(element, filter));
+    }
+
+    const comparison = compareValues(value, filter.val);
+    switch (filter.op) {
+        case '=':
+            return comparison === 0;
+        case '<':
+            return comparison < 0;
+        case '<=':
+            return comparison <= 0;
+        case '>':
+            return comparison > 0;
+        case '>=':
+            return comparison >= 0;
+        default:
+            throw createError(INVALID_ARGUMENT, `Unsupported filter operator: ${filter.op}`);
+    }
+}
+
+
+/**
+ * Creates an error carrying a gRPC status code like those thrown by Cloud Datastore.
+ *
+ * @param {number} code The gRPC status code.
+ * @param {string} message The error message.
+ * @return {Error} The error.
+ */
+function createError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+
+/**
+ * Deep-copies entity data so that callers can never mutate stored entities directly.
+ *
+ * @param {object} data The entity data.
+ * @return {object} The copy.
+ */
+function copyData(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+
+/**
+ * @class An in-memory Datastore holding entities keyed by their serialized keys.
+ */
+class MemoryDatastore {
+    /**
+     * Instantiates a new, empty MemoryDatastore.
+     *
+     * @constructor
+     */
+    constructor() {
+        /* Map of serialized key => {key, data, version}. */
+        this.entities = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Creates a key from a key path.
+     *
+     * @param {Array<string|number>|object} options The key path (or an object with a "path").
+     * @return {Key} The key.
+     */
+    key(options) {
+        const path = Array.isArray(options) ? options : options.path;
+        return new Key(path);
+    }
+
+    /**
+     * Allocates ids for new entities so that their complete keys are known before they are saved.
+     *
+     * @param {Key} incompleteKey A key without an id (its kind and ancestors are kept).
+     * @param {number} n The number of keys to allocate.
+     * @return {Promise<Array>} An array whose first element is the array of complete keys.
+     */
+    async allocateIds(incompleteKey, n) {
+        const keys = [];
+        for (let i = 0; i < n; i++) {
+            keys.push(new Key(incompleteKey.path.concat([String(this.nextId++)])));
+        }
+        return [keys];
+    }
+
+    /**
+     * Creates a query for the given kind.
+     *
+     * @param {string} kind The kind of entity to query.
+     * @return {Query} The query.
+     */
+    createQuery(kind) {
+        return new Query(kind);
+    }
+
+    /**
+     * Creates a transaction against this Datastore.
+     *
+     * @param {object} options [optional] Pass {readOnly: true} for a read-only transaction.
+     * @return {Transaction} The transaction.
+     */
+    transaction(options = {}) {
+        return new Transaction(this, options);
+    }
+
+    /**
+     * Gets one or more entities outside of a transaction.
+     *
+     * @param {Key|Key[]} keys The key(s) to look up.
+     * @return {Promise<Array>} An array whose first element is the entity (or array of entities).
+     */
+    async get(keys) {
+        return this.lookup(keys);
+    }
+
+    /**
+     * Saves one or more entities outside of a transaction.
+     *
+     * @param {object|object[]} entities Objects of the form {key, data}.
+     * @return {Promise<Array>} An empty mutation result.
+     */
+    async save(entities) {
+        this.applyMutations(this.toMutations(entities, 'save'));
+        return [{}];
+    }
+
+    /**
+     * Deletes one or more entities outside of a transaction.
+     *
+     * @param {Key|Key[]} keys The key(s) to delete.
+     * @return {Promise<Array>} An empty mutation result.
+     */
+    async delete(keys) {
+        this.applyMutations(this.toMutations(keys, 'delete'));
+        return [{}];
+    }
+
+    /**
+     * Runs a query outside of a transaction.
+     *
+     * @param {Query} query The query to run.
+     * @return {Promise<Array>} The matching entities and query info.
+     */
+    async runQuery(query) {
+        return this.executeQuery(query);
+    }
+
+    /**
+     * Looks up the entities with the given keys.
+     *
+     * @private
+     * @param {Key|Key[]} keys The key(s) to look up.
+     * @param {Map} versionsRead [optional] Records the version of each entity read.
+     * @return {Array} An array whose first element is the entity (or array of found entities).
+     */
+    lookup(keys, versionsRead = null) {
+        const keyArr = Array.isArray(keys) ? keys : [keys];
+        const found = [];
+        for (const key of keyArr) {
+            const serializedKey = key.serialize();
+            const stored = this.entities.get(serializedKey);
+            if (versionsRead !== null) {
+                versionsRead.set(serializedKey, stored ? stored.version : 0);
+            }
+            if (stored) {
+                found.push(this.toEntity(stored));
+            }
+        }
+        return Array.isArray(keys) ? [found] : [found[0]];
+    }
+
+    /**
+     * Runs a query against the stored entities.
+     *
+     * @private
+     * @param {Query} query The query to run.
+     * @return {Array} The matching entities and an info object with moreResults and endCursor.
+     */
+    executeQuery(query) {
+        /* Decode the start cursor (the position at which the previous page ended). */
+        let startPosition = 0;
+        if (query.startVal !== null) {
+            startPosition = MemoryDatastore.decodeCursor(query.startVal);
+        }
+        if (query.offsetVal > 0) {
+            startPosition += query.offsetVal;
+        }
+
+        /* Collect entities of the requested kind matching the ancestor and filters. */
+        let matches = [];
+        for (const stored of this.entities.values()) {
+            if (stored.key.kind !== query.kind) {
+                continue;
+            } else if (query.ancestorKey !== null && !stored.key.hasAncestor(query.ancestorKey)) {
+                continue;
+            }
+            const allFiltersMatch = query.filters.every(filter => {
+                const value = filter.name === '__key__' ?
+                    stored.key.serialize() :
+                    getPropertyValue(stored.data, filter.name);
+                const keyFilter = filter.name === '__key__' ?
+                    Object.assign({}, filter, {"val": filter.val.serialize()}) :
+                    filter;
+                return matchesFilter(value, keyFilter);
+            });
+            if (allFiltersMatch) {
+                matches.push(stored);
+            }
+        }
+
+        /* Projection queries only return entities that have every projected property. */
+        const projectedProps = query.selectVal.filter(name => name !== '__key__');
+        if (projectedProps.length > 0) {
+            matches = matches.filter(stored => projectedProps.every(
+                name => getPropertyValue(stored.data, name) !== undefined
+            ));
+        }
+
+        /* Sort by the requested orders, falling back to key order. */
+        matches.sort((a, b) => {
+            for (const order of query.orders) {
+                const comparison = compareValues(
+                    getPropertyValue(a.data, order.name),
+                    getPropertyValue(b.data, order.name)
+                );
+                if (comparison !== 0) {
+                    return order.sign === '-' ? -comparison : comparison;
+                }
+            }
+            return MemoryDatastore.compareKeys(a.key, b.key);
+        });
+
+        /* Apply the cursor and limit. */
+        let endPosition = matches.length;
+        if (query.limitVal >= 0) {
+            endPosition = Math.min(startPosition + query.limitVal, matches.length);
+        }
+        const page = matches.slice(startPosition, endPosition);
+        const entities = page.map(stored => {
+            if (query.selectVal.length === 0) {
+                return this.toEntity(stored);
+            }
+            const projection = {};
+            for (const name of projectedProps) {
+                projection[name] = copyData({"value": getPropertyValue(stored.data, name)}).value;
+            }
+            projection[KEY_SYMBOL] = stored.key;
+            return projection;
+        });
+
+        const info = {
+            "endCursor": MemoryDatastore.encodeCursor(Math.max(endPosition, startPosition)),
+            "moreResults": endPosition < matches.length ?
+                MemoryDatastore.MORE_RESULTS_AFTER_LIMIT :
+                MemoryDatastore.NO_MORE_RESULTS
+        };
+        return [entities, info];
+    }
+
+    /**
+     * Converts entities or keys passed to save/delete into a list of mutations,
+     * allocating ids for incomplete keys.
+     *
+     * @private
+     * @param {object|object[]} items {key, data} objects (save) or keys (delete).
+     * @param {string} type Either "save" or "delete".
+     * @return {object[]} The mutations.
+     */
+    toMutations(items, type) {
+        const itemArr = Array.isArray(items) ? items : [items];
+        return itemArr.map(item => {
+            if (type === 'delete') {
+                return {"type": type, "key": item};
+            }
+            if (item.key.id === undefined && item.key.name === undefined) {
+                item.key.id = String(this.nextId++);
+            }
+            return {"type": type, "key": item.key, "data": copyData(item.data)};
+        });
+    }
+
+    /**
+     * Applies mutations to the stored entities.
+     *
+     * @private
+     * @param {object[]} mutations The mutations to apply.
+     */
+    applyMutations(mutations) {
+        for (const mutation of mutations) {
+            const serializedKey = mutation.key.serialize();
+            if (mutation.type === 'delete') {
+                this.entities.delete(serializedKey);
+            } else {
+                const existing = this.entities.get(serializedKey);
+                this.entities.set(serializedKey, {
+                    "key": new Key(mutation.key.path.map(element => String(element))),
+                    "data": mutation.data,
+                    "version": existing ? existing.version + 1 : 1
+                });
+            }
+        }
+    }
+
+    /**
+     * Converts a stored entity into the form returned to callers (a copy of its data with
+     * its key stored under Datastore.KEY).
+     *
+     * @private
+     * @param {object} stored The stored entity.
+     * @return {object} The entity.
+     */
+    toEntity(stored) {
+        const entity = copyData(stored.data);
+        entity[KEY_SYMBOL] = stored.key;
+        return entity;
+    }
+
+    /**
+     * Orders two keys by their paths (ids compared numerically).
+     *
+     * @private
+     * @param {Key} a The first key.
+     * @param {Key} b The second key.
+     * @return {number} Negative if a sorts first, positive if b sorts first, 0 if equal.
+     */
+    static compareKeys(a, b) {
+        const pathA = a.path;
+        const pathB = b.path;
+        for (let i = 0; i < Math.min(pathA.length, pathB.length); i++) {
+            const numA = Number(pathA[i]);
+            const numB = Number(pathB[i]);
+            const comparison = isNaN(numA) || isNaN(numB) ?
+                compareValues(String(pathA[i]), String(pathB[i])) :
+                numA - numB;
+            if (comparison !== 0) {
+                return comparison;
+            }
+        }
+        return pathA.length - pathB.length;
+    }
+
+    /**
+     * Encodes a result position as an opaque cursor string.
+     *
+     * @private
+     * @param {number} position The position at which the next page starts.
+     * @return {string} The cursor.
+     */
+    static encodeCursor(position) {
+        return Buffer.from(`position:${position}`, 'utf8').toString('base64');
+    }
+
+    /**
+     * Decodes a cursor produced by encodeCursor.
+     *
+     * @private
+     * @param {string} cursor The cursor.
+     * @return {number} The position at which to start.
+     */
+    static decodeCursor(cursor) {
+        const decoded = Buffer.from(String(cursor), 'base64').toString('utf8');
+        const match = /^position:([0-9]+)$/.exec(decoded);
+        if (match === null) {
+            throw createError(INVALID_ARGUMENT, 'Invalid query cursor.');
+        }
+        return parseInt(match[1], 10);
+    }
+}
+
+MemoryDatastore.KEY = KEY_SYMBOL;
+MemoryDatastore.MORE_RESULTS_AFTER_CURSOR = 'MORE_RESULTS_AFTER_CURSOR';
+MemoryDatastore.MORE_RESULTS_AFTER_LIMIT = 'MORE_RESULTS_AFTER_LIMIT';
+MemoryDatastore.NO_MORE_RESULTS = 'NO_MORE_RESULTS';
+
+
+/**
+ * @class A transaction against a MemoryDatastore. Reads see the committed state of the
+ * Datastore (not the transaction's own pending writes), writes are buffered until commit,
+ * and commit fails with ABORTED if an entity read by the transaction has since changed.
+ */
+class Transaction {
+    /**
+     * Instantiates a new Transaction object.
+     *
+     * @constructor
+     * @param {MemoryDatastore} datastore The Datastore this transaction runs against.
+     * @param {object} options Transaction options ({readOnly: boolean}).
+     */
+    constructor(datastore, options) {
+        this.datastore = datastore;
+        this.readOnly = options.readOnly === true;
+        this.mutations = [];
+        this.versionsRead = new Map();
+        this.finished = false;
+    }
+
+    /**
+     * Begins the transaction.
+     *
+     * @return {Promise<Array>} The transaction.
+     */
+    async run() {
+        return [this];
+    }
+
+    /**
+     * Gets one or more entities within this transaction.
+     *
+     * @param {Key|Key[]} keys The key(s) to look up.
+     * @return {Promise<Array>} An array whose first element is the entity (or array of entities).
+     */
+    async get(keys) {
+        return this.datastore.lookup(keys, this.versionsRead);
+    }
+
+    /**
+     * Runs a query within this transaction.
+     *
+     * @param {Query} query The query to run.
+     * @return {Promise<Array>} The matching entities and query info.
+     */
+    async runQuery(query) {
+        return this.datastore.executeQuery(query);
+    }
+
+    /**
+     * Queues one or more entities to be saved on commit. Ids are allocated immediately
+     * for incomplete keys.
+     *
+     * @param {object|object[]} entities Objects of the form {key, data}.
+     */
+    save(entities) {
+        this.assertWritable();
+        this.mutations.push(...this.datastore.toMutations(entities, 'save'));
+    }
+
+    /**
+     * Queues one or more entities to be deleted on commit.
+     *
+     * @param {Key|Key[]} keys The key(s) to delete.
+     */
+    delete(keys) {
+        this.assertWritable();
+        this.mutations.push(...this.datastore.toMutations(keys, 'delete'));
+    }
+
+    /**
+     * Commits the transaction, applying all queued mutations.
+     *
+     * @return {Promise<Array>} An empty commit result.
+     */
+    async commit() {
+        if (this.finished) {
+            throw createError(INVALID_ARGUMENT, 'The transaction has already been committed or rolled back.');
+        }
+        this.finished = true;
+
+        /* Abort if any entity read by this transaction was modified by another one. */
+        for (const [serializedKey, version] of this.versionsRead) {
+            const stored = this.datastore.entities.get(serializedKey);
+            if ((stored ? stored.version : 0) !== version) {
+                throw createError(ABORTED, 'Transaction aborted due to concurrent modification.');
+            }
+        }
+
+        this.datastore.applyMutations(this.mutations);
+        return [{}];
+    }
+
+    /**
+     * Rolls back the transaction, discarding all queued mutations.
+     *
+     * @return {Promise<Array>} An empty rollback result.
+     */
+    async rollback() {
+        this.finished = true;
+        this.mutations = [];
+        return [{}];
+    }
+
+    /**
+     * Throws if this transaction may not write.
+     *
+     * @private
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw createError(INVALID_ARGUMENT, 'Cannot modify entities in a read-only transaction.');
+        }
+    }
+}
+
+
+module.exports = {
+    "MemoryDatastore": MemoryDatastore,
+    "Key": Key,
+    "Query": Query,
+    "Transaction": Transaction
+};
@@ -0,0 +1,794 @@
+const auth = require('./auth');
+const constants = require('./constants');
+const ds = require('./datastore');
+const an = require('./ancestor');
+const Ancestor = an.Ancestor;
+const sr = require('./server-response');
+const ServerResponse = sr.ServerReponse;
+const zip = require('./zip');
+
+/* The characters that make spreadsheet programs treat a cell as a formula. Strings starting with
+ * them are prefixed with an apostrophe in CSV exports so that they are shown as text instead. */
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+/* The columns only the project's teacher may include in CSV exports (student information). */
+const CSV_PRIVATE_COLUMNS = ["observer_id", "observer_display_name", "observer_grade"];
+
+/* The namespace of the Darwin Core terms, and the terms of the columns of the occurrence file of
+ * Darwin Core Archives, in order (the first column, occurrenceID, identifies each occurrence). */
+const DWC_TERMS_NAMESPACE = "http://rs.tdwg.org/dwc/terms/";
+const DWCA_OCCURRENCE_TERMS = [
+    "occurrenceID", "basisOfRecord", "occurrenceStatus", "eventDate", "scientificName", "vernacularName",
+    "individualCount", "associatedMedia", "occurrenceRemarks", "decimalLatitude", "decimalLongitude",
+    "coordinateUncertaintyInMeters", "geodeticDatum", "datasetID", "datasetName"
+];
+
+/* Observation dates written without a time, which are written to Darwin Core Archives without one
+ * (rather than as midnight UTC). */
+const DATE_ONLY_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/;
+
+
+/**
+ * Reads every observation of a project, a batch of EXPORT_BATCH_SIZE at a time, within the given
+ * transaction (so that an export reflects the project as of a single point in time).
+ *
+ * @param {object} transaction The current (read-only) Datastore transaction being run.
+ * @param {object} projectKey The Datastore key of the project.
+ * @return {AsyncGenerator<object[]>} The batches of observations.
+ */
+async function* readObservations(transaction, projectKey) {
+    let cursor = null;
+    while (true) {
+        const query = ds.datastore.createQuery(constants.OBSERVATION);
+        query.hasAncestor(projectKey);
+        query.limit(constants.EXPORT_BATCH_SIZE);
+        if (cursor !== null) {
+            query.start(cursor);
+        }
+        const [observations, info] = await transaction.runQuery(query);
+        yield observations;
+        if (info.moreResults === ds.Datastore.NO_MORE_RESULTS || observations.length === 0) {
+            return;
+        }
+        cursor = info.endCursor;
+    }
+}
+
+
+/**
+ * Converts an observation into a GeoJSON Feature whose geometry is the observation's location (a
+ * Point, or null if it has none) and whose properties are those of the observation, flattened so
+ * that GIS tools can show them as columns.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The observation's project
+ * @param {object} observation The observation's data (as stored in Datastore)
+ * @return {object} The Feature.
+ */
+function createFeature(baseUrl, ancestor, observation) {
+    const id = ds.getDatastoreId(observation);
+    const location = observation.location === undefined ? null : observation.location;
+    const metricValues = observation.metric_values === undefined ? {} : observation.metric_values;
+    return {
+        "type": "Feature",
+        "id": id,
+        "geometry": location === null ?
+            null :
+            {"type": "Point", "coordinates": [location.longitude, location.latitude]},
+        "properties": {
+            "id": id,
+            "self": ds.getSelfUrl(baseUrl, constants.OBSERVATIONS, id, ancestor),
+            "date": observation.date,
+            "description": observation.data_number.description,
+            "quantity": observation.data_number.quantity,
+            "data_description": observation.data_description,
+            "image_url": observation.data_image.url,
+            "image_title": observation.data_image.title,
+            "image_alt_text": observation.data_image.alt_text,
+            "observer_id": observation.observer === undefined ? null : observation.observer.student_id,
+            "location_accuracy": location === null || location.accuracy === undefined ?
+                null :
+                location.accuracy,
+            "metric_values": metricValues
+        }
+    };
+}
+
+
+/**
+ * Closes the transaction in which an export's observations were read, once its document has been
+ * written or has stopped being written. Since the documents are generators, this is called from
+ * a finally block so that it also runs when the client stops reading early (ending the generator
+ * without an error).
+ *
+ * @param {object} transaction The current (read-only) Datastore transaction being run.
+ * @param {boolean} completed Whether the whole document was written (committing the transaction
+ * rather than rolling it back).
+ * @return {Promise<void>}
+ */
+async function closeTransaction(transaction, completed) {
+    if (completed === true) {
+        await transaction.commit();
+    } else {
+        await transaction.rollback();
+    }
+}
+
+
+/**
+ * Writes a project's observations as a GeoJSON FeatureCollection, one piece at a time, committing
+ * the transaction once every observation has been written (or rolling it back on failure).
+ *
+ * @param {object} transaction The current (read-only) Datastore transaction being run.
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project
+ * @param {boolean} includeUnlocated Whether to include observations without a location
+ * @return {AsyncGenerator<string>} The pieces of the GeoJSON document.
+ */
+async function* writeGeoJson(transaction, baseUrl, ancestor, includeUnlocated) {
+    let completed = false;
+    try {
+        yield '{"type":"FeatureCollection","features":[';
+        let separator = "";
+        const projectKey = ds.generateAncestorKey(ancestor);
+        for await (const observations of readObservations(transaction, projectKey)) {
+            let piece = "";
+            for (const observation of observations) {
+                const hasLocation = observation.location !== undefined && observation.location !== null;
+                if (hasLocation === false && includeUnlocated === false) {
+                    continue;
+                }
+                piece += separator + JSON.stringify(createFeature(baseUrl, ancestor, observation));
+                separator = ",";
+            }
+            if (piece !== "") {
+                yield piece;
+            }
+        }
+        yield ']}';
+        completed = true;
+    } finally {
+        await closeTransaction(transaction, completed);
+    }
+}
+
+
+/**
+ * Formats a value as a CSV field (RFC 4180), quoting it if needed. Strings that spreadsheet
+ * programs would run as formulas are prefixed with an apostrophe.
+ *
+ * @param {*} value The value (null and undefined become empty fields).
+ * @return {string} The CSV field.
+ */
+function toCsvField(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    let field = String(value);
+    if (typeof(value) === constants.STRING && FORMULA_PREFIXES.some(prefix => field.startsWith(prefix))) {
+        field = "'" + field;
+    }
+    if (/[",\r\n]/.test(field) === true) {
+        field = '"' + field.replace(/"/g, '""') + '"';
+    }
+    return field;
+}
+
+
+/**
+ * Formats the fields of a CSV row.
+ *
+ * @param {Array} values The values of the row's fields.
+ * @return {string} The row (ending with a line break).
+ */
+function toCsvRow(values) {
+    return values.map(toCsvField).join(",") + "\r\n";
+}
+
+
+/**
+ * Gets the students who made the given observations (for exports including private columns).
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object[]} observations The observations.
+ * @return {Promise<Map>} The students' data, keyed by student id (students who have since been
+ * deleted are left out).
+ */
+async function getObservers(transaction, observations) {
+    const observerKeys = new Map();
+    for (const observation of observations) {
+        const observer = observation.observer;
+        if (observer !== undefined && observerKeys.has(observer.student_id) === false) {
+            observerKeys.set(
+                observer.student_id,
+                ds.generateDatastoreKey(
+                    constants.STUDENT,
+                    observer.student_id,
+                    new Ancestor(constants.TEACHERS, observer.teacher_id)
+                )
+            );
+        }
+    }
+
+    const observers = new Map();
+    if (observerKeys.size > 0) {
+        const [students] = await transaction.get([...observerKeys.values()]);
+        for (const student of students) {
+            observers.set(ds.getDatastoreId(student), student);
+        }
+    }
+    return observers;
+}
+
+
+/**
+ * Writes a project's observations as CSV, one piece at a time, committing the transaction once
+ * every observation has been written (or rolling it back on failure). The quantity column is
+ * headed with the project's data_number.name.
+ *
+ * @param {object} transaction The current (read-only) Datastore transaction being run.
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project
+ * @param {object} projectData The project's data
+ * @param {boolean} includePrivate Whether to include the columns only the project's teacher may see
+ * @return {AsyncGenerator<string>} The pieces of the CSV document.
+ */
+async function* writeCsv(transaction, baseUrl, ancestor, projectData, includePrivate) {
+    let completed = false;
+    try {
+        const header = [
+            "id", "date", "description", projectData.data_number.name, "image_url", "image_alt_text", "self"
+        ];
+        if (includePrivate === true) {
+            header.push(...CSV_PRIVATE_COLUMNS);
+        }
+        yield toCsvRow(header);
+
+        const projectKey = ds.generateAncestorKey(ancestor);
+        for await (const observations of readObservations(transaction, projectKey)) {
+            const observers = includePrivate === true ? await getObservers(transaction, observations) : null;
+            let piece = "";
+            for (const observation of observations) {
+                const id = ds.getDatastoreId(observation);
+                const row = [
+                    id,
+                    observation.date,
+                    observation.data_number.description,
+                    observation.data_number.quantity,
+                    observation.data_image.url,
+                    observation.data_image.alt_text,
+                    ds.getSelfUrl(baseUrl, constants.OBSERVATIONS, id, ancestor)
+                ];
+                if (includePrivate === true) {
+                    const observerId = observation.observer === undefined ?
+                        null :
+                        observation.observer.student_id;
+                    const observer = observerId === null ? undefined : observers.get(observerId);
+                    row.push(
+                        observerId,
+                        observer === undefined ? null : observer.display_name,
+                        observer === undefined ? null : observer.grade
+                    );
+                }
+                piece += toCsvRow(row);
+            }
+            if (piece !== "") {
+                yield piece;
+            }
+        }
+        completed = true;
+    } finally {
+        await closeTransaction(transaction, completed);
+    }
+}
+
+
+/**
+ * Escapes text for use in XML content or attribute values.
+ *
+ * @param {*} value The value (converted to a string).
+ * @return {string} The escaped text.
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+
+/**
+ * Formats the fields of a row of a Darwin Core Archive's occurrence file, which is tab-delimited
+ * without quoting (so tabs and line breaks within values are replaced with spaces).
+ *
+ * @param {Array} values The values of the row's fields (null and undefined become empty fields).
+ * @return {string} The row (ending with a line break).
+ */
+function toDwcaRow(values) {
+    return values.map(
+        value => value === undefined || value === null ? "" : String(value).replace(/[\t\r\n]+/g, " ")
+    ).join("\t") + "\n";
+}
+
+
+/**
+ * Parses an observation's date for a Darwin Core Archive, since observation dates are free text.
+ *
+ * @param {string} date The observation's date.
+ * @return {?object} The "time" of the date (in milliseconds) and the date as an ISO 8601
+ * "eventDate" (null if the date cannot be parsed).
+ */
+function parseEventDate(date) {
+    const time = typeof(date) === "string" ? Date.parse(date) : NaN;
+    if (isNaN(time) === true) {
+        return null;
+    }
+    const isoDate = new Date(time).toISOString();
+    return {
+        "time": time,
+        "eventDate": DATE_ONLY_PATTERN.test(date) === true ? isoDate.substring(0, 10) : isoDate
+    };
+}
+
+
+/**
+ * Converts an observation into the fields of a Darwin Core occurrence (in the order of
+ * DWCA_OCCURRENCE_TERMS). Observers are left out, since students' details are private.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The observation's project
+ * @param {object} projectData The project's data
+ * @param {object} observation The observation's data (as stored in Datastore)
+ * @param {?object} eventDate The observation's parsed date (see parseEventDate).
+ * @return {Array} The values of the occurrence's fields.
+ */
+function createOccurrence(baseUrl, ancestor, projectData, observation, eventDate) {
+    const id = ds.getDatastoreId(observation);
+    const location = observation.location === undefined ? null : observation.location;
+    const quantity = observation.data_number.quantity;
+    return [
+        ds.getSelfUrl(baseUrl, constants.OBSERVATIONS, id, ancestor),
+        "HumanObservation",
+        "present",
+        eventDate === null ? null : eventDate.eventDate,
+        observation.data_number.description,
+        observation.data_number.description,
+        Number.isInteger(quantity) === true && quantity >= 0 ? quantity : null,
+        observation.data_image.url,
+        observation.data_description,
+        location === null ? null : location.latitude,
+        location === null ? null : location.longitude,
+        location === null || location.accuracy === undefined ? null : location.accuracy,
+        location === null ? null : "WGS84",
+        ds.getSelfUrl(baseUrl, constants.PROJECTS, ancestor.entityId),
+        projectData.name
+    ];
+}
+
+
+/**
+ * Writes a Darwin Core Archive's occurrence file, one piece at a time, recording the range of
+ * the observations' dates and locations (for the archive's metadata) as they are read. Closes the
+ * transaction once every observation has been written (see closeTransaction).
+ *
+ * @param {object} transaction The current (read-only) Datastore transaction being run.
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project
+ * @param {object} projectData The project's data
+ * @param {object} coverage The times of the earliest and latest dates and the bounding box of the
+ * locations (updated in place as observations are read; dates that cannot be parsed are left out).
+ * @return {AsyncGenerator<string>} The pieces of the occurrence file.
+ */
+async function* writeDwcaOccurrences(transaction, baseUrl, ancestor, projectData, coverage) {
+    let completed = false;
+    try {
+        yield toDwcaRow(DWCA_OCCURRENCE_TERMS);
+        const projectKey = ds.generateAncestorKey(ancestor);
+        for await (const observations of readObservations(transaction, projectKey)) {
+            let piece = "";
+            for (const observation of observations) {
+                const eventDate = parseEventDate(observation.date);
+                if (eventDate !== null) {
+                    if (coverage.beginTime === null || eventDate.time < coverage.beginTime) {
+                        coverage.beginTime = eventDate.time;
+                    }
+                    if (coverage.endTime === null || eventDate.time > coverage.endTime) {
+                        coverage.endTime = eventDate.time;
+                    }
+                }
+                const location = observation.location;
+                if (location !== undefined && location !== null) {
+                    coverage.west = Math.min(coverage.west, location.longitude);
+                    coverage.east = Math.max(coverage.east, location.longitude);
+                    coverage.south = Math.min(coverage.south, location.latitude);
+                    coverage.north = Math.max(coverage.north, location.latitude);
+                }
+                piece += toDwcaRow(createOccurrence(baseUrl, ancestor, projectData, observation, eventDate));
+            }
+            if (piece !== "") {
+                yield piece;
+            }
+        }
+        completed = true;
+    } finally {
+        await closeTransaction(transaction, completed);
+    }
+}
+
+
+/**
+ * Writes the metafile (meta.xml) of a Darwin Core Archive, describing the columns of its
+ * occurrence file as set out in the Darwin Core text guide.
+ *
+ * @return {string} The metafile.
+ */
+function writeDwcaMeta() {
+    const fields = DWCA_OCCURRENCE_TERMS.map(
+        (term, index) => `      <field index="${index}" term="${DWC_TERMS_NAMESPACE}${term}"/>\n`
+    ).join("");
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">\n'
+        + '  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" '
+        + `ignoreHeaderLines="1" rowType="${DWC_TERMS_NAMESPACE}Occurrence">\n`
+        + '    <files>\n'
+        + '      <location>occurrence.txt</location>\n'
+        + '    </files>\n'
+        + '    <id index="0"/>\n'
+        + fields
+        + '  </core>\n'
+        + '</archive>\n';
+}
+
+
+/**
+ * Writes the dataset metadata (eml.xml) of a Darwin Core Archive in Ecological Metadata Language
+ * (following the GBIF metadata profile), describing the project and naming its teacher as the
+ * dataset's creator and contact.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project
+ * @param {object} projectData The project's data
+ * @param {object} teacherData The data of the project's teacher
+ * @param {object} coverage The earliest and latest dates and the bounding box of the locations of
+ * the project's observations (see writeDwcaOccurrences).
+ * @return {string} The metadata document.
+ */
+function writeDwcaEml(baseUrl, ancestor, projectData, teacherData, coverage) {
+    const projectUrl = ds.getSelfUrl(baseUrl, constants.PROJECTS, ancestor.entityId);
+    const party = '      <individualName>\n'
+        + `        <surName>${escapeXml(teacherData.name)}</surName>\n`
+        + '      </individualName>\n'
+        + `      <organizationName>${escapeXml(teacherData.school)}</organizationName>\n`
+        + `      <electronicMailAddress>${escapeXml(teacherData.email)}</electronicMailAddress>\n`;
+
+    /* Only describe the extent of the observations in time and space when any have dates or
+     * locations. */
+    let coverageXml = "";
+    if (coverage.beginTime !== null || coverage.west <= coverage.east) {
+        coverageXml += '    <coverage>\n';
+        if (coverage.west <= coverage.east) {
+            coverageXml += '      <geographicCoverage>\n'
+                + '        <geographicDescription>\n'
+                + '          The area containing the locations of the observations.\n'
+                + '        </geographicDescription>\n'
+                + '        <boundingCoordinates>\n'
+                + `          <westBoundingCoordinate>${coverage.west}</westBoundingCoordinate>\n`
+                + `          <eastBoundingCoordinate>${coverage.east}</eastBoundingCoordinate>\n`
+                + `          <northBoundingCoordinate>${coverage.north}</northBoundingCoordinate>\n`
+                + `          <southBoundingCoordinate>${coverage.south}</southBoundingCoordinate>\n`
+                + '        </boundingCoordinates>\n'
+                + '      </geographicCoverage>\n';
+        }
+        if (coverage.beginTime !== null) {
+            const beginDate = new Date(coverage.beginTime).toISOString().substring(0, 10);
+            const endDate = new Date(coverage.endTime).toISOString().substring(0, 10);
+            coverageXml += '      <temporalCoverage>\n'
+                + '        <rangeOfDates>\n'
+                + '          <beginDate>\n'
+                + `            <calendarDate>${beginDate}</calendarDate>\n`
+                + '          </beginDate>\n'
+                + '          <endDate>\n'
+                + `            <calendarDate>${endDate}</calendarDate>\n`
+                + '          </endDate>\n'
+                + '        </rangeOfDates>\n'
+                + '      </temporalCoverage>\n';
+        }
+        coverageXml += '    </coverage>\n';
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1" '
+        + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" '
+        + 'xsi:schemaLocation="eml://ecoinformatics.org/eml-2.1.1 '
+        + 'http://rs.gbif.org/schema/eml-gbif-profile/1.1/eml.xsd" '
+        + `packageId="${escapeXml(projectUrl)}" system="${escapeXml(baseUrl)}" `
+        + 'scope="system" xml:lang="en">\n'
+        + '  <dataset>\n'
+        + `    <alternateIdentifier>${escapeXml(projectUrl)}</alternateIdentifier>\n`
+        + `    <title xml:lang="en">${escapeXml(projectData.name)}</title>\n`
+        + '    <creator>\n' + party + '    </creator>\n'
+        + '    <metadataProvider>\n' + party + '    </metadataProvider>\n'
+        + `    <pubDate>${new Date().toISOString().substring(0, 10)}</pubDate>\n`
+        + '    <language>en</language>\n'
+        + '    <abstract>\n'
+        + `      <para>${escapeXml(projectData.description_text)}</para>\n`
+        + '    </abstract>\n'
+        + '    <additionalInfo>\n'
+        + `      <para>${escapeXml(projectData.data_number.name)}: ${projectData.data_number.number}</para>\n`
+        + '    </additionalInfo>\n'
+        + coverageXml
+        + '    <contact>\n' + party + '    </contact>\n'
+        + '  </dataset>\n'
+        + '</eml:eml>\n';
+}
+
+
+/**
+ * Lists the files of a Darwin Core Archive of a project's observations: the occurrence file, then
+ * the dataset metadata (which describes the range of the occurrences, so is only written once they
+ * have all been read) and the metafile.
+ *
+ * @param {object} transaction The current (read-only) Datastore transaction being run.
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project
+ * @param {object} projectData The project's data
+ * @param {object} teacherData The data of the project's teacher
+ * @return {AsyncGenerator<object>} The archive's files (see zip.writeZip).
+ */
+async function* listDwcaFiles(transaction, baseUrl, ancestor, projectData, teacherData) {
+    const coverage = {
+        "beginTime": null, "endTime": null, "west": 180, "east": -180, "north": -90, "south": 90
+    };
+    yield {
+        "name": "occurrence.txt",
+        "content": writeDwcaOccurrences(transaction, baseUrl, ancestor, projectData, coverage)
+    };
+    yield {
+        "name": "eml.xml",
+        "content": [writeDwcaEml(baseUrl, ancestor, projectData, teacherData, coverage)]
+    };
+    yield {"name": "meta.xml", "content": [writeDwcaMeta()]};
+}
+
+
+/**
+ * Exports every observation of a project as a GeoJSON FeatureCollection (unlike listing them, the
+ * whole project is exported at once). The content of a successful response is streamed: it is an
+ * async iterable of the pieces of the document rather than a JSON object.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project whose observations to export
+ * @param {object} requestQuery [optional] The query parameters received from the client
+ * (include_unlocated)
+ * @return {Promise<ServerResponse>} The status code, content and headers to send to the client
+ */
+async function exportObservationsGeoJson(baseUrl, ancestor, requestQuery = {}) {
+    const includeUnlocated = requestQuery.include_unlocated;
+    if (includeUnlocated !== undefined && includeUnlocated !== "true" && includeUnlocated !== "false") {
+        return new ServerResponse(
+            400,
+            {"error": "include_unlocated must be either true or false."}
+        );
+    }
+
+    /* Use a read-only transaction so that the export reflects a single point in time. */
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+        const projectData = await ds.getAncestorData(transaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": ancestor.getNotFoundError()}
+            );
+        }
+
+        return new ServerResponse(
+            200,
+            writeGeoJson(transaction, baseUrl, ancestor, includeUnlocated === "true"),
+            {
+                "Content-Type": "application/geo+json",
+                "Content-Disposition":
+                    `attachment; filename="project-${ancestor.entityId}-observations.geojson"`
+            }
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+/**
+ * Exports every observation of a project as CSV, with the data_number and data_image objects
+ * flattened into columns (id, date, description, quantity, image_url, image_alt_text and self,
+ * where the quantity column is headed with the project's data_number.name). The project's teacher
+ * may also include the observer's id, display name and grade (include_private). The content of a
+ * successful response is streamed (see exportObservationsGeoJson).
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project whose observations to export
+ * @param {string} authReceived The "Authorization" header received from the client (only needed
+ * to include private columns)
+ * @param {object} requestQuery [optional] The query parameters received from the client
+ * (include_private)
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
+ * @return {Promise<ServerResponse>} The status code, content and headers to send to the client
+ */
+async function exportObservationsCsv(baseUrl, ancestor, authReceived, requestQuery = {}, clientIp = null) {
+    const includePrivate = requestQuery.include_private;
+    if (includePrivate !== undefined && includePrivate !== "true" && includePrivate !== "false") {
+        return new ServerResponse(
+            400,
+            {"error": "include_private must be either true or false."}
+        );
+    }
+
+    /* Ensure that only the project's teacher can include private columns. Credentials are
+     * validated in their own transaction, since validating them may update the teacher's
+     * credential (which a read-only transaction cannot do). */
+    if (includePrivate === "true") {
+        const authTransaction = ds.datastore.transaction();
+        try {
+            await authTransaction.run();
+            const projectData = await ds.getAncestorData(authTransaction, ds.generateAncestorKey(ancestor));
+            if (!projectData) {
+                await authTransaction.rollback();
+                return new ServerResponse(
+                    404,
+                    {"error": ancestor.getNotFoundError()}
+                );
+            }
+            const responseInfo = await auth.validateAuthHeader(
+                authTransaction,
+                authReceived,
+                projectData.teacher_id,
+                clientIp
+            );
+            if (responseInfo !== null) {
+                await auth.rollbackFailedValidation(authTransaction, responseInfo);
+                return responseInfo;
+            }
+            await authTransaction.commit();
+        } catch(err) {
+            await authTransaction.rollback();
+            console.log(err);
+            return new ServerResponse(
+                500,
+                {"error": constants.SERVER_ERROR}
+            );
+        }
+    }
+
+    /* Use a read-only transaction so that the export reflects a single point in time. */
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+        const projectData = await ds.getAncestorData(transaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": ancestor.getNotFoundError()}
+            );
+        }
+
+        return new ServerResponse(
+            200,
+            writeCsv(transaction, baseUrl, ancestor, projectData, includePrivate === "true"),
+            {
+                "Content-Type": "text/csv; charset=utf-8",
+                "Content-Disposition":
+                    `attachment; filename="project-${ancestor.entityId}-observations.csv"`
+            }
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+/**
+ * Exports every observation of a project as a Darwin Core Archive (a zip of occurrence.txt,
+ * meta.xml and eml.xml), so that it can be shared with biodiversity data aggregators. Each
+ * observation becomes an occurrence: its description is used as both the scientificName and
+ * vernacularName, its quantity as the individualCount, its date (in ISO 8601) as the eventDate and
+ * its image as the associatedMedia. The dataset metadata describes the project and its teacher, so only the
+ * project's teacher may export it. The content of a successful response is streamed (see
+ * exportObservationsGeoJson).
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project whose observations to export
+ * @param {string} authReceived The "Authorization" header received from the client
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
+ * @return {Promise<ServerResponse>} The status code, content and headers to send to the client
+ */
+async function exportObservationsDwca(baseUrl, ancestor, authReceived, clientIp = null) {
+    /* Ensure the credentials provided belong to the project's teacher. Credentials are validated
+     * in their own transaction, since validating them may update the teacher's credential (which
+     * a read-only transaction cannot do). */
+    const authTransaction = ds.datastore.transaction();
+    try {
+        await authTransaction.run();
+        const projectData = await ds.getAncestorData(authTransaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await authTransaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": ancestor.getNotFoundError()}
+            );
+        }
+        const responseInfo = await auth.validateAuthHeader(
+            authTransaction,
+            authReceived,
+            projectData.teacher_id,
+            clientIp
+        );
+        if (responseInfo !== null) {
+            await auth.rollbackFailedValidation(authTransaction, responseInfo);
+            return responseInfo;
+        }
+        await authTransaction.commit();
+    } catch(err) {
+        await authTransaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+
+    /* Use a read-only transaction so that the export reflects a single point in time. */
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+        const projectData = await ds.getAncestorData(transaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": ancestor.getNotFoundError()}
+            );
+        }
+        const [teacherData] = await transaction.get(
+            ds.generateDatastoreKey(constants.TEACHER, projectData.teacher_id)
+        );
+        if (teacherData === undefined) {
+            throw "The project's teacher could not be found.";
+        }
+
+        return new ServerResponse(
+            200,
+            zip.writeZip(listDwcaFiles(transaction, baseUrl, ancestor, projectData, teacherData)),
+            {
+                "Content-Type": "application/zip",
+                "Content-Disposition": `attachment; filename="project-${ancestor.entityId}-dwca.zip"`
+            }
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+module.exports = {
+    "exportObservationsGeoJson": exportObservationsGeoJson,
+    "exportObservationsCsv": exportObservationsCsv,
+    "exportObservationsDwca": exportObservationsDwca
+};
@@ -0,0 +1,522 @@
+const auth = require('./auth');
+const constants = require('./constants');
+const ds = require('./datastore');
+const an = require('./ancestor');
+const Ancestor = an.Ancestor;
+const dataNumber = require('./data-number');
+const geo = require('./geo');
+const imageStorage = require('./storage');
+const search = require('./search');
+const sr = require('./server-response');
+const ServerResponse = sr.ServerReponse;
+
+/* The columns of an import file from which each observation property is built. */
+const PROPERTY_COLUMNS = {
+    "date": ["date"],
+    "data_image": ["image_url", "image_title", "image_alt_text"],
+    "data_number": ["description", "quantity"],
+    "data_description": ["data_description"],
+    "observer_id": ["observer_id"],
+    "metric_values": [],
+    "location": ["latitude", "longitude", "accuracy"]
+};
+
+/* The prefix of the columns holding the values observations supply for the project's metrics
+ * (e.g. "metric:birds"). */
+const METRIC_COLUMN_PREFIX = "metric:";
+
+/* The error reported for rows whose observations could not be saved. */
+const NOT_SAVED_ERROR = "The observation could not be saved.";
+
+
+/**
+ * Parses a CSV document (RFC 4180, with any line endings) into its records. Throws an error message
+ * (to send to the client) if the document is malformed.
+ *
+ * @param {string} text The CSV document.
+ * @return {string[][]} The fields of each record.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    let fieldStarted = false;
+    let index = text.startsWith("﻿") === true ? 1 : 0;
+    while (index < text.length) {
+        const c = text[index];
+        if (quoted === true) {
+            if (c === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            if (field !== "") {
+                throw `Row ${records.length + 1} has a quote in the middle of an unquoted field.`;
+            }
+            quoted = true;
+            fieldStarted = true;
+        } else if (c === ",") {
+            record.push(field);
+            field = "";
+            fieldStarted = false;
+        } else if (c === "\r" || c === "\n") {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = "";
+            fieldStarted = false;
+            if (c === "\r" && text[index + 1] === "\n") {
+                index++;
+            }
+        } else {
+            if (fieldStarted === true && field === "" && text[index - 1] === '"') {
+                throw `Row ${records.length + 1} has text after a quoted field.`;
+            }
+            field += c;
+        }
+        index++;
+    }
+    if (quoted === true) {
+        throw `Row ${records.length + 1} has a quoted field that is never closed.`;
+    }
+    if (field !== "" || fieldStarted === true || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+
+/**
+ * Determines whether a record of a CSV document is blank (such rows are skipped when importing).
+ *
+ * @param {string[]} record The fields of the record.
+ * @return {boolean} Whether every field of the record is empty.
+ */
+function isBlank(record) {
+    return record.every(field => field.trim() === "");
+}
+
+
+/**
+ * Converts a field holding a number into that number (leaving other text as it is, so that
+ * validation rejects it).
+ *
+ * @param {string} field The field.
+ * @return {number|string} The number (or the field itself if it does not hold one).
+ */
+function parseNumber(field) {
+    const number = field.trim() === "" ? NaN : Number(field);
+    return Number.isFinite(number) === true ? number : field;
+}
+
+
+/**
+ * Builds the data of the observation described by a row of an import file. Empty fields are left
+ * out, so that the observation's optional properties are only set when they are filled in.
+ *
+ * @param {object} row The row's fields, keyed by column name.
+ * @param {object} projectData The data of the project into which observations are being imported.
+ * @return {object} The observation's data (as it would be received by POST).
+ */
+function createObservationData(row, projectData) {
+    const has = column => row[column] !== undefined && row[column] !== "";
+    const observationData = {};
+    if (has("date")) {
+        observationData.date = row.date;
+    }
+    if (has("image_url") || has("image_title") || has("image_alt_text")) {
+        observationData.data_image = {};
+        const imageColumns = [["image_url", "url"], ["image_title", "title"], ["image_alt_text", "alt_text"]];
+        for (const [column, key] of imageColumns) {
+            if (has(column)) {
+                observationData.data_image[key] = row[column];
+            }
+        }
+    }
+    if (has("description") || has("quantity")) {
+        observationData.data_number = {};
+        if (has("description")) {
+            observationData.data_number.description = row.description;
+        }
+        if (has("quantity")) {
+            observationData.data_number.quantity = parseNumber(row.quantity);
+        }
+    }
+    if (has("data_description")) {
+        observationData.data_description = row.data_description;
+    }
+    if (has("observer_id")) {
+        observationData.observer_id = row.observer_id;
+    }
+    if (has("latitude") || has("longitude") || has("accuracy")) {
+        observationData.location = {};
+        for (const key of ["latitude", "longitude", "accuracy"]) {
+            if (has(key)) {
+                observationData.location[key] = parseNumber(row[key]);
+            }
+        }
+    }
+
+    /* Metric values are numbers or strings depending on how the project's metric aggregates them. */
+    const metrics = projectData.metrics || [];
+    for (const column of Object.keys(row)) {
+        if (column.startsWith(METRIC_COLUMN_PREFIX) === false || has(column) === false) {
+            continue;
+        }
+        const key = column.substring(METRIC_COLUMN_PREFIX.length);
+        const metric = metrics.find(projectMetric => projectMetric.key === key);
+        if (observationData.metric_values === undefined) {
+            observationData.metric_values = {};
+        }
+        observationData.metric_values[key] =
+            metric !== undefined && constants.NUMERIC_METRIC_AGGREGATIONS.includes(metric.aggregation) ?
+                parseNumber(row[column]) :
+                row[column];
+    }
+    return observationData;
+}
+
+
+/**
+ * Describes the columns from which an observation property is built, for error messages.
+ *
+ * @param {string} propertyName The name of the property.
+ * @return {string} The description (e.g. "data_number (columns description and quantity)").
+ */
+function describeColumns(propertyName) {
+    const columns = PROPERTY_COLUMNS[propertyName];
+    if (columns === undefined || columns.length === 0) {
+        return `${propertyName} (columns starting with "${METRIC_COLUMN_PREFIX}")`;
+    } else if (columns.length === 1) {
+        return columns[0] === propertyName ? propertyName : `${propertyName} (column ${columns[0]})`;
+    }
+    const columnList = columns.slice(0, -1).join(", ") + " and " + columns[columns.length - 1];
+    return `${propertyName} (columns ${columnList})`;
+}
+
+
+/**
+ * Validates the observation described by a row of an import file with the validators of the
+ * observations' createProperties, then against the project (its metrics, vocabulary and the
+ * teacher's students) and image storage, as POST /projects/:projectId/observations would. The
+ * observation's description is replaced by the form in which it would be recorded.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {object} projectData The data of the project into which observations are being imported.
+ * @param {object} observationData The observation's data (updated in place).
+ * @param {object} caches The results of checks already made for earlier rows (image URLs,
+ * observers and descriptions), updated in place.
+ * @return {Promise<string[]>} The errors found (empty if the observation is valid).
+ */
+async function validateObservationData(transaction, baseUrl, projectData, observationData, caches) {
+    /* Check each property as POST would, reporting every problem rather than just the first. */
+    const entityType = constants.COLLECTIONS.children[constants.OBSERVATIONS];
+    const errors = [];
+    for (const property of entityType.createProperties) {
+        const value = observationData[property.name];
+        if (value === undefined) {
+            if (property.required === true) {
+                errors.push(`Missing ${describeColumns(property.name)}.`);
+            }
+        } else if (property.validator(value) === false) {
+            errors.push(`Invalid ${describeColumns(property.name)}.`);
+        }
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const metricValuesError = dataNumber.validateMetricValues(projectData, observationData.metric_values);
+    if (metricValuesError !== null) {
+        errors.push(metricValuesError);
+    }
+
+    const imageUrl = observationData.data_image.url;
+    if (caches.imageUrls.has(imageUrl) === false) {
+        caches.imageUrls.set(imageUrl, await imageStorage.validateImageUrl(imageUrl, baseUrl));
+    }
+    if (caches.imageUrls.get(imageUrl) === false) {
+        errors.push(constants.INVALID_IMAGE_URL);
+    }
+
+    if (observationData.observer_id !== undefined) {
+        const observerId = observationData.observer_id;
+        if (caches.observers.has(observerId) === false) {
+            const observerKey = ds.generateDatastoreKey(
+                constants.STUDENT,
+                observerId,
+                new Ancestor(constants.TEACHERS, projectData.teacher_id)
+            );
+            const [observer] = await transaction.get(observerKey);
+            caches.observers.set(observerId, observer !== undefined);
+        }
+        if (caches.observers.get(observerId) === false) {
+            errors.push(constants.OBSERVER_NOT_FOUND);
+        }
+    }
+
+    /* Record the description as the project's canonical form of it. Rows are not saved until
+     * all of them have been checked, so descriptions matching ignoring case and whitespace are
+     * also recorded as the first row's form of them. */
+    const description = await dataNumber.resolveObservationDescription(
+        transaction,
+        projectData,
+        observationData.data_number.description
+    );
+    if (description === null) {
+        errors.push(constants.DESCRIPTION_NOT_IN_VOCABULARY);
+    } else if (
+        Array.isArray(projectData.vocabulary) === false
+        && projectData.description_matching === "case_and_whitespace"
+    ) {
+        const normalizedDescription = constants.NORMALIZE_DESCRIPTION(description);
+        if (caches.descriptions.has(normalizedDescription) === false) {
+            caches.descriptions.set(normalizedDescription, description);
+        }
+        observationData.data_number.description = caches.descriptions.get(normalizedDescription);
+    } else {
+        observationData.data_number.description = description;
+    }
+    return errors;
+}
+
+
+/**
+ * Saves a batch of validated observations to a project within a single transaction, indexing them
+ * for search and updating the project's data_number and metrics.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project
+ * @param {object[]} observationsData The data of the observations (as validated).
+ * @return {Promise<?string[]>} The ids of the new observations (null if they could not be saved).
+ */
+async function saveObservations(baseUrl, ancestor, observationsData) {
+    const entityType = constants.COLLECTIONS.children[constants.OBSERVATIONS];
+    const transaction = ds.datastore.transaction();
+    try {
+        await transaction.run();
+        const projectData = await ds.getAncestorData(transaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await transaction.rollback();
+            return null;
+        }
+
+        /* Allocate the observations' ids up front, since their search documents are saved
+         * beneath them in this same transaction. */
+        const incompleteKey = ds.generateDatastoreKey(constants.OBSERVATION, null, ancestor);
+        const [keys] = await ds.datastore.allocateIds(incompleteKey, observationsData.length);
+        for (let i = 0; i < observationsData.length; i++) {
+            const observationData = observationsData[i];
+            if (observationData.observer_id !== undefined) {
+                observationData.observer = {
+                    "teacher_id": projectData.teacher_id,
+                    "student_id": observationData.observer_id
+                };
+                delete observationData.observer_id;
+            }
+            geo.indexLocation(entityType, observationData);
+            transaction.save({"key": keys[i], "data": observationData});
+            await search.indexEntity(transaction, keys[i], entityType, observationData, ancestor);
+        }
+
+        const succeeded = await dataNumber.processPostedObservations(
+            transaction, projectData, observationsData
+        );
+        if (!succeeded) {
+            await transaction.rollback();
+            return null;
+        }
+        await transaction.commit();
+        return keys.map(key => String(key.id));
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return null;
+    }
+}
+
+
+/**
+ * Imports observations into a project from a CSV file, one observation per row. The first row
+ * names the columns: date, description, quantity, data_description, image_url, image_title and
+ * image_alt_text are required, while observer_id, latitude, longitude, accuracy and one
+ * "metric:<key>" column per project metric are optional. Every row is validated as if it were
+ * posted on its own, and the valid rows are then saved in batches of IMPORT_BATCH_SIZE (updating
+ * the project's data_number and metrics as each batch is saved). The response reports the errors
+ * found in each invalid row along with the observations added. Only the project's teacher may
+ * import observations.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {Ancestor} ancestor The project into which to import observations
+ * @param {string} authReceived The "Authorization" header received from the client
+ * @param {string} csvText The contents of the uploaded CSV file
+ * @param {boolean} dryRun [optional] Whether to only validate the rows without saving them
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
+ * @return {Promise<ServerResponse>} The status code and content to send to the client
+ */
+async function importObservations(baseUrl, ancestor, authReceived, csvText, dryRun = false, clientIp = null) {
+    /* Ensure the credentials provided belong to the project's teacher. Credentials are validated
+     * in their own transaction, since validating them may update the teacher's credential. */
+    const authTransaction = ds.datastore.transaction();
+    try {
+        await authTransaction.run();
+        const projectData = await ds.getAncestorData(authTransaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await authTransaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": ancestor.getNotFoundError()}
+            );
+        }
+        const responseInfo = await auth.validateAuthHeader(
+            authTransaction,
+            authReceived,
+            projectData.teacher_id,
+            clientIp
+        );
+        if (responseInfo !== null) {
+            await auth.rollbackFailedValidation(authTransaction, responseInfo);
+            return responseInfo;
+        }
+        await authTransaction.commit();
+    } catch(err) {
+        await authTransaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+
+    /* Parse the file and check its columns before looking at any row. */
+    let records;
+    try {
+        records = parseCsv(csvText);
+        const rows = records.slice(1).filter(record => isBlank(record) === false);
+        if (records.length === 0 || isBlank(records[0]) === true || rows.length === 0) {
+            throw "The file must have a row of column names followed by at least one observation.";
+        } else if (rows.length > constants.MAX_IMPORT_ROWS) {
+            throw `At most ${constants.MAX_IMPORT_ROWS} observations can be imported at a time.`;
+        }
+        const columns = records[0].map(column => column.trim());
+        const knownColumns = [].concat(...Object.values(PROPERTY_COLUMNS));
+        for (const column of columns) {
+            const isMetricColumn = column.startsWith(METRIC_COLUMN_PREFIX);
+            if (knownColumns.includes(column) === false && isMetricColumn === false) {
+                throw `The column "${column}" is not supported.`;
+            } else if (columns.indexOf(column) !== columns.lastIndexOf(column)) {
+                throw `The column "${column}" is included more than once.`;
+            }
+        }
+    } catch(err) {
+        return new ServerResponse(
+            400,
+            {"error": err}
+        );
+    }
+
+    /* Validate every row (within a read-only transaction, so that they are all checked against
+     * the project as of the same point in time). */
+    const columns = records[0].map(column => column.trim());
+    const validRows = [];
+    const errors = [];
+    let rowCount = 0;
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+        const projectData = await ds.getAncestorData(transaction, ds.generateAncestorKey(ancestor));
+        if (!projectData) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": ancestor.getNotFoundError()}
+            );
+        }
+
+        const caches = {"imageUrls": new Map(), "observers": new Map(), "descriptions": new Map()};
+        for (let i = 1; i < records.length; i++) {
+            const rowNumber = i + 1;
+            const record = records[i];
+            if (isBlank(record) === true) {
+                continue;
+            }
+            rowCount++;
+            if (record.length !== columns.length) {
+                errors.push({
+                    "row": rowNumber,
+                    "errors": [`Expected ${columns.length} fields but found ${record.length}.`]
+                });
+                continue;
+            }
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = record[index].trim();
+            });
+            const observationData = createObservationData(row, projectData);
+            const rowErrors = await validateObservationData(
+                transaction, baseUrl, projectData, observationData, caches
+            );
+            if (rowErrors.length > 0) {
+                errors.push({"row": rowNumber, "errors": rowErrors});
+            } else {
+                validRows.push({"row": rowNumber, "data": observationData});
+            }
+        }
+        await transaction.commit();
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+
+    /* Save the valid rows in batches, stopping at the first batch that cannot be saved (whose
+     * rows, and those of any later batches, are reported as errors). */
+    const observations = [];
+    if (dryRun === false) {
+        for (let start = 0; start < validRows.length; start += constants.IMPORT_BATCH_SIZE) {
+            const batch = validRows.slice(start, start + constants.IMPORT_BATCH_SIZE);
+            const ids = await saveObservations(baseUrl, ancestor, batch.map(validRow => validRow.data));
+            if (ids === null) {
+                for (const validRow of validRows.slice(start)) {
+                    errors.push({"row": validRow.row, "errors": [NOT_SAVED_ERROR]});
+                }
+                break;
+            }
+            batch.forEach((validRow, index) => {
+                observations.push({
+                    "row": validRow.row,
+                    "id": ids[index],
+                    "self": ds.getSelfUrl(baseUrl, constants.OBSERVATIONS, ids[index], ancestor)
+                });
+            });
+        }
+    }
+    errors.sort((a, b) => a.row - b.row);
+
+    return new ServerResponse(
+        200,
+        {
+            "dry_run": dryRun,
+            "rows": rowCount,
+            "valid_rows": validRows.length,
+            "imported": observations.length,
+            "errors": errors,
+            "observations": observations
+        }
+    );
+}
+
+module.exports = {
+    "importObservations": importObservations
+};
@@ -0,0 +1,51 @@
+/* Import Node filesystem and path functionality. */
+const fs = require('fs');
+const path = require('path');
+
+/* Import uuid for naming email files uniquely. */
+const uuid = require('uuid');
+
+
+/**
+ * @class Writes emails as JSON files to a directory on the local filesystem instead of sending
+ * them, so that emails can be inspected when running offline (e.g. in tests).
+ */
+class OutboxMailer {
+    /**
+     * Instantiates a new OutboxMailer, creating its directory if needed.
+     *
+     * @constructor
+     * @param {string} directory The directory in which to write emails.
+     * @param {string} from The address from which emails are sent.
+     */
+    constructor(directory, from) {
+        this.directory = path.resolve(directory);
+        this.from = from;
+        fs.mkdirSync(this.directory, {recursive: true});
+    }
+
+    /**
+     * Writes an email to the outbox directory. File names begin with the time the email was
+     * written so that they sort in the order the emails were sent.
+     *
+     * @param {object} email The email to send.
+     * @param {string} email.to The recipient's address.
+     * @param {string} email.subject The subject line.
+     * @param {string} email.text The plain-text body.
+     * @return {Promise<void>}
+     */
+    async sendMail(email) {
+        const fileName = `${Date.now().toString(10)}_${uuid.v4()}.json`;
+        const message = {
+            "from": this.from,
+            "to": email.to,
+            "subject": email.subject,
+            "text": email.text
+        };
+        await fs.promises.writeFile(path.join(this.directory, fileName), JSON.stringify(message, null, 4));
+    }
+}
+
+module.exports = {
+    "OutboxMailer": OutboxMailer
+};
@@ -1,5 +1,6 @@
 /**
- * @class An image URL parsed into its 3 components (baseUrl + bucketName + fileName)
+ * @class An image URL parsed into its 3 components (baseUrl + bucketName + fileName).
+ * For images stored locally, bucketName is the "images" path segment of the serving route.
  */
 class ParsedImageUrl {
     /**
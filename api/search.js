@@ -0,0 +1,359 @@
+const auth = require('./auth');
+const constants = require('./constants');
+const ds = require('./datastore');
+const an = require('./ancestor');
+const Ancestor = an.Ancestor;
+const lq = require('./list-query');
+const geo = require('./geo');
+const ListQuery = lq.ListQuery;
+const sr = require('./server-response');
+const ServerResponse = sr.ServerReponse;
+
+/* Each searchable entity has a single search document stored beneath it under this key name. */
+const SEARCH_DOCUMENT_NAME = "search";
+
+/* The type reported for each search result, keyed by Datastore entity type name. */
+const RESULT_TYPES = {
+    [constants.PROJECT]: "project",
+    [constants.OBSERVATION]: "observation"
+};
+
+/* The query parameters by which searches can be scoped, mapped to the collection they refer to. */
+const SCOPE_PARAMETERS = {
+    "teacher_id": constants.TEACHERS,
+    "project_id": constants.PROJECTS
+};
+
+/* Search terms that match words by prefix (rather than whole words) end with this character. */
+const PREFIX_MARKER = "*";
+
+
+/**
+ * Splits text into lowercase words without diacritics (e.g. "Blue Jays' nests" becomes
+ * ["blue", "jays", "nests"]). Words longer than MAX_SEARCH_WORD_LENGTH are truncated.
+ *
+ * @param {string} text The text to split.
+ * @return {string[]} The words found in the text.
+ */
+function getWords(text) {
+    return text
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 0)
+        .map(word => word.substring(0, constants.MAX_SEARCH_WORD_LENGTH));
+}
+
+
+/**
+ * Builds the terms under which an entity is indexed: each word of its searchable properties,
+ * and each prefix of those words (marked with PREFIX_MARKER) for prefix matching.
+ *
+ * @param {EntityType} entityType The EntityType of the entity.
+ * @param {object} entityData The entity's data.
+ * @return {string[]} The distinct terms to index.
+ */
+function getIndexTerms(entityType, entityData) {
+    const terms = new Set();
+    for (const propertyName of entityType.searchableProperties) {
+        let value = entityData;
+        for (const part of propertyName.split(".")) {
+            value = value === null || value === undefined ? undefined : value[part];
+        }
+        if (typeof(value) !== constants.STRING) {
+            continue;
+        }
+
+        for (const word of getWords(value)) {
+            terms.add(word);
+            for (let length = constants.MIN_SEARCH_PREFIX_LENGTH; length <= word.length; length++) {
+                terms.add(word.substring(0, length) + PREFIX_MARKER);
+            }
+        }
+    }
+    return [...terms].slice(0, constants.MAX_INDEXED_SEARCH_TERMS);
+}
+
+
+/**
+ * Creates the key of the search document of the entity with the given key.
+ *
+ * @param {object} entityKey The Datastore key of the searchable entity.
+ * @return {object} The Datastore key of its search document.
+ */
+function getSearchDocumentKey(entityKey) {
+    return ds.datastore.key(entityKey.path.concat([constants.SEARCH_DOCUMENT, SEARCH_DOCUMENT_NAME]));
+}
+
+
+/**
+ * Adds or replaces the search document of a project or observation within the given transaction,
+ * so that the entity can be found by the words of its searchable properties. Search documents also
+ * record the teacher and project the entity belongs to so that searches can be scoped to them.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} entityKey The complete Datastore key of the entity (see allocateIds for new entities).
+ * @param {EntityType} entityType The EntityType of the entity.
+ * @param {object} entityData The entity's data (as it will be saved).
+ * @param {Ancestor} entityAncestor [optional] The ancestor of the entity (the project of an observation).
+ * @return {Promise<void>}
+ */
+async function indexEntity(transaction, entityKey, entityType, entityData, entityAncestor = null) {
+    let teacherId = entityData.teacher_id;
+    let projectId = String(entityKey.id);
+    if (entityType.entityTypeName === constants.OBSERVATION) {
+        teacherId = await auth.getTeacherOfProject(transaction, entityAncestor.entityId);
+        projectId = entityAncestor.entityId;
+        if (teacherId === null) {
+            throw "The project of the observation being indexed could not be found.";
+        }
+    }
+
+    transaction.save({
+        "key": getSearchDocumentKey(entityKey),
+        "data": {
+            "entity_type": entityType.entityTypeName,
+            "teacher_id": teacherId,
+            "project_id": projectId,
+            "terms": getIndexTerms(entityType, entityData)
+        }
+    });
+}
+
+
+/**
+ * Removes the search document of a project or observation within the given transaction.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {object} entityKey The Datastore key of the entity being deleted.
+ */
+function deleteIndexEntry(transaction, entityKey) {
+    transaction.delete(getSearchDocumentKey(entityKey));
+}
+
+
+/**
+ * Parses the q query parameter into the terms every result must be indexed under. Each word
+ * must match a whole word, unless it ends with "*", in which case it matches any word starting
+ * with it (e.g. "gull*" matches "gull" and "gulls").
+ *
+ * @param {*} q The q query parameter.
+ * @return {string[]} The terms to search for.
+ */
+function parseSearchTerms(q) {
+    if (typeof(q) !== constants.STRING) {
+        throw "Include the words to search for in the q query parameter.";
+    }
+
+    const terms = new Set();
+    for (const chunk of q.trim().split(/\s+/)) {
+        const words = getWords(chunk);
+        if (words.length === 0) {
+            continue;
+        }
+        const lastWord = words.pop();
+        words.forEach(word => terms.add(word));
+        if (chunk.endsWith(PREFIX_MARKER) === true) {
+            if (lastWord.length < constants.MIN_SEARCH_PREFIX_LENGTH) {
+                throw `Prefixes must be at least ${constants.MIN_SEARCH_PREFIX_LENGTH} characters long.`;
+            }
+            terms.add(lastWord + PREFIX_MARKER);
+        } else {
+            terms.add(lastWord);
+        }
+    }
+
+    if (terms.size === 0) {
+        throw "Include the words to search for in the q query parameter.";
+    } else if (terms.size > constants.MAX_SEARCH_QUERY_WORDS) {
+        throw `Searches can include at most ${constants.MAX_SEARCH_QUERY_WORDS} words.`;
+    }
+    return [...terms];
+}
+
+
+/**
+ * Creates a keys-only query for the search documents indexed under every term (and belonging to
+ * every teacher or project to which the search is scoped).
+ *
+ * @param {string[]} terms The terms to search for.
+ * @param {Ancestor[]} scopes The teacher and/or project to which the search is scoped.
+ * @return {object} The Datastore query.
+ */
+function createSearchQuery(terms, scopes) {
+    const query = ds.datastore.createQuery(constants.SEARCH_DOCUMENT);
+    query.select('__key__');
+    for (const term of terms) {
+        query.filter("terms", "=", term);
+    }
+    for (const scope of scopes) {
+        query.filter(scope.getForeignKeyName(), "=", scope.entityId);
+    }
+    return query;
+}
+
+
+/**
+ * Searches projects and observations for those containing every word of the q query parameter,
+ * optionally limited to those of one teacher (teacher_id) or project (project_id). Uses pagination
+ * like collection listings: a "next" URL (and Link header) is included if there are more results.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {string} startCursor [optional] The Datastore cursor at which to start this retrieval
+ * @param {object} requestQuery [optional] The query parameters received from the client (q,
+ * teacher_id, project_id, limit and total_count)
+ * @return {Promise<ServerResponse>} The status code and content to send to the client
+ */
+async function searchEntities(baseUrl, startCursor = null, requestQuery = {}) {
+    /* Validate the search terms, scope and page size before reading anything. */
+    let terms;
+    let listQuery;
+    try {
+        terms = parseSearchTerms(requestQuery.q);
+        listQuery = new ListQuery(requestQuery, constants.SEARCH_ENTITY_TYPE);
+    } catch(err) {
+        return new ServerResponse(
+            400,
+            {"error": err}
+        );
+    }
+
+    const scopes = [];
+    for (const parameterName of Object.keys(SCOPE_PARAMETERS)) {
+        const scopeId = requestQuery[parameterName];
+        if (scopeId === undefined) {
+            continue;
+        } else if (
+            typeof(scopeId) !== constants.STRING
+            || scopeId === ""
+            || ds.isValidId(scopeId) === false
+        ) {
+            return new ServerResponse(
+                400,
+                {"error": constants.INVALID_ID}
+            );
+        }
+        scopes.push(new Ancestor(SCOPE_PARAMETERS[parameterName], scopeId));
+    }
+
+    /* Use a read-only transaction so that results are fetched as of the time of the search. */
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+
+        /* Ensure any teacher or project to which the search is scoped exists. */
+        for (const scope of scopes) {
+            const scopeData = await ds.getAncestorData(transaction, ds.generateAncestorKey(scope));
+            if (!scopeData) {
+                await transaction.rollback();
+                return new ServerResponse(
+                    404,
+                    {"error": scope.getNotFoundError()}
+                );
+            }
+        }
+
+        /* Find the search documents indexed under every term (and within every scope), and count
+         * all of them if the client asked for the total count. */
+        const query = createSearchQuery(terms, scopes);
+        listQuery.applyTo(query);
+        if (startCursor !== null) {
+            query.start(startCursor);
+        }
+
+        let datastoreResponse;
+        let totalCount = null;
+        try {
+            datastoreResponse = await transaction.runQuery(query);
+            if (listQuery.includeTotalCount === true) {
+                const [keys] = await transaction.runQuery(createSearchQuery(terms, scopes));
+                totalCount = keys.length;
+            }
+        } catch(err) {
+            await transaction.rollback();
+            if (err.code === 3) {
+                return new ServerResponse(
+                    403,
+                    {"error": "The start cursor provided is not a valid Datastore cursor."}
+                );
+            }
+            throw err;
+        }
+        const [documents, info] = datastoreResponse;
+
+        /* Fetch the entities to which the search documents belong (their parents). */
+        const entityKeys = documents.map(document => document[ds.Datastore.KEY].parent);
+        const entitiesByPath = new Map();
+        if (entityKeys.length > 0) {
+            const [entities] = await transaction.get(entityKeys);
+            for (const entity of entities) {
+                entitiesByPath.set(entity[ds.Datastore.KEY].path.join("/"), entity);
+            }
+        }
+        await transaction.commit();
+
+        /* Build the results in the order they were found, adding ids and self links. */
+        const results = [];
+        for (const entityKey of entityKeys) {
+            const entity = entitiesByPath.get(entityKey.path.join("/"));
+            if (entity === undefined) {
+                continue;
+            }
+            const entityTypeName = entityKey.kind;
+            const ancestor = entityTypeName === constants.OBSERVATION ?
+                new Ancestor(constants.PROJECTS, String(entityKey.parent.id)) :
+                null;
+            const collectionName = ancestor === null ? constants.PROJECTS : constants.OBSERVATIONS;
+            const entityType = ancestor === null ?
+                constants.COLLECTIONS.roots[collectionName] :
+                constants.COLLECTIONS.children[collectionName];
+
+            entity.id = ds.getDatastoreId(entity);
+            entity.self = ds.getSelfUrl(baseUrl, collectionName, entity.id, ancestor);
+            entityType.addEmbeddedSelfLinks(baseUrl, entity, ancestor);
+            geo.removeGeohashes(entityType, entity);
+            results.push(Object.assign({"type": RESULT_TYPES[entityTypeName]}, entity));
+        }
+
+        /* Link to the first and next pages, keeping the search terms and scope. */
+        let queryString = "q=" + encodeURIComponent(requestQuery.q);
+        for (const scope of scopes) {
+            queryString += "&" + scope.getForeignKeyName() + "=" + scope.entityId;
+        }
+        queryString += listQuery.toQueryString();
+        const firstUrl = baseUrl + "/search?" + queryString;
+        const content = {
+            "entities": results,
+            "next": null
+        };
+        if (totalCount !== null) {
+            content.total_count = totalCount;
+        }
+        const links = [`<${firstUrl}>; rel="first"`];
+        if (info.moreResults !== ds.Datastore.NO_MORE_RESULTS) {
+            const endCursor = encodeURIComponent(info.endCursor);
+            content.next = baseUrl + "/search?" + queryString + "&start=" + endCursor;
+            links.push(`<${content.next}>; rel="next"`);
+        }
+
+        return new ServerResponse(
+            200,
+            content,
+            {"Link": links.join(", ")}
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+module.exports = {
+    "indexEntity": indexEntity,
+    "deleteIndexEntry": deleteIndexEntry,
+    "searchEntities": searchEntities
+};
@@ -1,16 +1,20 @@
 /**
- * @class Represents a server's response, including a status code and response content.
+ * @class Represents a server's response, including a status code, response content and any
+ * additional headers.
  */
 class ServerResponse {
     /**
      * Instantiates a new ServerReponse object.
      * 
      * @param {number} status The status code to send to the client
-     * @param {object} content [optional] The JSON content to send to the client
+     * @param {object} content [optional] The JSON content to send to the client (or, for streamed
+     * responses such as exports, an async iterable of the strings to send)
+     * @param {object} headers [optional] Additional headers to send to the client (e.g. Retry-After)
      */
-    constructor(status, content = null) {
+    constructor(status, content = null, headers = {}) {
         this.status = status;
         this.content = content;
+        this.headers = headers;
     }
 }
 
@@ -16,11 +16,26 @@ const an = require('./ancestor');
 /* Import authorization functionality. */
 const auth = require('./auth');
 
+/* Import functionality for maintaining projects' data numbers. */
+const dataNumber = require('./data-number');
+
+/* Import full-text search functionality. */
+const search = require('./search');
+
+/* Import project statistics functionality. */
+const stats = require('./stats');
+
+/* Import observation export functionality. */
+const observationExport = require('./observation-export');
+
+/* Import observation import functionality. */
+const observationImport = require('./observation-import');
+
 /* Import Datastore functionality. */
 const ds = require('./datastore');
 
-/* Import Cloud Storage functionality. */
-const cloudStorage = require('./storage');
+/* Import image storage functionality. */
+const imageStorage = require('./storage');
 
 /* Enable Multer for handling image file uploads, limiting file size to 10 MB. */
 const Multer = require('multer');
@@ -31,6 +46,9 @@ const multer = Multer({
     }
 });
 
+/* Enable streaming of exports. */
+const stream = require('stream');
+
 /* Enable body-parser. */
 const bodyParser = require('body-parser');
 app.use(bodyParser.json());
@@ -58,6 +76,13 @@ app.delete('/teachers/:teacherId/credentials', function(req, res) {
 });
 
 
+/* Return 405 Method Not Allowed if client tries to update a join code (revoke it by deleting it instead). */
+app.patch('/projects/:projectId/join_codes/:joinCodeId', function(req, res) {
+    res.set("Allow", `${constants.GET}, ${constants.DELETE}`);
+    res.status(405).end();
+});
+
+
 /* Gets a teacher's secret questions (without answers) and a temporary reset code
  * so they can reset a forgotten password. */
 app.get('/teachers/:teacherId/credentials', function(req, res) {
@@ -67,7 +92,8 @@ app.get('/teachers/:teacherId/credentials', function(req, res) {
             "error": constants.INVALID_ID
         });
     } else {
-        auth.getCredentialResetChallenge(teacherId).then(responseInfo => {
+        auth.getCredentialResetChallenge(teacherId, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
             res.status(responseInfo.status).json(responseInfo.content);
         });
     }
@@ -88,7 +114,8 @@ app.put('/teachers/:teacherId/credentials', function(req, res) {
         }); 
     } else {
         const authReceived = req.get("Authorization");
-        auth.resetUnkownPassword(req.body, teacherId, authReceived).then(responseInfo => {
+        auth.resetUnkownPassword(req.body, teacherId, authReceived, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -118,7 +145,8 @@ app.patch('/teachers/:teacherId/credentials', function(req, res) {
         }); 
     } else {
         const authReceived = req.get("Authorization");
-        auth.updateCredentialPasswordKnown(req.body, teacherId, authReceived).then(responseInfo => {
+        auth.updateCredentialPasswordKnown(req.body, teacherId, authReceived, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -134,6 +162,312 @@ app.patch('/teachers/:teacherId/credentials', function(req, res) {
     }
 });
 
+/* Emails a single-use password reset link to the teachers with the given email. */
+app.post('/password_resets', function(req, res) {
+    const contentTypeHeader = req.get(constants.CONTENT_TYPE_HEADER);
+    if (!contentTypeHeader || contentTypeHeader.includes(constants.JSON_MIME_TYPE) === false) {
+        res.status(415).json({
+            "error": `This endpoint only accepts content of type ${constants.JSON_MIME_TYPE}`
+        });
+    } else {
+        auth.sendPasswordResetEmail(req.body, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/* Allows teachers to reset an unknown password using the reset code from a password reset email. */
+app.put('/teachers/:teacherId/credentials/password', function(req, res) {
+    const teacherId = req.params.teacherId;
+    const contentTypeHeader = req.get(constants.CONTENT_TYPE_HEADER);
+    if (ds.isValidId(teacherId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+    } else if (!contentTypeHeader || contentTypeHeader.includes(constants.JSON_MIME_TYPE) === false) {
+        res.status(415).json({
+            "error": `This endpoint only accepts content of type ${constants.JSON_MIME_TYPE}`
+        });
+    } else {
+        const authReceived = req.get("Authorization");
+        auth.resetPasswordWithEmailCode(req.body, teacherId, authReceived, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
+            if (responseInfo.status === 401) {
+                res.set(
+                    'WWW-Authenticate', 
+                    'Basic realm="Access to protected endpoints (see API spec)"'
+                );
+            }
+            if (Object.keys(responseInfo).includes('content') === true) {
+                res.status(responseInfo.status).json(responseInfo.content);
+            } else {
+                res.status(responseInfo.status).end();
+            }
+        });
+    }
+});
+
+/* Exchanges a teacher's teacher_id (or email) and password, or a refresh token,
+ * for a new access token and refresh token. */
+app.post('/tokens', function(req, res) {
+    const contentTypeHeader = req.get(constants.CONTENT_TYPE_HEADER);
+    if (!contentTypeHeader || contentTypeHeader.includes(constants.JSON_MIME_TYPE) === false) {
+        res.status(415).json({
+            "error": `This endpoint only accepts content of type ${constants.JSON_MIME_TYPE}`
+        });
+    } else {
+        auth.postToken(req.body, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/* Logs out by revoking the access token used for this request (and its refresh token). */
+app.delete('/tokens/current', function(req, res) {
+    const authReceived = req.get("Authorization");
+    auth.deleteCurrentToken(authReceived).then(responseInfo => {
+        res.set(responseInfo.headers);
+        if (responseInfo.status === 401) {
+            res.set(
+                'WWW-Authenticate',
+                'Bearer realm="Access to protected endpoints (see API spec)"'
+            );
+        }
+        if (Object.keys(responseInfo).includes('content') === true) {
+            res.status(responseInfo.status).json(responseInfo.content);
+        } else {
+            res.status(responseInfo.status).end();
+        }
+    });
+});
+
+/* Serves an image stored by the local storage backend. Images stored in Cloud Storage
+ * are fetched directly from their public URLs instead. */
+app.get('/images/:fileName', function(req, res) {
+    imageStorage.getImagePath(req.params.fileName).then(imagePath => {
+        if (imagePath === null) {
+            res.status(404).json({
+                "error": constants.ITEM_NOT_FOUND
+            });
+        } else {
+            res.sendFile(imagePath);
+        }
+    });
+});
+
+/* Searches projects and observations for the words in the q query parameter. Uses pagination
+ * like collection listings: send the next GET request to the "next" link to continue where the
+ * previous one left off. */
+app.get('/search', function(req, res) {
+    const baseUrl = crud.getBaseUrl(req);
+    let startCursor = null;
+    if (Object.keys(req.query).includes('start') === true) {
+        startCursor = decodeURIComponent(req.query.start);
+    }
+    search.searchEntities(baseUrl, startCursor, req.query).then(responseInfo => {
+        res.set(responseInfo.headers);
+        res.status(responseInfo.status).json(responseInfo.content);
+    });
+});
+
+/* Gets a time series of a project's observations grouped by date (into buckets of the interval
+ * given in the query string: day, week or month). */
+app.get('/projects/:projectId/stats', function(req, res) {
+    const projectId = req.params.projectId;
+    if (ds.isValidId(projectId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+    } else {
+        const baseUrl = crud.getBaseUrl(req);
+        stats.getProjectStats(baseUrl, projectId, req.query).then(responseInfo => {
+            res.set(responseInfo.headers);
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/* Lists the distinct descriptions of a project's observations with their observation counts and
+ * total quantities. Pass a prefix in the query string to autocomplete a description. */
+app.get('/projects/:projectId/descriptions', function(req, res) {
+    const projectId = req.params.projectId;
+    if (ds.isValidId(projectId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+    } else {
+        const baseUrl = crud.getBaseUrl(req);
+        stats.getProjectDescriptions(baseUrl, projectId, req.query).then(responseInfo => {
+            res.set(responseInfo.headers);
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/* Recomputes a project's data_number.number from all of its observations. Pass dry_run=true
+ * in the query string to report the recomputed number without saving it. */
+app.post('/projects/:projectId/data_number/recompute', function(req, res) {
+    const projectId = req.params.projectId;
+    const dryRun = req.query.dry_run;
+    if (ds.isValidId(projectId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+    } else if (dryRun !== undefined && dryRun !== "true" && dryRun !== "false") {
+        res.status(400).json({
+            "error": "dry_run must be either true or false."
+        });
+    } else {
+        const authReceived = req.get("Authorization");
+        dataNumber.recomputeProjectDataNumber(
+            projectId,
+            authReceived,
+            dryRun === "true",
+            req.ip
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
+            if (responseInfo.status === 401) {
+                res.set(
+                    'WWW-Authenticate', 
+                    'Basic realm="Access to protected endpoints (see API spec)"'
+                );
+            }
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/* Imports observations into a project from an uploaded CSV file, reporting the errors found in each
+ * row. Pass dry_run=true in the query string to only validate the rows without saving them. */
+app.post('/projects/:projectId/observations/import', multer.single('file'), function(req, res) {
+    const projectId = req.params.projectId;
+    const dryRun = req.query.dry_run;
+    const contentTypeHeader = req.get(constants.CONTENT_TYPE_HEADER) || "";
+    if (ds.isValidId(projectId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+    } else if (contentTypeHeader.includes(constants.FORM_DATA_MIME_TYPE) === false) {
+        res.status(415).json({
+            "error": `This endpoint only accepts content of type ${constants.FORM_DATA_MIME_TYPE}`
+        });
+    } else if (dryRun !== undefined && dryRun !== "true" && dryRun !== "false") {
+        res.status(400).json({
+            "error": "dry_run must be either true or false."
+        });
+    } else if (!req.file) {
+        res.status(400).json({
+            "error": "No CSV file has been uploaded in the form field named 'file'."
+        });
+    } else {
+        const baseUrl = crud.getBaseUrl(req);
+        const ancestor = new an.Ancestor(constants.PROJECTS, projectId);
+        const authReceived = req.get("Authorization");
+        observationImport.importObservations(
+            baseUrl,
+            ancestor,
+            authReceived,
+            req.file.buffer.toString('utf8'),
+            dryRun === "true",
+            req.ip
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
+            if (responseInfo.status === 401) {
+                res.set(
+                    'WWW-Authenticate', 
+                    'Basic realm="Access to protected endpoints (see API spec)"'
+                );
+            }
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/**
+ * Exports all of a project's observations in the given format, streaming the document to the client.
+ * 
+ * @param {object} req The Express request
+ * @param {object} res The Express response
+ * @param {string} format The format of the export ("geojson", "csv" or "dwca")
+ */
+function sendObservationExport(req, res, format) {
+    const projectId = req.params.projectId;
+    if (ds.isValidId(projectId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+        return;
+    }
+    const baseUrl = crud.getBaseUrl(req);
+    const ancestor = new an.Ancestor(constants.PROJECTS, projectId);
+    const authReceived = req.get("Authorization");
+    let exported;
+    if (format === "csv") {
+        exported = observationExport.exportObservationsCsv(
+            baseUrl, ancestor, authReceived, req.query, req.ip
+        );
+    } else if (format === "dwca") {
+        exported = observationExport.exportObservationsDwca(baseUrl, ancestor, authReceived, req.ip);
+    } else {
+        exported = observationExport.exportObservationsGeoJson(baseUrl, ancestor, req.query);
+    }
+    exported.then(responseInfo => {
+        res.set(responseInfo.headers);
+        if (responseInfo.status === 401) {
+            res.set(
+                'WWW-Authenticate', 
+                'Basic realm="Access to protected endpoints (see API spec)"'
+            );
+        }
+        if (responseInfo.status !== 200) {
+            res.status(responseInfo.status).json(responseInfo.content);
+            return;
+        }
+
+        /* The status has already been sent if the export fails partway through, so the pipeline
+         * ends the response abruptly to let the client know it is incomplete. It also stops reading
+         * the export if the client disconnects. */
+        res.status(200);
+        stream.pipeline(stream.Readable.from(responseInfo.content), res, err => {
+            if (err) {
+                console.log(err);
+            }
+        });
+    });
+}
+
+/* Exports all of a project's observations as a GeoJSON FeatureCollection. */
+app.get('/projects/:projectId/observations.geojson', function(req, res) {
+    sendObservationExport(req, res, "geojson");
+});
+
+/* Exports all of a project's observations as CSV (including information about the students who
+ * made them if the project's teacher asks for private columns). */
+app.get('/projects/:projectId/observations.csv', function(req, res) {
+    sendObservationExport(req, res, "csv");
+});
+
+/* Exports all of a project's observations as a Darwin Core Archive for sharing with biodiversity
+ * data aggregators (only for the project's teacher, since it includes the teacher's details). */
+app.get('/projects/:projectId/export/dwca', function(req, res) {
+    sendObservationExport(req, res, "dwca");
+});
+
+/* Exports a project's observations as GeoJSON or CSV when the client asks for either in the Accept
+ * header (listing them as JSON otherwise). */
+app.get('/projects/:projectId/observations', function(req, res, next) {
+    const accepted = req.accepts(['json', 'application/geo+json', 'text/csv']);
+    if (accepted === 'application/geo+json') {
+        sendObservationExport(req, res, "geojson");
+    } else if (accepted === 'text/csv') {
+        sendObservationExport(req, res, "csv");
+    } else {
+        next();
+    }
+});
+
 /* Gets the root entity with the given id from Datastore. */
 app.get('/:collectionName/:entityId', function(req, res) {
     const collectionName = req.params.collectionName;
@@ -150,7 +484,8 @@ app.get('/:collectionName/:entityId', function(req, res) {
     } else {
         const baseUrl = crud.getBaseUrl(req);
         const authReceived = req.get("Authorization");
-        crud.getEntity(baseUrl, collectionName, entityId, authReceived).then(responseInfo => {
+        crud.getEntity(baseUrl, collectionName, entityId, authReceived, null, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -173,6 +508,7 @@ app.get('/:ancestorCollection/:ancestorId/:childCollection/:childId', function(r
     if (
         Object.keys(possibleAncestors).includes(ancestorCollection) == false
         || Object.keys(possibleChildren).includes(childCollection) == false
+        || possibleChildren[childCollection].ancestorCollectionName !== ancestorCollection
     ) {
         res.status(404).json({
             "error": constants.NO_SUCH_COLLECTION
@@ -185,7 +521,15 @@ app.get('/:ancestorCollection/:ancestorId/:childCollection/:childId', function(r
         const baseUrl = crud.getBaseUrl(req);
         const ancestor = new an.Ancestor(ancestorCollection, ancestorId);
         const authReceived = req.get("Authorization");
-        crud.getEntity(baseUrl, childCollection, childId, authReceived, ancestor).then(responseInfo => {
+        crud.getEntity(
+            baseUrl,
+            childCollection,
+            childId,
+            authReceived,
+            ancestor,
+            req.ip
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -200,7 +544,8 @@ app.get('/:ancestorCollection/:ancestorId/:childCollection/:childId', function(r
 /* Gets a list of entities of the given root collection. Uses pagination. 
  * If there are more entities to fetch from the collection, a "next" link will
  * be included in the response. Send the next GET request to that "next" link
- * to continue where the previous one left off. */
+ * to continue where the previous one left off. Collections that support it can be
+ * filtered and sorted with query parameters (see ListQuery). */
 app.get('/:collectionName', function (req, res) {
     const collectionName = req.params.collectionName;
     const possibleCollections = Object.keys(constants.COLLECTIONS.roots);
@@ -214,7 +559,17 @@ app.get('/:collectionName', function (req, res) {
         if (Object.keys(req.query).includes('start') === true) {
             startCursor = decodeURIComponent(req.query.start);
         }
-        crud.getEntities(baseUrl, collectionName, startCursor).then(responseInfo => {
+        crud.getEntities(
+            baseUrl,
+            collectionName,
+            startCursor,
+            null,
+            null,
+            null,
+            null,
+            req.query
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
             res.status(responseInfo.status).json(responseInfo.content);
         });
     }
@@ -223,7 +578,8 @@ app.get('/:collectionName', function (req, res) {
 /* Gets all projects of the given teacher. Uses pagination. 
  * If there are more entities to fetch from the collection, a "next" link will
  * be included in the response. Send the next GET request to that "next" link
- * to continue where the previous one left off. */
+ * to continue where the previous one left off. Collections that support it can be
+ * filtered and sorted with query parameters (see ListQuery). */
 app.get('/teachers/:teacherId/projects', function(req, res) {
     const teacherId = req.params.teacherId;
     if (ds.isValidId(teacherId) === false) {
@@ -241,8 +597,45 @@ app.get('/teachers/:teacherId/projects', function(req, res) {
             constants.PROJECTS, 
             startCursor, 
             null, 
-            teacherId
+            new an.Ancestor(constants.TEACHERS, teacherId),
+            null,
+            null,
+            req.query
         ).then(responseInfo => {
+            res.set(responseInfo.headers);
+            res.status(responseInfo.status).json(responseInfo.content);
+        });
+    }
+});
+
+/* Gets all projects of the given class. Uses pagination. 
+ * If there are more entities to fetch from the collection, a "next" link will
+ * be included in the response. Send the next GET request to that "next" link
+ * to continue where the previous one left off. Collections that support it can be
+ * filtered and sorted with query parameters (see ListQuery). */
+app.get('/classes/:classId/projects', function(req, res) {
+    const classId = req.params.classId;
+    if (ds.isValidId(classId) === false) {
+        res.status(400).json({
+            "error": constants.INVALID_ID
+        });
+    } else {
+        const baseUrl = crud.getBaseUrl(req);
+        let startCursor = null;
+        if (Object.keys(req.query).includes('start') === true) {
+            startCursor = decodeURIComponent(req.query.start);
+        }
+        crud.getEntities(
+            baseUrl, 
+            constants.PROJECTS, 
+            startCursor, 
+            null, 
+            new an.Ancestor(constants.CLASSES, classId),
+            null,
+            null,
+            req.query
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
             res.status(responseInfo.status).json(responseInfo.content);
         });
     }
@@ -251,7 +644,8 @@ app.get('/teachers/:teacherId/projects', function(req, res) {
 /* Gets a list of entities of the child of a root collection. Uses pagination. 
  * If there are more entities to fetch from the collection, a "next" link will
  * be included in the response. Send the next GET request to that "next" link
- * to continue where the previous one left off. */
+ * to continue where the previous one left off. Collections that support it can be
+ * filtered and sorted with query parameters (see ListQuery). */
 app.get('/:ancestorCollection/:ancestorId/:childCollection', function(req, res) {
     const ancestorCollection = req.params.ancestorCollection;
     const ancestorId = req.params.ancestorId;
@@ -261,6 +655,7 @@ app.get('/:ancestorCollection/:ancestorId/:childCollection', function(req, res)
     if (
         Object.keys(possibleAncestors).includes(ancestorCollection) == false
         || Object.keys(possibleChildren).includes(childCollection) == false
+        || possibleChildren[childCollection].ancestorCollectionName !== ancestorCollection
     ) {
         res.status(404).json({
             "error": constants.NO_SUCH_COLLECTION
@@ -276,13 +671,30 @@ app.get('/:ancestorCollection/:ancestorId/:childCollection', function(req, res)
         if (Object.keys(req.query).includes('start') === true) {
             startCursor = decodeURIComponent(req.query.start);
         }
-        crud.getEntities(baseUrl, childCollection, startCursor, ancestor).then(responseInfo => {
+        const authReceived = req.get("Authorization");
+        crud.getEntities(
+            baseUrl, 
+            childCollection, 
+            startCursor, 
+            ancestor, 
+            null, 
+            authReceived,
+            req.ip,
+            req.query
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
+            if (responseInfo.status === 401) {
+                res.set(
+                    'WWW-Authenticate', 
+                    'Basic realm="Access to protected endpoints (see API spec)"'
+                );
+            }
             res.status(responseInfo.status).json(responseInfo.content);
         });
     }
 });
 
-/* Adds the uploaded file to Cloud Datastore and returns image's public URL on success. */
+/* Adds the uploaded file to image storage and returns image's public URL on success. */
 app.post('/images', multer.single('image'), function(req, res) {
     const contentTypeHeader = req.get(constants.CONTENT_TYPE_HEADER);
     if (contentTypeHeader.includes(constants.FORM_DATA_MIME_TYPE) === false) {
@@ -299,8 +711,10 @@ app.post('/images', multer.single('image'), function(req, res) {
             "error": constants.IMAGE_FORMAT_ERROR
         });
     } else {
+        const baseUrl = crud.getBaseUrl(req);
         const authReceived = req.get("Authorization");
-        cloudStorage.postImage(req.file, authReceived).then(responseInfo => {
+        imageStorage.postImage(req.file, authReceived, baseUrl, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate',
@@ -328,7 +742,8 @@ app.post('/:collectionName', function(req, res) {
     } else {
         const baseUrl = crud.getBaseUrl(req);
         const authReceived = req.get("Authorization");
-        crud.postEntity(baseUrl, req.body, collectionName, authReceived).then(responseInfo => {
+        crud.postEntity(baseUrl, req.body, collectionName, authReceived, null, req.ip).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -351,6 +766,7 @@ app.post('/:ancestorCollection/:ancestorId/:childCollection', function(req, res)
     if (
         Object.keys(possibleAncestors).includes(ancestorCollection) == false
         || Object.keys(possibleChildren).includes(childCollection) == false
+        || possibleChildren[childCollection].ancestorCollectionName !== ancestorCollection
     ) {
         res.status(404).json({
             "error": constants.NO_SUCH_COLLECTION
@@ -372,8 +788,10 @@ app.post('/:ancestorCollection/:ancestorId/:childCollection', function(req, res)
             req.body, 
             childCollection, 
             authReceived, 
-            ancestor
+            ancestor,
+            req.ip
         ).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -411,8 +829,11 @@ app.patch('/:collectionName/:entityId', function(req, res) {
             req.body, 
             collectionName, 
             entityId,
-            authReceived
+            authReceived,
+            null,
+            req.ip
         ).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -436,6 +857,7 @@ app.patch('/:ancestorCollection/:ancestorId/:childCollection/:childId', function
     if (
         Object.keys(possibleAncestors).includes(ancestorCollection) == false
         || Object.keys(possibleChildren).includes(childCollection) == false
+        || possibleChildren[childCollection].ancestorCollectionName !== ancestorCollection
     ) {
         res.status(404).json({
             "error": constants.NO_SUCH_COLLECTION
@@ -458,8 +880,10 @@ app.patch('/:ancestorCollection/:ancestorId/:childCollection/:childId', function
             childCollection,
             childId,
             authReceived,
-            ancestor
+            ancestor,
+            req.ip
         ).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -471,11 +895,13 @@ app.patch('/:ancestorCollection/:ancestorId/:childCollection/:childId', function
     }
 });
 
-/* Deletes the given root entity (and any entities bound to it) from Datastore. */
+/* Deletes the given root entity (and any entities bound to it) from Datastore. When deleting
+ * a class, pass keep_projects=true in the query string to keep its projects. */
 app.delete('/:collectionName/:entityId', function(req, res) {
     const collectionName = req.params.collectionName;
     const entityId = req.params.entityId;
     const possibleCollections = Object.keys(constants.COLLECTIONS.roots);
+    const keepProjects = req.query.keep_projects;
     if (possibleCollections.includes(collectionName) === false) {
         res.status(404).json({
             "error": constants.NO_SUCH_COLLECTION
@@ -484,9 +910,24 @@ app.delete('/:collectionName/:entityId', function(req, res) {
         res.status(400).json({
             "error": constants.INVALID_ID
         });
+    } else if (
+        keepProjects !== undefined 
+        && (collectionName !== constants.CLASSES || ['true', 'false'].includes(keepProjects) === false)
+    ) {
+        res.status(400).json({
+            "error": "keep_projects can only be true or false, and only when deleting a class."
+        });
     } else {
         const authReceived = req.get("Authorization");
-        crud.deleteEntity(collectionName, entityId, authReceived).then(responseInfo => {
+        crud.deleteEntity(
+            collectionName, 
+            entityId, 
+            authReceived, 
+            null, 
+            keepProjects === 'true',
+            req.ip
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -514,6 +955,7 @@ app.delete('/:ancestorCollection/:ancestorId/:childCollection/:childId', functio
     if (
         Object.keys(possibleAncestors).includes(ancestorCollection) == false
         || Object.keys(possibleChildren).includes(childCollection) == false
+        || possibleChildren[childCollection].ancestorCollectionName !== ancestorCollection
     ) {
         res.status(404).json({
             "error": constants.NO_SUCH_COLLECTION
@@ -525,7 +967,15 @@ app.delete('/:ancestorCollection/:ancestorId/:childCollection/:childId', functio
     } else {
         const authReceived = req.get("Authorization");
         const ancestor = new an.Ancestor(ancestorCollection, ancestorId);
-        crud.deleteEntity(childCollection, childId, authReceived, ancestor).then(responseInfo => {
+        crud.deleteEntity(
+            childCollection,
+            childId,
+            authReceived,
+            ancestor,
+            false,
+            req.ip
+        ).then(responseInfo => {
+            res.set(responseInfo.headers);
             if (responseInfo.status === 401) {
                 res.set(
                     'WWW-Authenticate', 
@@ -553,15 +1003,19 @@ app.use(function(req, res, next) {
 app.use(function(err, req, res, next) {
     /* Catch Multer error if one occurs. */
     if (err instanceof Multer.MulterError) {
-        /* Send 403 Forbidden if file is too large. */
+        /* Send 403 Forbidden if file is too large. Observation imports upload a CSV file
+         * rather than an image. */
+        const isImport = req.path.endsWith('/observations/import');
         if (err.code && err.code === 'LIMIT_FILE_SIZE') {
             res.status(403).json({
-                "error": "Images can be no larger than 10 MB"
+                "error": isImport === true ? "Import files can be no larger than 10 MB" :
+                    "Images can be no larger than 10 MB"
             });
         } else {
+            const fieldName = isImport === true ? "file" : "image";
             res.status(400).json({
-                "error": "Unable to process image upload. Ensure data is encoded as "
-                + "multipart/form-data and form field containing desired upload is named 'image'"
+                "error": `Unable to process ${fieldName} upload. Ensure data is encoded as `
+                + `multipart/form-data and form field containing desired upload is named '${fieldName}'`
             });
         }
     }
@@ -583,8 +1037,13 @@ app.use(function(err, req, res, next) {
     }
 });
 
-/* Listen to the App Engine-specified port, or 8080 otherwise */
-const PORT = constants.PORT;
-app.listen(constants.PORT, () => {
-    console.log(`Server listening on port ${PORT}...`);
-});
+/* Listen to the App Engine-specified port, or 8080 otherwise. Only listen when run
+ * directly so that the app can be imported (e.g. by the test suite) without binding a port. */
+if (require.main === module) {
+    const PORT = constants.PORT;
+    app.listen(constants.PORT, () => {
+        console.log(`Server listening on port ${PORT}...`);
+    });
+}
+
+module.exports = app;
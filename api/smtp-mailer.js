@@ -0,0 +1,53 @@
+/* Import Nodemailer for sending email over SMTP. */
+const nodemailer = require('nodemailer');
+
+
+/**
+ * @class Sends emails through an SMTP server.
+ */
+class SmtpMailer {
+    /**
+     * Instantiates a new SmtpMailer.
+     *
+     * @constructor
+     * @param {object} options The SMTP server settings.
+     * @param {string} options.host The SMTP server's hostname.
+     * @param {number} options.port The SMTP server's port.
+     * @param {boolean} options.secure Whether to connect with TLS (otherwise STARTTLS is used
+     * if the server supports it).
+     * @param {string} options.user [optional] The username to authenticate with (null for none).
+     * @param {string} options.password [optional] The password to authenticate with.
+     * @param {string} from The address from which emails are sent.
+     */
+    constructor(options, from) {
+        this.transport = nodemailer.createTransport({
+            "host": options.host,
+            "port": options.port,
+            "secure": options.secure,
+            "auth": options.user ? {"user": options.user, "pass": options.password} : undefined
+        });
+        this.from = from;
+    }
+
+    /**
+     * Sends an email through the SMTP server.
+     *
+     * @param {object} email The email to send.
+     * @param {string} email.to The recipient's address.
+     * @param {string} email.subject The subject line.
+     * @param {string} email.text The plain-text body.
+     * @return {Promise<void>}
+     */
+    async sendMail(email) {
+        await this.transport.sendMail({
+            "from": this.from,
+            "to": email.to,
+            "subject": email.subject,
+            "text": email.text
+        });
+    }
+}
+
+module.exports = {
+    "SmtpMailer": SmtpMailer
+};
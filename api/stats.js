@@ -0,0 +1,326 @@
+const constants = require('./constants');
+const ds = require('./datastore');
+const sr = require('./server-response');
+const ServerResponse = sr.ServerReponse;
+
+/* The length of a day in milliseconds. */
+const DAY = 24 * 60 * 60 * 1000;
+
+
+/**
+ * Finds the start of the bucket containing the given time. Buckets are in UTC; weeks start
+ * on Mondays and months on their first day.
+ *
+ * @param {number} time The time (in milliseconds since the epoch).
+ * @param {string} interval The length of each bucket (one of STATS_INTERVALS).
+ * @return {number} The start of the bucket (in milliseconds since the epoch).
+ */
+function getBucketStart(time, interval) {
+    const date = new Date(time);
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    if (interval === "day") {
+        return dayStart;
+    } else if (interval === "week") {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        return dayStart - daysSinceMonday * DAY;
+    } else {
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    }
+}
+
+
+/**
+ * Finds the start of the bucket following the one starting at the given time.
+ *
+ * @param {number} bucketStart The start of a bucket (in milliseconds since the epoch).
+ * @param {string} interval The length of each bucket (one of STATS_INTERVALS).
+ * @return {number} The start of the next bucket (in milliseconds since the epoch).
+ */
+function getNextBucketStart(bucketStart, interval) {
+    if (interval === "day") {
+        return bucketStart + DAY;
+    } else if (interval === "week") {
+        return bucketStart + 7 * DAY;
+    } else {
+        const date = new Date(bucketStart);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    }
+}
+
+
+/**
+ * Creates an empty bucket of statistics.
+ *
+ * @param {?number} bucketStart [optional] The start of the bucket (null for observations without
+ * a valid date).
+ * @return {object} The bucket.
+ */
+function createBucket(bucketStart = null) {
+    const bucket = {
+        "observations": 0,
+        "quantity": 0,
+        "new_unique_descriptions": 0
+    };
+    if (bucketStart !== null) {
+        bucket.start = new Date(bucketStart).toISOString().substring(0, 10);
+    }
+    return bucket;
+}
+
+
+/**
+ * Adds an observation to a bucket of statistics.
+ *
+ * @param {object} bucket The bucket.
+ * @param {object} observation The observation's data.
+ * @param {Set.<string>} descriptionsSeen The data_number.descriptions of the observations already
+ * counted (updated in place).
+ */
+function addToBucket(bucket, observation, descriptionsSeen) {
+    bucket.observations++;
+    bucket.quantity += observation.data_number.quantity;
+    if (descriptionsSeen.has(observation.data_number.description) === false) {
+        descriptionsSeen.add(observation.data_number.description);
+        bucket.new_unique_descriptions++;
+    }
+}
+
+
+/**
+ * Gets a time series of a project's observations, grouped by observation date into buckets of
+ * the given interval. Each bucket holds the number of observations, their summed quantities and
+ * the number of descriptions seen for the first time, along with the cumulative value of the
+ * project's data_number.number at the end of the bucket (counting quantities, or unique
+ * descriptions if the project's data_number.must_be_unique is true). Observations whose dates
+ * cannot be parsed are counted separately (as "undated") before the first bucket.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {string} projectId The id of the project
+ * @param {object} requestQuery [optional] The query parameters received from the client (interval)
+ * @return {Promise<ServerResponse>} The status code and content to send to the client
+ */
+async function getProjectStats(baseUrl, projectId, requestQuery = {}) {
+    const interval = requestQuery.interval === undefined ? "day" : requestQuery.interval;
+    if (constants.STATS_INTERVALS.includes(interval) === false) {
+        return new ServerResponse(
+            400,
+            {"error": `The interval must be one of: ${constants.STATS_INTERVALS.join(', ')}.`}
+        );
+    }
+
+    /* Use a read-only transaction so that the project and its observations are read together. */
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+        const projectKey = ds.generateDatastoreKey(constants.PROJECT, projectId);
+        const [projectData] = await transaction.get(projectKey);
+        if (projectData === undefined) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": constants.ITEM_NOT_FOUND}
+            );
+        }
+
+        const query = ds.datastore.createQuery(constants.OBSERVATION);
+        query.hasAncestor(projectKey);
+        const [observations] = await transaction.runQuery(query);
+        await transaction.commit();
+
+        /* Sort the observations by date, setting aside those without a valid date. */
+        const undatedObservations = [];
+        const datedObservations = [];
+        for (const observation of observations) {
+            const time = Date.parse(observation.date);
+            if (isNaN(time) === true) {
+                undatedObservations.push(observation);
+            } else {
+                datedObservations.push({"time": time, "observation": observation});
+            }
+        }
+        datedObservations.sort((a, b) => a.time - b.time);
+
+        /* Refuse to build more buckets than a client could reasonably chart. */
+        if (datedObservations.length > 0) {
+            const firstBucketStart = getBucketStart(datedObservations[0].time, interval);
+            const lastBucketStart = getBucketStart(
+                datedObservations[datedObservations.length - 1].time, interval
+            );
+            let bucketCount = 1;
+            for (
+                let bucketStart = firstBucketStart;
+                bucketStart < lastBucketStart && bucketCount <= constants.MAX_STATS_BUCKETS;
+                bucketStart = getNextBucketStart(bucketStart, interval)
+            ) {
+                bucketCount++;
+            }
+            if (bucketCount > constants.MAX_STATS_BUCKETS) {
+                return new ServerResponse(
+                    400,
+                    {
+                        "error": `The project's observations span more than ${constants.MAX_STATS_BUCKETS} `
+                            + `${interval}s; choose a longer interval.`
+                    }
+                );
+            }
+        }
+
+        /* Start the series from the project's number less the contribution of every observation
+         * (rather than from its initial_number, which projects created before it was recorded lack),
+         * so that the last cumulative number matches the project's number. */
+        const dataNumber = projectData.data_number;
+        const observationsContribution = dataNumber.must_be_unique === true ?
+            new Set(observations.map(observation => observation.data_number.description)).size :
+            observations.reduce((total, observation) => total + observation.data_number.quantity, 0);
+
+        /* Count undated observations first, adding their contribution to the starting number. */
+        const descriptionsSeen = new Set();
+        const undated = createBucket();
+        for (const observation of undatedObservations) {
+            addToBucket(undated, observation, descriptionsSeen);
+        }
+        const startingNumber = dataNumber.number - observationsContribution
+            + (dataNumber.must_be_unique === true ? undated.new_unique_descriptions : undated.quantity);
+
+        /* Fill each bucket from the first observation's to the last observation's (including
+         * empty buckets in between, so the series can be charted directly). */
+        const buckets = [];
+        let cumulativeNumber = startingNumber;
+        let index = 0;
+        let bucketStart = datedObservations.length > 0 ?
+            getBucketStart(datedObservations[0].time, interval) :
+            null;
+        while (index < datedObservations.length) {
+            const nextBucketStart = getNextBucketStart(bucketStart, interval);
+            const bucket = createBucket(bucketStart);
+            while (index < datedObservations.length && datedObservations[index].time < nextBucketStart) {
+                addToBucket(bucket, datedObservations[index].observation, descriptionsSeen);
+                index++;
+            }
+            cumulativeNumber += dataNumber.must_be_unique === true ?
+                bucket.new_unique_descriptions :
+                bucket.quantity;
+            bucket.cumulative_number = cumulativeNumber;
+            buckets.push(bucket);
+            bucketStart = nextBucketStart;
+        }
+
+        return new ServerResponse(
+            200,
+            {
+                "project": {
+                    "id": projectId,
+                    "self": ds.getSelfUrl(baseUrl, constants.PROJECTS, projectId)
+                },
+                "interval": interval,
+                "data_number": dataNumber,
+                "starting_number": startingNumber,
+                "undated": undated,
+                "buckets": buckets
+            }
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+
+/**
+ * Lists each distinct data_number.description of a project's observations along with the number
+ * of observations and total quantity recorded with it, most frequent first. If a prefix is given,
+ * only the descriptions starting with it (ignoring case and whitespace, e.g. "gold fi" suggests
+ * "Goldfinch") are suggested, at most
+ * MAX_DESCRIPTION_SUGGESTIONS of them, so that students can reuse existing descriptions instead of
+ * typing variants that would be counted separately.
+ *
+ * @param {string} baseUrl The URL to which this request was sent
+ * @param {string} projectId The id of the project
+ * @param {object} requestQuery [optional] The query parameters received from the client (prefix)
+ * @return {Promise<ServerResponse>} The status code and content to send to the client
+ */
+async function getProjectDescriptions(baseUrl, projectId, requestQuery = {}) {
+    const prefix = requestQuery.prefix;
+    if (
+        prefix !== undefined
+        && (typeof(prefix) !== constants.STRING || constants.NORMALIZE_DESCRIPTION(prefix) === "")
+    ) {
+        return new ServerResponse(
+            400,
+            {"error": "The prefix must include at least one character other than whitespace."}
+        );
+    }
+
+    const transaction = ds.datastore.transaction({readOnly: true});
+    try {
+        await transaction.run();
+        const projectKey = ds.generateDatastoreKey(constants.PROJECT, projectId);
+        const [projectData] = await transaction.get(projectKey);
+        if (projectData === undefined) {
+            await transaction.rollback();
+            return new ServerResponse(
+                404,
+                {"error": constants.ITEM_NOT_FOUND}
+            );
+        }
+
+        const query = ds.datastore.createQuery(constants.OBSERVATION);
+        query.hasAncestor(projectKey);
+        const [observations] = await transaction.runQuery(query);
+        await transaction.commit();
+
+        /* Tally the observations and quantities of each description (matching the prefix, if any). */
+        const normalizedPrefix = prefix === undefined ? null : constants.NORMALIZE_DESCRIPTION(prefix);
+        const tallies = new Map();
+        for (const observation of observations) {
+            const description = observation.data_number.description;
+            if (
+                normalizedPrefix !== null
+                && constants.NORMALIZE_DESCRIPTION(description).startsWith(normalizedPrefix) === false
+            ) {
+                continue;
+            }
+            if (tallies.has(description) === false) {
+                tallies.set(description, {"description": description, "observations": 0, "quantity": 0});
+            }
+            const tally = tallies.get(description);
+            tally.observations++;
+            tally.quantity += observation.data_number.quantity;
+        }
+
+        /* List the most frequently observed descriptions first (alphabetically if tied). */
+        let descriptions = [...tallies.values()].sort(
+            (a, b) => b.observations - a.observations || a.description.localeCompare(b.description)
+        );
+        if (normalizedPrefix !== null) {
+            descriptions = descriptions.slice(0, constants.MAX_DESCRIPTION_SUGGESTIONS);
+        }
+
+        return new ServerResponse(
+            200,
+            {
+                "project": {
+                    "id": projectId,
+                    "self": ds.getSelfUrl(baseUrl, constants.PROJECTS, projectId)
+                },
+                "descriptions": descriptions
+            }
+        );
+    } catch(err) {
+        await transaction.rollback();
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": constants.SERVER_ERROR}
+        );
+    }
+}
+
+module.exports = {
+    "getProjectStats": getProjectStats,
+    "getProjectDescriptions": getProjectDescriptions
+};
@@ -1,6 +1,3 @@
-/* Import axios for making async HTTP requests. */
-const axios = require('axios');
-
 /* Import authorization functionality. */
 const auth = require('./auth');
 
@@ -14,101 +11,96 @@ const ds = require('./datastore');
 const et = require('./entity-type');
 const EntityType = et.EntityType;
 
-/* Import ParsedImageUrl class. */
-const piu = require('./parsed-image-url');
-const ParsedImageUrl = piu.ParsedImageUrl;
-
-/* Import util for formatting image urls. */
-const {format} = require('util');
-
-/* Make new Cloud Storage instance. */
-const {Storage} = require('@google-cloud/storage');
-const storage = new Storage();
-
-/* Obtain the storage bucket designated for storing images. */
-const bucket = storage.bucket(constants.BUCKET_NAME);
-
 /* Import the ServerResponse class. */
 const sr = require('./server-response');
 const ServerResponse = sr.ServerReponse;
 
+/* The storage providers that can be selected with the STORAGE_BACKEND environment variable.
+ * Each one maps to a function constructing the provider, loaded lazily so that providers
+ * which are not selected (and their dependencies) are never loaded. */
+const PROVIDERS = {
+    "cloud": () => {
+        const csp = require('./cloud-storage-provider');
+        return new csp.CloudStorageProvider(constants.BUCKET_NAME);
+    },
+    "local": () => {
+        const lsp = require('./local-storage-provider');
+        return new lsp.LocalStorageProvider(constants.LOCAL_STORAGE_DIRECTORY);
+    }
+};
+
+if (Object.keys(PROVIDERS).includes(constants.STORAGE_BACKEND) === false) {
+    throw `Unknown STORAGE_BACKEND "${constants.STORAGE_BACKEND}" (expected one of: `
+        + `${Object.keys(PROVIDERS).join(', ')}).`;
+}
+
+/* The storage provider chosen at startup. Every provider implements writeImage, getImagePath,
+ * validateImageUrl and deleteImage. */
+const provider = PROVIDERS[constants.STORAGE_BACKEND]();
+
 
 /**
- * Stores the given image in Cloud Storage.
+ * Stores the given image using the current storage provider.
  * 
  * @param {object} imageFile The file retrieved by Multer that was sent with this request.
+ * @param {string} baseUrl The base URL to which the upload request was sent.
  * @return {Promise<ServerResponse>} The status code and content to return to the client.
  */
-function writeImageToStorage(imageFile) {
+async function writeImageToStorage(imageFile, baseUrl) {
     /* Prepend timestamp to filename to help ensure unique filename. */
     const filename = Date.now().toString(10) + '_' + imageFile.originalname;
 
-    /* Create a blob into which to write file data. */
-    const blob = bucket.file(filename);
-    
-    /* Construct and return a promise that resolves with the 
-     * server reponse based on the outomce of writing the file data
-     * to the bucket. */
-    return new Promise((resolve, reject) => {
-        /* Create a new write stream to write the data to the storage bucket. */
-        const blobStream = blob.createWriteStream({
-            resumable: false
-        });
-
-        /* If an error occurs, resolve the promise with status 500 and
-         * an error message. */
-        blobStream.on('error', err => {
-            console.log(err);
-            resolve(
-                new ServerResponse(
-                    500,
-                    {"error": "An error occurred while uploading the file you submitted to Cloud Storage"}
-                )
-            );
-        });
-
-        /* If the writeStream finishes successfully, resolve the promise with a
-         * 201 created server response containing the public url of the image. */
-        blobStream.on('finish', () => {
-            const publicUrl = format(
-                `${constants.CLOUD_STORAGE_BASE_URL}/${bucket.name}/${blob.name}`
-            );          
-            resolve(
-                new ServerResponse(
-                    201,
-                    {"publicUrl": publicUrl}
-                )
-            );
-        });
-
-        /* Close the writeStream. */
-        blobStream.end(imageFile.buffer);
-    });
+    try {
+        const publicUrl = await provider.writeImage(imageFile, filename, baseUrl);
+        return new ServerResponse(
+            201,
+            {"publicUrl": publicUrl}
+        );
+    } catch(err) {
+        console.log(err);
+        return new ServerResponse(
+            500,
+            {"error": "An error occurred while uploading the file you submitted to storage"}
+        );
+    }
 }
 
 
 /**
- * Posts an image file to Datastore.
+ * Posts an image file to storage.
  * 
- * @param {object} imageFile The image file data to be stored in Cloud Storage
+ * @param {object} imageFile The image file data to be stored
  * @param {string} authReceived The content of the Authorization header received from the client
+ * @param {string} baseUrl The base URL to which the upload request was sent
+ * @param {string} clientIp [optional] The client's IP address, used to track failed attempts
+ * (null if unknown)
  * @return {Promise<ServerResponse>} The response status code and content to send to the client
  */
-async function postImage(imageFile, authReceived) {
-    /* Validate that the client has provided a valid Teacher credential (image is being stored in
-     * general storage and not yet linked to an entity, so it does not matter which specific teacher's
-     * credentials are provided). */
+async function postImage(imageFile, authReceived, baseUrl, clientIp = null) {
+    /* Validate that the client has provided a valid Teacher or Student credential or join code
+     * (image is being stored in general storage and not yet linked to an entity, so it does not
+     * matter which specific teacher's, student's, or project's credentials are provided). */
     const transaction = ds.datastore.transaction();
     await transaction.run();
 
-    const authResponse = await auth.validateAuthHeader(transaction, authReceived);
+    let authResponse;
+    if (auth.getJoinCodeFromAuthHeader(authReceived) !== null) {
+        authResponse = await auth.validateJoinCodeAuthHeader(transaction, authReceived);
+    } else {
+        authResponse = await auth.validateTeacherOrStudentAuthHeader(
+            transaction,
+            authReceived,
+            null,
+            clientIp
+        );
+    }
     if (authResponse !== null) {
-        await transaction.rollback();
+        await auth.rollbackFailedValidation(transaction, authResponse);
         return authResponse;
     }
 
-    /* Write the image into cloud storage. */
-    const writeResponse = await writeImageToStorage(imageFile);
+    /* Write the image into storage. */
+    const writeResponse = await writeImageToStorage(imageFile, baseUrl);
     if (writeResponse.status !== 201) {
         await transaction.rollback();
     } else {
@@ -147,54 +139,42 @@ function getImageUrl(entityData, entityType) {
 }
 
 
+/**
+ * Gets the path on the local filesystem of a stored image so that it can be served
+ * by this API (null if the image does not exist or is served directly by cloud storage).
+ * 
+ * @param {string} fileName The name of the image file
+ * @return {Promise<?string>} The absolute path of the image
+ */
+async function getImagePath(fileName) {
+    return provider.getImagePath(fileName);
+}
+
+
 /**
  * Special-purpose validator for image URLs that ensures:
- * 1. URL is correctly-formatted Cloud Storage URL
+ * 1. URL is correctly-formatted URL for the current storage provider
  * 2. Image at that URL exists
  * 3. Image at that URL is a valid format
  * 
  * @param {string} imageUrl The URL at which the image is located
- * @return {Promise<boolean>} Whether the URL represents a valid image in Cloud Storage
+ * @param {string} baseUrl The base URL to which the current request was sent
+ * @return {Promise<boolean>} Whether the URL represents a valid image in storage
  */
-async function validateImageUrl(imageUrl) {
-    try {
-        /* Ensure the URL is correctly formatted. */
-        const parsedImageUrl = new ParsedImageUrl(imageUrl);
-        if (parsedImageUrl.baseUrl !== constants.CLOUD_STORAGE_BASE_URL) {
-            return false;
-        } else if (parsedImageUrl.bucketName !== constants.BUCKET_NAME) {
-            return false;
-        }
-
-        /* Ensure the image exists */
-        const response = await axios.get(imageUrl);
-        if (response.status === 200) {
-            /* Ensure the image is the proper format */
-            const imageMimeType = response.headers['content-type'];
-            if (constants.IMAGE_MIME_TYPES_ALLOWED.includes(imageMimeType) === true) {
-                return true;
-            } else {
-                return false;
-            }
-        } else {
-            return false;
-        }
-    } catch(err) {
-        return false;
-    }
+async function validateImageUrl(imageUrl, baseUrl) {
+    return provider.validateImageUrl(imageUrl, baseUrl);
 }
 
 
 /**
- * Deletes the image at the provided URL from Cloud Storage.
+ * Deletes the image at the provided URL from storage.
  * 
- * @param {string} imageUrl The url of the image in Cloud Storage.
+ * @param {string} imageUrl The url of the image in storage.
  * @return {Promise<boolean>} Whether the image was successfully deleted.
  */
 async function deleteImage(imageUrl) {
     try {
-        const parsedImageUrl = new ParsedImageUrl(imageUrl);
-        await bucket.file(parsedImageUrl.fileName).delete();
+        await provider.deleteImage(imageUrl);
         return true;
     } catch(err) {
         console.log(err);
@@ -206,6 +186,7 @@ async function deleteImage(imageUrl) {
 module.exports = {
     "postImage": postImage,
     "getImageUrl": getImageUrl,
+    "getImagePath": getImagePath,
     "validateImageUrl": validateImageUrl,
     "deleteImage": deleteImage
 };
@@ -0,0 +1,223 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+/**
+ * Lists the ids of a class's projects, following "next" links across pages.
+ *
+ * @param {string} classId The id of the class.
+ * @return {Promise<string[]>} The ids of the class's projects.
+ */
+async function getClassProjectIds(classId) {
+    let url = `/classes/${classId}/projects`;
+    const ids = [];
+    while (url !== null) {
+        const res = await h.request(h.app).get(url);
+        expect(res.status).to.equal(200);
+        ids.push(...res.body.entities.map(project => project.id));
+        if (res.body.next === null) {
+            url = null;
+        } else {
+            const nextUrl = new URL(res.body.next);
+            url = nextUrl.pathname + nextUrl.search;
+        }
+    }
+    return ids;
+}
+
+describe('Classes', function() {
+    let teacher;
+    let classId;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        classId = await h.createClass(teacher, {"name": "Period 2 Biology", "grade_level": "7"});
+    });
+
+    it('gets a class with an embedded teacher self link', async function() {
+        const res = await h.request(h.app).get(`/classes/${classId}`);
+        expect(res.status).to.equal(200);
+        expect(res.body.name).to.equal("Period 2 Biology");
+        expect(res.body.grade_level).to.equal("7");
+        expect(res.body.school_year).to.equal("2020-2021");
+        expect(res.body).to.not.have.property('teacher_id');
+        expect(res.body.teacher.id).to.equal(teacher.id);
+        expect(res.body.self).to.match(new RegExp(`/classes/${classId}$`));
+    });
+
+    it('returns 400 for invalid class properties', async function() {
+        const validBody = {
+            "teacher_id": teacher.id,
+            "name": "Room 4",
+            "grade_level": "K",
+            "school_year": "2020-2021"
+        };
+        const invalidBodies = [
+            Object.assign({}, validBody, {"grade_level": "13"}),
+            Object.assign({}, validBody, {"school_year": "2020-2022"}),
+            Object.assign({}, validBody, {"school_year": "2020"}),
+            Object.assign({}, validBody, {"name": ""}),
+            Object.assign({}, validBody, {"extra": true})
+        ];
+        for (const body of invalidBodies) {
+            const res = await h.request(h.app)
+                .post('/classes')
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('requires the owning teacher\'s credentials to create, update and delete', async function() {
+        const otherTeacher = await h.createTeacher();
+        let res = await h.request(h.app)
+            .post('/classes')
+            .set('Authorization', otherTeacher.auth)
+            .send({"teacher_id": teacher.id, "name": "Room 4", "grade_level": "K", "school_year": "2020-2021"});
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .patch(`/classes/${classId}`)
+            .set('Authorization', otherTeacher.auth)
+            .send({"name": "Stolen"});
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).delete(`/classes/${classId}`);
+        expect(res.status).to.equal(401);
+    });
+
+    it('updates a class', async function() {
+        let res = await h.request(h.app)
+            .patch(`/classes/${classId}`)
+            .set('Authorization', teacher.auth)
+            .send({"school_year": "2021-2022"});
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app).get(`/classes/${classId}`);
+        expect(res.body.school_year).to.equal("2021-2022");
+        res = await h.request(h.app)
+            .patch(`/classes/${classId}`)
+            .set('Authorization', teacher.auth)
+            .send({"teacher_id": teacher.id});
+        expect(res.status).to.equal(400);
+    });
+
+    it('adds projects to a class and paginates the class\'s projects', async function() {
+        const pagingClassId = await h.createClass(teacher);
+        const createdIds = [];
+        for (let i = 0; i < 6; i++) {
+            createdIds.push(await h.createProject(teacher, {"class_id": pagingClassId}));
+        }
+        const unclassifiedId = await h.createProject(teacher);
+
+        let res = await h.request(h.app).get(`/classes/${pagingClassId}/projects`);
+        expect(res.body.entities).to.have.length(5);
+        expect(res.body.next).to.match(new RegExp(`/classes/${pagingClassId}/projects\\?start=`));
+        expect(res.body.entities[0].class.id).to.equal(pagingClassId);
+        expect(res.body.entities[0].class.self).to.match(new RegExp(`/classes/${pagingClassId}$`));
+        expect(await getClassProjectIds(pagingClassId)).to.have.members(createdIds);
+
+        res = await h.request(h.app).get(`/projects/${unclassifiedId}`);
+        expect(res.body.class).to.equal(null);
+    });
+
+    it('moves projects between classes and out of classes', async function() {
+        const projectId = await h.createProject(teacher, {"class_id": classId});
+        const otherClassId = await h.createClass(teacher);
+        let res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', teacher.auth)
+            .send({"class_id": otherClassId});
+        expect(res.status).to.equal(200);
+        expect(await getClassProjectIds(otherClassId)).to.include(projectId);
+        expect(await getClassProjectIds(classId)).to.not.include(projectId);
+
+        res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', teacher.auth)
+            .send({"class_id": null});
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(res.body.class).to.equal(null);
+    });
+
+    it('only allows projects in existing classes of the same teacher', async function() {
+        const otherTeacher = await h.createTeacher();
+        const otherClassId = await h.createClass(otherTeacher);
+        let res = await h.request(h.app)
+            .post('/projects')
+            .set('Authorization', teacher.auth)
+            .send({
+                "teacher_id": teacher.id,
+                "name": "Geese",
+                "description_text": "Count geese.",
+                "description_image": h.imageJson(await h.uploadImage(teacher, 'proj2-canadian-goose.jpg')),
+                "data_number": {"name": "Geese", "number": 0, "must_be_unique": false},
+                "class_id": otherClassId
+            });
+        expect(res.status).to.equal(403);
+
+        const projectId = await h.createProject(teacher);
+        res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', teacher.auth)
+            .send({"class_id": "999999999"});
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The class with class_id cannot be found.");
+    });
+
+    it('returns 404 and 400 when listing projects of invalid classes', async function() {
+        let res = await h.request(h.app).get('/classes/999999999/projects');
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The class with class_id cannot be found.");
+        res = await h.request(h.app).get('/classes/abc/projects');
+        expect(res.status).to.equal(400);
+        res = await h.request(h.app).get(`/classes/${classId}/projects?start=foobar`);
+        expect(res.status).to.equal(403);
+    });
+
+    it('deletes a class along with its projects and their observations', async function() {
+        const doomedClassId = await h.createClass(teacher);
+        const projectId = await h.createProject(teacher, {"class_id": doomedClassId});
+        const observationId = await h.createObservation(teacher, projectId, "gull", 1);
+
+        let res = await h.request(h.app)
+            .delete(`/classes/${doomedClassId}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+        res = await h.request(h.app).get(`/classes/${doomedClassId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/projects/${projectId}/observations/${observationId}`);
+        expect(res.status).to.equal(404);
+    });
+
+    it('keeps a deleted class\'s projects when asked to', async function() {
+        const doomedClassId = await h.createClass(teacher);
+        const projectId = await h.createProject(teacher, {"class_id": doomedClassId});
+
+        let res = await h.request(h.app)
+            .delete(`/classes/${doomedClassId}?keep_projects=maybe`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(400);
+        res = await h.request(h.app)
+            .delete(`/projects/${projectId}?keep_projects=true`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(400);
+
+        res = await h.request(h.app)
+            .delete(`/classes/${doomedClassId}?keep_projects=true`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+        res = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(res.status).to.equal(200);
+        expect(res.body.class).to.equal(null);
+    });
+
+    it('deletes a teacher\'s classes along with the teacher', async function() {
+        const doomedTeacher = await h.createTeacher();
+        const doomedClassId = await h.createClass(doomedTeacher);
+        const res = await h.request(h.app)
+            .delete(`/teachers/${doomedTeacher.id}`)
+            .set('Authorization', doomedTeacher.auth);
+        expect(res.status).to.equal(204);
+        expect((await h.request(h.app).get(`/classes/${doomedClassId}`)).status).to.equal(404);
+    });
+});
@@ -0,0 +1,341 @@
+const {expect} = require('chai');
+const crypto = require('crypto');
+const h = require('./helpers');
+const auth = require('../auth');
+const constants = require('../constants');
+const ds = require('../datastore');
+const mailer = require('../mailer');
+
+/**
+ * Gets a teacher's stored (encrypted/hashed) credential entity directly from Datastore.
+ *
+ * @param {string} teacherId The id of the teacher.
+ * @return {Promise<object>} The stored credential entity.
+ */
+async function getStoredCredential(teacherId) {
+    const query = ds.datastore.createQuery(constants.CREDENTIAL);
+    query.hasAncestor(ds.datastore.key([constants.TEACHER, parseInt(teacherId, 10)]));
+    const datastoreResponse = await ds.datastore.runQuery(query);
+    return datastoreResponse[0][0];
+}
+
+describe('Credentials', function() {
+    let teacher;
+
+    beforeEach(async function() {
+        teacher = await h.createTeacher();
+    });
+
+    it('returns the secret questions and a reset code', async function() {
+        const res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        expect(res.status).to.equal(200);
+        expect(res.body.secret_question_1).to.equal(teacher.secret_questions.question_1);
+        expect(res.body.secret_question_2).to.equal(teacher.secret_questions.question_2);
+        expect(res.body.reset_code).to.be.a('string').that.is.not.empty;
+        expect(res.body).to.not.have.property('answer_1');
+    });
+
+    it('returns 404 for credentials of nonexistent teachers', async function() {
+        const res = await h.request(h.app).get('/teachers/999999999/credentials');
+        expect(res.status).to.equal(404);
+    });
+
+    it('resets an unknown password with a reset code and secret answers', async function() {
+        const challenge = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        const resetAuth = h.basicAuth(teacher.id, challenge.body.reset_code);
+
+        let res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', resetAuth)
+            .send({"password": "newpassword1", "secret_questions": teacher.secret_questions});
+        expect(res.status).to.equal(204);
+
+        /* The old password no longer works but the new one does. */
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', h.basicAuth(teacher.id, 'newpassword1'));
+        expect(res.status).to.equal(200);
+
+        /* The reset code can only be used once. */
+        res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', resetAuth)
+            .send({"password": "newpassword2", "secret_questions": teacher.secret_questions});
+        expect(res.status).to.equal(401);
+    });
+
+    it('rejects resets with wrong answers, wrong codes or the same password', async function() {
+        const challenge = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        const resetAuth = h.basicAuth(teacher.id, challenge.body.reset_code);
+
+        const wrongAnswers = Object.assign({}, teacher.secret_questions, {"answer_1": "41"});
+        let res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', resetAuth)
+            .send({"password": "newpassword1", "secret_questions": wrongAnswers});
+        expect(res.status).to.equal(401);
+
+        res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', h.basicAuth(teacher.id, 'not-the-reset-code'))
+            .send({"password": "newpassword1", "secret_questions": teacher.secret_questions});
+        expect(res.status).to.equal(401);
+
+        res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', resetAuth)
+            .send({"password": teacher.password, "secret_questions": teacher.secret_questions});
+        expect(res.status).to.equal(403);
+    });
+
+    it('updates the password and secret questions when the password is known', async function() {
+        const newSecretQuestions = {
+            "question_1": "What is your favorite bird?",
+            "answer_1": "Goldfinch",
+            "question_2": "What is your favorite constellation?",
+            "answer_2": "Big Dipper"
+        };
+        let res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', teacher.auth)
+            .send({"password": "newpassword1", "secret_questions": newSecretQuestions});
+        expect(res.status).to.equal(204);
+
+        res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        expect(res.body.secret_question_1).to.equal(newSecretQuestions.question_1);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', h.basicAuth(teacher.id, 'newpassword1'));
+        expect(res.status).to.equal(200);
+    });
+
+    it('rejects credential patches with the wrong password or invalid properties', async function() {
+        let res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', h.basicAuth(teacher.id, 'wrongpassword'))
+            .send({"password": "newpassword1"});
+        expect(res.status).to.equal(401);
+        expect(res.headers['www-authenticate']).to.include('Basic');
+
+        res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', teacher.auth)
+            .send({"password": "bad"});
+        expect(res.status).to.equal(400);
+    });
+
+    it('stores passwords as salted scrypt hashes', async function() {
+        const otherTeacher = await h.createTeacher();
+        const stored = await getStoredCredential(teacher.id);
+        const otherStored = await getStoredCredential(otherTeacher.id);
+        expect(stored.password).to.match(/^scrypt\$16384\$8\$1\$/);
+        expect(stored.password).to.not.include(teacher.password);
+        expect(stored.password).to.not.equal(otherStored.password);
+    });
+
+    it('rehashes legacy AES-encrypted passwords when a login succeeds', async function() {
+        const stored = await getStoredCredential(teacher.id);
+        stored.password = auth.Credential.encryptString(teacher.password);
+        await ds.datastore.save({"key": stored[ds.Datastore.KEY], "data": stored});
+
+        let res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', h.basicAuth(teacher.id, 'wrongpassword'));
+        expect(res.status).to.equal(401);
+        expect((await getStoredCredential(teacher.id)).password).to.equal(stored.password);
+
+        res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth)
+            .send({"name": "Migrated"});
+        expect(res.status).to.equal(200);
+        expect((await getStoredCredential(teacher.id)).password).to.match(/^scrypt\$/);
+        res = await h.request(h.app).get(`/teachers/${teacher.id}`).set('Authorization', teacher.auth);
+        expect(res.status).to.equal(200);
+    });
+
+    it('accepts secret answers differing only in case, whitespace or Unicode form', async function() {
+        const challenge = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        const stored = await getStoredCredential(teacher.id);
+        expect(stored.secret_questions.answer_2).to.match(/^scrypt\$/);
+        expect(auth.Credential.decryptString(stored.secret_questions.question_2))
+            .to.equal(teacher.secret_questions.question_2);
+
+        const res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', h.basicAuth(teacher.id, challenge.body.reset_code))
+            .send({
+                "password": "newpassword1",
+                "secret_questions": Object.assign({}, teacher.secret_questions, {
+                    "answer_1": " \uFF14\uFF12 ",
+                    "answer_2": "ring-DING-ding-ding-dingeringeding!  "
+                })
+            });
+        expect(res.status).to.equal(204);
+    });
+
+    it('hashes legacy AES-encrypted secret answers on the next credential patch', async function() {
+        const stored = await getStoredCredential(teacher.id);
+        stored.secret_questions.answer_1 = auth.Credential.encryptString("Fluffy");
+        stored.secret_questions.answer_2 = auth.Credential.encryptString("Blue");
+        await ds.datastore.save({"key": stored[ds.Datastore.KEY], "data": stored});
+
+        let res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', teacher.auth)
+            .send({"password": "newpassword1"});
+        expect(res.status).to.equal(204);
+        const migrated = await getStoredCredential(teacher.id);
+        expect(migrated.secret_questions.answer_1).to.match(/^scrypt\$/);
+        expect(migrated.secret_questions.answer_2).to.match(/^scrypt\$/);
+
+        const challenge = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', h.basicAuth(teacher.id, challenge.body.reset_code))
+            .send({
+                "password": "newpassword2",
+                "secret_questions": Object.assign({}, teacher.secret_questions, {
+                    "answer_1": "fluffy ",
+                    "answer_2": "BLUE"
+                })
+            });
+        expect(res.status).to.equal(204);
+    });
+
+    it('compares legacy AES-encrypted secret answers in constant time', async function() {
+        const stored = await getStoredCredential(teacher.id);
+        stored.secret_questions.answer_1 = auth.Credential.encryptString("Fluffy");
+        stored.secret_questions.answer_2 = auth.Credential.encryptString("Blue");
+        await ds.datastore.save({"key": stored[ds.Datastore.KEY], "data": stored});
+
+        /**
+         * Resets the teacher's password with the given secret answers, counting the constant-time
+         * comparisons made.
+         *
+         * @param {string} answer1 The answer to the first secret question.
+         * @param {string} answer2 The answer to the second secret question.
+         * @return {Promise<object>} The response and the number of comparisons.
+         */
+        async function resetWithAnswers(answer1, answer2) {
+            const challenge = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+            let comparisons = 0;
+            const timingSafeEqual = crypto.timingSafeEqual;
+            crypto.timingSafeEqual = (a, b) => {
+                comparisons++;
+                return timingSafeEqual(a, b);
+            };
+            try {
+                const res = await h.request(h.app)
+                    .put(`/teachers/${teacher.id}/credentials`)
+                    .set('Authorization', h.basicAuth(teacher.id, challenge.body.reset_code))
+                    .send({
+                        "password": "newpassword1",
+                        "secret_questions": Object.assign({}, teacher.secret_questions, {
+                            "answer_1": answer1,
+                            "answer_2": answer2
+                        })
+                    });
+                return {"res": res, "comparisons": comparisons};
+            } finally {
+                crypto.timingSafeEqual = timingSafeEqual;
+            }
+        }
+
+        let result = await resetWithAnswers("Fluffy", "Green");
+        expect(result.res.status).to.equal(401);
+        expect(result.comparisons).to.be.at.least(2);
+
+        result = await resetWithAnswers(" fluffy", "BLUE");
+        expect(result.res.status).to.equal(204);
+        expect(result.comparisons).to.be.at.least(2);
+    });
+
+    it('emails a single-use reset link that resets the password without secret answers', async function() {
+        const email = "reset-link@bogusemail.com";
+        const emailTeacher = await h.createTeacher({"email": email});
+        let res = await h.request(h.app).post('/password_resets').send({"email": email});
+        expect(res.status).to.equal(202);
+
+        const emails = await h.getSentEmails(email);
+        expect(emails).to.have.length(1);
+        const resetLink = new URL(emails[0].text.match(/https?:\/\/\S+/)[0]);
+        expect(resetLink.searchParams.get("teacher_id")).to.equal(emailTeacher.id);
+        const resetAuth = h.basicAuth(emailTeacher.id, resetLink.searchParams.get("reset_code"));
+
+        res = await h.request(h.app)
+            .put(`/teachers/${emailTeacher.id}/credentials/password`)
+            .set('Authorization', resetAuth)
+            .send({"password": "newpassword1"});
+        expect(res.status).to.equal(204);
+        res = await h.request(h.app)
+            .get(`/teachers/${emailTeacher.id}`)
+            .set('Authorization', h.basicAuth(emailTeacher.id, "newpassword1"));
+        expect(res.status).to.equal(200);
+
+        /* The link cannot be used again. */
+        res = await h.request(h.app)
+            .put(`/teachers/${emailTeacher.id}/credentials/password`)
+            .set('Authorization', resetAuth)
+            .send({"password": "newpassword2"});
+        expect(res.status).to.equal(401);
+    });
+
+    it('only accepts unexpired emailed reset codes', async function() {
+        const email = "reset-expired@bogusemail.com";
+        const emailTeacher = await h.createTeacher({"email": email});
+
+        /* Unknown emails get the same response, but no email is sent. */
+        let res = await h.request(h.app).post('/password_resets').send({"email": "nobody@bogusemail.com"});
+        expect(res.status).to.equal(202);
+        expect(await h.getSentEmails("nobody@bogusemail.com")).to.have.length(0);
+        res = await h.request(h.app).post('/password_resets').send({"email": email, "extra": true});
+        expect(res.status).to.equal(400);
+
+        /* Reset codes returned with the secret questions cannot be used without the answers. */
+        const challenge = await h.request(h.app).get(`/teachers/${emailTeacher.id}/credentials`);
+        res = await h.request(h.app)
+            .put(`/teachers/${emailTeacher.id}/credentials/password`)
+            .set('Authorization', h.basicAuth(emailTeacher.id, challenge.body.reset_code))
+            .send({"password": "newpassword1"});
+        expect(res.status).to.equal(401);
+
+        await h.request(h.app).post('/password_resets').send({"email": email});
+        const emails = await h.getSentEmails(email);
+        const resetLink = new URL(emails[emails.length - 1].text.match(/https?:\/\/\S+/)[0]);
+        const now = Date.now;
+        Date.now = () => now() + constants.RESET_CODE_LIFETIME;
+        try {
+            res = await h.request(h.app)
+                .put(`/teachers/${emailTeacher.id}/credentials/password`)
+                .set('Authorization', h.basicAuth(emailTeacher.id, resetLink.searchParams.get("reset_code")))
+                .send({"password": "newpassword1"});
+        } finally {
+            Date.now = now;
+        }
+        expect(res.status).to.equal(401);
+    });
+
+    it('responds the same way when a reset email cannot be sent', async function() {
+        const email = "reset-unsent@bogusemail.com";
+        await h.createTeacher({"email": email});
+        const sendMail = mailer.sendMail;
+        mailer.sendMail = async () => {
+            throw "The mail server is unavailable.";
+        };
+        let res;
+        try {
+            res = await h.request(h.app).post('/password_resets').send({"email": email});
+        } finally {
+            mailer.sendMail = sendMail;
+        }
+        expect(res.status).to.equal(202);
+        expect(res.body).to.deep.equal(
+            (await h.request(h.app).post('/password_resets').send({"email": "nobody@bogusemail.com"})).body
+        );
+    });
+});
@@ -0,0 +1,579 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+const constants = require('../constants');
+const ds = require('../datastore');
+
+/**
+ * Patches an observation's data_number.
+ *
+ * @param {object} teacher The teacher who owns the project.
+ * @param {string} projectId The id of the project.
+ * @param {string} observationId The id of the observation.
+ * @param {string} description The new data_number.description.
+ * @param {number} quantity The new data_number.quantity.
+ * @return {Promise<void>}
+ */
+async function patchDataNumber(teacher, projectId, observationId, description, quantity) {
+    const res = await h.request(h.app)
+        .patch(`/projects/${projectId}/observations/${observationId}`)
+        .set('Authorization', teacher.auth)
+        .send({"data_number": {"description": description, "quantity": quantity}});
+    expect(res.status).to.equal(200);
+}
+
+/**
+ * Deletes an observation.
+ *
+ * @param {object} teacher The teacher who owns the project.
+ * @param {string} projectId The id of the project.
+ * @param {string} observationId The id of the observation.
+ * @return {Promise<void>}
+ */
+async function deleteObservation(teacher, projectId, observationId) {
+    const res = await h.request(h.app)
+        .delete(`/projects/${projectId}/observations/${observationId}`)
+        .set('Authorization', teacher.auth);
+    expect(res.status).to.equal(204);
+}
+
+/**
+ * Gets the values of a project's metrics, keyed by metric key.
+ *
+ * @param {string} projectId The id of the project.
+ * @return {Promise<object>} The value of each metric.
+ */
+async function getMetricValues(projectId) {
+    const res = await h.request(h.app).get(`/projects/${projectId}`);
+    const values = {};
+    for (const metric of res.body.metrics) {
+        values[metric.key] = metric.value;
+    }
+    return values;
+}
+
+/**
+ * Overwrites a project's data_number.number directly in Datastore, as a failed write or manual
+ * edit might.
+ *
+ * @param {string} projectId The id of the project.
+ * @param {number} number The number to store.
+ * @return {Promise<void>}
+ */
+async function setStoredNumber(projectId, number) {
+    const projectKey = ds.datastore.key([constants.PROJECT, parseInt(projectId, 10)]);
+    const [project] = await ds.datastore.get(projectKey);
+    project.data_number.number = number;
+    await ds.datastore.save({"key": projectKey, "data": project});
+}
+
+/**
+ * Removes a project's data_number.initial_number directly in Datastore, as for projects created
+ * before it was recorded.
+ *
+ * @param {string} projectId The id of the project.
+ * @return {Promise<void>}
+ */
+async function removeStoredInitialNumber(projectId) {
+    const projectKey = ds.datastore.key([constants.PROJECT, parseInt(projectId, 10)]);
+    const [project] = await ds.datastore.get(projectKey);
+    delete project.data_number.initial_number;
+    await ds.datastore.save({"key": projectKey, "data": project});
+}
+
+/**
+ * Recomputes a project's data_number.number through POST /projects/:projectId/data_number/recompute.
+ *
+ * @param {object} teacher The teacher whose credentials to send.
+ * @param {string} projectId The id of the project.
+ * @param {string} query [optional] The query string (without the leading "?").
+ * @return {Promise<object>} The response.
+ */
+function recompute(teacher, projectId, query = "") {
+    return h.request(h.app)
+        .post(`/projects/${projectId}/data_number/recompute?${query}`)
+        .set('Authorization', teacher.auth);
+}
+
+describe('Project data_number', function() {
+    let teacher;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+    });
+
+    describe('when observations need not be unique', function() {
+        let projectId;
+
+        before(async function() {
+            projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Geese counted", "number": 0, "must_be_unique": false}
+            });
+        });
+
+        it('sums quantities as observations are posted, updated and deleted', async function() {
+            const first = await h.createObservation(teacher, projectId, "goose", 5);
+            const second = await h.createObservation(teacher, projectId, "goose", 4);
+            expect(await h.getProjectNumber(projectId)).to.equal(9);
+
+            await patchDataNumber(teacher, projectId, first, "goose", 2);
+            expect(await h.getProjectNumber(projectId)).to.equal(6);
+
+            await patchDataNumber(teacher, projectId, second, "gull", 4);
+            expect(await h.getProjectNumber(projectId)).to.equal(6);
+
+            await deleteObservation(teacher, projectId, first);
+            expect(await h.getProjectNumber(projectId)).to.equal(4);
+        });
+    });
+
+    describe('when observations must be unique', function() {
+        let projectId;
+        const ids = {};
+
+        before(async function() {
+            projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Bird species seen", "number": 0, "must_be_unique": true}
+            });
+        });
+
+        it('counts each distinct description once', async function() {
+            ids.goldfinch = await h.createObservation(teacher, projectId, "goldfinch", 1);
+            ids.bluebird = await h.createObservation(teacher, projectId, "bluebird", 1);
+            ids.goldfinch2 = await h.createObservation(teacher, projectId, "goldfinch", 3);
+            ids.seagull = await h.createObservation(teacher, projectId, "seagull", 2);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+        });
+
+        it('leaves the count unchanged when only the quantity changes', async function() {
+            await patchDataNumber(teacher, projectId, ids.seagull, "seagull", 5);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+        });
+
+        it('leaves the count unchanged when a unique type replaces another unique type', async function() {
+            await patchDataNumber(teacher, projectId, ids.bluebird, "sparrow", 2);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+        });
+
+        it('increments the count when a unique type replaces a repeated type', async function() {
+            await patchDataNumber(teacher, projectId, ids.goldfinch2, "starling", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(4);
+        });
+
+        it('decrements the count when a repeated type replaces a unique type', async function() {
+            await patchDataNumber(teacher, projectId, ids.goldfinch2, "goldfinch", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+        });
+
+        it('only decrements the count when the last observation of a type is deleted', async function() {
+            await deleteObservation(teacher, projectId, ids.goldfinch);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+            await deleteObservation(teacher, projectId, ids.goldfinch2);
+            expect(await h.getProjectNumber(projectId)).to.equal(2);
+        });
+    });
+
+    describe('metrics', function() {
+        let projectId;
+
+        before(async function() {
+            projectId = await h.createProject(teacher, {
+                "metrics": [
+                    {"key": "birds", "name": "Birds counted", "aggregation": "sum"},
+                    {"key": "species", "name": "Distinct species", "aggregation": "count_unique"},
+                    {"key": "sightings", "name": "Sightings", "aggregation": "count"},
+                    {"key": "smallest", "name": "Smallest flock", "aggregation": "min"},
+                    {"key": "largest", "name": "Largest flock", "aggregation": "max"},
+                    {"key": "flock", "name": "Average flock", "aggregation": "average"}
+                ]
+            });
+        });
+
+        /**
+         * Creates an observation supplying the same flock size to every numeric metric.
+         *
+         * @param {string} species The species observed.
+         * @param {number} flockSize The number of birds observed.
+         * @return {Promise<string>} The id of the new observation.
+         */
+        function createFlock(species, flockSize) {
+            return h.createObservation(teacher, projectId, species, flockSize, {"metric_values": {
+                "birds": flockSize,
+                "species": species,
+                "sightings": species,
+                "smallest": flockSize,
+                "largest": flockSize,
+                "flock": flockSize
+            }});
+        }
+
+        it('starts each metric at its value for no observations', async function() {
+            expect(await getMetricValues(projectId)).to.deep.equal({
+                "birds": 0, "species": 0, "sightings": 0, "smallest": null, "largest": null, "flock": null
+            });
+        });
+
+        it('aggregates every metric as observations are posted, updated and deleted', async function() {
+            const robins = await createFlock("robin", 2);
+            await createFlock("crow", 6);
+            const moreRobins = await createFlock("robin", 4);
+            expect(await getMetricValues(projectId)).to.deep.equal({
+                "birds": 12, "species": 2, "sightings": 3, "smallest": 2, "largest": 6, "flock": 4
+            });
+
+            let res = await h.request(h.app)
+                .patch(`/projects/${projectId}/observations/${moreRobins}`)
+                .set('Authorization', teacher.auth)
+                .send({"metric_values": {"birds": 10, "species": "wren", "largest": 10}});
+            expect(res.status).to.equal(200);
+            expect(await getMetricValues(projectId)).to.deep.equal({
+                "birds": 18, "species": 3, "sightings": 2, "smallest": 2, "largest": 10, "flock": 4
+            });
+
+            await deleteObservation(teacher, projectId, robins);
+            expect(await getMetricValues(projectId)).to.deep.equal({
+                "birds": 16, "species": 2, "sightings": 1, "smallest": 6, "largest": 10, "flock": 6
+            });
+        });
+
+        it('returns 400 for invalid metrics and metric values', async function() {
+            const imageUrl = await h.uploadImage(teacher, 'proj1-seagulls.jpg');
+            const invalidMetrics = [
+                [],
+                [{"key": "birds", "name": "Birds", "aggregation": "median"}],
+                [{"key": "Birds!", "name": "Birds", "aggregation": "sum"}],
+                [{"key": "birds", "name": "Birds", "aggregation": "sum", "value": 5}],
+                [
+                    {"key": "birds", "name": "Birds", "aggregation": "sum"},
+                    {"key": "birds", "name": "More birds", "aggregation": "max"}
+                ]
+            ];
+            for (const metrics of invalidMetrics) {
+                const res = await h.request(h.app)
+                    .post('/projects')
+                    .set('Authorization', teacher.auth)
+                    .send({
+                        "teacher_id": teacher.id,
+                        "name": "Owl Watch",
+                        "description_text": "Count owls.",
+                        "description_image": h.imageJson(imageUrl),
+                        "data_number": {"name": "Owls", "number": 0, "must_be_unique": false},
+                        "metrics": metrics
+                    });
+                expect(res.status, JSON.stringify(metrics)).to.equal(400);
+            }
+
+            const invalidMetricValues = [{"owls": 1}, {"birds": "two"}, {"species": 3}, {"flock": null}];
+            for (const metricValues of invalidMetricValues) {
+                const res = await h.request(h.app)
+                    .post(`/projects/${projectId}/observations`)
+                    .set('Authorization', teacher.auth)
+                    .send({
+                        "date": "2020-11-01",
+                        "data_image": h.imageJson(imageUrl),
+                        "data_number": {"description": "owl", "quantity": 1},
+                        "data_description": "Saw an owl.",
+                        "metric_values": metricValues
+                    });
+                expect(res.status, JSON.stringify(metricValues)).to.equal(400);
+            }
+        });
+    });
+
+    describe('recompute', function() {
+        it('rebuilds a drifted number from the observations, keeping the initial number', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Bird species seen", "number": 2, "must_be_unique": true}
+            });
+            await h.createObservation(teacher, projectId, "crow", 3);
+            await h.createObservation(teacher, projectId, "crow", 1);
+            await h.createObservation(teacher, projectId, "heron", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(4);
+            await setStoredNumber(projectId, 11);
+
+            let res = await recompute(teacher, projectId, "dry_run=true");
+            expect(res.status).to.equal(200);
+            expect(res.body).to.deep.equal({
+                "old_number": 11,
+                "new_number": 4,
+                "observations_counted": 3,
+                "dry_run": true
+            });
+            expect(await h.getProjectNumber(projectId)).to.equal(11);
+
+            res = await recompute(teacher, projectId);
+            expect(res.status).to.equal(200);
+            expect(res.body.new_number).to.equal(4);
+            expect(res.body.dry_run).to.equal(false);
+            expect(await h.getProjectNumber(projectId)).to.equal(4);
+
+            /* Observations continue to adjust the recomputed number as usual. */
+            await h.createObservation(teacher, projectId, "wren", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(5);
+        });
+
+        it('sums quantities when observations need not be unique', async function() {
+            const projectId = await h.createProject(teacher);
+            await h.createObservation(teacher, projectId, "goose", 3);
+            await h.createObservation(teacher, projectId, "goose", 4);
+            await setStoredNumber(projectId, -1);
+
+            const res = await recompute(teacher, projectId);
+            expect(res.body.old_number).to.equal(-1);
+            expect(res.body.new_number).to.equal(7);
+            expect(await h.getProjectNumber(projectId)).to.equal(7);
+        });
+
+        it('derives and saves the initial number of projects created without one', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Geese", "number": 4, "must_be_unique": false}
+            });
+            await h.createObservation(teacher, projectId, "goose", 3);
+            await removeStoredInitialNumber(projectId);
+
+            let res = await recompute(teacher, projectId, "dry_run=true");
+            expect(res.body.old_number).to.equal(7);
+            expect(res.body.new_number).to.equal(7);
+            res = await h.request(h.app).get(`/projects/${projectId}`);
+            expect(res.body.data_number.initial_number).to.equal(undefined);
+
+            res = await recompute(teacher, projectId);
+            expect(res.body.new_number).to.equal(7);
+            res = await h.request(h.app).get(`/projects/${projectId}`);
+            expect(res.body.data_number.initial_number).to.equal(4);
+
+            /* Drift that arises later is corrected from the saved initial number. */
+            await setStoredNumber(projectId, 20);
+            res = await recompute(teacher, projectId);
+            expect(res.body.new_number).to.equal(7);
+        });
+
+        it('only allows the owning teacher to recompute', async function() {
+            const projectId = await h.createProject(teacher);
+            const otherTeacher = await h.createTeacher();
+            let res = await recompute(otherTeacher, projectId);
+            expect(res.status).to.equal(403);
+            res = await h.request(h.app).post(`/projects/${projectId}/data_number/recompute`);
+            expect(res.status).to.equal(401);
+            res = await recompute(teacher, projectId, "dry_run=yes");
+            expect(res.status).to.equal(400);
+            res = await recompute(teacher, "999999999");
+            expect(res.status).to.equal(404);
+            res = await recompute(teacher, "abc");
+            expect(res.status).to.equal(400);
+        });
+    });
+
+    describe('definition updates', function() {
+        /**
+         * Patches a project's data_number definition.
+         *
+         * @param {string} projectId The id of the project.
+         * @param {object} dataNumberPatch The new data_number.name and/or data_number.must_be_unique.
+         * @return {Promise<object>} The project's data_number after the update.
+         */
+        async function patchDefinition(projectId, dataNumberPatch) {
+            let res = await h.request(h.app)
+                .patch(`/projects/${projectId}`)
+                .set('Authorization', teacher.auth)
+                .send({"data_number": dataNumberPatch});
+            expect(res.status).to.equal(200);
+            res = await h.request(h.app).get(`/projects/${projectId}`);
+            return res.body.data_number;
+        }
+
+        it('renames the data_number without changing its number', async function() {
+            const projectId = await h.createProject(teacher);
+            await h.createObservation(teacher, projectId, "robin", 2);
+            const dataNumber = await patchDefinition(projectId, {"name": "Robins counted"});
+            expect(dataNumber.name).to.equal("Robins counted");
+            expect(dataNumber.must_be_unique).to.equal(false);
+            expect(dataNumber.number).to.equal(2);
+        });
+
+        it('recomputes the number when must_be_unique changes', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Birds", "number": 1, "must_be_unique": false}
+            });
+            await h.createObservation(teacher, projectId, "robin", 2);
+            await h.createObservation(teacher, projectId, "robin", 3);
+            await h.createObservation(teacher, projectId, "jay", 4);
+            expect(await h.getProjectNumber(projectId)).to.equal(10);
+
+            let dataNumber = await patchDefinition(projectId, {"must_be_unique": true});
+            expect(dataNumber.number).to.equal(3);
+            expect(dataNumber.name).to.equal("Birds");
+
+            /* Later observations are counted with the new setting. */
+            await h.createObservation(teacher, projectId, "robin", 5);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+
+            dataNumber = await patchDefinition(projectId, {"name": "Birds seen", "must_be_unique": false});
+            expect(dataNumber.number).to.equal(15);
+            expect(dataNumber.name).to.equal("Birds seen");
+        });
+
+        it('keeps the starting number of projects created without an initial number', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Birds", "number": 5, "must_be_unique": false}
+            });
+            await h.createObservation(teacher, projectId, "robin", 2);
+            await h.createObservation(teacher, projectId, "robin", 3);
+            await removeStoredInitialNumber(projectId);
+
+            let dataNumber = await patchDefinition(projectId, {"must_be_unique": true});
+            expect(dataNumber.initial_number).to.equal(5);
+            expect(dataNumber.number).to.equal(6);
+
+            dataNumber = await patchDefinition(projectId, {"must_be_unique": false});
+            expect(dataNumber.number).to.equal(10);
+        });
+    });
+
+    describe('description normalization', function() {
+        /**
+         * Gets the descriptions recorded for a project's observations.
+         *
+         * @param {string} projectId The id of the project.
+         * @return {Promise<string[]>} The distinct descriptions, most frequent first.
+         */
+        async function getDescriptions(projectId) {
+            const res = await h.request(h.app).get(`/projects/${projectId}/descriptions`);
+            return res.body.descriptions.map(tally => tally.description);
+        }
+
+        it('counts descriptions differing only in case and whitespace once', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Species seen", "number": 0, "must_be_unique": true},
+                "description_matching": "case_and_whitespace"
+            });
+            await h.createObservation(teacher, projectId, "Seagull", 1);
+            await h.createObservation(teacher, projectId, "seagull", 2);
+            const observationId = await h.createObservation(teacher, projectId, " sea  gull ", 1);
+            await h.createObservation(teacher, projectId, "Blue   Jay", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(2);
+            expect(await getDescriptions(projectId)).to.deep.equal(["Seagull", "Blue Jay"]);
+
+            await patchDataNumber(teacher, projectId, observationId, "BLUEJAY", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(2);
+            expect(await getDescriptions(projectId)).to.deep.equal(["Blue Jay", "Seagull"]);
+        });
+
+        it('records descriptions as vocabulary terms and rejects others', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Species seen", "number": 0, "must_be_unique": true},
+                "vocabulary": [
+                    {"term": "Herring Gull", "synonyms": ["seagull", "gull"]},
+                    {"term": "Steller's Jay"}
+                ]
+            });
+            await h.createObservation(teacher, projectId, "Sea Gull", 1);
+            await h.createObservation(teacher, projectId, "herring gull", 1);
+            const observationId = await h.createObservation(teacher, projectId, "GULL", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(1);
+            expect(await getDescriptions(projectId)).to.deep.equal(["Herring Gull"]);
+
+            await patchDataNumber(teacher, projectId, observationId, "steller's jay", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(2);
+
+            let res = await h.request(h.app)
+                .patch(`/projects/${projectId}/observations/${observationId}`)
+                .set('Authorization', teacher.auth)
+                .send({"data_number": {"description": "Crow", "quantity": 1}});
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.include("vocabulary");
+
+            /* Removing the vocabulary lets observations be described freely again. */
+            res = await h.request(h.app)
+                .patch(`/projects/${projectId}`)
+                .set('Authorization', teacher.auth)
+                .send({"vocabulary": null});
+            expect(res.status).to.equal(200);
+            await patchDataNumber(teacher, projectId, observationId, "Crow", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(2);
+        });
+
+        it('rewrites existing descriptions when matching starts ignoring case and whitespace', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Species seen", "number": 1, "must_be_unique": true}
+            });
+            await h.createObservation(teacher, projectId, "seagull", 1);
+            await h.createObservation(teacher, projectId, "Seagull", 1);
+            await h.createObservation(teacher, projectId, "Seagull", 1);
+            const observationId = await h.createObservation(teacher, projectId, " sea  gull ", 1, {
+                "data_description": "Perched on the fence."
+            });
+            await h.createObservation(teacher, projectId, "Sand  piper", 1);
+            await removeStoredInitialNumber(projectId);
+            expect(await h.getProjectNumber(projectId)).to.equal(5);
+
+            const res = await h.request(h.app)
+                .patch(`/projects/${projectId}`)
+                .set('Authorization', teacher.auth)
+                .send({"description_matching": "case_and_whitespace"});
+            expect(res.status).to.equal(200);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+            expect(await getDescriptions(projectId)).to.deep.equal(["Seagull", "Sand piper"]);
+
+            /* The rewritten observations are found by their new descriptions. */
+            const searchRes = await h.request(h.app).get(`/search?q=seagull%20fence`);
+            expect(searchRes.body.entities.map(result => result.id)).to.deep.equal([observationId]);
+
+            /* Later observations are counted with the rewritten ones. */
+            await h.createObservation(teacher, projectId, "SEAGULL", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(3);
+        });
+
+        it('rewrites existing descriptions as vocabulary terms and rejects those not in it', async function() {
+            const projectId = await h.createProject(teacher, {
+                "data_number": {"name": "Species seen", "number": 0, "must_be_unique": true}
+            });
+            await h.createObservation(teacher, projectId, "Heron", 1);
+            await h.createObservation(teacher, projectId, "heron", 1);
+            await h.createObservation(teacher, projectId, "great blue heron", 1);
+            await h.createObservation(teacher, projectId, "Egret", 1);
+            expect(await h.getProjectNumber(projectId)).to.equal(4);
+
+            let res = await h.request(h.app)
+                .patch(`/projects/${projectId}`)
+                .set('Authorization', teacher.auth)
+                .send({"vocabulary": [{"term": "Heron", "synonyms": ["great blue heron"]}]});
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.include("Egret");
+            expect(res.body.error).to.not.include("heron");
+            expect(await h.getProjectNumber(projectId)).to.equal(4);
+
+            res = await h.request(h.app)
+                .patch(`/projects/${projectId}`)
+                .set('Authorization', teacher.auth)
+                .send({
+                    "vocabulary": [
+                        {"term": "Heron", "synonyms": ["great blue heron"]},
+                        {"term": "Great Egret", "synonyms": ["egret"]}
+                    ]
+                });
+            expect(res.status).to.equal(200);
+            expect(await h.getProjectNumber(projectId)).to.equal(2);
+            expect(await getDescriptions(projectId)).to.deep.equal(["Heron", "Great Egret"]);
+        });
+
+        it('returns 400 for invalid vocabularies and matching modes', async function() {
+            const projectId = await h.createProject(teacher);
+            const invalidPatches = [
+                {"description_matching": "fuzzy"},
+                {"vocabulary": []},
+                {"vocabulary": [{"term": ""}]},
+                {"vocabulary": [{"term": "Gull", "synonyms": "seagull"}]},
+                {"vocabulary": [{"term": "Gull", "extra": "property"}]},
+                {"vocabulary": [{"term": "Gull"}, {"term": "gull"}]},
+                {"vocabulary": [{"term": "Sea Gull"}, {"term": "Herring Gull", "synonyms": ["seagull"]}]}
+            ];
+            for (const body of invalidPatches) {
+                const res = await h.request(h.app)
+                    .patch(`/projects/${projectId}`)
+                    .set('Authorization', teacher.auth)
+                    .send(body);
+                expect(res.status, JSON.stringify(body)).to.equal(400);
+            }
+        });
+    });
+});
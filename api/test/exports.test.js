@@ -0,0 +1,388 @@
+const {expect} = require('chai');
+const zlib = require('zlib');
+const h = require('./helpers');
+const constants = require('../constants');
+const ds = require('../datastore');
+const observationExport = require('../observation-export');
+const Ancestor = require('../ancestor').Ancestor;
+
+/**
+ * Reads the files of a zip archive from its central directory.
+ *
+ * @param {Buffer} archive The zip archive.
+ * @return {object} The text of each file, keyed by file name.
+ */
+function readZip(archive) {
+    const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const entryCount = archive.readUInt16LE(endOffset + 10);
+    let offset = archive.readUInt32LE(endOffset + 16);
+    const files = {};
+    for (let i = 0; i < entryCount; i++) {
+        const compressedSize = archive.readUInt32LE(offset + 20);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const headerOffset = archive.readUInt32LE(offset + 42);
+        const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const dataOffset = headerOffset + 30 + archive.readUInt16LE(headerOffset + 26)
+            + archive.readUInt16LE(headerOffset + 28);
+        const data = zlib.inflateRawSync(archive.subarray(dataOffset, dataOffset + compressedSize));
+        expect(data.length).to.equal(archive.readUInt32LE(offset + 24));
+        files[name] = data.toString('utf8');
+        offset += 46 + nameLength + archive.readUInt16LE(offset + 30) + archive.readUInt16LE(offset + 32);
+    }
+    return files;
+}
+
+describe('Observation exports', function() {
+    let teacher;
+    let projectId;
+    let locatedId;
+    let unlocatedId;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        projectId = await h.createProject(teacher);
+        locatedId = await h.createObservation(teacher, projectId, "osprey", 2, {
+            "date": "2021-04-02",
+            "location": {"latitude": 44.5646, "longitude": -123.262, "accuracy": 8}
+        });
+        unlocatedId = await h.createObservation(teacher, projectId, "heron", 1);
+    });
+
+    describe('GeoJSON', function() {
+        it('exports located observations as a FeatureCollection', async function() {
+            const res = await h.request(h.app).get(`/projects/${projectId}/observations.geojson`);
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^application\/geo\+json/);
+            expect(res.headers['content-disposition']).to.include(
+                `project-${projectId}-observations.geojson`
+            );
+            expect(res.body.type).to.equal("FeatureCollection");
+            expect(res.body.features).to.have.length(1);
+
+            const feature = res.body.features[0];
+            expect(feature.type).to.equal("Feature");
+            expect(feature.id).to.equal(locatedId);
+            expect(feature.geometry).to.deep.equal({"type": "Point", "coordinates": [-123.262, 44.5646]});
+            expect(feature.properties).to.include({
+                "id": locatedId,
+                "date": "2021-04-02",
+                "description": "osprey",
+                "quantity": 2,
+                "location_accuracy": 8,
+                "observer_id": null
+            });
+            expect(feature.properties.self).to.match(
+                new RegExp(`/projects/${projectId}/observations/${locatedId}$`)
+            );
+            expect(feature.properties.image_url).to.be.a('string');
+            expect(feature.properties).to.not.have.property('location_geohashes');
+        });
+
+        it('optionally includes observations without a location', async function() {
+            const res = await h.request(h.app)
+                .get(`/projects/${projectId}/observations.geojson?include_unlocated=true`);
+            expect(res.status).to.equal(200);
+            const unlocated = res.body.features.find(feature => feature.id === unlocatedId);
+            expect(res.body.features).to.have.length(2);
+            expect(unlocated.geometry).to.equal(null);
+            expect(unlocated.properties.location_accuracy).to.equal(null);
+        });
+
+        it('exports every observation rather than one page of them', async function() {
+            const largeProjectId = await h.createProject(teacher);
+            for (let i = 0; i < 12; i++) {
+                await h.createObservation(teacher, largeProjectId, `gull ${i}`, 1, {
+                    "location": {"latitude": i, "longitude": -i}
+                });
+            }
+            const res = await h.request(h.app).get(`/projects/${largeProjectId}/observations.geojson`);
+            expect(res.body.features).to.have.length(12);
+        });
+
+        it('is negotiated with the Accept header', async function() {
+            let res = await h.request(h.app)
+                .get(`/projects/${projectId}/observations`)
+                .set('Accept', 'application/geo+json');
+            expect(res.status).to.equal(200);
+            expect(res.body.type).to.equal("FeatureCollection");
+
+            res = await h.request(h.app)
+                .get(`/projects/${projectId}/observations`)
+                .set('Accept', 'application/json');
+            expect(res.body.entities).to.have.length(2);
+        });
+
+        it('returns 400 and 404 for invalid requests', async function() {
+            let res = await h.request(h.app)
+                .get(`/projects/${projectId}/observations.geojson?include_unlocated=yes`);
+            expect(res.status).to.equal(400);
+            res = await h.request(h.app).get('/projects/abc/observations.geojson');
+            expect(res.status).to.equal(400);
+            res = await h.request(h.app).get('/projects/999999999/observations.geojson');
+            expect(res.status).to.equal(404);
+        });
+
+        it('closes the transaction when the client stops reading early', async function() {
+            const transactions = [];
+            ds.datastore.transaction = function(options) {
+                const transaction = Object.getPrototypeOf(ds.datastore).transaction.call(this, options);
+                transactions.push(transaction);
+                return transaction;
+            };
+            try {
+                const responseInfo = await observationExport.exportObservationsGeoJson(
+                    "http://localhost", new Ancestor(constants.PROJECTS, projectId)
+                );
+                expect((await responseInfo.content.next()).done).to.equal(false);
+                await responseInfo.content.return();
+            } finally {
+                delete ds.datastore.transaction;
+            }
+            expect(transactions).to.have.length(1);
+            expect(transactions[0].finished).to.equal(true);
+        });
+    });
+
+    describe('CSV', function() {
+        let csvProjectId;
+        let student;
+        let studentObservationId;
+
+        before(async function() {
+            csvProjectId = await h.createProject(teacher, {
+                "data_number": {"name": "Birds, counted", "number": 0, "must_be_unique": false}
+            });
+            student = await h.createStudent(teacher, {"display_name": "Grace H.", "grade": "5"});
+            studentObservationId = await h.createObservation(student, csvProjectId, "jay", 3, {
+                "date": "2021-05-01"
+            });
+            await h.createObservation(teacher, csvProjectId, "=SUM(A1:A9)", 1, {"date": "2021-05-02"});
+        });
+
+        /**
+         * Gets a CSV export and splits it into rows (without parsing quoted fields).
+         *
+         * @param {string} query [optional] The query string (without the leading "?").
+         * @param {string} authorization [optional] The Authorization header to send.
+         * @return {Promise<Array>} The response and its rows.
+         */
+        async function getCsv(query = "", authorization = null) {
+            const req = h.request(h.app).get(`/projects/${csvProjectId}/observations.csv?${query}`);
+            if (authorization !== null) {
+                req.set('Authorization', authorization);
+            }
+            const res = await req;
+            return [res, res.text.split("\r\n").filter(row => row !== "")];
+        }
+
+        it('streams every observation with flattened columns', async function() {
+            const [res, rows] = await getCsv();
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^text\/csv/);
+            expect(res.headers['content-disposition']).to.include(
+                `project-${csvProjectId}-observations.csv`
+            );
+            expect(rows[0]).to.equal('id,date,description,"Birds, counted",image_url,image_alt_text,self');
+            expect(rows).to.have.length(3);
+
+            const studentRow = rows.find(row => row.startsWith(studentObservationId + ","));
+            expect(studentRow).to.match(new RegExp(
+                `^${studentObservationId},2021-05-01,jay,3,[^,]+,[^,]+,[^,]+/projects/${csvProjectId}`
+                    + `/observations/${studentObservationId}$`
+            ));
+            expect(studentRow).to.not.include("Grace");
+        });
+
+        it('keeps spreadsheet programs from running descriptions as formulas', async function() {
+            const [, rows] = await getCsv();
+            expect(rows.find(row => row.includes("SUM(A1:A9)"))).to.include(",2021-05-02,'=SUM(A1:A9),1,");
+        });
+
+        it('includes the observers\' details for the project\'s teacher', async function() {
+            let [res, rows] = await getCsv("include_private=true", teacher.auth);
+            expect(res.status).to.equal(200);
+            expect(rows[0]).to.match(/,self,observer_id,observer_display_name,observer_grade$/);
+            const studentRow = rows.find(row => row.startsWith(studentObservationId + ","));
+            expect(studentRow).to.match(new RegExp(`,${student.id},Grace H\\.,5$`));
+            expect(rows.find(row => row.includes("'=SUM"))).to.match(/,,,$/);
+
+            [res] = await getCsv("include_private=true");
+            expect(res.status).to.equal(401);
+            expect(res.headers['www-authenticate']).to.be.a('string');
+            const otherTeacher = await h.createTeacher();
+            [res] = await getCsv("include_private=true", otherTeacher.auth);
+            expect(res.status).to.equal(403);
+            [res] = await getCsv("include_private=true", student.auth);
+            expect(res.status).to.equal(403);
+        });
+
+        it('is negotiated with the Accept header', async function() {
+            const res = await h.request(h.app)
+                .get(`/projects/${csvProjectId}/observations`)
+                .set('Accept', 'text/csv');
+            expect(res.status).to.equal(200);
+            expect(res.text.split("\r\n")[0]).to.match(/^id,date,description,/);
+        });
+
+        it('returns 400 and 404 for invalid requests', async function() {
+            let [res] = await getCsv("include_private=yes", teacher.auth);
+            expect(res.status).to.equal(400);
+            res = await h.request(h.app).get('/projects/999999999/observations.csv');
+            expect(res.status).to.equal(404);
+            res = await h.request(h.app)
+                .get('/projects/999999999/observations.csv?include_private=true')
+                .set('Authorization', teacher.auth);
+            expect(res.status).to.equal(404);
+        });
+    });
+
+    describe('Darwin Core Archive', function() {
+        let dwcaProjectId;
+        let goldfinchId;
+
+        before(async function() {
+            dwcaProjectId = await h.createProject(teacher, {"name": "Birds & Bees <Corvallis>"});
+            goldfinchId = await h.createObservation(teacher, dwcaProjectId, "Spinus tristis", 3, {
+                "date": "2021-04-02T08:01:00.5Z",
+                "data_description": "Eating\tthistle\nseeds.",
+                "location": {"latitude": 44.5646, "longitude": -123.262, "accuracy": 8}
+            });
+            await h.createObservation(teacher, dwcaProjectId, "Western Bluebird", 1.5, {
+                "date": "2021-05-10"
+            });
+        });
+
+        /**
+         * Gets a project's Darwin Core Archive.
+         *
+         * @param {string} projectId The id of the project.
+         * @param {string} authorization [optional] The Authorization header to send.
+         * @return {Promise<object>} The response (with the archive as a Buffer in its body).
+         */
+        function getDwca(projectId, authorization = teacher.auth) {
+            const req = h.request(h.app).get(`/projects/${projectId}/export/dwca`);
+            if (authorization !== null) {
+                req.set('Authorization', authorization);
+            }
+            return req.buffer(true).parse((res, callback) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+        }
+
+        it('archives occurrences described by the metafile', async function() {
+            const res = await getDwca(dwcaProjectId);
+            expect(res.status).to.equal(200);
+            expect(res.headers['content-type']).to.match(/^application\/zip/);
+            expect(res.headers['content-disposition']).to.include(`project-${dwcaProjectId}-dwca.zip`);
+            const files = readZip(res.body);
+            expect(Object.keys(files)).to.have.members(["occurrence.txt", "meta.xml", "eml.xml"]);
+
+            /* Check the archive as the Darwin Core text guide requires: each field of the core
+             * file is mapped to a term, and every row has a unique id and every field. */
+            const meta = files["meta.xml"];
+            expect(meta).to.include('metadata="eml.xml"');
+            expect(meta).to.include('rowType="http://rs.tdwg.org/dwc/terms/Occurrence"');
+            expect(meta).to.include('<location>occurrence.txt</location>');
+            expect(meta).to.include('<id index="0"/>');
+            const fieldPattern = /<field index="(\d+)" term="http:\/\/rs\.tdwg\.org\/dwc\/terms\/(\w+)"\/>/g;
+            const terms = [...meta.matchAll(fieldPattern)].map(match => [parseInt(match[1], 10), match[2]]);
+            const rows = files["occurrence.txt"].split("\n")
+                .filter(row => row !== "")
+                .map(row => row.split("\t"));
+            expect(rows[0]).to.deep.equal(terms.map(term => term[1]));
+            expect(terms.map(term => term[0])).to.deep.equal([...rows[0].keys()]);
+            expect(rows).to.have.length(3);
+            for (const row of rows) {
+                expect(row).to.have.length(terms.length);
+            }
+            expect(new Set(rows.slice(1).map(row => row[0])).size).to.equal(2);
+
+            const occurrences = rows.slice(1).map(
+                row => Object.fromEntries(rows[0].map((term, i) => [term, row[i]]))
+            );
+            const goldfinch = occurrences.find(
+                occurrence => occurrence.occurrenceID.endsWith(`/observations/${goldfinchId}`)
+            );
+            expect(goldfinch).to.include({
+                "basisOfRecord": "HumanObservation",
+                "eventDate": "2021-04-02T08:01:00.500Z",
+                "scientificName": "Spinus tristis",
+                "vernacularName": "Spinus tristis",
+                "individualCount": "3",
+                "occurrenceRemarks": "Eating thistle seeds.",
+                "decimalLatitude": "44.5646",
+                "decimalLongitude": "-123.262",
+                "coordinateUncertaintyInMeters": "8",
+                "geodeticDatum": "WGS84",
+                "datasetName": "Birds & Bees <Corvallis>"
+            });
+            expect(goldfinch.associatedMedia).to.match(/^http/);
+            const bluebird = occurrences.find(occurrence => occurrence.vernacularName === "Western Bluebird");
+            expect(bluebird).to.include({
+                "eventDate": "2021-05-10", "individualCount": "", "decimalLatitude": "", "geodeticDatum": ""
+            });
+        });
+
+        it('describes the project and its teacher in the EML', async function() {
+            const res = await getDwca(dwcaProjectId);
+            const eml = readZip(res.body)["eml.xml"];
+            expect(eml).to.include('<title xml:lang="en">Birds &amp; Bees &lt;Corvallis&gt;</title>');
+            expect(eml).to.match(/<creator>\s*<individualName>\s*<surName>Teacher \d+<\/surName>/);
+            expect(eml).to.include("<organizationName>Birdseye View Elementary School</organizationName>");
+            expect(eml).to.match(/<electronicMailAddress>teacher\d+@bogusemail\.com</);
+            expect(eml).to.include("<para>Count the birds you see in your backyard.</para>");
+            expect(eml).to.include("<westBoundingCoordinate>-123.262</westBoundingCoordinate>");
+            expect(eml).to.match(/<beginDate>\s*<calendarDate>2021-04-02<\/calendarDate>/);
+            expect(eml).to.match(/<endDate>\s*<calendarDate>2021-05-10<\/calendarDate>/);
+
+            const emptyProjectId = await h.createProject(teacher);
+            const files = readZip((await getDwca(emptyProjectId)).body);
+            expect(files["occurrence.txt"].split("\n")[0]).to.match(/^occurrenceID\t/);
+            expect(files["eml.xml"]).to.not.include("<coverage>");
+        });
+
+        it('writes dates in ISO 8601 and leaves out those that cannot be parsed', async function() {
+            const projectId = await h.createProject(teacher);
+            await h.createObservation(teacher, projectId, "Osprey", 1, {"date": "2021-06-03T23:30:00-07:00"});
+            await h.createObservation(teacher, projectId, "Killdeer", 1, {"date": "yesterday"});
+            await h.createObservation(teacher, projectId, "Mallard", 1, {"date": "2021-01-15"});
+            let files = readZip((await getDwca(projectId)).body);
+            const rows = files["occurrence.txt"].trim().split("\n").map(line => line.split("\t"));
+            const nameColumn = rows[0].indexOf("vernacularName");
+            const dateColumn = rows[0].indexOf("eventDate");
+            const eventDates = Object.fromEntries(rows.slice(1).map(row => [row[nameColumn], row[dateColumn]]));
+            expect(eventDates).to.deep.equal({
+                "Osprey": "2021-06-04T06:30:00.000Z",
+                "Killdeer": "",
+                "Mallard": "2021-01-15"
+            });
+            expect(files["eml.xml"]).to.match(/<beginDate>\s*<calendarDate>2021-01-15<\/calendarDate>/);
+            expect(files["eml.xml"]).to.match(/<endDate>\s*<calendarDate>2021-06-04<\/calendarDate>/);
+
+            /* Locations are still described when no dates can be parsed. */
+            const undatedProjectId = await h.createProject(teacher);
+            await h.createObservation(teacher, undatedProjectId, "Osprey", 1, {
+                "date": "last spring",
+                "location": {"latitude": 44.5646, "longitude": -123.262}
+            });
+            files = readZip((await getDwca(undatedProjectId)).body);
+            expect(files["eml.xml"]).to.include("<westBoundingCoordinate>-123.262</westBoundingCoordinate>");
+            expect(files["eml.xml"]).to.not.include("<temporalCoverage>");
+        });
+
+        it('requires the project\'s teacher', async function() {
+            let res = await getDwca(dwcaProjectId, null);
+            expect(res.status).to.equal(401);
+            expect(res.headers['www-authenticate']).to.be.a('string');
+            const otherTeacher = await h.createTeacher();
+            res = await getDwca(dwcaProjectId, otherTeacher.auth);
+            expect(res.status).to.equal(403);
+            res = await getDwca('abc');
+            expect(res.status).to.equal(400);
+            res = await getDwca('999999999');
+            expect(res.status).to.equal(404);
+        });
+    });
+});
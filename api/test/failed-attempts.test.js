@@ -0,0 +1,295 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+const constants = require('../constants');
+const ds = require('../datastore');
+
+/* The real Date.now, and how far the tests have moved the clock ahead of it. */
+const realNow = Date.now;
+let clockOffset = 0;
+
+/**
+ * Moves the clock used by the API ahead.
+ *
+ * @param {number} milliseconds How far to move the clock ahead.
+ */
+function advanceClock(milliseconds) {
+    clockOffset += milliseconds;
+    Date.now = () => realNow() + clockOffset;
+}
+
+/**
+ * Requests a teacher with the given Authorization header, optionally from another client IP address.
+ *
+ * @param {object} teacher A teacher returned by createTeacher.
+ * @param {string} auth The Authorization header value.
+ * @param {string} clientIp [optional] The client IP address to send in X-Forwarded-For.
+ * @return {Promise<object>} The response.
+ */
+function getTeacher(teacher, auth, clientIp = null) {
+    const req = h.request(h.app).get(`/teachers/${teacher.id}`).set('Authorization', auth);
+    return clientIp === null ? req : req.set('X-Forwarded-For', clientIp);
+}
+
+/**
+ * Requests a student with their own Authorization header, optionally from another client IP address.
+ *
+ * @param {object} teacher A teacher returned by createTeacher.
+ * @param {object} student A student of the teacher returned by createStudent.
+ * @param {string} auth The Authorization header value.
+ * @param {string} clientIp [optional] The client IP address to send in X-Forwarded-For.
+ * @return {Promise<object>} The response.
+ */
+function getStudent(teacher, student, auth, clientIp = null) {
+    const req = h.request(h.app)
+        .get(`/teachers/${teacher.id}/students/${student.id}`)
+        .set('Authorization', auth);
+    return clientIp === null ? req : req.set('X-Forwarded-For', clientIp);
+}
+
+describe('Failed attempts', function() {
+    let teacher;
+    let wrongAuth;
+
+    beforeEach(async function() {
+        teacher = await h.createTeacher();
+        wrongAuth = h.basicAuth(teacher.id, "wrong1");
+    });
+
+    afterEach(function() {
+        Date.now = realNow;
+        clockOffset = 0;
+    });
+
+    it('delays further attempts with 429 and Retry-After after repeated wrong passwords', async function() {
+        let res;
+        for (let attempt = 0; attempt < constants.FREE_FAILED_ATTEMPTS; attempt++) {
+            res = await getTeacher(teacher, wrongAuth);
+            expect(res.status).to.equal(401);
+        }
+        res = await getTeacher(teacher, wrongAuth);
+        expect(res.status).to.equal(401);
+
+        /* Even the correct password is refused until the delay has passed. */
+        res = await getTeacher(teacher, teacher.auth);
+        expect(res.status).to.equal(429);
+        expect(res.get('Retry-After')).to.equal("1");
+
+        advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+        res = await getTeacher(teacher, wrongAuth);
+        expect(res.status).to.equal(401);
+        res = await getTeacher(teacher, teacher.auth);
+        expect(res.status).to.equal(429);
+        expect(res.get('Retry-After')).to.equal("2");
+    });
+
+    it('resets the counters after a successful login', async function() {
+        for (let attempt = 0; attempt <= constants.FREE_FAILED_ATTEMPTS; attempt++) {
+            await getTeacher(teacher, wrongAuth);
+        }
+        advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+        let res = await getTeacher(teacher, teacher.auth);
+        expect(res.status).to.equal(200);
+
+        /* The next wrong password is free again. */
+        res = await getTeacher(teacher, wrongAuth);
+        expect(res.status).to.equal(401);
+        res = await getTeacher(teacher, teacher.auth);
+        expect(res.status).to.equal(200);
+    });
+
+    it('locks out an IP address that reaches the lockout threshold', async function() {
+        for (let attempt = 0; attempt < constants.IP_LOCKOUT_THRESHOLD; attempt++) {
+            const res = await getTeacher(teacher, wrongAuth, "203.0.113.1");
+            expect(res.status).to.equal(401);
+            advanceClock(constants.FAILED_ATTEMPT_MAX_DELAY);
+        }
+
+        let res = await getTeacher(teacher, teacher.auth, "203.0.113.1");
+        expect(res.status).to.equal(429);
+        expect(Number(res.get('Retry-After'))).to.be.greaterThan(constants.FAILED_ATTEMPT_MAX_DELAY / 1000);
+
+        /* Other addresses are only delayed by the teacher's overall failed attempts. */
+        res = await getTeacher(teacher, teacher.auth, "203.0.113.2");
+        expect(res.status).to.equal(200);
+        res = await getTeacher(teacher, teacher.auth, "203.0.113.1");
+        expect(res.status).to.equal(429);
+
+        advanceClock(constants.LOCKOUT_DURATION);
+        res = await getTeacher(teacher, teacher.auth, "203.0.113.1");
+        expect(res.status).to.equal(200);
+    });
+
+    it('counts wrong reset codes and secret answers without letting a reset code clear them',
+        async function() {
+            let res;
+            for (let attempt = 0; attempt < constants.FREE_FAILED_ATTEMPTS; attempt++) {
+                const challenge = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+                expect(challenge.status).to.equal(200);
+                res = await h.request(h.app)
+                    .put(`/teachers/${teacher.id}/credentials`)
+                    .set('Authorization', h.basicAuth(teacher.id, challenge.body.reset_code))
+                    .send({
+                        "password": "newpassword1",
+                        "secret_questions": Object.assign({}, teacher.secret_questions, {"answer_1": "41"})
+                    });
+                expect(res.status).to.equal(401);
+            }
+            res = await h.request(h.app)
+                .put(`/teachers/${teacher.id}/credentials`)
+                .set('Authorization', h.basicAuth(teacher.id, "wrongcode"))
+                .send({"password": "newpassword1", "secret_questions": teacher.secret_questions});
+            expect(res.status).to.equal(401);
+
+            /* Neither reset codes nor logins are allowed until the delay has passed. */
+            res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+            expect(res.status).to.equal(429);
+            expect(res.get('Retry-After')).to.equal("1");
+            res = await getTeacher(teacher, teacher.auth);
+            expect(res.status).to.equal(429);
+
+            advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+            res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+            expect(res.status).to.equal(200);
+            res = await h.request(h.app)
+                .put(`/teachers/${teacher.id}/credentials`)
+                .set('Authorization', h.basicAuth(teacher.id, res.body.reset_code))
+                .send({"password": "newpassword1", "secret_questions": teacher.secret_questions});
+            expect(res.status).to.equal(204);
+            res = await getTeacher(teacher, h.basicAuth(teacher.id, "newpassword1"));
+            expect(res.status).to.equal(200);
+        }
+    );
+
+    it('limits how many reset codes can be requested without delaying their use', async function() {
+        let res;
+        for (let request = 0; request <= constants.FREE_FAILED_ATTEMPTS; request++) {
+            res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+            expect(res.status).to.equal(200);
+        }
+        const resetCode = res.body.reset_code;
+        res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        expect(res.status).to.equal(429);
+        expect(res.get('Retry-After')).to.equal("1");
+
+        /* The last reset code issued and the teacher's password still work. */
+        res = await getTeacher(teacher, teacher.auth);
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app)
+            .put(`/teachers/${teacher.id}/credentials`)
+            .set('Authorization', h.basicAuth(teacher.id, resetCode))
+            .send({"password": "newpassword1", "secret_questions": teacher.secret_questions});
+        expect(res.status).to.equal(204);
+
+        advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+        res = await h.request(h.app).get(`/teachers/${teacher.id}/credentials`);
+        expect(res.status).to.equal(200);
+    });
+
+    it('limits how many reset emails can be requested for a teacher', async function() {
+        const email = "reset-limit@bogusemail.com";
+        await h.createTeacher({"email": email});
+        for (let request = 0; request <= constants.FREE_FAILED_ATTEMPTS + 1; request++) {
+            const res = await h.request(h.app).post('/password_resets').send({"email": email});
+            expect(res.status).to.equal(202);
+        }
+        expect(await h.getSentEmails(email)).to.have.length(constants.FREE_FAILED_ATTEMPTS + 1);
+
+        advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+        await h.request(h.app).post('/password_resets').send({"email": email});
+        expect(await h.getSentEmails(email)).to.have.length(constants.FREE_FAILED_ATTEMPTS + 2);
+    });
+
+    it('throttles logging in for tokens', async function() {
+        let res;
+        for (let attempt = 0; attempt <= constants.FREE_FAILED_ATTEMPTS; attempt++) {
+            res = await h.request(h.app).post('/tokens').send({"teacher_id": teacher.id, "password": "wrong1"});
+            expect(res.status).to.equal(401);
+        }
+        res = await h.request(h.app).post('/tokens').send({"teacher_id": teacher.id, "password": teacher.password});
+        expect(res.status).to.equal(429);
+        expect(res.get('Retry-After')).to.equal("1");
+
+        advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+        res = await h.request(h.app).post('/tokens').send({"teacher_id": teacher.id, "password": teacher.password});
+        expect(res.status).to.equal(201);
+    });
+
+    it('delays and resets wrong student PINs like passwords', async function() {
+        const student = await h.createStudent(teacher);
+        const wrongPin = h.basicAuth(`${teacher.id}/${student.id}`, "9999");
+        let res;
+        for (let attempt = 0; attempt <= constants.FREE_FAILED_ATTEMPTS; attempt++) {
+            res = await getStudent(teacher, student, wrongPin);
+            expect(res.status).to.equal(401);
+        }
+        res = await getStudent(teacher, student, student.auth);
+        expect(res.status).to.equal(429);
+        expect(res.get('Retry-After')).to.equal("1");
+
+        advanceClock(constants.FAILED_ATTEMPT_BASE_DELAY);
+        res = await getStudent(teacher, student, student.auth);
+        expect(res.status).to.equal(200);
+        expect(res.body).to.not.have.any.keys("pin", "failed_attempts", "failed_attempts_by_ip");
+
+        /* The next wrong PIN is free again. */
+        res = await getStudent(teacher, student, wrongPin);
+        expect(res.status).to.equal(401);
+        res = await getStudent(teacher, student, student.auth);
+        expect(res.status).to.equal(200);
+    });
+
+    it('locks out a student who reaches the lockout threshold from any addresses', async function() {
+        const student = await h.createStudent(teacher);
+        const wrongPin = h.basicAuth(`${teacher.id}/${student.id}`, "9999");
+        for (let attempt = 0; attempt < constants.STUDENT_LOCKOUT_THRESHOLD; attempt++) {
+            const res = await getStudent(teacher, student, wrongPin, `203.0.113.${attempt + 1}`);
+            expect(res.status).to.equal(401);
+            advanceClock(constants.FAILED_ATTEMPT_MAX_DELAY);
+        }
+
+        let res = await getStudent(teacher, student, student.auth, "198.51.100.1");
+        expect(res.status).to.equal(429);
+        expect(Number(res.get('Retry-After'))).to.be.greaterThan(constants.FAILED_ATTEMPT_MAX_DELAY / 1000);
+
+        /* The student's classmates can still log in. */
+        const classmate = await h.createStudent(teacher);
+        res = await getStudent(teacher, classmate, classmate.auth, "198.51.100.1");
+        expect(res.status).to.equal(200);
+
+        advanceClock(constants.LOCKOUT_DURATION);
+        res = await getStudent(teacher, student, student.auth, "198.51.100.1");
+        expect(res.status).to.equal(200);
+    });
+
+    it('records failed attempts only once the validating transaction has been closed', async function() {
+        const student = await h.createStudent(teacher);
+        const transactions = [];
+        let openTransactionsAtStart = 0;
+        ds.datastore.transaction = function(options) {
+            openTransactionsAtStart = Math.max(
+                openTransactionsAtStart,
+                transactions.filter(transaction => transaction.finished === false).length
+            );
+            const transaction = Object.getPrototypeOf(ds.datastore).transaction.call(this, options);
+            transactions.push(transaction);
+            return transaction;
+        };
+        try {
+            let res = await getTeacher(teacher, wrongAuth);
+            expect(res.status).to.equal(401);
+            res = await getStudent(teacher, student, h.basicAuth(`${teacher.id}/${student.id}`, "9999"));
+            expect(res.status).to.equal(401);
+        } finally {
+            delete ds.datastore.transaction;
+        }
+        expect(transactions).to.have.length(4);
+        expect(openTransactionsAtStart).to.equal(0);
+
+        /* Both failed attempts were still counted. */
+        for (let attempt = 1; attempt <= constants.FREE_FAILED_ATTEMPTS; attempt++) {
+            await getTeacher(teacher, wrongAuth);
+        }
+        const res = await getTeacher(teacher, teacher.auth);
+        expect(res.status).to.equal(429);
+    });
+});
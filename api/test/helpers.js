@@ -0,0 +1,278 @@
+/* Shared setup for the integration test suite. Configures the app to use the in-memory
+ * Datastore, local image storage and an outbox directory for emails before it is imported,
+ * so that the suite runs offline without Google Cloud credentials or an SMTP server. */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATASTORE_BACKEND = 'memory';
+process.env.STORAGE_BACKEND = 'local';
+const LOCAL_STORAGE_DIRECTORY = fs.mkdtempSync(path.join(os.tmpdir(), 'kidizen-science-'));
+process.env.LOCAL_STORAGE_DIRECTORY = LOCAL_STORAGE_DIRECTORY;
+process.env.MAILER_BACKEND = 'outbox';
+const OUTBOX_DIRECTORY = path.join(LOCAL_STORAGE_DIRECTORY, 'outbox');
+process.env.OUTBOX_DIRECTORY = OUTBOX_DIRECTORY;
+process.env.SECRET = process.env.SECRET || 'kidizen-science-test-secret';
+
+const request = require('supertest');
+const app = require('../server');
+
+/* Directory holding the sample images shared with the Postman collection. */
+const IMAGE_FILES_DIR = path.join(__dirname, '..', '..', 'testing', 'image-files');
+
+/* Accumulator making each teacher's email unique across the suite. */
+let teacherCount = 0;
+
+/* Remove the images (and emails) stored during the test run once the whole suite has finished. */
+after(function() {
+    fs.rmSync(LOCAL_STORAGE_DIRECTORY, {recursive: true, force: true});
+});
+
+
+/**
+ * Builds a Basic authorization header value.
+ *
+ * @param {string} id The teacher's Datastore id.
+ * @param {string} password The teacher's password (or reset code).
+ * @return {string} The Authorization header value.
+ */
+function basicAuth(id, password) {
+    return "Basic " + Buffer.from(`${id}:${password}`, "utf8").toString("base64");
+}
+
+
+/**
+ * Creates a new teacher through POST /teachers.
+ *
+ * @param {object} overrides [optional] Properties to replace in the default request body.
+ * @return {Promise<object>} The teacher's id, password, secret_questions and Authorization header.
+ */
+async function createTeacher(overrides = {}) {
+    teacherCount++;
+    const body = Object.assign({
+        "name": `Teacher ${teacherCount}`,
+        "email": `teacher${teacherCount}@bogusemail.com`,
+        "school": "Birdseye View Elementary School",
+        "password": "relativity1",
+        "secret_questions": {
+            "question_1": "What is the answer to life, the universe, and everything?",
+            "answer_1": "42",
+            "question_2": "What does the fox say?",
+            "answer_2": "Ring-ding-ding-ding-dingeringeding!"
+        }
+    }, overrides);
+
+    const res = await request(app).post('/teachers').send(body);
+    if (res.status !== 201) {
+        throw `Unable to create teacher: ${JSON.stringify(res.body)}`;
+    }
+    return {
+        "id": res.body.id,
+        "password": body.password,
+        "secret_questions": body.secret_questions,
+        "auth": basicAuth(res.body.id, body.password)
+    };
+}
+
+
+/**
+ * Creates a new student through POST /teachers/:teacherId/students.
+ *
+ * @param {object} teacher A teacher returned by createTeacher.
+ * @param {object} overrides [optional] Properties to replace in the default request body.
+ * @return {Promise<object>} The student's id, PIN and Authorization header.
+ */
+async function createStudent(teacher, overrides = {}) {
+    const body = Object.assign({
+        "display_name": "Ada L.",
+        "grade": "4",
+        "pin": "1234"
+    }, overrides);
+
+    const res = await request(app)
+        .post(`/teachers/${teacher.id}/students`)
+        .set('Authorization', teacher.auth)
+        .send(body);
+    if (res.status !== 201) {
+        throw `Unable to create student: ${JSON.stringify(res.body)}`;
+    }
+    return {
+        "id": res.body.id,
+        "pin": body.pin,
+        "auth": basicAuth(`${teacher.id}/${res.body.id}`, body.pin)
+    };
+}
+
+
+/**
+ * Creates a new class through POST /classes.
+ *
+ * @param {object} teacher A teacher returned by createTeacher.
+ * @param {object} overrides [optional] Properties to replace in the default request body.
+ * @return {Promise<string>} The id of the new class.
+ */
+async function createClass(teacher, overrides = {}) {
+    const body = Object.assign({
+        "teacher_id": teacher.id,
+        "name": "Room 12 Science",
+        "grade_level": "4",
+        "school_year": "2020-2021"
+    }, overrides);
+
+    const res = await request(app)
+        .post('/classes')
+        .set('Authorization', teacher.auth)
+        .send(body);
+    if (res.status !== 201) {
+        throw `Unable to create class: ${JSON.stringify(res.body)}`;
+    }
+    return res.body.id;
+}
+
+
+/**
+ * Uploads one of the sample images through POST /images.
+ *
+ * @param {object} teacher A teacher returned by createTeacher (or a student from createStudent).
+ * @param {string} fileName The name of a file in testing/image-files.
+ * @return {Promise<string>} The public URL of the uploaded image.
+ */
+async function uploadImage(teacher, fileName) {
+    const res = await request(app)
+        .post('/images')
+        .set('Authorization', teacher.auth)
+        .attach('image', path.join(IMAGE_FILES_DIR, fileName));
+    if (res.status !== 201) {
+        throw `Unable to upload image: ${JSON.stringify(res.body)}`;
+    }
+    return res.body.publicUrl;
+}
+
+
+/**
+ * Builds the embedded image object used by projects and observations.
+ *
+ * @param {string} url The URL of an uploaded image.
+ * @return {object} The embedded image object.
+ */
+function imageJson(url) {
+    return {
+        "title": "A photo",
+        "url": url,
+        "alt_text": "A photo taken for this project"
+    };
+}
+
+
+/**
+ * Creates a new project through POST /projects, uploading its image first.
+ *
+ * @param {object} teacher A teacher returned by createTeacher.
+ * @param {object} overrides [optional] Properties to replace in the default request body.
+ * @return {Promise<string>} The id of the new project.
+ */
+async function createProject(teacher, overrides = {}) {
+    const imageUrl = await uploadImage(teacher, 'proj1-seagulls.jpg');
+    const body = Object.assign({
+        "teacher_id": teacher.id,
+        "name": "Backyard Birds",
+        "description_text": "Count the birds you see in your backyard.",
+        "description_image": imageJson(imageUrl),
+        "data_number": {
+            "name": "Birds observed",
+            "number": 0,
+            "must_be_unique": false
+        }
+    }, overrides);
+
+    const res = await request(app)
+        .post('/projects')
+        .set('Authorization', teacher.auth)
+        .send(body);
+    if (res.status !== 201) {
+        throw `Unable to create project: ${JSON.stringify(res.body)}`;
+    }
+    return res.body.id;
+}
+
+
+/**
+ * Creates a new observation through POST /projects/:projectId/observations,
+ * uploading its image first.
+ *
+ * @param {object} teacher The teacher who owns the project (or one of their students).
+ * @param {string} projectId The id of the project.
+ * @param {string} description The observation's data_number.description.
+ * @param {number} quantity The observation's data_number.quantity.
+ * @param {object} overrides [optional] Properties to replace in the default request body.
+ * @return {Promise<string>} The id of the new observation.
+ */
+async function createObservation(teacher, projectId, description, quantity, overrides = {}) {
+    const imageUrl = await uploadImage(teacher, 'obs1_1-goldfinch.jpg');
+    const body = Object.assign({
+        "date": "2020-11-01",
+        "data_image": imageJson(imageUrl),
+        "data_number": {
+            "description": description,
+            "quantity": quantity
+        },
+        "data_description": `Saw ${quantity} ${description}.`
+    }, overrides);
+
+    const res = await request(app)
+        .post(`/projects/${projectId}/observations`)
+        .set('Authorization', teacher.auth)
+        .send(body);
+    if (res.status !== 201) {
+        throw `Unable to create observation: ${JSON.stringify(res.body)}`;
+    }
+    return res.body.id;
+}
+
+
+/**
+ * Gets a project's current data_number.number.
+ *
+ * @param {string} projectId The id of the project.
+ * @return {Promise<number>} The project's data_number.number.
+ */
+async function getProjectNumber(projectId) {
+    const res = await request(app).get(`/projects/${projectId}`);
+    return res.body.data_number.number;
+}
+
+
+/**
+ * Gets the emails written to the outbox directory for a recipient, in the order they were sent.
+ *
+ * @param {string} to The recipient's address.
+ * @return {Promise<object[]>} The emails (with from, to, subject and text properties).
+ */
+async function getSentEmails(to) {
+    const fileNames = (await fs.promises.readdir(OUTBOX_DIRECTORY)).sort();
+    const emails = [];
+    for (const fileName of fileNames) {
+        const email = JSON.parse(await fs.promises.readFile(path.join(OUTBOX_DIRECTORY, fileName), 'utf8'));
+        if (email.to === to) {
+            emails.push(email);
+        }
+    }
+    return emails;
+}
+
+
+module.exports = {
+    "app": app,
+    "request": request,
+    "IMAGE_FILES_DIR": IMAGE_FILES_DIR,
+    "basicAuth": basicAuth,
+    "createTeacher": createTeacher,
+    "createStudent": createStudent,
+    "createClass": createClass,
+    "uploadImage": uploadImage,
+    "imageJson": imageJson,
+    "createProject": createProject,
+    "createObservation": createObservation,
+    "getProjectNumber": getProjectNumber,
+    "getSentEmails": getSentEmails
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+const h = require('./helpers');
+
+describe('Images', function() {
+    let teacher;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+    });
+
+    it('uploads an image and serves it from GET /images/:fileName', async function() {
+        const url = await h.uploadImage(teacher, 'teacher_1.jpg');
+        const fileName = url.split('/').pop();
+        expect(url).to.match(/\/images\/[0-9]+_teacher_1\.jpg$/);
+
+        const res = await h.request(h.app).get(`/images/${fileName}`);
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.equal('image/jpeg');
+        const original = fs.readFileSync(path.join(h.IMAGE_FILES_DIR, 'teacher_1.jpg'));
+        expect(Buffer.compare(res.body, original)).to.equal(0);
+    });
+
+    it('serves PNG images with the PNG content type', async function() {
+        const url = await h.uploadImage(teacher, 'proj5-big-dipper.png');
+        const res = await h.request(h.app).get(`/images/${url.split('/').pop()}`);
+        expect(res.status).to.equal(200);
+        expect(res.headers['content-type']).to.equal('image/png');
+    });
+
+    it('returns 404 for images that do not exist', async function() {
+        let res = await h.request(h.app).get('/images/12345_nothing.jpg');
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get('/images/..%2Fsecret.json');
+        expect(res.status).to.equal(404);
+    });
+
+    it('requires valid credentials to upload', async function() {
+        let res = await h.request(h.app)
+            .post('/images')
+            .attach('image', path.join(h.IMAGE_FILES_DIR, 'teacher_1.jpg'));
+        expect(res.status).to.equal(401);
+        expect(res.headers['www-authenticate']).to.include('Basic');
+
+        res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', h.basicAuth(teacher.id, 'wrongpassword'))
+            .attach('image', path.join(h.IMAGE_FILES_DIR, 'teacher_1.jpg'));
+        expect(res.status).to.equal(401);
+    });
+
+    it('returns 400 when no image is included', async function() {
+        const res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', teacher.auth)
+            .field('title', 'no image');
+        expect(res.status).to.equal(400);
+    });
+
+    it('returns 400 for files that are not JPEG or PNG images', async function() {
+        const res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', teacher.auth)
+            .attach('image', path.join(h.IMAGE_FILES_DIR, 'seagulls.txt'));
+        expect(res.status).to.equal(400);
+        expect(res.body.error).to.equal("Images must be in JPEG or PNG format.");
+    });
+
+    it('returns 400 when the form field is not named "image"', async function() {
+        const res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', teacher.auth)
+            .attach('photo', path.join(h.IMAGE_FILES_DIR, 'teacher_1.jpg'));
+        expect(res.status).to.equal(400);
+    });
+
+    it('returns 403 for images larger than 10 MB', async function() {
+        const res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', teacher.auth)
+            .attach('image', Buffer.alloc(10 * 1024 * 1024 + 1), {
+                "filename": "huge.jpg",
+                "contentType": "image/jpeg"
+            });
+        expect(res.status).to.equal(403);
+    });
+
+    it('returns 415 when the request body is not multipart/form-data', async function() {
+        const res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', teacher.auth)
+            .send({"image": "teacher_1.jpg"});
+        expect(res.status).to.equal(415);
+    });
+});
@@ -0,0 +1,169 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+describe('Observation imports', function() {
+    let teacher;
+    let imageUrl;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        imageUrl = await h.uploadImage(teacher, 'obs1_1-goldfinch.jpg');
+    });
+
+    /**
+     * Builds a CSV row describing an observation with the uploaded image.
+     *
+     * @param {string} description The observation's description.
+     * @param {string} quantity The observation's quantity.
+     * @param {string} extraFields [optional] Fields to append to the row (each preceded by a comma).
+     * @return {string} The row.
+     */
+    function row(description, quantity, extraFields = "") {
+        return `2021-06-01,${description},${quantity},Seen on the field trip,`
+            + `${imageUrl},A bird,"A bird, perched"${extraFields}`;
+    }
+
+    const HEADER = "date,description,quantity,data_description,image_url,image_title,image_alt_text";
+
+    /**
+     * Uploads a CSV file to a project's import endpoint.
+     *
+     * @param {string} projectId The id of the project.
+     * @param {string} csv The contents of the file.
+     * @param {string} query [optional] The query string (without the leading "?").
+     * @param {string} authorization [optional] The Authorization header to send.
+     * @return {Promise<object>} The response.
+     */
+    function importCsv(projectId, csv, query = "", authorization = teacher.auth) {
+        const req = h.request(h.app).post(`/projects/${projectId}/observations/import?${query}`);
+        if (authorization !== null) {
+            req.set('Authorization', authorization);
+        }
+        return req.attach('file', Buffer.from(csv), 'observations.csv');
+    }
+
+    it('imports valid rows and reports the errors in the others', async function() {
+        const projectId = await h.createProject(teacher);
+        const csv = [
+            HEADER,
+            row("heron", "2"),
+            row("", "1"),
+            "2021-06-01,gull,many,Seen,not a url,,",
+            "",
+            row("egret", "3")
+        ].join("\r\n") + "\r\n";
+
+        const res = await importCsv(projectId, csv);
+        expect(res.status).to.equal(200);
+        expect(res.body).to.include({"dry_run": false, "rows": 4, "valid_rows": 2, "imported": 2});
+        expect(res.body.errors.map(error => error.row)).to.deep.equal([3, 4]);
+        expect(res.body.errors[0].errors).to.deep.equal(
+            ["Invalid data_number (columns description and quantity)."]
+        );
+        expect(res.body.errors[1].errors).to.have.length(2);
+        expect(res.body.observations.map(observation => observation.row)).to.deep.equal([2, 6]);
+        expect(res.body.observations[0].self).to.match(
+            new RegExp(`/projects/${projectId}/observations/${res.body.observations[0].id}$`)
+        );
+
+        const observation = await h.request(h.app)
+            .get(`/projects/${projectId}/observations/${res.body.observations[1].id}`);
+        expect(observation.body.data_number).to.deep.equal({"description": "egret", "quantity": 3});
+        expect(observation.body.data_image.alt_text).to.equal("A bird, perched");
+        expect(await h.getProjectNumber(projectId)).to.equal(5);
+    });
+
+    it('only validates the rows in a dry run', async function() {
+        const projectId = await h.createProject(teacher);
+        const csv = [HEADER, row("heron", "2"), row("heron", "-")].join("\n");
+        const res = await importCsv(projectId, csv, "dry_run=true");
+        expect(res.status).to.equal(200);
+        expect(res.body).to.include({"dry_run": true, "rows": 2, "valid_rows": 1, "imported": 0});
+        expect(res.body.errors).to.have.length(1);
+        expect(await h.getProjectNumber(projectId)).to.equal(0);
+    });
+
+    it('counts unique descriptions, metrics and observers across the whole file', async function() {
+        const student = await h.createStudent(teacher);
+        const projectId = await h.createProject(teacher, {
+            "data_number": {"name": "Species seen", "number": 0, "must_be_unique": true},
+            "description_matching": "case_and_whitespace",
+            "metrics": [{"key": "birds", "name": "Birds counted", "aggregation": "sum"}]
+        });
+        await h.createObservation(teacher, projectId, "Heron", 1, {"metric_values": {"birds": 1}});
+        const csv = [
+            HEADER + ",observer_id,latitude,longitude,metric:birds",
+            row("heron", "2", `,${student.id},44.56,-123.26,2`),
+            row("Blue  Jay", "1", ",,,,4"),
+            row("bluejay", "1", ",,,,"),
+            row("wren", "1", ",999999999,,,")
+        ].join("\n");
+
+        const res = await importCsv(projectId, csv);
+        expect(res.body).to.include({"valid_rows": 3, "imported": 3});
+        expect(res.body.errors).to.deep.equal([
+            {"row": 5, "errors": ["The student with observer_id cannot be found."]}
+        ]);
+        expect(await h.getProjectNumber(projectId)).to.equal(2);
+
+        const project = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(project.body.metrics[0].value).to.equal(7);
+        const descriptions = await h.request(h.app).get(`/projects/${projectId}/descriptions`);
+        expect(descriptions.body.descriptions.map(tally => tally.description))
+            .to.have.members(["Heron", "Blue Jay"]);
+
+        const observation = await h.request(h.app)
+            .get(`/projects/${projectId}/observations/${res.body.observations[0].id}`);
+        expect(observation.body.observer.id).to.equal(student.id);
+        expect(observation.body.location).to.deep.equal({"latitude": 44.56, "longitude": -123.26});
+    });
+
+    it('requires the project\'s teacher', async function() {
+        const projectId = await h.createProject(teacher);
+        const csv = [HEADER, row("heron", "2")].join("\n");
+        let res = await importCsv(projectId, csv, "", null);
+        expect(res.status).to.equal(401);
+        expect(res.headers['www-authenticate']).to.be.a('string');
+        const otherTeacher = await h.createTeacher();
+        res = await importCsv(projectId, csv, "", otherTeacher.auth);
+        expect(res.status).to.equal(403);
+        const student = await h.createStudent(teacher);
+        res = await importCsv(projectId, csv, "", student.auth);
+        expect(res.status).to.equal(403);
+        expect(await h.getProjectNumber(projectId)).to.equal(0);
+    });
+
+    it('returns 400, 404 and 415 for invalid requests', async function() {
+        const projectId = await h.createProject(teacher);
+        const csv = [HEADER, row("heron", "2")].join("\n");
+        const invalidFiles = [
+            HEADER,
+            HEADER + ",colour\n" + row("heron", "2", ",red"),
+            HEADER + ",date\n" + row("heron", "2", ",2021-06-01"),
+            HEADER + "\n" + row("heron", "2\"")
+        ];
+        for (const invalidFile of invalidFiles) {
+            const res = await importCsv(projectId, invalidFile);
+            expect(res.status, invalidFile).to.equal(400);
+            expect(res.body.error).to.be.a('string');
+        }
+
+        let res = await importCsv(projectId, csv, "dry_run=yes");
+        expect(res.status).to.equal(400);
+        res = await importCsv("abc", csv);
+        expect(res.status).to.equal(400);
+        res = await importCsv("999999999", csv);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations/import`)
+            .set('Authorization', teacher.auth)
+            .attach('upload', Buffer.from(csv), 'observations.csv');
+        expect(res.status).to.equal(400);
+        expect(res.body.error).to.include("'file'");
+        res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations/import`)
+            .set('Authorization', teacher.auth)
+            .send({});
+        expect(res.status).to.equal(415);
+    });
+});
@@ -0,0 +1,186 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+/**
+ * Creates a new join code through POST /projects/:projectId/join_codes.
+ *
+ * @param {object} teacher The teacher who owns the project.
+ * @param {string} projectId The id of the project.
+ * @param {object} overrides [optional] Properties to replace in the default request body.
+ * @return {Promise<object>} The response body (id, self, code and expires_at).
+ */
+async function createJoinCode(teacher, projectId, overrides = {}) {
+    const res = await h.request(h.app)
+        .post(`/projects/${projectId}/join_codes`)
+        .set('Authorization', teacher.auth)
+        .send(Object.assign({"label": "Period 3 tablets"}, overrides));
+    expect(res.status).to.equal(201);
+    return res.body;
+}
+
+/**
+ * Builds the Authorization header value for a join code.
+ *
+ * @param {string} code The join code.
+ * @return {string} The Authorization header value.
+ */
+function joinCodeAuth(code) {
+    return `JoinCode ${code}`;
+}
+
+describe('Join codes', function() {
+    let teacher;
+    let projectId;
+    let joinCode;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        projectId = await h.createProject(teacher, {
+            "data_number": {"name": "Birds seen", "number": 0, "must_be_unique": false}
+        });
+        joinCode = await createJoinCode(teacher, projectId);
+    });
+
+    /**
+     * Posts an observation to the given project (its image is uploaded with the suite's join code).
+     *
+     * @param {string} auth The Authorization header value.
+     * @param {string} targetProjectId The id of the project.
+     * @param {object} overrides [optional] Properties to add to the request body.
+     * @return {Promise<object>} The response.
+     */
+    async function postObservation(auth, targetProjectId, overrides = {}) {
+        const imageUrl = await h.uploadImage({"auth": joinCodeAuth(joinCode.code)}, 'obs1_1-goldfinch.jpg');
+        return h.request(h.app)
+            .post(`/projects/${targetProjectId}/observations`)
+            .set('Authorization', auth)
+            .send(Object.assign({
+                "date": "2020-11-01",
+                "data_image": h.imageJson(imageUrl),
+                "data_number": {"description": "robin", "quantity": 2},
+                "data_description": "Two robins."
+            }, overrides));
+    }
+
+    it('creates a join code that does not expire by default', async function() {
+        expect(joinCode.code).to.match(/^[A-Z2-9]{8}$/);
+        expect(joinCode.expires_at).to.equal(null);
+        expect(joinCode.self).to.match(new RegExp(`/projects/${projectId}/join_codes/${joinCode.id}$`));
+
+        const res = await h.request(h.app).get(`/projects/${projectId}/join_codes/${joinCode.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(200);
+        expect(res.body.code).to.equal(joinCode.code);
+        expect(res.body.label).to.equal("Period 3 tablets");
+        expect(res.body.project.id).to.equal(projectId);
+    });
+
+    it('only shows join codes to the project\'s teacher', async function() {
+        const otherTeacher = await h.createTeacher();
+        let res = await h.request(h.app).get(`/projects/${projectId}/join_codes`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities.map(code => code.id)).to.include(joinCode.id);
+
+        res = await h.request(h.app).get(`/projects/${projectId}/join_codes`)
+            .set('Authorization', otherTeacher.auth);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).get(`/projects/${projectId}/join_codes/${joinCode.id}`);
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app).post(`/projects/${projectId}/join_codes`)
+            .set('Authorization', otherTeacher.auth)
+            .send({"label": "Not mine"});
+        expect(res.status).to.equal(403);
+    });
+
+    it('returns 400 for invalid join code properties and 405 for updates', async function() {
+        for (const body of [{}, {"label": ""}, {"label": "A", "expires_in_minutes": 0},
+            {"label": "A", "expires_in_minutes": 1.5}, {"label": "A", "code": "ABCDEFGH"}]) {
+            const res = await h.request(h.app)
+                .post(`/projects/${projectId}/join_codes`)
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+        const res = await h.request(h.app)
+            .patch(`/projects/${projectId}/join_codes/${joinCode.id}`)
+            .set('Authorization', teacher.auth)
+            .send({"label": "Renamed"});
+        expect(res.status).to.equal(405);
+    });
+
+    it('authorizes posting observations to the project', async function() {
+        const res = await postObservation(joinCodeAuth(joinCode.code.toLowerCase()), projectId);
+        expect(res.status).to.equal(201);
+        const observation = await h.request(h.app).get(`/projects/${projectId}/observations/${res.body.id}`);
+        expect(observation.body).to.not.have.property('observer');
+        expect(await h.getProjectNumber(projectId)).to.equal(2);
+    });
+
+    it('never authorizes updates, deletes, observers or other projects', async function() {
+        const observationId = await h.createObservation(teacher, projectId, "robin", 1);
+        const auth = joinCodeAuth(joinCode.code);
+        let res = await h.request(h.app)
+            .patch(`/projects/${projectId}/observations/${observationId}`)
+            .set('Authorization', auth)
+            .send({"data_description": "Changed."});
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app)
+            .delete(`/projects/${projectId}/observations/${observationId}`)
+            .set('Authorization', auth);
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', auth)
+            .send({"name": "Changed"});
+        expect(res.status).to.equal(401);
+
+        const student = await h.createStudent(teacher);
+        res = await postObservation(auth, projectId, {"observer_id": student.id});
+        expect(res.status).to.equal(403);
+
+        const otherProjectId = await h.createProject(teacher);
+        res = await postObservation(auth, otherProjectId);
+        expect(res.status).to.equal(403);
+    });
+
+    it('rejects expired join codes', async function() {
+        const expiring = await createJoinCode(teacher, projectId, {"expires_in_minutes": 10});
+        expect(Date.parse(expiring.expires_at)).to.be.greaterThan(Date.now());
+        let res = await postObservation(joinCodeAuth(expiring.code), projectId);
+        expect(res.status).to.equal(201);
+
+        const now = Date.now;
+        Date.now = () => now() + 11 * 60 * 1000;
+        try {
+            res = await postObservation(joinCodeAuth(expiring.code), projectId);
+        } finally {
+            Date.now = now;
+        }
+        expect(res.status).to.equal(401);
+    });
+
+    it('revokes a join code by deleting it', async function() {
+        const revoked = await createJoinCode(teacher, projectId);
+        let res = await h.request(h.app)
+            .delete(`/projects/${projectId}/join_codes/${revoked.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+        res = await postObservation(joinCodeAuth(revoked.code), projectId);
+        expect(res.status).to.equal(401);
+    });
+
+    it('deletes join codes along with their project', async function() {
+        const doomedProjectId = await h.createProject(teacher);
+        const doomedCode = await createJoinCode(teacher, doomedProjectId);
+        let res = await h.request(h.app)
+            .delete(`/projects/${doomedProjectId}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+        res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', joinCodeAuth(doomedCode.code))
+            .attach('image', `${h.IMAGE_FILES_DIR}/obs1_1-goldfinch.jpg`);
+        expect(res.status).to.equal(401);
+    });
+});
@@ -0,0 +1,363 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+describe('Observations', function() {
+    let teacher;
+    let projectId;
+    let observationId;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        projectId = await h.createProject(teacher);
+        observationId = await h.createObservation(teacher, projectId, "goldfinch", 2);
+    });
+
+    it('gets an observation with an embedded project self link', async function() {
+        const res = await h.request(h.app).get(`/projects/${projectId}/observations/${observationId}`);
+        expect(res.status).to.equal(200);
+        expect(res.body.id).to.equal(observationId);
+        expect(res.body.self).to.match(
+            new RegExp(`/projects/${projectId}/observations/${observationId}$`)
+        );
+        expect(res.body.data_number).to.deep.equal({"description": "goldfinch", "quantity": 2});
+        expect(res.body.project.id).to.equal(projectId);
+        expect(res.body.project.self).to.match(new RegExp(`/projects/${projectId}$`));
+    });
+
+    it('does not expose observations as a root collection', async function() {
+        let res = await h.request(h.app).get(`/observations/${observationId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get('/observations');
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).post('/observations').send({"date": "2020-11-01"});
+        expect(res.status).to.equal(404);
+    });
+
+    it('returns 404 and 400 for nonexistent and badly-formatted ids', async function() {
+        let res = await h.request(h.app).get(`/projects/999999999/observations/${observationId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/projects/${projectId}/observations/999999999`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/projects/abc/observations/${observationId}`);
+        expect(res.status).to.equal(400);
+        res = await h.request(h.app).get(`/projects/${projectId}/observations/abc`);
+        expect(res.status).to.equal(400);
+    });
+
+    it('returns 400 for invalid observation properties', async function() {
+        const imageUrl = await h.uploadImage(teacher, 'obs_1_2-bluebird.jpg');
+        const validBody = {
+            "date": "2020-11-02",
+            "data_image": h.imageJson(imageUrl),
+            "data_number": {"description": "bluebird", "quantity": 1},
+            "data_description": "A bluebird."
+        };
+        const invalidBodies = [
+            Object.assign({}, validBody, {"date": 20201102}),
+            Object.assign({}, validBody, {"data_description": ""}),
+            Object.assign({}, validBody, {"extra": "property"}),
+            Object.assign({}, validBody, {"data_number": {"description": "bluebird"}}),
+            Object.assign({}, validBody, {
+                "data_number": {"description": "bluebird", "quantity": 1, "extra": true}
+            }),
+            Object.assign({}, validBody, {"data_image": h.imageJson('not a url')})
+        ];
+        for (const body of invalidBodies) {
+            const res = await h.request(h.app)
+                .post(`/projects/${projectId}/observations`)
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('returns 404 when posting to a nonexistent project', async function() {
+        const imageUrl = await h.uploadImage(teacher, 'obs_1_2-bluebird.jpg');
+        const res = await h.request(h.app)
+            .post('/projects/999999999/observations')
+            .set('Authorization', teacher.auth)
+            .send({
+                "date": "2020-11-02",
+                "data_image": h.imageJson(imageUrl),
+                "data_number": {"description": "bluebird", "quantity": 1},
+                "data_description": "A bluebird."
+            });
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The project with project_id cannot be found.");
+    });
+
+    it('returns 415 for request bodies that are not JSON', async function() {
+        const res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations`)
+            .set('Authorization', teacher.auth)
+            .set('Content-Type', 'text/plain')
+            .send('date=2020-11-02');
+        expect(res.status).to.equal(415);
+    });
+
+    it('requires the project owner\'s credentials to post, update and delete', async function() {
+        const otherTeacher = await h.createTeacher();
+        let res = await h.request(h.app)
+            .patch(`/projects/${projectId}/observations/${observationId}`)
+            .set('Authorization', otherTeacher.auth)
+            .send({"date": "2020-11-03"});
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .delete(`/projects/${projectId}/observations/${observationId}`);
+        expect(res.status).to.equal(401);
+    });
+
+    it('updates an observation, replacing its image', async function() {
+        let res = await h.request(h.app).get(`/projects/${projectId}/observations/${observationId}`);
+        const oldImageUrl = res.body.data_image.url;
+        const newImageUrl = await h.uploadImage(teacher, 'obs_1_3-goldfinch2.jpg');
+
+        res = await h.request(h.app)
+            .patch(`/projects/${projectId}/observations/${observationId}`)
+            .set('Authorization', teacher.auth)
+            .send({"date": "2020-11-03", "data_image": h.imageJson(newImageUrl)});
+        expect(res.status).to.equal(200);
+
+        res = await h.request(h.app).get(`/projects/${projectId}/observations/${observationId}`);
+        expect(res.body.date).to.equal("2020-11-03");
+        expect(res.body.data_image.url).to.equal(newImageUrl);
+        res = await h.request(h.app).get(`/images/${oldImageUrl.split('/').pop()}`);
+        expect(res.status).to.equal(404);
+    });
+
+    it('returns 400 for invalid updates', async function() {
+        for (const body of [{}, {"date": ""}, {"data_number": {"quantity": 1}}, {"extra": 1}]) {
+            const res = await h.request(h.app)
+                .patch(`/projects/${projectId}/observations/${observationId}`)
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('paginates a project\'s observations five at a time', async function() {
+        const pagingProjectId = await h.createProject(teacher);
+        for (let i = 0; i < 6; i++) {
+            await h.createObservation(teacher, pagingProjectId, `bird ${i}`, 1);
+        }
+
+        let res = await h.request(h.app).get(`/projects/${pagingProjectId}/observations`);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities).to.have.length(5);
+        expect(res.body.next).to.match(
+            new RegExp(`/projects/${pagingProjectId}/observations\\?start=`)
+        );
+        for (const observation of res.body.entities) {
+            expect(observation.project.id).to.equal(pagingProjectId);
+        }
+
+        const nextUrl = new URL(res.body.next);
+        res = await h.request(h.app).get(nextUrl.pathname + nextUrl.search);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities).to.have.length(1);
+        expect(res.body.next).to.equal(null);
+    });
+
+    it('returns errors when listing observations with invalid input', async function() {
+        let res = await h.request(h.app).get(`/projects/${projectId}/observations?start=foobar`);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).get('/projects/999999999/observations');
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get('/projects/abc/observations');
+        expect(res.status).to.equal(400);
+    });
+
+    it('filters and sorts a project\'s observations', async function() {
+        const filterProjectId = await h.createProject(teacher);
+        const dates = ["2020-10-01", "2020-10-05T09:30:00Z", "2020-10-08", "2020-10-12T16:00:00Z"];
+        for (let i = 0; i < dates.length; i++) {
+            await h.createObservation(teacher, filterProjectId, i % 2 === 0 ? "robin" : "wren", i + 1, {
+                "date": dates[i]
+            });
+        }
+        const listUrl = `/projects/${filterProjectId}/observations`;
+
+        /* Observations from the week of October 5th, newest first. */
+        let res = await h.request(h.app)
+            .get(`${listUrl}?filter[date][gte]=2020-10-05&filter[date][lt]=2020-10-12&sort=-date`);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities.map(observation => observation.date)).to.deep.equal(
+            ["2020-10-08", "2020-10-05T09:30:00Z"]
+        );
+
+        res = await h.request(h.app)
+            .get(`${listUrl}?filter[data_number.description]=robin&sort=-data_number.quantity`);
+        expect(res.body.entities.map(observation => observation.data_number.quantity)).to.deep.equal([3, 1]);
+
+        /* The next link keeps the filters, sort order and limit. */
+        res = await h.request(h.app).get(`${listUrl}?filter[date][gte]=2020-10-05&sort=date&limit=2`);
+        expect(res.body.entities.map(observation => observation.data_number.quantity)).to.deep.equal([2, 3]);
+        const nextUrl = new URL(res.body.next);
+        res = await h.request(h.app).get(nextUrl.pathname + nextUrl.search);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities.map(observation => observation.data_number.quantity)).to.deep.equal([4]);
+        expect(res.body.next).to.equal(null);
+    });
+
+    it('returns 400 for unsupported filters, sort orders and limits', async function() {
+        const listUrl = `/projects/${projectId}/observations`;
+        const invalidQueries = [
+            "filter[data_description]=Saw",
+            "filter[data_number.description][gt]=a",
+            "filter[date][gte]=last-week",
+            "filter[date]=2020-10-01&filter[date]=2020-10-02",
+            "filter=date",
+            "sort=data_description",
+            "sort=date,-data_number.quantity",
+            "filter[date][gte]=2020-10-01&filter[data_number.quantity][gt]=1",
+            "filter[date][gte]=2020-10-01&sort=data_number.quantity",
+            "limit=0",
+            "limit=101",
+            "limit=five"
+        ];
+        for (const invalidQuery of invalidQueries) {
+            const res = await h.request(h.app).get(`${listUrl}?${invalidQuery}`);
+            expect(res.status, invalidQuery).to.equal(400);
+            expect(res.body.error).to.be.a('string');
+        }
+    });
+
+    it('records, updates and removes an observation\'s location', async function() {
+        const location = {"latitude": 44.5646, "longitude": -123.262, "accuracy": 12.5};
+        const locatedId = await h.createObservation(teacher, projectId, "osprey", 1, {"location": location});
+        const observationUrl = `/projects/${projectId}/observations/${locatedId}`;
+        let res = await h.request(h.app).get(observationUrl);
+        expect(res.body.location).to.deep.equal(location);
+        expect(res.body).to.not.have.property('location_geohashes');
+
+        res = await h.request(h.app)
+            .patch(observationUrl)
+            .set('Authorization', teacher.auth)
+            .send({"location": {"latitude": -33.8688, "longitude": 151.2093}});
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app).get(observationUrl);
+        expect(res.body.location).to.deep.equal({"latitude": -33.8688, "longitude": 151.2093});
+
+        res = await h.request(h.app)
+            .patch(observationUrl)
+            .set('Authorization', teacher.auth)
+            .send({"location": null});
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app).get(observationUrl);
+        expect(res.body.location).to.equal(null);
+
+        const invalidLocations = [
+            {"latitude": 91, "longitude": 0},
+            {"latitude": 0, "longitude": -180.5},
+            {"latitude": "44.5", "longitude": 0},
+            {"latitude": 0},
+            {"latitude": 0, "longitude": 0, "accuracy": -1},
+            {"latitude": 0, "longitude": 0, "altitude": 10},
+            [44.5, -123.2]
+        ];
+        for (const invalidLocation of invalidLocations) {
+            res = await h.request(h.app)
+                .patch(observationUrl)
+                .set('Authorization', teacher.auth)
+                .send({"location": invalidLocation});
+            expect(res.status, JSON.stringify(invalidLocation)).to.equal(400);
+        }
+    });
+
+    it('filters a project\'s observations by bounding box', async function() {
+        const geoProjectId = await h.createProject(teacher);
+        const locations = {
+            "corvallis": {"latitude": 44.5646, "longitude": -123.262},
+            "albany": {"latitude": 44.6365, "longitude": -123.1059},
+            "salem": {"latitude": 44.9429, "longitude": -123.0351},
+            "eugene": {"latitude": 44.0521, "longitude": -123.0868},
+            "sydney": {"latitude": -33.8688, "longitude": 151.2093}
+        };
+        for (const description of Object.keys(locations)) {
+            await h.createObservation(teacher, geoProjectId, description, 1, {
+                "location": locations[description]
+            });
+        }
+        await h.createObservation(teacher, geoProjectId, "nowhere", 1);
+        const listUrl = `/projects/${geoProjectId}/observations`;
+        const getDescriptions = res => res.body.entities.map(
+            observation => observation.data_number.description
+        );
+
+        /* The mid-Willamette Valley, but not Eugene to its south. */
+        let res = await h.request(h.app).get(`${listUrl}?bbox=-123.5,44.3,-122.9,45.0`);
+        expect(res.status).to.equal(200);
+        expect(getDescriptions(res).sort()).to.deep.equal(["albany", "corvallis", "salem"]);
+        expect(res.body.next).to.equal(null);
+        for (const observation of res.body.entities) {
+            expect(observation).to.not.have.property('location_geohashes');
+        }
+
+        /* The whole world, one page at a time (the next links keep the bounding box). */
+        const found = [];
+        let url = `${listUrl}?bbox=-180,-90,180,90&limit=2`;
+        while (url !== null) {
+            res = await h.request(h.app).get(url);
+            expect(res.status).to.equal(200);
+            expect(res.body.entities.length).to.be.at.most(2);
+            found.push(...getDescriptions(res));
+            if (res.body.next === null) {
+                url = null;
+            } else {
+                const nextUrl = new URL(res.body.next);
+                expect(nextUrl.searchParams.get('bbox')).to.equal("-180,-90,180,90");
+                url = nextUrl.pathname + nextUrl.search;
+            }
+        }
+        expect(found.sort()).to.deep.equal(["albany", "corvallis", "eugene", "salem", "sydney"]);
+
+        /* A point is enough to find observations made exactly there. */
+        res = await h.request(h.app).get(`${listUrl}?bbox=151.2093,-33.8688,151.2093,-33.8688`);
+        expect(getDescriptions(res)).to.deep.equal(["sydney"]);
+        res = await h.request(h.app).get(`${listUrl}?bbox=0,0,1,1`);
+        expect(res.body.entities).to.deep.equal([]);
+    });
+
+    it('returns errors for invalid bounding boxes', async function() {
+        const listUrl = `/projects/${projectId}/observations`;
+        const invalidQueries = [
+            "bbox=-123.5,44.3,-122.9",
+            "bbox=-123.5,44.3,-122.9,45.0,1",
+            "bbox=-123.5,44.3,-124.9,45.0",
+            "bbox=-123.5,46.3,-122.9,45.0",
+            "bbox=-190,44.3,-122.9,45.0",
+            "bbox=-123.5,44.3,-122.9,95",
+            "bbox=a,b,c,d",
+            "bbox=,44.3,-122.9,45.0",
+            "bbox=-123.5,44.3,-122.9,45.0&sort=date",
+            "bbox=-123.5,44.3,-122.9,45.0&filter[data_number.description]=robin",
+            "bbox=-123.5,44.3,-122.9,45.0&total_count=true"
+        ];
+        for (const invalidQuery of invalidQueries) {
+            const res = await h.request(h.app).get(`${listUrl}?${invalidQuery}`);
+            expect(res.status, invalidQuery).to.equal(400);
+            expect(res.body.error).to.be.a('string');
+        }
+
+        let res = await h.request(h.app).get(`${listUrl}?bbox=-123.5,44.3,-122.9,45.0&start=foobar`);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).get('/projects?bbox=-123.5,44.3,-122.9,45.0');
+        expect(res.status).to.equal(400);
+    });
+
+    it('deletes an observation and its image', async function() {
+        const doomedId = await h.createObservation(teacher, projectId, "starling", 4);
+        let res = await h.request(h.app).get(`/projects/${projectId}/observations/${doomedId}`);
+        const imageFileName = res.body.data_image.url.split('/').pop();
+
+        res = await h.request(h.app)
+            .delete(`/projects/${projectId}/observations/${doomedId}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+
+        res = await h.request(h.app).get(`/projects/${projectId}/observations/${doomedId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/images/${imageFileName}`);
+        expect(res.status).to.equal(404);
+    });
+});
@@ -0,0 +1,303 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+/**
+ * Follows "next" links from the given URL until every page has been fetched.
+ *
+ * @param {string} url The path of the first page.
+ * @return {Promise<object[]>} The pages fetched (response bodies).
+ */
+async function getAllPages(url) {
+    const pages = [];
+    while (url !== null) {
+        const res = await h.request(h.app).get(url);
+        expect(res.status).to.equal(200);
+        pages.push(res.body);
+        if (res.body.next === null) {
+            url = null;
+        } else {
+            const nextUrl = new URL(res.body.next);
+            url = nextUrl.pathname + nextUrl.search;
+        }
+    }
+    return pages;
+}
+
+describe('Projects', function() {
+    let teacher;
+    let projectId;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        projectId = await h.createProject(teacher, {"name": "Seagull Survey"});
+    });
+
+    it('gets a project with an embedded teacher self link', async function() {
+        const res = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(res.status).to.equal(200);
+        expect(res.body.id).to.equal(projectId);
+        expect(res.body.name).to.equal("Seagull Survey");
+        expect(res.body).to.not.have.property('teacher_id');
+        expect(res.body.teacher.id).to.equal(teacher.id);
+        expect(res.body.teacher.self).to.match(new RegExp(`/teachers/${teacher.id}$`));
+    });
+
+    it('returns 404 and 400 for nonexistent and badly-formatted ids', async function() {
+        let res = await h.request(h.app).get('/projects/999999999');
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get('/projects/abc');
+        expect(res.status).to.equal(400);
+    });
+
+    it('returns 400 for invalid project properties', async function() {
+        const imageUrl = await h.uploadImage(teacher, 'proj2-canadian-goose.jpg');
+        const validBody = {
+            "teacher_id": teacher.id,
+            "name": "Geese",
+            "description_text": "Count geese.",
+            "description_image": h.imageJson(imageUrl),
+            "data_number": {"name": "Geese", "number": 0, "must_be_unique": false}
+        };
+        const invalidBodies = [
+            Object.assign({}, validBody, {"name": 5}),
+            Object.assign({}, validBody, {"name": ""}),
+            Object.assign({}, validBody, {"extra": "property"}),
+            Object.assign({}, validBody, {"data_number": {"name": "Geese", "number": 0}}),
+            Object.assign({}, validBody, {
+                "description_image": Object.assign(h.imageJson(imageUrl), {"extra": "subproperty"})
+            })
+        ];
+        delete invalidBodies[0].description_text;
+        for (const body of invalidBodies) {
+            const res = await h.request(h.app)
+                .post('/projects')
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('returns 400 for image URLs that are malformed or do not exist', async function() {
+        for (const url of ['not a url', 'http://127.0.0.1/images/12345_nothing.jpg']) {
+            const res = await h.request(h.app)
+                .post('/projects')
+                .set('Authorization', teacher.auth)
+                .send({
+                    "teacher_id": teacher.id,
+                    "name": "Geese",
+                    "description_text": "Count geese.",
+                    "description_image": h.imageJson(url),
+                    "data_number": {"name": "Geese", "number": 0, "must_be_unique": false}
+                });
+            expect(res.status).to.equal(400);
+            expect(res.body.error).to.include("image URL");
+        }
+    });
+
+    it('returns 404 when the teacher does not exist', async function() {
+        const res = await h.request(h.app)
+            .post('/projects')
+            .set('Authorization', teacher.auth)
+            .send({
+                "teacher_id": "999999999",
+                "name": "Geese",
+                "description_text": "Count geese.",
+                "description_image": h.imageJson(await h.uploadImage(teacher, 'proj4_eggs.jpg')),
+                "data_number": {"name": "Geese", "number": 0, "must_be_unique": false}
+            });
+        expect(res.status).to.equal(404);
+    });
+
+    it('returns 415 for request bodies that are not JSON', async function() {
+        const res = await h.request(h.app)
+            .post('/projects')
+            .set('Authorization', teacher.auth)
+            .set('Content-Type', 'text/plain')
+            .send('name=Geese');
+        expect(res.status).to.equal(415);
+    });
+
+    it('requires the owning teacher\'s credentials to create, update and delete', async function() {
+        const otherTeacher = await h.createTeacher();
+        let res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', otherTeacher.auth)
+            .send({"name": "Stolen"});
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).delete(`/projects/${projectId}`);
+        expect(res.status).to.equal(401);
+    });
+
+    it('updates a project, replacing its image', async function() {
+        let res = await h.request(h.app).get(`/projects/${projectId}`);
+        const oldImageUrl = res.body.description_image.url;
+        const newImageUrl = await h.uploadImage(teacher, 'proj1_seagull_update.jpg');
+        res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', teacher.auth)
+            .send({
+                "description_text": "Count seagulls.",
+                "description_image": h.imageJson(newImageUrl)
+            });
+        expect(res.status).to.equal(200);
+        expect(res.body.id).to.equal(projectId);
+
+        res = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(res.body.description_text).to.equal("Count seagulls.");
+        expect(res.body.description_image.url).to.equal(newImageUrl);
+        res = await h.request(h.app).get(`/images/${oldImageUrl.split('/').pop()}`);
+        expect(res.status).to.equal(404);
+    });
+
+    it('does not allow updating teacher_id or data_number.number', async function() {
+        const invalidPatches = [
+            {"teacher_id": teacher.id},
+            {"data_number": {"name": "Birds", "number": 5, "must_be_unique": true}},
+            {"data_number": {"number": 5}},
+            {"data_number": {"initial_number": 5}},
+            {"data_number": {}},
+            {"data_number": {"name": ""}},
+            {"data_number": {"must_be_unique": "yes"}},
+            {"data_number": null}
+        ];
+        for (const body of invalidPatches) {
+            const res = await h.request(h.app)
+                .patch(`/projects/${projectId}`)
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status, JSON.stringify(body)).to.equal(400);
+        }
+
+        const res = await h.request(h.app)
+            .patch(`/projects/${projectId}`)
+            .set('Authorization', teacher.auth)
+            .send({"data_number": {"number": 5}});
+        expect(res.body.error).to.include("cannot be set directly");
+    });
+
+    it('paginates a teacher\'s projects five at a time', async function() {
+        const pagingTeacher = await h.createTeacher();
+        const createdIds = [];
+        for (let i = 0; i < 6; i++) {
+            createdIds.push(await h.createProject(pagingTeacher, {"name": `Project ${i}`}));
+        }
+
+        const pages = await getAllPages(`/teachers/${pagingTeacher.id}/projects`);
+        expect(pages).to.have.length(2);
+        expect(pages[0].entities).to.have.length(5);
+        expect(pages[0].next).to.match(new RegExp(`/teachers/${pagingTeacher.id}/projects\\?start=`));
+        expect(pages[1].entities).to.have.length(1);
+        expect(pages[1].next).to.equal(null);
+
+        const listedIds = pages[0].entities.concat(pages[1].entities).map(project => project.id);
+        expect(listedIds).to.have.members(createdIds);
+        for (const project of pages[0].entities) {
+            expect(project.teacher.id).to.equal(pagingTeacher.id);
+            expect(project.self).to.match(new RegExp(`/projects/${project.id}$`));
+        }
+    });
+
+    it('paginates all projects', async function() {
+        const pages = await getAllPages('/projects');
+        for (const page of pages.slice(0, -1)) {
+            expect(page.entities).to.have.length(5);
+        }
+        const listedIds = [].concat(...pages.map(page => page.entities.map(project => project.id)));
+        expect(listedIds).to.include(projectId);
+        expect(new Set(listedIds).size).to.equal(listedIds.length);
+    });
+
+    it('filters and sorts projects by name', async function() {
+        const sortingTeacher = await h.createTeacher();
+        for (const name of ["Bats", "Crows", "Ants", "Crows"]) {
+            await h.createProject(sortingTeacher, {"name": name});
+        }
+
+        const pages = await getAllPages(`/teachers/${sortingTeacher.id}/projects?sort=-name&limit=3`);
+        expect(pages).to.have.length(2);
+        const names = [].concat(...pages.map(page => page.entities.map(project => project.name)));
+        expect(names).to.deep.equal(["Crows", "Crows", "Bats", "Ants"]);
+
+        let res = await h.request(h.app).get(`/teachers/${sortingTeacher.id}/projects?filter[name]=Crows`);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities).to.have.length(2);
+        res = await h.request(h.app).get('/projects?filter[name][gte]=Crows');
+        expect(res.status).to.equal(400);
+        res = await h.request(h.app).get('/projects?filter[teacher_id]=1');
+        expect(res.status).to.equal(400);
+    });
+
+    it('returns pages of the requested size with total counts and Link headers', async function() {
+        const countingTeacher = await h.createTeacher();
+        for (let i = 0; i < 7; i++) {
+            await h.createProject(countingTeacher, {"name": i < 4 ? "Moths" : "Beetles"});
+        }
+        const listUrl = `/teachers/${countingTeacher.id}/projects`;
+
+        let res = await h.request(h.app).get(`${listUrl}?limit=6&total_count=true`);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities).to.have.length(6);
+        expect(res.body.total_count).to.equal(7);
+        expect(res.get('Link')).to.equal(
+            `<${new URL(res.body.next).origin}${listUrl}?limit=6&total_count=true>; rel="first", `
+            + `<${res.body.next}>; rel="next"`
+        );
+
+        const nextUrl = new URL(res.body.next);
+        res = await h.request(h.app).get(nextUrl.pathname + nextUrl.search);
+        expect(res.body.entities).to.have.length(1);
+        expect(res.body.total_count).to.equal(7);
+        expect(res.body.next).to.equal(null);
+        expect(res.get('Link')).to.match(/^<[^>]+\?limit=6&total_count=true>; rel="first"$/);
+
+        /* The total count only includes projects matching the filters, and is omitted unless requested. */
+        res = await h.request(h.app).get(`${listUrl}?filter[name]=Moths&limit=2&total_count=true`);
+        expect(res.body.total_count).to.equal(4);
+        res = await h.request(h.app).get(listUrl);
+        expect(res.body).to.not.have.property('total_count');
+        expect(res.get('Link')).to.match(new RegExp(`^<[^>]+${listUrl}>; rel="first", <[^>]+>; rel="next"$`));
+
+        for (const invalidQuery of ["limit=101", "total_count=yes"]) {
+            res = await h.request(h.app).get(`${listUrl}?${invalidQuery}`);
+            expect(res.status, invalidQuery).to.equal(400);
+        }
+        res = await h.request(h.app).get('/classes?limit=51');
+        expect(res.status).to.equal(400);
+    });
+
+    it('returns 403 for invalid cursors', async function() {
+        let res = await h.request(h.app).get('/projects?start=foobar');
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).get(`/teachers/${teacher.id}/projects?start=foobar`);
+        expect(res.status).to.equal(403);
+    });
+
+    it('returns 404 and 400 when listing projects of invalid teachers', async function() {
+        let res = await h.request(h.app).get('/teachers/999999999/projects');
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get('/teachers/abc/projects');
+        expect(res.status).to.equal(400);
+    });
+
+    it('deletes a project along with its observations and images', async function() {
+        const doomedProjectId = await h.createProject(teacher);
+        const observationId = await h.createObservation(teacher, doomedProjectId, "seagull", 3);
+        const observation = await h.request(h.app)
+            .get(`/projects/${doomedProjectId}/observations/${observationId}`);
+        const imageFileName = observation.body.data_image.url.split('/').pop();
+
+        let res = await h.request(h.app)
+            .delete(`/projects/${doomedProjectId}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+
+        res = await h.request(h.app).get(`/projects/${doomedProjectId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/images/${imageFileName}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app)
+            .delete(`/projects/${doomedProjectId}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(404);
+    });
+});
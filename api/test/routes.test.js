@@ -0,0 +1,62 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+describe('Routing', function() {
+    it('returns 404 when posting to a nonexistent root collection', async function() {
+        const res = await h.request(h.app).post('/foos').send({"name": "foo"});
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The collection you are seeking does not exist.");
+    });
+
+    it('returns 404 when posting to a nonexistent child collection', async function() {
+        const res = await h.request(h.app).post('/projects/12345/foos').send({"name": "foo"});
+        expect(res.status).to.equal(404);
+    });
+
+    it('returns 404 when getting from nonexistent collections', async function() {
+        for (const url of ['/foos', '/foos/12345', '/projects/12345/foos', '/projects/12345/foos/1']) {
+            const res = await h.request(h.app).get(url);
+            expect(res.status, url).to.equal(404);
+        }
+    });
+
+    it('returns 404 when patching or deleting in nonexistent collections', async function() {
+        let res = await h.request(h.app).patch('/foos/12345').send({"name": "foo"});
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).patch('/projects/12345/foos/1').send({"name": "foo"});
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).delete('/foos/12345');
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).delete('/projects/12345/foos/1');
+        expect(res.status).to.equal(404);
+    });
+
+    it('returns 404 for routes that do not exist', async function() {
+        const res = await h.request(h.app).get('/foo/bar/baz/bop/fizz');
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The route to which you sent this request does not exist.");
+    });
+
+    it('returns 405 when listing teachers', async function() {
+        const res = await h.request(h.app).get('/teachers');
+        expect(res.status).to.equal(405);
+        expect(res.headers.allow).to.equal('POST');
+    });
+
+    it('returns 405 when posting or deleting credentials', async function() {
+        let res = await h.request(h.app).post('/teachers/1/credentials');
+        expect(res.status).to.equal(405);
+        res = await h.request(h.app).delete('/teachers/1/credentials');
+        expect(res.status).to.equal(405);
+        expect(res.headers.allow).to.equal('GET, PUT, PATCH');
+    });
+
+    it('returns 400 when the JSON request body cannot be parsed', async function() {
+        const res = await h.request(h.app)
+            .post('/projects')
+            .set('Content-Type', 'application/json')
+            .send('{"name": ');
+        expect(res.status).to.equal(400);
+        expect(res.body.error).to.equal("Unable to parse JSON in request body.");
+    });
+});
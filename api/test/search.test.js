@@ -0,0 +1,126 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+/**
+ * Searches through GET /search.
+ *
+ * @param {string} query The query string (without the leading "?").
+ * @return {Promise<object>} The response.
+ */
+function search(query) {
+    return h.request(h.app).get(`/search?${query}`);
+}
+
+describe('Search', function() {
+    let teacher;
+    let projectId;
+    let observationId;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        projectId = await h.createProject(teacher, {
+            "name": "Pollinator Patrol",
+            "description_text": "Photograph the bees and butterflies visiting the school garden."
+        });
+        observationId = await h.createObservation(teacher, projectId, "Bumblebee", 3, {
+            "data_description": "Three bumblebees on the lavender near the greenhouse."
+        });
+    });
+
+    it('finds projects and observations by whole words and prefixes', async function() {
+        let res = await search('q=Pollinator');
+        expect(res.status).to.equal(200);
+        expect(res.body.entities).to.have.length(1);
+        expect(res.body.entities[0].type).to.equal("project");
+        expect(res.body.entities[0].id).to.equal(projectId);
+        expect(res.body.entities[0].self).to.match(new RegExp(`/projects/${projectId}$`));
+        expect(res.body.entities[0].teacher.id).to.equal(teacher.id);
+
+        res = await search('q=bumblebee%20LAVENDER');
+        expect(res.body.entities).to.have.length(1);
+        expect(res.body.entities[0].type).to.equal("observation");
+        expect(res.body.entities[0].self).to.match(
+            new RegExp(`/projects/${projectId}/observations/${observationId}$`)
+        );
+
+        /* Whole words must match exactly unless they end with "*". */
+        res = await search(`q=lavend&teacher_id=${teacher.id}`);
+        expect(res.body.entities).to.have.length(0);
+        res = await search(`q=lavend*&teacher_id=${teacher.id}`);
+        expect(res.body.entities.map(result => result.id)).to.deep.equal([observationId]);
+        res = await search(`q=bumble*&teacher_id=${teacher.id}`);
+        expect(res.body.entities).to.have.length(1);
+    });
+
+    it('keeps the index up to date as entities are updated and deleted', async function() {
+        let res = await h.request(h.app)
+            .patch(`/projects/${projectId}/observations/${observationId}`)
+            .set('Authorization', teacher.auth)
+            .send({"data_description": "Two bumblebees resting on the sunflowers."});
+        expect(res.status).to.equal(200);
+        res = await search(`q=lavender&project_id=${projectId}`);
+        expect(res.body.entities).to.have.length(0);
+        res = await search(`q=sunflowers&project_id=${projectId}`);
+        expect(res.body.entities).to.have.length(1);
+
+        const doomedProjectId = await h.createProject(teacher, {"name": "Quokka Quest"});
+        await h.createObservation(teacher, doomedProjectId, "Quokka", 1);
+        res = await search('q=quokka');
+        expect(res.body.entities).to.have.length(2);
+        res = await h.request(h.app)
+            .delete(`/projects/${doomedProjectId}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(204);
+        res = await search('q=quokka');
+        expect(res.body.entities).to.have.length(0);
+    });
+
+    it('scopes results to a teacher or project and paginates them', async function() {
+        const otherTeacher = await h.createTeacher();
+        const otherProjectId = await h.createProject(otherTeacher, {"name": "Marmot Mapping"});
+        for (let i = 0; i < 3; i++) {
+            await h.createObservation(otherTeacher, otherProjectId, "Marmot", i + 1);
+        }
+        await h.createProject(teacher, {"name": "Marmot Meadows"});
+
+        let res = await search(`q=marmot&teacher_id=${otherTeacher.id}&limit=3&total_count=true`);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities).to.have.length(3);
+        expect(res.body.total_count).to.equal(4);
+        expect(res.get('Link')).to.include('rel="first"');
+        expect(res.get('Link')).to.include(`<${res.body.next}>; rel="next"`);
+
+        const nextUrl = new URL(res.body.next);
+        res = await search(nextUrl.search.substring(1));
+        expect(res.body.entities).to.have.length(1);
+        expect(res.body.next).to.equal(null);
+
+        res = await search(`q=marmot&project_id=${otherProjectId}`);
+        expect(res.body.entities.map(result => result.type)).to.have.members(
+            ["project", "observation", "observation", "observation"]
+        );
+        res = await search('q=marmot*&limit=10');
+        expect(res.body.entities).to.have.length(5);
+    });
+
+    it('returns 400, 403 and 404 for invalid searches', async function() {
+        const invalidQueries = [
+            "",
+            "q=",
+            "q=%20!!",
+            "q=b*",
+            "q=a+b+c+d+e+f+g+h+i+j+k",
+            "q=bee&limit=51",
+            "q=bee&teacher_id=abc",
+            "q=bee&filter[name]=x"
+        ];
+        for (const invalidQuery of invalidQueries) {
+            const res = await search(invalidQuery);
+            expect(res.status, invalidQuery).to.equal(400);
+        }
+        let res = await search('q=bee&start=foobar');
+        expect(res.status).to.equal(403);
+        res = await search('q=bee&project_id=999999999');
+        expect(res.status).to.equal(404);
+    });
+});
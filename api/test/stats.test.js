@@ -0,0 +1,169 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+const constants = require('../constants');
+const ds = require('../datastore');
+
+/**
+ * Gets a project's statistics through GET /projects/:projectId/stats.
+ *
+ * @param {string} projectId The id of the project.
+ * @param {string} query [optional] The query string (without the leading "?").
+ * @return {Promise<object>} The response.
+ */
+function getStats(projectId, query = "") {
+    return h.request(h.app).get(`/projects/${projectId}/stats?${query}`);
+}
+
+describe('Project stats', function() {
+    let teacher;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+    });
+
+    it('groups observations by day, week and month with cumulative unique counts', async function() {
+        const projectId = await h.createProject(teacher, {
+            "data_number": {"name": "Species seen", "number": 1, "must_be_unique": true}
+        });
+        const observations = [
+            ["2020-11-02", "crow", 2],
+            ["2020-11-02T18:30:00Z", "jay", 1],
+            ["2020-11-04", "crow", 5],
+            ["2020-11-16", "heron", 1],
+            ["2020-12-01", "jay", 3]
+        ];
+        for (const [date, description, quantity] of observations) {
+            await h.createObservation(teacher, projectId, description, quantity, {"date": date});
+        }
+
+        let res = await getStats(projectId, "interval=week");
+        expect(res.status).to.equal(200);
+        expect(res.body.interval).to.equal("week");
+        expect(res.body.project.id).to.equal(projectId);
+        expect(res.body.starting_number).to.equal(1);
+        expect(res.body.buckets.map(bucket => bucket.start)).to.deep.equal(
+            ["2020-11-02", "2020-11-09", "2020-11-16", "2020-11-23", "2020-11-30"]
+        );
+        expect(res.body.buckets.map(bucket => bucket.observations)).to.deep.equal([3, 0, 1, 0, 1]);
+        expect(res.body.buckets.map(bucket => bucket.quantity)).to.deep.equal([8, 0, 1, 0, 3]);
+        expect(res.body.buckets.map(bucket => bucket.new_unique_descriptions)).to.deep.equal([2, 0, 1, 0, 0]);
+        expect(res.body.buckets.map(bucket => bucket.cumulative_number)).to.deep.equal([3, 3, 4, 4, 4]);
+        expect(await h.getProjectNumber(projectId)).to.equal(4);
+
+        res = await getStats(projectId, "interval=month");
+        expect(res.body.buckets.map(bucket => bucket.start)).to.deep.equal(["2020-11-01", "2020-12-01"]);
+        expect(res.body.buckets.map(bucket => bucket.observations)).to.deep.equal([4, 1]);
+
+        res = await getStats(projectId);
+        expect(res.body.interval).to.equal("day");
+        expect(res.body.buckets).to.have.length(30);
+        expect(res.body.buckets[0].observations).to.equal(2);
+    });
+
+    it('sums quantities cumulatively and counts undated observations first', async function() {
+        const projectId = await h.createProject(teacher);
+        await h.createObservation(teacher, projectId, "goose", 4, {"date": "sometime last fall"});
+        await h.createObservation(teacher, projectId, "goose", 3, {"date": "2021-01-31"});
+        await h.createObservation(teacher, projectId, "duck", 2, {"date": "2021-02-01"});
+
+        const res = await getStats(projectId, "interval=month");
+        expect(res.body.undated).to.deep.equal(
+            {"observations": 1, "quantity": 4, "new_unique_descriptions": 1}
+        );
+        expect(res.body.starting_number).to.equal(4);
+        expect(res.body.buckets.map(bucket => bucket.cumulative_number)).to.deep.equal([7, 9]);
+        expect(res.body.buckets[1].cumulative_number).to.equal(await h.getProjectNumber(projectId));
+    });
+
+    it('ends the series at the project\'s number even without an initial number', async function() {
+        const projectId = await h.createProject(teacher, {
+            "data_number": {"name": "Birds", "number": 6, "must_be_unique": false}
+        });
+        await h.createObservation(teacher, projectId, "goose", 3, {"date": "2021-01-31"});
+        await h.createObservation(teacher, projectId, "duck", 2, {"date": "2021-02-01"});
+
+        /* Remove the initial number, as for projects created before it was recorded. */
+        const projectKey = ds.datastore.key([constants.PROJECT, parseInt(projectId, 10)]);
+        const [project] = await ds.datastore.get(projectKey);
+        delete project.data_number.initial_number;
+        await ds.datastore.save({"key": projectKey, "data": project});
+
+        const res = await getStats(projectId, "interval=month");
+        expect(res.body.starting_number).to.equal(6);
+        expect(res.body.buckets.map(bucket => bucket.cumulative_number)).to.deep.equal([9, 11]);
+        expect(res.body.buckets[1].cumulative_number).to.equal(await h.getProjectNumber(projectId));
+    });
+
+    it('returns an empty series for projects without observations', async function() {
+        const projectId = await h.createProject(teacher);
+        const res = await getStats(projectId, "interval=week");
+        expect(res.status).to.equal(200);
+        expect(res.body.buckets).to.deep.equal([]);
+        expect(res.body.starting_number).to.equal(0);
+    });
+
+    it('returns 400 and 404 for invalid requests', async function() {
+        const projectId = await h.createProject(teacher);
+        let res = await getStats(projectId, "interval=year");
+        expect(res.status).to.equal(400);
+        res = await getStats("abc");
+        expect(res.status).to.equal(400);
+        res = await getStats("999999999");
+        expect(res.status).to.equal(404);
+
+        await h.createObservation(teacher, projectId, "owl", 1, {"date": "2000-01-01"});
+        await h.createObservation(teacher, projectId, "owl", 1, {"date": "2020-01-01"});
+        res = await getStats(projectId, "interval=day");
+        expect(res.status).to.equal(400);
+        res = await getStats(projectId, "interval=month");
+        expect(res.status).to.equal(200);
+        expect(res.body.buckets).to.have.length(241);
+    });
+
+    describe('descriptions', function() {
+        let projectId;
+
+        before(async function() {
+            projectId = await h.createProject(teacher);
+            const observations = [
+                ["Goldfinch", 2], ["goldfinch", 1], ["Goldfinch", 3], ["Gold-crest", 1], ["Jay", 4]
+            ];
+            for (const [description, quantity] of observations) {
+                await h.createObservation(teacher, projectId, description, quantity);
+            }
+        });
+
+        it('lists each distinct description with its observation count and quantity', async function() {
+            const res = await h.request(h.app).get(`/projects/${projectId}/descriptions`);
+            expect(res.status).to.equal(200);
+            expect(res.body.project.id).to.equal(projectId);
+            expect(res.body.descriptions).to.deep.equal([
+                {"description": "Goldfinch", "observations": 2, "quantity": 5},
+                {"description": "Gold-crest", "observations": 1, "quantity": 1},
+                {"description": "goldfinch", "observations": 1, "quantity": 1},
+                {"description": "Jay", "observations": 1, "quantity": 4}
+            ]);
+        });
+
+        it('suggests descriptions starting with a prefix, ignoring case and whitespace', async function() {
+            let res = await h.request(h.app).get(`/projects/${projectId}/descriptions?prefix=gold%20fi`);
+            expect(res.status).to.equal(200);
+            expect(res.body.descriptions.map(tally => tally.description)).to.deep.equal(
+                ["Goldfinch", "goldfinch"]
+            );
+            res = await h.request(h.app).get(`/projects/${projectId}/descriptions?prefix=GOLD`);
+            expect(res.body.descriptions).to.have.length(3);
+            res = await h.request(h.app).get(`/projects/${projectId}/descriptions?prefix=owl`);
+            expect(res.body.descriptions).to.deep.equal([]);
+        });
+
+        it('returns 400 and 404 for invalid requests', async function() {
+            let res = await h.request(h.app).get(`/projects/${projectId}/descriptions?prefix=%20`);
+            expect(res.status).to.equal(400);
+            res = await h.request(h.app).get('/projects/999999999/descriptions');
+            expect(res.status).to.equal(404);
+            res = await h.request(h.app).get('/projects/abc/descriptions');
+            expect(res.status).to.equal(400);
+        });
+    });
+});
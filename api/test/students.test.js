@@ -0,0 +1,267 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+const auth = require('../auth');
+const constants = require('../constants');
+const ds = require('../datastore');
+
+describe('Students', function() {
+    let teacher;
+    let student;
+    let projectId;
+
+    before(async function() {
+        teacher = await h.createTeacher();
+        student = await h.createStudent(teacher, {"display_name": "Grace H.", "grade": "K"});
+        projectId = await h.createProject(teacher);
+    });
+
+    it('gets a student with an embedded teacher self link and no PIN', async function() {
+        const res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${student.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(200);
+        expect(res.body.id).to.equal(student.id);
+        expect(res.body.self).to.match(new RegExp(`/teachers/${teacher.id}/students/${student.id}$`));
+        expect(res.body.display_name).to.equal("Grace H.");
+        expect(res.body.grade).to.equal("K");
+        expect(res.body).to.not.have.property('pin');
+        expect(res.body.teacher.id).to.equal(teacher.id);
+        expect(res.body.teacher.self).to.match(new RegExp(`/teachers/${teacher.id}$`));
+    });
+
+    it('lets students view themselves but not their classmates', async function() {
+        const classmate = await h.createStudent(teacher);
+        let res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${student.id}`)
+            .set('Authorization', student.auth);
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${classmate.id}`)
+            .set('Authorization', student.auth);
+        expect(res.status).to.equal(403);
+    });
+
+    it('lists a teacher\'s students only for that teacher', async function() {
+        let res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(200);
+        expect(res.body.entities.map(s => s.id)).to.include(student.id);
+        for (const entity of res.body.entities) {
+            expect(entity).to.not.have.property('pin');
+        }
+
+        const otherTeacher = await h.createTeacher();
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students`)
+            .set('Authorization', otherTeacher.auth);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students`)
+            .set('Authorization', student.auth);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app).get(`/teachers/${teacher.id}/students`);
+        expect(res.status).to.equal(401);
+    });
+
+    it('returns 400 for invalid student properties', async function() {
+        const invalidBodies = [
+            {"display_name": "Ada L.", "grade": "4"},
+            {"display_name": "Ada L.", "grade": "13", "pin": "1234"},
+            {"display_name": "Ada L.", "grade": 4, "pin": "1234"},
+            {"display_name": "Ada L.", "grade": "4", "pin": "12a4"},
+            {"display_name": "Ada L.", "grade": "4", "pin": "123"},
+            {"display_name": "", "grade": "4", "pin": "1234"},
+            {"display_name": "Ada L.", "grade": "4", "pin": "1234", "extra": true}
+        ];
+        for (const body of invalidBodies) {
+            const res = await h.request(h.app)
+                .post(`/teachers/${teacher.id}/students`)
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('returns 404 for students of nonexistent teachers and under other collections', async function() {
+        let res = await h.request(h.app)
+            .get(`/teachers/999999999/students`)
+            .set('Authorization', h.basicAuth('999999999', 'relativity1'));
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The teacher with teacher_id cannot be found.");
+        res = await h.request(h.app).get(`/projects/${projectId}/students/${student.id}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/teachers/${teacher.id}/observations`);
+        expect(res.status).to.equal(404);
+    });
+
+    it('lets students post observations to their teacher\'s projects as the observer', async function() {
+        const observationId = await h.createObservation(student, projectId, "robin", 1);
+        const res = await h.request(h.app).get(`/projects/${projectId}/observations/${observationId}`);
+        expect(res.status).to.equal(200);
+        expect(res.body.observer.id).to.equal(student.id);
+        expect(res.body.observer.self).to.match(
+            new RegExp(`/teachers/${teacher.id}/students/${student.id}$`)
+        );
+        expect(await h.getProjectNumber(projectId)).to.equal(1);
+    });
+
+    it('lets teachers name one of their students as the observer', async function() {
+        const observationId = await h.createObservation(teacher, projectId, "robin", 2, {
+            "observer_id": student.id
+        });
+        let res = await h.request(h.app).get(`/projects/${projectId}/observations/${observationId}`);
+        expect(res.body.observer.id).to.equal(student.id);
+
+        const otherStudent = await h.createStudent(await h.createTeacher());
+        res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations`)
+            .set('Authorization', teacher.auth)
+            .send({
+                "date": "2020-11-01",
+                "data_image": h.imageJson(await h.uploadImage(teacher, 'obs1_1-goldfinch.jpg')),
+                "data_number": {"description": "robin", "quantity": 1},
+                "data_description": "A robin.",
+                "observer_id": otherStudent.id
+            });
+        expect(res.status).to.equal(404);
+        expect(res.body.error).to.equal("The student with observer_id cannot be found.");
+    });
+
+    it('only lets students patch their own observations', async function() {
+        const ownId = await h.createObservation(student, projectId, "wren", 1);
+        const teachersId = await h.createObservation(teacher, projectId, "wren", 1);
+        let res = await h.request(h.app)
+            .patch(`/projects/${projectId}/observations/${ownId}`)
+            .set('Authorization', student.auth)
+            .send({"data_description": "Two wrens, actually."});
+        expect(res.status).to.equal(200);
+        res = await h.request(h.app)
+            .patch(`/projects/${projectId}/observations/${teachersId}`)
+            .set('Authorization', student.auth)
+            .send({"data_description": "Not mine."});
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .delete(`/projects/${projectId}/observations/${ownId}`)
+            .set('Authorization', student.auth);
+        expect(res.status).to.equal(403);
+    });
+
+    it('rejects students of other teachers and wrong PINs', async function() {
+        const otherStudent = await h.createStudent(await h.createTeacher());
+        let res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations`)
+            .set('Authorization', otherStudent.auth)
+            .send({"date": "2020-11-01"});
+        expect(res.status).to.equal(400);
+
+        const imageUrl = await h.uploadImage(student, 'obs1_1-goldfinch.jpg');
+        const body = {
+            "date": "2020-11-01",
+            "data_image": h.imageJson(imageUrl),
+            "data_number": {"description": "robin", "quantity": 1},
+            "data_description": "A robin."
+        };
+        res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations`)
+            .set('Authorization', otherStudent.auth)
+            .send(body);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .post(`/projects/${projectId}/observations`)
+            .set('Authorization', h.basicAuth(`${teacher.id}/${student.id}`, '9999'))
+            .send(body);
+        expect(res.status).to.equal(401);
+
+        /* Unknown students get the same response as wrong PINs. */
+        const unknownRes = await h.request(h.app)
+            .post(`/projects/${projectId}/observations`)
+            .set('Authorization', h.basicAuth(`${teacher.id}/999999999`, '9999'))
+            .send(body);
+        expect(unknownRes.status).to.equal(401);
+        expect(unknownRes.body).to.deep.equal(res.body);
+    });
+
+    it('does not let students act as their teacher', async function() {
+        let res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', student.auth);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .post(`/teachers/${teacher.id}/students`)
+            .set('Authorization', student.auth)
+            .send({"display_name": "Sneaky", "grade": "4", "pin": "0000"});
+        expect(res.status).to.equal(403);
+    });
+
+    it('updates a student\'s PIN', async function() {
+        const pinStudent = await h.createStudent(teacher, {"pin": "4321"});
+        let res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}/students/${pinStudent.id}`)
+            .set('Authorization', teacher.auth)
+            .send({"pin": "87654321", "grade": "5"});
+        expect(res.status).to.equal(200);
+
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${pinStudent.id}`)
+            .set('Authorization', pinStudent.auth);
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${pinStudent.id}`)
+            .set('Authorization', h.basicAuth(`${teacher.id}/${pinStudent.id}`, '87654321'));
+        expect(res.status).to.equal(200);
+        expect(res.body.grade).to.equal("5");
+    });
+
+    it('stores PINs hashed and rehashes legacy encrypted PINs on login', async function() {
+        const pinStudent = await h.createStudent(teacher, {"pin": "24680"});
+        const studentKey = ds.datastore.key([
+            constants.TEACHER, parseInt(teacher.id, 10), constants.STUDENT, parseInt(pinStudent.id, 10)
+        ]);
+        let [stored] = await ds.datastore.get(studentKey);
+        expect(stored.pin).to.match(/^scrypt\$/);
+
+        /* Store the PIN as it was before hashing was introduced. */
+        stored.pin = auth.Credential.encryptString("24680");
+        await ds.datastore.save({"key": studentKey, "data": stored});
+        let res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${pinStudent.id}`)
+            .set('Authorization', h.basicAuth(`${teacher.id}/${pinStudent.id}`, '2468'));
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${pinStudent.id}`)
+            .set('Authorization', pinStudent.auth);
+        expect(res.status).to.equal(200);
+        [stored] = await ds.datastore.get(studentKey);
+        expect(stored.pin).to.match(/^scrypt\$/);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}/students/${pinStudent.id}`)
+            .set('Authorization', pinStudent.auth);
+        expect(res.status).to.equal(200);
+    });
+
+    it('deletes students individually and along with their teacher', async function() {
+        const doomedTeacher = await h.createTeacher();
+        const doomedStudent = await h.createStudent(doomedTeacher);
+        const otherStudent = await h.createStudent(doomedTeacher);
+
+        let res = await h.request(h.app)
+            .delete(`/teachers/${doomedTeacher.id}/students/${doomedStudent.id}`)
+            .set('Authorization', doomedTeacher.auth);
+        expect(res.status).to.equal(204);
+        res = await h.request(h.app)
+            .get(`/teachers/${doomedTeacher.id}/students/${doomedStudent.id}`)
+            .set('Authorization', doomedTeacher.auth);
+        expect(res.status).to.equal(404);
+
+        res = await h.request(h.app)
+            .delete(`/teachers/${doomedTeacher.id}`)
+            .set('Authorization', doomedTeacher.auth);
+        expect(res.status).to.equal(204);
+        res = await h.request(h.app)
+            .post('/images')
+            .set('Authorization', otherStudent.auth)
+            .attach('image', `${h.IMAGE_FILES_DIR}/obs1_1-goldfinch.jpg`);
+        expect(res.status).to.equal(401);
+    });
+});
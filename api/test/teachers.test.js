@@ -0,0 +1,131 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+describe('Teachers', function() {
+    let teacher;
+
+    before(async function() {
+        teacher = await h.createTeacher({"name": "Albert Einstein"});
+    });
+
+    it('creates a teacher with the default profile photo', async function() {
+        const res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(200);
+        expect(res.body.id).to.equal(teacher.id);
+        expect(res.body.self).to.match(new RegExp(`/teachers/${teacher.id}$`));
+        expect(res.body.name).to.equal("Albert Einstein");
+        expect(res.body.profile_photo).to.include('defaultUserPhoto.png');
+        expect(res.body).to.not.have.property('password');
+        expect(res.body).to.not.have.property('secret_questions');
+    });
+
+    it('returns 400 for invalid teacher properties', async function() {
+        const invalidBodies = [
+            {"name": "Missing everything else"},
+            {
+                "name": "Short Password",
+                "email": "short@bogusemail.com",
+                "school": "School",
+                "password": "short",
+                "secret_questions": teacher.secret_questions
+            },
+            {
+                "name": "Same Answers",
+                "email": "same@bogusemail.com",
+                "school": "School",
+                "password": "relativity1",
+                "secret_questions": {
+                    "question_1": "Question 1?",
+                    "answer_1": "same",
+                    "question_2": "Question 2?",
+                    "answer_2": "same"
+                }
+            }
+        ];
+        for (const body of invalidBodies) {
+            const res = await h.request(h.app).post('/teachers').send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('requires the teacher\'s own credentials to view a teacher', async function() {
+        const otherTeacher = await h.createTeacher();
+        let res = await h.request(h.app).get(`/teachers/${teacher.id}`);
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', otherTeacher.auth);
+        expect(res.status).to.equal(403);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', h.basicAuth(teacher.id, 'wrongpassword'));
+        expect(res.status).to.equal(401);
+    });
+
+    it('returns 400 for badly-formatted ids', async function() {
+        const res = await h.request(h.app)
+            .get('/teachers/abc')
+            .set('Authorization', teacher.auth);
+        expect(res.status).to.equal(400);
+        expect(res.body.error).to.equal("All IDs must be positive integers.");
+    });
+
+    it('updates a teacher\'s profile photo and reverts it to the default', async function() {
+        const url = await h.uploadImage(teacher, 'teacher_1.jpg');
+        let res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth)
+            .send({"profile_photo": url, "school": "Supernova Primary School"});
+        expect(res.status).to.equal(200);
+
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.body.profile_photo).to.equal(url);
+        expect(res.body.school).to.equal("Supernova Primary School");
+
+        res = await h.request(h.app)
+            .patch(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth)
+            .send({"profile_photo": null});
+        expect(res.status).to.equal(200);
+
+        /* The replaced photo is deleted from storage. */
+        res = await h.request(h.app).get(`/images/${url.split('/').pop()}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', teacher.auth);
+        expect(res.body.profile_photo).to.include('defaultUserPhoto.png');
+    });
+
+    it('returns 400 for invalid updates', async function() {
+        for (const body of [{}, {"password": "newpassword1"}, {"name": ""}]) {
+            const res = await h.request(h.app)
+                .patch(`/teachers/${teacher.id}`)
+                .set('Authorization', teacher.auth)
+                .send(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('deletes a teacher along with their projects and credentials', async function() {
+        const doomedTeacher = await h.createTeacher();
+        const projectId = await h.createProject(doomedTeacher);
+        await h.createObservation(doomedTeacher, projectId, "goldfinch", 2);
+
+        let res = await h.request(h.app)
+            .delete(`/teachers/${doomedTeacher.id}`)
+            .set('Authorization', doomedTeacher.auth);
+        expect(res.status).to.equal(204);
+
+        res = await h.request(h.app).get(`/projects/${projectId}`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/teachers/${doomedTeacher.id}/credentials`);
+        expect(res.status).to.equal(404);
+        res = await h.request(h.app).get(`/teachers/${doomedTeacher.id}/projects`);
+        expect(res.status).to.equal(404);
+    });
+});
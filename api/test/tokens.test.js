@@ -0,0 +1,163 @@
+const {expect} = require('chai');
+const h = require('./helpers');
+
+/**
+ * Logs a teacher in through POST /tokens.
+ *
+ * @param {object} body The request body (teacher_id or email with password, or refresh_token).
+ * @return {Promise<object>} The response.
+ */
+function postToken(body) {
+    return h.request(h.app).post('/tokens').send(body);
+}
+
+/**
+ * Builds the Authorization header value for an access token.
+ *
+ * @param {string} accessToken The access token.
+ * @return {string} The Authorization header value.
+ */
+function bearerAuth(accessToken) {
+    return `Bearer ${accessToken}`;
+}
+
+describe('Tokens', function() {
+    let teacher;
+
+    before(async function() {
+        teacher = await h.createTeacher({"email": "tokens@bogusemail.com"});
+    });
+
+    it('issues tokens in exchange for a teacher_id or email and password', async function() {
+        let res = await postToken({"teacher_id": teacher.id, "password": teacher.password});
+        expect(res.status).to.equal(201);
+        expect(res.body.token_type).to.equal("Bearer");
+        expect(res.body.expires_in).to.equal(900);
+        expect(res.body.access_token.split(".")).to.have.length(3);
+        expect(res.body.refresh_token).to.match(new RegExp(`^${teacher.id}\\.`));
+        expect(Date.parse(res.body.refresh_token_expires_at)).to.be.greaterThan(Date.now());
+
+        res = await postToken({"email": "tokens@bogusemail.com", "password": teacher.password});
+        expect(res.status).to.equal(201);
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', bearerAuth(res.body.access_token));
+        expect(res.status).to.equal(200);
+    });
+
+    it('returns 401 for incorrect credentials and 400 for invalid request bodies', async function() {
+        let res = await postToken({"teacher_id": teacher.id, "password": "wrong1"});
+        expect(res.status).to.equal(401);
+        res = await postToken({"email": "nobody@bogusemail.com", "password": teacher.password});
+        expect(res.status).to.equal(401);
+
+        const invalidBodies = [
+            {},
+            {"password": teacher.password},
+            {"teacher_id": teacher.id},
+            {"teacher_id": teacher.id, "email": "tokens@bogusemail.com", "password": teacher.password},
+            {"teacher_id": teacher.id, "password": teacher.password, "extra": true},
+            {"refresh_token": "a.b.c", "password": teacher.password},
+            {"teacher_id": "abc", "password": teacher.password}
+        ];
+        for (const body of invalidBodies) {
+            res = await postToken(body);
+            expect(res.status).to.equal(400);
+        }
+    });
+
+    it('accepts Bearer tokens wherever a teacher\'s Basic credentials are accepted', async function() {
+        const login = await postToken({"teacher_id": teacher.id, "password": teacher.password});
+        const tokenTeacher = {"id": teacher.id, "auth": bearerAuth(login.body.access_token)};
+        const projectId = await h.createProject(tokenTeacher);
+        await h.createObservation(tokenTeacher, projectId, "robin", 2);
+        expect(await h.getProjectNumber(projectId)).to.equal(2);
+
+        const otherTeacher = await h.createTeacher();
+        const res = await h.request(h.app)
+            .patch(`/teachers/${otherTeacher.id}`)
+            .set('Authorization', tokenTeacher.auth)
+            .send({"name": "Stolen"});
+        expect(res.status).to.equal(403);
+    });
+
+    it('rejects forged, malformed and expired access tokens', async function() {
+        const login = await postToken({"teacher_id": teacher.id, "password": teacher.password});
+        const [header, , signature] = login.body.access_token.split(".");
+        const forgedPayload = Buffer.from(JSON.stringify({
+            "sub": teacher.id, "sid": "1", "iat": 0, "exp": 9999999999
+        })).toString("base64").replace(/=+$/, "");
+        for (const accessToken of [`${header}.${forgedPayload}.${signature}`, "not-a-token"]) {
+            const res = await h.request(h.app)
+                .get(`/teachers/${teacher.id}`)
+                .set('Authorization', bearerAuth(accessToken));
+            expect(res.status).to.equal(401);
+        }
+
+        const now = Date.now;
+        Date.now = () => now() + 16 * 60 * 1000;
+        let res;
+        try {
+            res = await h.request(h.app)
+                .get(`/teachers/${teacher.id}`)
+                .set('Authorization', bearerAuth(login.body.access_token));
+        } finally {
+            Date.now = now;
+        }
+        expect(res.status).to.equal(401);
+    });
+
+    it('rotates refresh tokens', async function() {
+        const login = await postToken({"teacher_id": teacher.id, "password": teacher.password});
+        let res = await postToken({"refresh_token": login.body.refresh_token});
+        expect(res.status).to.equal(201);
+        const refreshed = res.body;
+        expect(refreshed.refresh_token).to.not.equal(login.body.refresh_token);
+
+        res = await h.request(h.app)
+            .get(`/teachers/${teacher.id}`)
+            .set('Authorization', bearerAuth(refreshed.access_token));
+        expect(res.status).to.equal(200);
+        res = await postToken({"refresh_token": login.body.refresh_token});
+        expect(res.status).to.equal(401);
+        res = await postToken({"refresh_token": "1.2.3"});
+        expect(res.status).to.equal(401);
+    });
+
+    it('revokes the access and refresh tokens on logout', async function() {
+        const login = await postToken({"teacher_id": teacher.id, "password": teacher.password});
+        const auth = bearerAuth(login.body.access_token);
+        let res = await h.request(h.app).delete('/tokens/current').set('Authorization', auth);
+        expect(res.status).to.equal(204);
+
+        res = await h.request(h.app).get(`/teachers/${teacher.id}`).set('Authorization', auth);
+        expect(res.status).to.equal(401);
+        res = await postToken({"refresh_token": login.body.refresh_token});
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app).delete('/tokens/current').set('Authorization', auth);
+        expect(res.status).to.equal(401);
+        res = await h.request(h.app).delete('/tokens/current').set('Authorization', teacher.auth);
+        expect(res.status).to.equal(401);
+    });
+
+    it('requires Basic credentials to change credentials and logs out everywhere on a new password',
+        async function() {
+            const tokenTeacher = await h.createTeacher();
+            const login = await postToken({"teacher_id": tokenTeacher.id, "password": tokenTeacher.password});
+            const auth = bearerAuth(login.body.access_token);
+            let res = await h.request(h.app)
+                .patch(`/teachers/${tokenTeacher.id}/credentials`)
+                .set('Authorization', auth)
+                .send({"password": "relativity2"});
+            expect(res.status).to.equal(401);
+
+            res = await h.request(h.app)
+                .patch(`/teachers/${tokenTeacher.id}/credentials`)
+                .set('Authorization', tokenTeacher.auth)
+                .send({"password": "relativity2"});
+            expect(res.status).to.equal(204);
+            res = await h.request(h.app).get(`/teachers/${tokenTeacher.id}`).set('Authorization', auth);
+            expect(res.status).to.equal(401);
+        }
+    );
+});
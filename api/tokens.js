@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const constants = require('./constants');
+const ds = require('./datastore');
+
+/* Header of every access token (a JSON Web Token signed with HMAC SHA-256). */
+const ACCESS_TOKEN_HEADER = {"alg": "HS256", "typ": "JWT"};
+
+
+/**
+ * Encodes a string or buffer as unpadded base64url, as used by JSON Web Tokens.
+ *
+ * @param {string|Buffer} value The value to encode.
+ * @return {string} The base64url-encoded value.
+ */
+function base64UrlEncode(value) {
+    return Buffer.from(value).toString("base64")
+        .replace(/=+$/, "")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_");
+}
+
+
+/**
+ * Computes the base64url-encoded HMAC SHA-256 signature of the given content using the app's secret.
+ *
+ * @param {string} content The content to sign.
+ * @return {string} The signature.
+ */
+function sign(content) {
+    return base64UrlEncode(crypto.createHmac("sha256", constants.SECRET).update(content).digest());
+}
+
+
+/**
+ * Hashes a refresh token secret with SHA-256 so that refresh tokens are never stored in plaintext.
+ *
+ * @param {string} secret The refresh token secret.
+ * @return {string} The hex-encoded hash.
+ */
+function hashSecret(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+
+/**
+ * Compares two strings in constant time.
+ *
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @return {boolean} Whether the strings are equal.
+ */
+function safeEqual(a, b) {
+    const aBuffer = Buffer.from(a);
+    const bBuffer = Buffer.from(b);
+    return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer) === true;
+}
+
+
+/**
+ * Creates a signed access token for the given session that expires after ACCESS_TOKEN_LIFETIME.
+ *
+ * @param {string} teacherId The Datastore ID of the teacher who logged in.
+ * @param {string} sessionId The Datastore ID of the teacher's session.
+ * @return {string} The access token.
+ */
+function signAccessToken(teacherId, sessionId) {
+    const now = Date.now();
+    const payload = {
+        "sub": teacherId,
+        "sid": sessionId,
+        "iat": Math.floor(now / 1000),
+        "exp": Math.floor((now + constants.ACCESS_TOKEN_LIFETIME) / 1000)
+    };
+    const content = base64UrlEncode(JSON.stringify(ACCESS_TOKEN_HEADER)) + "."
+        + base64UrlEncode(JSON.stringify(payload));
+    return content + "." + sign(content);
+}
+
+
+/**
+ * Verifies an access token's signature and expiration and returns its payload.
+ *
+ * @param {string} accessToken The access token received from the client.
+ * @param {boolean} allowExpired [optional] Whether expired (but otherwise valid) tokens are accepted.
+ * @return {?object} The token's payload with sub (teacher_id) and sid (session ID) properties
+ * (null if the token is malformed, forged, or expired).
+ */
+function verifyAccessToken(accessToken, allowExpired = false) {
+    const parts = accessToken.split(".");
+    if (parts.length !== 3 || safeEqual(sign(parts[0] + "." + parts[1]), parts[2]) === false) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], "base64").toString("utf8"));
+    } catch(err) {
+        return null;
+    }
+    if (typeof(payload.sub) !== constants.STRING || typeof(payload.sid) !== constants.STRING) {
+        return null;
+    }
+    if (allowExpired === false && payload.exp * 1000 <= Date.now()) {
+        return null;
+    }
+    return payload;
+}
+
+
+/**
+ * Gets the access token included in the authorization header (of the form "Bearer <token>").
+ *
+ * @param {string} authReceived The authorization header received from the client.
+ * @return {?string} The access token (null if the header does not contain an access token).
+ */
+function getBearerTokenFromAuthHeader(authReceived) {
+    const prefix = constants.BEARER_AUTH_SCHEME + " ";
+    if (!authReceived || authReceived.startsWith(prefix) === false) {
+        return null;
+    }
+    return authReceived.substring(prefix.length).trim();
+}
+
+
+/**
+ * Generates the key of a teacher's session.
+ *
+ * @param {string} teacherId The Datastore ID of the teacher.
+ * @param {string} sessionId [optional] The Datastore ID of the session (null for a new session).
+ * @return {object} The session's Datastore key.
+ */
+function generateSessionKey(teacherId, sessionId = null) {
+    const keyPath = [constants.TEACHER, parseInt(teacherId, 10), constants.SESSION];
+    if (sessionId !== null) {
+        keyPath.push(parseInt(sessionId, 10));
+    }
+    return ds.datastore.key(keyPath);
+}
+
+
+/**
+ * Generates session data with a new refresh token secret that is valid for REFRESH_TOKEN_LIFETIME.
+ * Only a hash of the secret is stored.
+ *
+ * @return {object} The refresh token secret (secret) and the session data to store (data).
+ */
+function generateSessionData() {
+    const secret = crypto.randomBytes(32).toString("hex");
+    return {
+        "secret": secret,
+        "data": {
+            "refresh_token_hash": hashSecret(secret),
+            "refresh_expires_at": new Date(Date.now() + constants.REFRESH_TOKEN_LIFETIME).toISOString()
+        }
+    };
+}
+
+
+/**
+ * Builds the tokens sent to the client for a session. Refresh tokens take the form
+ * "teacher_id.session_id.secret" so that their session can be fetched by key.
+ *
+ * @param {string} teacherId The Datastore ID of the teacher to whom the session belongs.
+ * @param {string} sessionId The Datastore ID of the session.
+ * @param {object} sessionData The session's refresh token secret and stored data
+ * (as returned by generateSessionData).
+ * @return {object} The tokens to send to the client.
+ */
+function buildTokens(teacherId, sessionId, sessionData) {
+    return {
+        "access_token": signAccessToken(teacherId, sessionId),
+        "token_type": constants.BEARER_AUTH_SCHEME,
+        "expires_in": constants.ACCESS_TOKEN_LIFETIME / 1000,
+        "refresh_token": `${teacherId}.${sessionId}.${sessionData.secret}`,
+        "refresh_token_expires_at": sessionData.data.refresh_expires_at
+    };
+}
+
+
+/**
+ * Starts a new session for a teacher whose credentials have been validated. The session is saved
+ * outside of any transaction since its ID must be available to sign the access token.
+ *
+ * @param {string} teacherId The Datastore ID of the teacher.
+ * @return {Promise<object>} The tokens to send to the client.
+ */
+async function createSession(teacherId) {
+    const sessionKey = generateSessionKey(teacherId);
+    const sessionData = generateSessionData();
+    await ds.datastore.save({"key": sessionKey, "data": sessionData.data});
+    return buildTokens(teacherId, String(sessionKey.id), sessionData);
+}
+
+
+/**
+ * Exchanges an unexpired, unrevoked refresh token for a new access token and refresh token.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} refreshToken The refresh token received from the client.
+ * @return {Promise<?object>} The tokens to send to the client (null if the refresh token is invalid,
+ * expired, or revoked).
+ */
+async function refreshSession(transaction, refreshToken) {
+    const parts = refreshToken.split(".");
+    if (parts.length !== 3 || ds.isValidId(parts[0]) === false || ds.isValidId(parts[1]) === false) {
+        return null;
+    }
+    const [teacherId, sessionId, secret] = parts;
+
+    const sessionKey = generateSessionKey(teacherId, sessionId);
+    const datastoreResponse = await transaction.get(sessionKey);
+    const session = datastoreResponse[0];
+    if (session === undefined || session === null) {
+        return null;
+    }
+    if (safeEqual(hashSecret(secret), session.refresh_token_hash) === false
+        || Date.parse(session.refresh_expires_at) <= Date.now()) {
+        return null;
+    }
+
+    /* Rotate the refresh token so that the one received can no longer be used. */
+    const sessionData = generateSessionData();
+    transaction.save({"key": sessionKey, "data": sessionData.data});
+    return buildTokens(teacherId, sessionId, sessionData);
+}
+
+
+/**
+ * Gets the teacher_id of the teacher to whom an unexpired, unrevoked access token was issued.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} accessToken The access token received from the client.
+ * @return {Promise<?string>} The teacher_id (null if the token is invalid, expired, or revoked).
+ */
+async function getTeacherIdOfAccessToken(transaction, accessToken) {
+    const payload = verifyAccessToken(accessToken);
+    if (payload === null) {
+        return null;
+    }
+
+    /* Logging out deletes the session, so the token is revoked if its session cannot be found. */
+    const datastoreResponse = await transaction.get(generateSessionKey(payload.sub, payload.sid));
+    const session = datastoreResponse[0];
+    if (session === undefined || session === null) {
+        return null;
+    }
+    return payload.sub;
+}
+
+
+/**
+ * Revokes the session to which an access token was issued, which also revokes its refresh token.
+ * Expired access tokens are accepted so that teachers can log out without refreshing first.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} accessToken The access token received from the client.
+ * @return {Promise<boolean>} Whether the token was valid (and its session revoked).
+ */
+async function deleteSessionOfAccessToken(transaction, accessToken) {
+    const payload = verifyAccessToken(accessToken, true);
+    if (payload === null) {
+        return false;
+    }
+
+    const sessionKey = generateSessionKey(payload.sub, payload.sid);
+    const datastoreResponse = await transaction.get(sessionKey);
+    const session = datastoreResponse[0];
+    if (session === undefined || session === null) {
+        return false;
+    }
+    await transaction.delete(sessionKey);
+    return true;
+}
+
+
+/**
+ * Deletes all of a teacher's sessions, revoking every access token and refresh token issued to them.
+ *
+ * @param {object} transaction The current Datastore transaction being run.
+ * @param {string} teacherId The Datastore ID of the teacher.
+ * @return {Promise<boolean>} Whether the operation succeeded.
+ */
+async function deleteSessionsOfTeacher(transaction, teacherId) {
+    try {
+        const query = ds.datastore.createQuery(constants.SESSION);
+        query.select('__key__');
+        query.hasAncestor(ds.datastore.key([constants.TEACHER, parseInt(teacherId, 10)]));
+        const datastoreResponse = await transaction.runQuery(query);
+        const sessionKeys = datastoreResponse[0].map(session => session[ds.Datastore.KEY]);
+
+        await transaction.delete(sessionKeys);
+        return true;
+    } catch(err) {
+        console.log(err);
+        return false;
+    }
+}
+
+
+module.exports = {
+    "getBearerTokenFromAuthHeader": getBearerTokenFromAuthHeader,
+    "createSession": createSession,
+    "refreshSession": refreshSession,
+    "getTeacherIdOfAccessToken": getTeacherIdOfAccessToken,
+    "deleteSessionOfAccessToken": deleteSessionOfAccessToken,
+    "deleteSessionsOfTeacher": deleteSessionsOfTeacher
+};
@@ -0,0 +1,169 @@
+const events = require('events');
+const zlib = require('zlib');
+
+/* The signatures starting each record of a zip file (see the PKWARE APPNOTE). */
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+/* Zip 2.0 (the version supporting deflate), the deflate compression method, and the general
+ * purpose flags marking that each entry's CRC and sizes follow its data (since entries are
+ * streamed) and that file names are UTF-8. */
+const ZIP_VERSION = 20;
+const DEFLATE_METHOD = 8;
+const ENTRY_FLAGS = 0x0008 | 0x0800;
+
+/* The lookup table for computing CRC-32 checksums, one byte at a time. */
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) === 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c;
+}
+
+
+/**
+ * Updates a CRC-32 checksum with more data.
+ *
+ * @param {number} crc The checksum of the data so far (0 to start).
+ * @param {Buffer} data The data to add.
+ * @return {number} The checksum including the data.
+ */
+function updateCrc32(crc, data) {
+    let c = crc ^ -1;
+    for (let i = 0; i < data.length; i++) {
+        c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ -1) >>> 0;
+}
+
+
+/**
+ * Converts a date into the MS-DOS time and date format used by zip files (in local time, to the
+ * nearest two seconds).
+ *
+ * @param {Date} date The date.
+ * @return {object} The DOS "time" and "date".
+ */
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980) - 1980;
+    return {
+        "time": (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        "date": (year << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+
+/**
+ * Compresses an entry's content with deflate, one piece at a time, recording the entry's checksum
+ * and sizes as the content is read.
+ *
+ * @param {AsyncIterable<string|Buffer>} content The entry's content (strings are encoded as UTF-8).
+ * @param {object} entry The entry's details (crc, size and compressedSize are updated in place).
+ * @return {AsyncGenerator<Buffer>} The pieces of the compressed content.
+ */
+async function* deflateContent(content, entry) {
+    const deflate = zlib.createDeflateRaw();
+    const output = [];
+    deflate.on('data', chunk => {
+        entry.compressedSize += chunk.length;
+        output.push(chunk);
+    });
+    const ended = events.once(deflate, 'end');
+
+    for await (const piece of content) {
+        const data = Buffer.isBuffer(piece) === true ? piece : Buffer.from(piece, 'utf8');
+        entry.crc = updateCrc32(entry.crc, data);
+        entry.size += data.length;
+        await new Promise((resolve, reject) => {
+            deflate.write(data, err => err ? reject(err) : resolve());
+        });
+        yield* output.splice(0);
+    }
+    deflate.end();
+    await ended;
+    yield* output.splice(0);
+}
+
+
+/**
+ * Writes a zip file, one piece at a time, without holding its entries in memory: each entry is
+ * compressed as its content is read, with its checksum and sizes written after its data. The
+ * entries are read in turn, so an entry's content may depend on what was read for earlier ones.
+ * Entries (and the whole file) are limited to 4 GB, since Zip64 is not supported.
+ *
+ * @param {Iterable<object>|AsyncIterable<object>} entries The entries to write, each with a "name"
+ * (the path of the file within the zip) and "content" (an iterable or async iterable of strings
+ * or Buffers).
+ * @param {Date} modified [optional] The modification time recorded for every entry (now by default).
+ * @return {AsyncGenerator<Buffer>} The pieces of the zip file.
+ */
+async function* writeZip(entries, modified = new Date()) {
+    const dosDateTime = toDosDateTime(modified);
+    const centralDirectory = [];
+    let offset = 0;
+
+    for await (const entryInfo of entries) {
+        const name = Buffer.from(entryInfo.name, 'utf8');
+        const entry = {"name": name, "offset": offset, "crc": 0, "size": 0, "compressedSize": 0};
+
+        /* The checksum and sizes are left as zero here and written in the data descriptor. */
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+        localHeader.writeUInt16LE(ZIP_VERSION, 4);
+        localHeader.writeUInt16LE(ENTRY_FLAGS, 6);
+        localHeader.writeUInt16LE(DEFLATE_METHOD, 8);
+        localHeader.writeUInt16LE(dosDateTime.time, 10);
+        localHeader.writeUInt16LE(dosDateTime.date, 12);
+        localHeader.writeUInt16LE(name.length, 26);
+        yield Buffer.concat([localHeader, name]);
+        offset += localHeader.length + name.length;
+
+        yield* deflateContent(entryInfo.content, entry);
+        offset += entry.compressedSize;
+
+        const dataDescriptor = Buffer.alloc(16);
+        dataDescriptor.writeUInt32LE(DATA_DESCRIPTOR_SIGNATURE, 0);
+        dataDescriptor.writeUInt32LE(entry.crc, 4);
+        dataDescriptor.writeUInt32LE(entry.compressedSize, 8);
+        dataDescriptor.writeUInt32LE(entry.size, 12);
+        yield dataDescriptor;
+        offset += dataDescriptor.length;
+        centralDirectory.push(entry);
+    }
+
+    /* Finish with the central directory, listing every entry along with its checksum and sizes. */
+    const centralDirectoryOffset = offset;
+    for (const entry of centralDirectory) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER_SIGNATURE, 0);
+        header.writeUInt16LE(ZIP_VERSION, 4);
+        header.writeUInt16LE(ZIP_VERSION, 6);
+        header.writeUInt16LE(ENTRY_FLAGS, 8);
+        header.writeUInt16LE(DEFLATE_METHOD, 10);
+        header.writeUInt16LE(dosDateTime.time, 12);
+        header.writeUInt16LE(dosDateTime.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        yield Buffer.concat([header, entry.name]);
+        offset += header.length + entry.name.length;
+    }
+
+    const endOfCentralDirectory = Buffer.alloc(22);
+    endOfCentralDirectory.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    endOfCentralDirectory.writeUInt16LE(centralDirectory.length, 8);
+    endOfCentralDirectory.writeUInt16LE(centralDirectory.length, 10);
+    endOfCentralDirectory.writeUInt32LE(offset - centralDirectoryOffset, 12);
+    endOfCentralDirectory.writeUInt32LE(centralDirectoryOffset, 16);
+    yield endOfCentralDirectory;
+}
+
+module.exports = {
+    "writeZip": writeZip
+};